@@ -0,0 +1,93 @@
+import { updateGridWithTrace } from '../app/gameState';
+import { MAX_NARRATED_EVENTS, describeCell, narrateCascade, getNextFocus, isTextEntryTarget } from '../app/accessibility';
+
+const narrate = (grid, row, col) => narrateCascade(updateGridWithTrace(grid, row, col).events);
+
+describe('Accessibility', () => {
+
+    // ==========================================
+    // 1. Cell Labels (1 Test)
+    // ==========================================
+    describe('describeCell', () => {
+        it('should name the position, value, parity and lock state', () => {
+            expect(describeCell(4, 1, 2)).toBe('Cell 1,2: 4, even');
+            expect(describeCell(-3, 0, 0)).toBe('Cell 0,0: -3, odd');
+            expect(describeCell(15, 2, 1)).toBe('Cell 2,1: 15, odd, locked');
+        });
+    });
+
+    // ==========================================
+    // 2. Cascade Narration (4 Tests)
+    // ==========================================
+    describe('narrateCascade', () => {
+        it('should narrate the click and each ripple in order', () => {
+            // 2→3 ripples right: 0→-1
+            expect(narrate([[2, 0], [0, 0]], 0, 0)).toEqual([
+                'cell 0,0 increased to 3',
+                'cell 0,1 decreased to -1'
+            ]);
+        });
+
+        it('should announce new locks and ripples blocked by locked cells', () => {
+            // 4→5 ripples down: 13→15 locks, then fires right: 0→-1
+            expect(narrate([[4, 0], [13, 0]], 0, 0)).toEqual([
+                'cell 0,0 increased to 5',
+                'cell 1,0 increased to 15, now locked',
+                'cell 1,1 decreased to -1'
+            ]);
+            expect(narrate([[2, 15], [0, 0]], 0, 0)).toEqual([
+                'cell 0,0 increased to 3',
+                'cell 0,1 is locked, ripple blocked'
+            ]);
+        });
+
+        it('should explain clicks on locked cells and skip ripples off the board', () => {
+            expect(narrate([[15, 0], [0, 0]], 0, 0)).toEqual(['cell 0,0 is locked, nothing happened']);
+            // 2→3 in the last column ripples off the right edge
+            expect(narrate([[0, 2], [0, 0]], 0, 1)).toEqual(['cell 0,1 increased to 3']);
+        });
+
+        it('should summarise long cascades', () => {
+            const events = Array.from({ length: MAX_NARRATED_EVENTS + 3 }, (_, i) => ({
+                type: 'ripple', target: { row: 0, col: i }, delta: -1, from: 1, to: 0
+            }));
+            const messages = narrateCascade(events);
+            expect(messages).toHaveLength(MAX_NARRATED_EVENTS + 1);
+            expect(messages[MAX_NARRATED_EVENTS]).toBe('and 3 more changes');
+        });
+    });
+
+    // ==========================================
+    // 3. Keyboard Navigation (3 Tests)
+    // ==========================================
+    describe('getNextFocus', () => {
+        it('should move one cell per arrow key and stop at the edges', () => {
+            expect(getNextFocus({ row: 1, col: 1 }, 'ArrowUp', 3, 4)).toEqual({ row: 0, col: 1 });
+            expect(getNextFocus({ row: 1, col: 1 }, 'ArrowRight', 3, 4)).toEqual({ row: 1, col: 2 });
+            expect(getNextFocus({ row: 0, col: 0 }, 'ArrowLeft', 3, 4)).toEqual({ row: 0, col: 0 });
+            expect(getNextFocus({ row: 2, col: 3 }, 'ArrowDown', 3, 4)).toEqual({ row: 2, col: 3 });
+        });
+
+        it('should jump with Home/End and ignore other keys', () => {
+            expect(getNextFocus({ row: 1, col: 2 }, 'Home', 3, 4)).toEqual({ row: 1, col: 0 });
+            expect(getNextFocus({ row: 1, col: 2 }, 'End', 3, 4)).toEqual({ row: 1, col: 3 });
+            expect(getNextFocus({ row: 1, col: 2 }, 'Home', 3, 4, { ctrlKey: true })).toEqual({ row: 0, col: 0 });
+            expect(getNextFocus({ row: 1, col: 2 }, 'End', 3, 4, { ctrlKey: true })).toEqual({ row: 2, col: 3 });
+            expect(getNextFocus({ row: 1, col: 2 }, 'Enter', 3, 4)).toBeNull();
+        });
+
+        it('should leave shortcuts to text fields', () => {
+            const editable = document.createElement('div');
+            editable.contentEditable = 'true';
+            // jsdom does not implement isContentEditable
+            Object.defineProperty(editable, 'isContentEditable', { value: true });
+
+            expect(isTextEntryTarget(document.createElement('input'))).toBe(true);
+            expect(isTextEntryTarget(document.createElement('textarea'))).toBe(true);
+            expect(isTextEntryTarget(editable)).toBe(true);
+            expect(isTextEntryTarget(document.createElement('div'))).toBe(false);
+            expect(isTextEntryTarget(window)).toBe(false);
+            expect(isTextEntryTarget(null)).toBe(false);
+        });
+    });
+});
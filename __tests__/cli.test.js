@@ -0,0 +1,105 @@
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { parseCliArgs, parseGrid, formatGrid, runCli, createReplSession, runReplLine } from '../app/cli';
+import { serializePuzzle, getPuzzle } from '../app/puzzle';
+
+const files = { 'first-ripple.json': serializePuzzle(getPuzzle('first-ripple')) };
+const readFile = (file) => {
+    if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+    return files[file];
+};
+const run = (...argv) => runCli(argv, { readFile });
+
+// Feed lines to a session, collecting output
+const repl = (lines, flags = {}) => lines.reduce(({ session, outputs }, line) => {
+    const result = runReplLine(session, line);
+    return { session: result.session, outputs: [...outputs, result.output] };
+}, { session: createReplSession(flags), outputs: [] });
+
+describe('CLI', () => {
+
+    // ==========================================
+    // 1. Parsing (2 Tests)
+    // ==========================================
+    describe('Parsing', () => {
+        it('should split commands, clicks, flags and switches', () => {
+            expect(parseCliArgs(['play', '0,0', '--rules', 'primes', '--json', '1,1'])).toEqual({
+                command: 'play',
+                positional: ['0,0', '1,1'],
+                flags: { rules: 'primes', json: true }
+            });
+            expect(parseCliArgs([]).command).toBe('help');
+            expect(() => parseCliArgs(['play', '--grid'])).toThrow('Missing value for --grid');
+        });
+
+        it('should read grids as rows or JSON and print them aligned, marking locks', () => {
+            expect(parseGrid('0,4;15,-2')).toEqual([[0, 4], [15, -2]]);
+            expect(parseGrid('[[1,2],[3,4]]')).toEqual([[1, 2], [3, 4]]);
+            expect(() => parseGrid('0,;0,0')).toThrow('Invalid grid');
+            expect(() => parseGrid('[[0,0]')).toThrow('Invalid grid: not valid JSON');
+            expect(formatGrid([[0, 4], [15, -2]])).toBe('  0   4\n15*  -2');
+        });
+    });
+
+    // ==========================================
+    // 2. Commands (3 Tests)
+    // ==========================================
+    describe('Commands', () => {
+        it('should apply clicks and print the board, trace or JSON', () => {
+            expect(run('play', '0,0', '0,0', '0,0')).toEqual({
+                output: ' 3 -1  0\n 0  0  0\n 0  0  0\n3 moves · sum 2 · 0 locked',
+                exitCode: 0
+            });
+            // The -1 falls off the right edge, so nothing else is narrated
+            expect(run('play', '--grid', '0,2;0,0', '0,1', '--trace').output.split('\n').slice(0, 3)).toEqual([
+                'click 0,1',
+                '  cell 0,1 increased to 3',
+                '  depth 0'
+            ]);
+            const json = JSON.parse(run('play', '--grid', '0,2;0,0', '0,1', '--trace', '--json', '--topology', 'torus').output);
+            expect(json.grid).toEqual([[-1, 3], [0, 0]]);
+            expect(json.trace[0].events).toHaveLength(2);
+        });
+
+        it('should solve puzzle files and generate repeatable puzzles', () => {
+            expect(run('solve', 'first-ripple.json').output).toBe('First Ripple: solved in 3 moves (11 positions explored)\n0,0 0,0 0,0');
+            expect(JSON.parse(run('solve', 'first-ripple.json', '--json').output)).toMatchObject({ puzzle: 'first-ripple', status: 'solved' });
+            const generated = run('generate', '--seed', 'lab', '--count', '2', '--json').output;
+            expect(generated.split('\n').map(line => JSON.parse(line).version)).toEqual([1, 1]);
+            expect(run('generate', '--seed', 'lab', '--count', '2', '--json').output).toBe(generated);
+        });
+
+        it('should report errors with a non-zero exit code instead of throwing', () => {
+            expect(run('play', '3,0')).toEqual({ output: 'error: Click 3,0 is off the 3x3 board', exitCode: 1 });
+            expect(run('play', '--rules', 'chaos').output).toBe('error: Unknown --rules "chaos" (expected one of classic, doubling, primes)');
+            expect(run('solve', 'missing.json')).toEqual({ output: 'error: ENOENT: missing.json', exitCode: 1 });
+            expect(run('dance').exitCode).toBe(1);
+            expect(run('--help').output).toMatch(/^Usage: recursive-grid/);
+        });
+    });
+
+    // ==========================================
+    // 3. REPL (1 Test)
+    // ==========================================
+    describe('REPL', () => {
+        it('should click, undo, switch settings and quit', () => {
+            const { session, outputs } = repl(['0,0', 'click 0 0', 'undo', 'json on', 'bad', 'show'], { rows: '2' });
+            expect(outputs[0]).toBe('1 0\n0 0\n1 moves · sum 1');
+            expect(outputs[2]).toBe('1 0\n0 0\n1 moves · sum 1');
+            expect(outputs[4]).toBe('error: Unknown command "bad" (type help)');
+            expect(JSON.parse(outputs[5])).toMatchObject({ grid: [[1, 0], [0, 0]], moves: [{ row: 0, col: 0 }] });
+            expect(session.json).toBe(true);
+            expect(runReplLine(session, 'quit').done).toBe(true);
+        });
+    });
+
+    // ==========================================
+    // 4. Binary (1 Test)
+    // ==========================================
+    describe('bin/recursive-grid', () => {
+        it('should run the engine under plain Node', () => {
+            const output = execFileSync(process.execPath, [path.join(__dirname, '../bin/recursive-grid'), 'play', '0,0', '--json'], { encoding: 'utf8' });
+            expect(JSON.parse(output).grid).toEqual([[1, 0, 0], [0, 0, 0], [0, 0, 0]]);
+        });
+    });
+});
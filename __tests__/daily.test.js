@@ -0,0 +1,100 @@
+import { solvePuzzle } from '../app/solver';
+import { generatePuzzle } from '../app/generator';
+import {
+    getDailyPuzzle,
+    getDailyOptions,
+    toDailyPuzzle,
+    getDailyDateKey,
+    getDateKey,
+    getPreviousDateKey,
+    createDailyRecord,
+    parseDailyRecord,
+    createDailyResult,
+    recordDailyResult,
+    getStreaks,
+    formatShareText
+} from '../app/daily';
+
+const solvedResult = { solved: true, moves: 4, hintsUsed: 0, progress: [] };
+
+describe('Daily Challenge', () => {
+
+    // ==========================================
+    // 1. Puzzle (4 Tests)
+    // ==========================================
+    describe('getDailyPuzzle', () => {
+        it('should give everyone the same solvable puzzle for a date', () => {
+            const puzzle = getDailyPuzzle('2026-03-14');
+            expect(getDailyPuzzle('2026-03-14')).toEqual(puzzle);
+            expect(puzzle).toMatchObject({ id: 'daily-2026-03-14', name: 'Daily 2026-03-14' });
+            expect(getDailyDateKey(puzzle)).toBe('2026-03-14');
+            expect(getDailyDateKey(null)).toBeNull();
+            expect(solvePuzzle(puzzle).moves).toHaveLength(puzzle.difficulty.optimalMoves);
+            expect(puzzle.difficulty.optimalMoves).toBeGreaterThanOrEqual(4);
+        });
+
+        it('should build the puzzle from plain options the generator worker can receive', () => {
+            const options = getDailyOptions('2026-03-14');
+            expect(JSON.parse(JSON.stringify(options))).toEqual(options);
+            expect(toDailyPuzzle(generatePuzzle(options), '2026-03-14')).toEqual(getDailyPuzzle('2026-03-14'));
+            expect(() => toDailyPuzzle(null, '2026-03-14')).toThrow('Invalid daily puzzle: nothing generated for 2026-03-14');
+        });
+
+        it('should give different dates different puzzles', () => {
+            expect(getDailyPuzzle('2026-03-15').target).not.toEqual(getDailyPuzzle('2026-03-16').target);
+        });
+
+        it('should key dates by local calendar day', () => {
+            expect(getDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+            expect(getPreviousDateKey('2026-03-01')).toBe('2026-02-28');
+            expect(getPreviousDateKey('2026-01-01')).toBe('2025-12-31');
+        });
+    });
+
+    // ==========================================
+    // 2. Results & Streaks (4 Tests)
+    // ==========================================
+    describe('Results', () => {
+        it('should keep the first result of each day', () => {
+            const record = recordDailyResult(createDailyRecord(), '2026-03-14', solvedResult);
+            const retry = recordDailyResult(record, '2026-03-14', { ...solvedResult, moves: 9 });
+            expect(retry).toBe(record);
+            expect(record.results['2026-03-14'].moves).toBe(4);
+        });
+
+        it('should fall back to an empty record when storage is missing or corrupt', () => {
+            expect(parseDailyRecord(null)).toEqual(createDailyRecord());
+            expect(parseDailyRecord('{oops')).toEqual(createDailyRecord());
+            expect(parseDailyRecord('{"results":[1,2]}')).toEqual(createDailyRecord());
+            expect(parseDailyRecord('{"results":{"2026-03-14":{"solved":true}}}').results['2026-03-14'].solved).toBe(true);
+        });
+
+        it('should count current and best streaks of solved days', () => {
+            let record = createDailyRecord();
+            ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-03', '2026-03-04'].forEach(day => {
+                record = recordDailyResult(record, day, solvedResult);
+            });
+            // Today (03-05) not played yet: the streak still counts through yesterday
+            expect(getStreaks(record, '2026-03-05')).toEqual({ current: 2, best: 3 });
+            expect(getStreaks(record, '2026-03-06')).toEqual({ current: 0, best: 3 });
+
+            const failed = recordDailyResult(record, '2026-03-05', { ...solvedResult, solved: false });
+            expect(getStreaks(failed, '2026-03-05')).toEqual({ current: 0, best: 3 });
+        });
+
+        it('should share a spoiler-free summary of the solve', () => {
+            const puzzle = getDailyPuzzle('2026-03-14');
+            const moves = solvePuzzle(puzzle).moves;
+            const result = createDailyResult(puzzle, moves, { solved: true, hintsUsed: 1 });
+            expect(result.progress).toHaveLength(moves.length);
+
+            const text = formatShareText('2026-03-14', puzzle, result);
+            const lines = text.split('\n');
+            expect(lines[0]).toBe('Recursive Grid Daily 2026-03-14');
+            expect(lines[1]).toBe(`✅ ${moves.length} moves (par ${moves.length}) · 💡 1`);
+            expect([...lines[2]]).toHaveLength(moves.length);
+            expect(lines[2]).toMatch(/^[🟩🟨🟥]+$/u);
+            expect(text).not.toMatch(/\d+, ?\d+/); // No cell coordinates
+        });
+    });
+});
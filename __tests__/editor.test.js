@@ -0,0 +1,85 @@
+import { toDraft, resizeDraft, readDraft, buildPuzzle, toEditorDocument, importPuzzle } from '../app/editor';
+import { serializePuzzle, getPuzzle } from '../app/puzzle';
+import { solvePuzzle } from '../app/solver';
+
+const baseDocument = {
+    id: 'lock-two',
+    name: 'Lock Two',
+    start: [['14', '0'], ['0', '14']],
+    target: [['0', '0'], ['0', '0']],
+    objectiveType: 'targetGrid',
+    sum: '0',
+    maxMoves: '',
+    ruleSetId: 'classic'
+};
+
+describe('Level Editor', () => {
+
+    // ==========================================
+    // 1. Drafts (2 Tests)
+    // ==========================================
+    describe('Drafts', () => {
+        it('should resize drafts, keeping overlapping cells', () => {
+            expect(resizeDraft(toDraft([[1, 2], [3, 4]]), 2, 3)).toEqual([['1', '2', '0'], ['3', '4', '0']]);
+            expect(resizeDraft([['1', '2'], ['3', '4']], 2, 1)).toEqual([['1'], ['3']]);
+        });
+
+        it('should report cells that are not whole numbers instead of throwing', () => {
+            const result = readDraft([['1', '-'], ['2.5', ' -3 ']]);
+            expect(result.grid).toBeNull();
+            expect(result.cellErrors).toEqual([[false, true], [true, false]]);
+            expect(result.errors).toEqual([
+                'Start cell 0,1: "-" is not a whole number',
+                'Start cell 1,0: "2.5" is not a whole number'
+            ]);
+            expect(readDraft([['1', '2']], 'Target').errors).toEqual(['Target grid must be rectangular, from 2x2 to 8x8']);
+            expect(readDraft([['1', '0'], ['0', ' -3 ']]).grid).toEqual([[1, 0], [0, -3]]);
+        });
+    });
+
+    // ==========================================
+    // 2. Building Puzzles (2 Tests)
+    // ==========================================
+    describe('buildPuzzle', () => {
+        it('should build puzzles for every objective type', () => {
+            const { puzzle, errors } = buildPuzzle({ ...baseDocument, objectiveType: 'lockAll', maxMoves: '3' });
+            expect(errors).toEqual([]);
+            expect(puzzle).toMatchObject({ id: 'lock-two', objective: { type: 'lockAll' }, maxMoves: 3 });
+            expect(puzzle.target).toBeUndefined();
+            expect(buildPuzzle(baseDocument).puzzle.target).toEqual([[0, 0], [0, 0]]);
+            expect(buildPuzzle({ ...baseDocument, objectiveType: 'targetSum', sum: '40' }).puzzle.objective).toEqual({ type: 'targetSum', sum: 40 });
+        });
+
+        it('should collect form errors inline', () => {
+            expect(buildPuzzle({ ...baseDocument, id: ' ', start: [['x', '0'], ['0', '0']], maxMoves: 'two' }).errors).toEqual([
+                'Start cell 0,0: "x" is not a whole number',
+                'Puzzle id is required',
+                'Move limit must be a positive integer'
+            ]);
+            expect(buildPuzzle({ ...baseDocument, objectiveType: 'targetSum', sum: '' }).errors).toEqual(['Objective: Target sum must be an integer']);
+            expect(buildPuzzle({ ...baseDocument, target: [['0', '0', '0'], ['0', '0', '0']] }).errors)
+                .toEqual(['Target grid must be valid and match the start grid dimensions']);
+        });
+    });
+
+    // ==========================================
+    // 3. Solver Check & JSON (2 Tests)
+    // ==========================================
+    describe('Solving & JSON', () => {
+        it('should check editor objectives with the solver', () => {
+            // 14→15 (sum 30), then the -1 it left beside it back to 0
+            const { puzzle } = buildPuzzle({ ...baseDocument, objectiveType: 'targetSum', sum: '31', maxMoves: '2' });
+            expect(solvePuzzle(puzzle).moves).toEqual([{ row: 0, col: 0 }, { row: 0, col: 1 }]);
+            expect(solvePuzzle({ ...puzzle, maxMoves: 1 }).status).toBe('unsolvable');
+        });
+
+        it('should import exported JSON back into the form', () => {
+            const { puzzle } = buildPuzzle({ ...baseDocument, objectiveType: 'targetSum', sum: '30' });
+            const imported = importPuzzle(serializePuzzle(puzzle));
+            expect(imported).toEqual({ puzzle, error: null });
+            expect(toEditorDocument(imported.puzzle)).toEqual({ ...baseDocument, target: baseDocument.start, objectiveType: 'targetSum', sum: '30' });
+            expect(toEditorDocument(getPuzzle('first-ripple')).maxMoves).toBe('3');
+            expect(importPuzzle('{oops')).toEqual({ puzzle: null, error: 'Invalid puzzle: not valid JSON' });
+        });
+    });
+});
@@ -0,0 +1,104 @@
+import { getHistoryState, getCurrentIndex, recordMove, createHistory, undo, canRedo } from '../app/history';
+import { hashString } from '../app/random';
+import { encodeGameLink, decodeGameLink, replayGameLink, getGameLink } from '../app/gameLink';
+
+const zeros = () => [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+const moves = [{ row: 0, col: 0 }, { row: 0, col: 0 }, { row: 0, col: 0 }, { row: 1, col: 2 }];
+
+// Sign a hand-written body so only the field under test is wrong
+const sign = (body) => `g=${body}.${hashString(body).toString(36)}`;
+
+describe('Game Links', () => {
+
+    // ==========================================
+    // 1. Encoding (3 Tests)
+    // ==========================================
+    describe('encodeGameLink', () => {
+        it('should encode compactly with run-length cells', () => {
+            const link = encodeGameLink({ start: zeros(), ruleSetId: 'classic', moves });
+            expect(link).toMatch(/^g=4\.r\.3x3\.0\*9\.classic\.square\.15p\.00000012\.4\.[0-9a-z]+$/);
+        });
+
+        it('should round-trip grids, rule sets, topologies, locks, moves and mode', () => {
+            const game = {
+                start: [[-2, 14, 14, 0], [15, 3, 3, 3]],
+                ruleSetId: 'doubling',
+                topologyId: 'torus',
+                lock: { threshold: 10, mode: 'expiring', duration: 3 },
+                moves: [{ row: 1, col: 3 }, { row: 0, col: 0 }],
+                present: 1,
+                mode: 'replay'
+            };
+            expect(decodeGameLink(`#${encodeGameLink(game)}`)).toEqual(game);
+        });
+
+        it('should link a whole history, undone moves included, with its present move', () => {
+            let history = createHistory(zeros());
+            moves.forEach(({ row, col }) => { history = recordMove(history, row, col); });
+            history = undo(undo(history));
+            const game = decodeGameLink(getGameLink(history, 'classic'));
+            expect(game.start).toEqual(zeros());
+            expect(game.moves).toEqual(moves);
+            expect(game.present).toBe(2);
+
+            const restored = replayGameLink(game);
+            expect(getCurrentIndex(restored)).toBe(2);
+            expect(restored.present).toEqual(history.present);
+            expect(restored.future).toEqual(history.future);
+            expect(canRedo(restored)).toBe(true);
+        });
+    });
+
+    // ==========================================
+    // 2. Validation (3 Tests)
+    // ==========================================
+    describe('decodeGameLink', () => {
+        const link = encodeGameLink({ start: zeros(), ruleSetId: 'classic', moves });
+
+        it('should reject edited payloads by checksum', () => {
+            expect(() => decodeGameLink(link.replace('0*9', '0*8,9'))).toThrow('Invalid game link: checksum mismatch');
+            expect(() => decodeGameLink(link.slice(0, -1))).toThrow('Invalid game link');
+        });
+
+        it('should reject malformed fields even with a valid checksum', () => {
+            expect(() => decodeGameLink(sign('5.r.3x3.0*9.classic.square.15p..0'))).toThrow('unsupported version 5');
+            expect(() => decodeGameLink(sign('4.r.3x3.0*9.classic.square.15p.00.2'))).toThrow('bad present move "2"');
+            expect(() => decodeGameLink(sign('4.r.3x3.0*9.classic.square.15p.00.x'))).toThrow('bad present move "x"');
+            expect(decodeGameLink(sign('3.r.3x3.0*9.classic.square.15p.0011')).present).toBe(2);
+            expect(() => decodeGameLink(sign('3.r.3x3.0*9.classic.square.1p.'))).toThrow('bad lock "1p"');
+            expect(() => decodeGameLink(sign('3.r.3x3.0*9.classic.square.15x.'))).toThrow('bad lock "15x"');
+            expect(decodeGameLink(sign('2.r.3x3.0*9.classic.square.')).lock).toEqual({ threshold: 15, mode: 'permanent' });
+            expect(() => decodeGameLink(sign('2.r.3x3.0*9.classic.'))).toThrow('wrong number of fields');
+            expect(() => decodeGameLink(sign('2.r.3x3.0*9.classic.moebius.'))).toThrow('unknown topology');
+            expect(() => decodeGameLink(sign('1.r.9x9.0*81.classic.'))).toThrow('bad dimensions');
+            expect(() => decodeGameLink(sign('1.r.3x3.0*99999999.classic.'))).toThrow('cells do not fit');
+            expect(() => decodeGameLink(sign('1.r.3x3.0*8,x.classic.'))).toThrow('bad cell');
+            expect(() => decodeGameLink(sign('1.r.3x3.0*9.madeup.'))).toThrow('unknown rule set');
+            expect(() => decodeGameLink(sign('1.r.3x3.0*9.classic.39'))).toThrow('move out of bounds');
+            expect(() => decodeGameLink('nothing here')).toThrow('missing prefix');
+        });
+
+        it('should reject moves on locked cells when replaying', () => {
+            const game = { start: [[15, 0], [0, 0]], ruleSetId: 'classic', moves: [{ row: 0, col: 0 }], mode: 'restore' };
+            expect(() => replayGameLink(decodeGameLink(encodeGameLink(game)))).toThrow('move 1 clicks a locked cell');
+        });
+    });
+
+    // ==========================================
+    // 3. Replay (2 Tests)
+    // ==========================================
+    describe('replayGameLink', () => {
+        it('should restore the final board with the full timeline', () => {
+            const history = replayGameLink(decodeGameLink(encodeGameLink({ start: zeros(), ruleSetId: 'classic', moves })));
+            expect(getHistoryState(history).grid).toEqual([[3, -1, 0], [0, 0, 1], [0, 0, 0]]);
+            expect(getCurrentIndex(history)).toBe(4);
+        });
+
+        it('should rewind replay links to the start with the rule set applied', () => {
+            const game = { start: [[0, 0, 0], [0, 1, 0], [0, 0, 0]], ruleSetId: 'primes', moves: [{ row: 1, col: 1 }], mode: 'replay' };
+            const history = replayGameLink(game);
+            expect(getCurrentIndex(history)).toBe(0);
+            expect(history.future[0].grid).toEqual([[-1, 0, -1], [0, 2, 0], [-1, 0, -1]]);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+import {
+    createMemoryStore,
+    SESSION_TTL_MS,
+    getSessionStore,
+    setSessionStore,
+    createSession,
+    applySessionMove,
+    toSessionView
+} from '../app/gameSessions';
+import { POST as createGame } from '../app/api/game/route';
+import { GET as getGame } from '../app/api/game/[id]/route';
+import { POST as postMove } from '../app/api/game/[id]/move/route';
+
+let nextId = 0;
+const options = { createId: () => `game-${++nextId}`, now: () => new Date('2026-01-01T00:00:00Z') };
+
+const request = (body) => new Request('http://localhost/api/game', {
+    method: 'POST',
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+const context = (id) => ({ params: Promise.resolve({ id }) });
+
+describe('Game Sessions', () => {
+
+    // ==========================================
+    // 1. Creating Sessions (2 Tests)
+    // ==========================================
+    describe('createSession', () => {
+        it('should start from an empty board or a given grid with its settings', async () => {
+            const store = createMemoryStore();
+            const { session } = await createSession(store, {}, options);
+            expect(session).toMatchObject({ grid: [[0, 0, 0], [0, 0, 0], [0, 0, 0]], moves: [], ruleSetId: 'classic', topology: 'square', createdAt: '2026-01-01T00:00:00.000Z' });
+            expect(store.get(session.id)).toBe(session);
+
+            const custom = await createSession(store, { grid: [[14, 0], [0, 0]], ruleSetId: 'primes', topology: 'torus' }, options);
+            expect(toSessionView(custom.session)).toMatchObject({ grid: [[14, 0], [0, 0]], moveCount: 0, nextMove: 1, ruleSetId: 'primes', topology: 'torus' });
+        });
+
+        it('should reject invalid settings', async () => {
+            const result = await createSession(createMemoryStore(), { rows: 9, ruleSetId: 'chaos', lock: { threshold: 1, mode: 'permanent' } }, options);
+            expect(result.error).toEqual({
+                status: 400,
+                code: 'invalid-request',
+                message: 'Rows and columns must be whole numbers from 2 to 8; Unknown rule set "chaos"; Lock threshold must be an integer from 2 to 99'
+            });
+            expect((await createSession(createMemoryStore(), { grid: [[0.5, 0], [0, 0]] }, options)).error.message)
+                .toBe('Grid must be a rectangular array of whole numbers from 2x2 to 8x8');
+        });
+    });
+
+    // ==========================================
+    // 2. Moves (3 Tests)
+    // ==========================================
+    describe('applySessionMove', () => {
+        it('should apply numbered moves with updateGrid on the server', async () => {
+            const store = createMemoryStore();
+            const { session } = await createSession(store, { grid: [[2, 0], [0, 0]] }, options);
+            const first = await applySessionMove(store, session.id, { row: 0, col: 0, moveNumber: 1 });
+            expect(first.session.grid).toEqual([[3, -1], [0, 0]]);
+            expect(first.session.moves).toEqual([{ row: 0, col: 0 }]);
+            expect(store.get(session.id)).toBe(first.session);
+        });
+
+        it('should reject replayed, skipped and conflicting move numbers', async () => {
+            const store = createMemoryStore();
+            const { session } = await createSession(store, {}, options);
+            await applySessionMove(store, session.id, { row: 0, col: 0, moveNumber: 1 });
+            expect((await applySessionMove(store, session.id, { row: 0, col: 0, moveNumber: 1 })).error)
+                .toEqual({ status: 409, code: 'out-of-order', message: 'Expected move 2, got move 1' });
+            expect((await applySessionMove(store, session.id, { row: 0, col: 0, moveNumber: 3 })).error.code).toBe('out-of-order');
+
+            // Two requests for move 2 read the same state; only the first is stored
+            const [a, b] = await Promise.all([
+                applySessionMove(store, session.id, { row: 1, col: 1, moveNumber: 2 }),
+                applySessionMove(store, session.id, { row: 2, col: 2, moveNumber: 2 })
+            ]);
+            expect(a.session.moves).toHaveLength(2);
+            expect(b.error).toEqual({ status: 409, code: 'out-of-order', message: 'Move 2 was already applied' });
+        });
+
+        it('should reject locked, off-board and malformed moves and unknown sessions', async () => {
+            const store = createMemoryStore();
+            const { session } = await createSession(store, { grid: [[15, 0], [0, 0]] }, options);
+            expect((await applySessionMove(store, session.id, { row: 0, col: 0, moveNumber: 1 })).error)
+                .toEqual({ status: 422, code: 'locked', message: 'Cell 0,0 is locked' });
+            expect((await applySessionMove(store, session.id, { row: 2, col: 0, moveNumber: 1 })).error.code).toBe('invalid-move');
+            expect((await applySessionMove(store, session.id, { row: 0, col: 1 })).error.code).toBe('invalid-request');
+            expect((await applySessionMove(store, 'nope', { row: 0, col: 1, moveNumber: 1 })).error.status).toBe(404);
+            expect(store.get(session.id).moves).toEqual([]);
+        });
+    });
+
+    // ==========================================
+    // 3. Route Handlers (2 Tests)
+    // ==========================================
+    describe('Route handlers', () => {
+        const defaultStore = getSessionStore();
+        let store;
+        beforeEach(() => {
+            store = createMemoryStore();
+            setSessionStore(store);
+        });
+        afterAll(() => setSessionStore(defaultStore));
+
+        it('should create a session, accept a move and return the authoritative grid', async () => {
+            const created = await createGame(request({ grid: [[4, 0], [0, 0]] }));
+            expect(created.status).toBe(201);
+            const { id } = await created.json();
+            expect(store.get(id)).toBeDefined();
+
+            const moved = await postMove(request({ row: 0, col: 0, moveNumber: 1 }), context(id));
+            expect(moved.status).toBe(200);
+            expect(await moved.json()).toMatchObject({ id, grid: [[5, 0], [2, 0]], moveCount: 1, nextMove: 2 });
+            expect((await (await getGame(new Request('http://localhost/api/game'), context(id))).json()).grid).toEqual([[5, 0], [2, 0]]);
+        });
+
+        it('should answer errors with their status and code', async () => {
+            const bad = await createGame(request('not json'));
+            expect(bad.status).toBe(400);
+            expect(await bad.json()).toEqual({ error: { code: 'invalid-request', message: 'Body must be a JSON object' } });
+
+            const { id } = await (await createGame(request({}))).json();
+            const early = await postMove(request({ row: 0, col: 0, moveNumber: 2 }), context(id));
+            expect(early.status).toBe(409);
+            expect((await getGame(new Request('http://localhost/api/game'), context('missing'))).status).toBe(404);
+        });
+    });
+
+    // ==========================================
+    // 4. Memory Store (1 Test)
+    // ==========================================
+    describe('createMemoryStore', () => {
+        it('should evict the least recently used session past the cap and drop idle ones', async () => {
+            let clock = 0;
+            const store = createMemoryStore({ maxSessions: 2, now: () => clock });
+            const first = (await createSession(store, {}, options)).session;
+            const second = (await createSession(store, {}, options)).session;
+            expect(store.get(first.id)).toBe(first);
+
+            const third = (await createSession(store, {}, options)).session;
+            expect(store.get(second.id)).toBeUndefined();
+            expect(store.get(first.id)).toBe(first);
+            expect(store.get(third.id)).toBe(third);
+
+            clock = SESSION_TTL_MS;
+            expect((await applySessionMove(store, first.id, { row: 0, col: 0, moveNumber: 1 })).error.code).toBe('not-found');
+            expect(store.get(third.id)).toBeUndefined();
+        });
+    });
+});
@@ -1,5 +1,6 @@
 import {
     updateGrid,
+    updateGridWithTrace,
     isLocked,
     isValidPosition,
     createInitialState,
@@ -10,7 +11,13 @@ import {
     setGameOver,
     isValidGrid,
     flattenGrid,
-    getLockedCells
+    getLockedCells,
+    getCellValue,
+    getDimensions,
+    isValidDimensions,
+    MIN_GRID_SIZE,
+    MAX_GRID_SIZE,
+    DEFAULT_CASCADE_LIMITS
 } from '../app/gameState';
 
 describe('Game State Logic', () => {
@@ -34,7 +41,7 @@ describe('Game State Logic', () => {
         });
 
         it('should throw error for invalid grid in createCustomState', () => {
-            const invalidGrid = [[1, 2], [3, 4]]; // 2x2
+            const invalidGrid = [[1, 2, 3], [4, 5]]; // Ragged
             expect(() => createCustomState(invalidGrid)).toThrow();
         });
     });
@@ -249,7 +256,9 @@ describe('Game State Logic', () => {
         });
 
         it('isValidGrid should reject wrong dimensions or types', () => {
-            expect(isValidGrid([[0, 0], [0, 0]])).toBe(false); // 2x2
+            expect(isValidGrid([[0]])).toBe(false); // 1x1 (below minimum)
+            expect(isValidGrid([[0, 0, 0], [0, 0]])).toBe(false); // Ragged
+            expect(isValidGrid([[0, 0], [0, 0]], 3, 3)).toBe(false); // 2x2 when 3x3 required
             expect(isValidGrid([[0, 0, 0], [0, 'x', 0], [0, 0, 0]])).toBe(false); // Non-number
         });
 
@@ -272,6 +281,70 @@ describe('Game State Logic', () => {
         });
     });
 
+    // ==========================================
+    // 5. Configurable Dimensions (8 Tests)
+    // ==========================================
+    describe('Configurable Dimensions', () => {
+        it('should create an NxM initial state carrying its dimensions', () => {
+            const state = createInitialState(4, 6);
+            expect(state.rows).toBe(4);
+            expect(state.cols).toBe(6);
+            expect(state.grid).toHaveLength(4);
+            state.grid.forEach(row => expect(row).toEqual([0, 0, 0, 0, 0, 0]));
+        });
+
+        it('should reject dimensions outside the supported range', () => {
+            expect(() => createInitialState(1, 3)).toThrow();
+            expect(() => createInitialState(3, MAX_GRID_SIZE + 1)).toThrow();
+            expect(isValidDimensions(MIN_GRID_SIZE, MAX_GRID_SIZE)).toBe(true);
+            expect(isValidDimensions(2.5, 3)).toBe(false);
+        });
+
+        it('should take dimensions from a custom grid', () => {
+            const state = createCustomState([[1, 2], [3, 4]]);
+            expect(getDimensions(state)).toEqual({ rows: 2, cols: 2 });
+            expect(isValidGrid([[0, 0], [0, 0]])).toBe(true);
+        });
+
+        it('should validate positions against the given dimensions', () => {
+            expect(isValidPosition(7, 7, 8, 8)).toBe(true);
+            expect(isValidPosition(3, 0, 4, 2)).toBe(true);
+            expect(isValidPosition(0, 2, 4, 2)).toBe(false);
+        });
+
+        it('should read cells beyond the 3x3 area on larger boards', () => {
+            const state = createInitialState(5, 5);
+            expect(getCellValue(state, 4, 4)).toBe(0);
+            expect(() => getCellValue(state, 5, 0)).toThrow();
+        });
+
+        it('should ripple right and below on an 8x8 board', () => {
+            const grid = createInitialState(8, 8).grid;
+            grid[6][6] = 14;
+            const result = updateGrid(grid, 6, 6);
+            expect(result[6][6]).toBe(15);
+            expect(result[6][7]).toBe(-1);
+            expect(result[7][6]).toBe(2);
+        });
+
+        it('should drop ripples at the edge of a non-square board', () => {
+            const grid = [[0, 2], [0, 0], [0, 0], [0, 4]];
+            expect(updateGrid(grid, 0, 1)[0][1]).toBe(3); // Right is off board
+            expect(updateGrid(grid, 3, 1)[3][1]).toBe(5); // Below is off board
+        });
+
+        it('should scan and summarise the whole board', () => {
+            const grid = [[15, 0, 0, 0], [0, 0, 0, 20]];
+            const state = { grid };
+            expect(getLockedCells(state)).toHaveLength(2);
+
+            const stats = getGridStats(state);
+            expect(stats.totalCells).toBe(8);
+            expect(stats.unlockedCount).toBe(6);
+            expect(stats.average).toBe(35 / 8);
+        });
+    });
+
     // ==========================================
     // 6. Cascading Ripple Tests (7 Tests)
     // ==========================================
@@ -385,4 +458,107 @@ describe('Game State Logic', () => {
             expect(result[2][1]).toBe(2);  // Below neighbor incremented by 2
         });
     });
+
+    // ==========================================
+    // 7. Ripple Trace (7 Tests)
+    // ==========================================
+    describe('updateGridWithTrace', () => {
+        it('should return the same grid as updateGrid', () => {
+            const grid = [[2, 4, 0], [0, 0, 0], [0, 0, 0]];
+            expect(updateGridWithTrace(grid, 0, 0).grid).toEqual(updateGrid(grid, 0, 0));
+        });
+
+        it('should log the click increment first', () => {
+            const { events, depth } = updateGridWithTrace([[0, 0], [0, 0]], 1, 0);
+            expect(events).toEqual([
+                { type: 'increment', step: 0, depth: 0, target: { row: 1, col: 0 }, delta: 1, from: 0, to: 1 }
+            ]);
+            expect(depth).toBe(0);
+        });
+
+        it('should log each fired rule with source, target and delta', () => {
+            const { events } = updateGridWithTrace([[0, 0, 0], [0, 14, 0], [0, 0, 0]], 1, 1);
+            expect(events.slice(1)).toEqual([
+                {
+                    type: 'ripple', step: 0, depth: 1, ruleId: 'div3-right',
+                    source: { row: 1, col: 1 }, target: { row: 1, col: 2 }, delta: -1, from: 0, to: -1
+                },
+                {
+                    type: 'ripple', step: 0, depth: 1, ruleId: 'div5-below',
+                    source: { row: 1, col: 1 }, target: { row: 2, col: 1 }, delta: 2, from: 0, to: 2
+                }
+            ]);
+        });
+
+        it('should order cascade events by BFS step and report the depth', () => {
+            const { events, depth } = updateGridWithTrace([[2, 4, 0], [0, 0, 0], [0, 0, 0]], 0, 0);
+            const ripples = events.filter(e => e.type === 'ripple');
+            expect(ripples.map(e => [e.step, e.depth, e.target.col])).toEqual([[0, 1, 1], [1, 2, 2]]);
+            expect(depth).toBe(2);
+        });
+
+        it('should log targets skipped for being out of bounds or locked', () => {
+            const { events } = updateGridWithTrace([[0, 0, 2], [0, 0, 15], [0, 0, 0]], 0, 2);
+            expect(events[1]).toMatchObject({ type: 'skip', reason: 'out-of-bounds', ruleId: 'div3-right', target: { row: 0, col: 3 } });
+
+            const locked = updateGridWithTrace([[4, 0], [15, 0]], 0, 0).events;
+            expect(locked[1]).toMatchObject({ type: 'skip', reason: 'locked', target: { row: 1, col: 0 } });
+        });
+
+        it('should report no-op clicks with the original grid reference', () => {
+            const grid = [[15, 0], [0, 0]];
+            const locked = updateGridWithTrace(grid, 0, 0);
+            expect(locked.grid).toBe(grid);
+            expect(locked.events).toEqual([
+                { type: 'skip', step: 0, depth: 0, target: { row: 0, col: 0 }, reason: 'locked' }
+            ]);
+            expect(updateGridWithTrace(grid, 2, 0).events[0].reason).toBe('out-of-bounds');
+        });
+
+        it('should express multiply effects as a delta', () => {
+            const ruleSet = {
+                id: 'double', name: 'Double',
+                rules: [{ id: 'x2', when: { type: 'divisibleBy', n: 2 }, targets: [[0, 1]], effect: { type: 'multiply', amount: 2 } }]
+            };
+            const { events } = updateGridWithTrace([[1, 3], [0, 0]], 0, 0, { ruleSet });
+            expect(events[1]).toMatchObject({ type: 'ripple', from: 3, to: 6, delta: 3 });
+        });
+    });
+
+    // ==========================================
+    // 8. Cascade Limits (3 Tests)
+    // ==========================================
+    describe('Cascade limits', () => {
+        // Every cell at 1 or more bumps right, below and down-right: the cascade reaches the whole board
+        const spread = {
+            id: 'spread', name: 'Spread',
+            rules: [{ id: 'grow', when: { type: 'atLeast', n: 1 }, targets: [[0, 1], [1, 0], [1, 1]], effect: { type: 'add', amount: 1 } }]
+        };
+        const zeros = () => [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+
+        it('should run to completion within the default limits, which do not depend on the clock', () => {
+            expect(DEFAULT_CASCADE_LIMITS.timeBudgetMs).toBe(Infinity);
+            const { grid, truncated } = updateGridWithTrace(zeros(), 0, 0, { ruleSet: spread });
+            expect(truncated).toBeNull();
+            expect(grid).toEqual([[1, 1, 1, 1], [1, 3, 3, 3], [1, 3, 3, 3], [1, 3, 3, 3]]);
+            expect(updateGridWithTrace([[0, 0], [0, 0]], 0, 0).truncated).toBeNull();
+        });
+
+        it('should stop at the step and queue limits and report what was left', () => {
+            const steps = updateGridWithTrace(zeros(), 0, 0, { ruleSet: spread, limits: { maxSteps: 5 } });
+            expect(steps.truncated).toEqual({ reason: 'max-steps', steps: 5, pending: 6 });
+            expect(steps.grid).toEqual([[1, 1, 1, 1], [1, 3, 3, 1], [1, 2, 1, 0], [0, 0, 0, 0]]);
+            expect(updateGrid(zeros(), 0, 0, { ruleSet: spread, limits: { maxSteps: 5 } })).toEqual(steps.grid);
+
+            // Second step leaves 5 entries queued (4 distinct cells)
+            const queue = updateGridWithTrace(zeros(), 0, 0, { ruleSet: spread, limits: { maxQueue: 4 } });
+            expect(queue.truncated).toEqual({ reason: 'max-queue', steps: 2, pending: 4 });
+        });
+
+        it('should always apply the click before the time budget stops the cascade', () => {
+            const { grid, truncated } = updateGridWithTrace(zeros(), 0, 0, { ruleSet: spread, limits: { timeBudgetMs: 0 } });
+            expect(truncated).toEqual({ reason: 'time-budget', steps: 1, pending: 3 });
+            expect(grid).toEqual([[1, 1, 0, 0], [1, 1, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]);
+        });
+    });
 });
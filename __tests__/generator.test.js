@@ -0,0 +1,89 @@
+import { DEFAULT_RULE_SET } from '../app/rules';
+import { applyMoves, solvePuzzle } from '../app/solver';
+import { gridsEqual } from '../app/objectives';
+import { serializePuzzle, parsePuzzle } from '../app/puzzle';
+import {
+    generatePuzzle,
+    generatePuzzles,
+    rateDifficulty,
+    measureSolution,
+    getPuzzleKey
+} from '../app/generator';
+
+// Deterministic rng cycling through fixed fractions
+const sequenceRng = (values) => {
+    let i = 0;
+    return () => values[i++ % values.length];
+};
+
+describe('Puzzle Generator', () => {
+
+    // ==========================================
+    // 1. Generation (4 Tests)
+    // ==========================================
+    describe('generatePuzzle', () => {
+        it('should generate a puzzle whose optimal solution reaches the target', () => {
+            const puzzle = generatePuzzle({ rng: sequenceRng([0.1, 0.7, 0.4, 0.9, 0.25]) });
+            expect(puzzle).not.toBeNull();
+            const result = solvePuzzle(puzzle);
+            expect(result.status).toBe('solved');
+            expect(result.moves).toHaveLength(puzzle.difficulty.optimalMoves);
+            expect(gridsEqual(applyMoves(puzzle.start, result.moves), puzzle.target)).toBe(true);
+            expect(puzzle.maxMoves).toBe(puzzle.difficulty.optimalMoves + 2);
+        });
+
+        it('should reject puzzles shorter than minMoves', () => {
+            const puzzle = generatePuzzle({ minMoves: 4, walkLength: 6, rng: sequenceRng([0.3, 0.6, 0.05, 0.85]) });
+            expect(puzzle.difficulty.optimalMoves).toBeGreaterThanOrEqual(4);
+        });
+
+        it('should return null when every candidate is a duplicate', () => {
+            // rng 0 always walks (0,0) the same number of times
+            const first = generatePuzzle({ rng: () => 0, minMoves: 1, walkLength: 1 });
+            const seen = new Set([getPuzzleKey(first.start, first.target, first.ruleSetId)]);
+            expect(generatePuzzle({ rng: () => 0, minMoves: 1, walkLength: 1, seen, maxAttempts: 5 })).toBeNull();
+        });
+
+        it('should honour the seed grid, board size and rule set', () => {
+            const start = [[2, 4], [0, 3]];
+            const puzzle = generatePuzzle({ start, minMoves: 2, ruleSetId: 'doubling', rng: sequenceRng([0.5, 0.2, 0.8]) });
+            expect(puzzle.start).toEqual(start);
+            expect(puzzle.ruleSetId).toBe('doubling');
+
+            const wide = generatePuzzle({ rows: 2, cols: 4, minMoves: 2, rng: sequenceRng([0.9, 0.1, 0.6]) });
+            expect(wide.target).toHaveLength(2);
+            expect(wide.target[0]).toHaveLength(4);
+        });
+    });
+
+    // ==========================================
+    // 2. Difficulty & Batches (3 Tests)
+    // ==========================================
+    describe('Difficulty', () => {
+        it('should rate by solution length, cascades and branching', () => {
+            expect(rateDifficulty({ optimalMoves: 3, branchingFactor: 8, cascadeCount: 0 }))
+                .toMatchObject({ rating: 42, label: 'easy' });
+            expect(rateDifficulty({ optimalMoves: 5, branchingFactor: 16, cascadeCount: 4 }))
+                .toMatchObject({ rating: 78, label: 'hard' });
+            // Board size alone does not make a puzzle hard
+            expect(rateDifficulty({ optimalMoves: 3, branchingFactor: 64, cascadeCount: 0 }).label).toBe('medium');
+        });
+
+        it('should count ripples and clickable cells along a solution', () => {
+            // (0,0) reaches 3 and ripples right on the third click
+            const moves = [{ row: 0, col: 0 }, { row: 0, col: 0 }, { row: 0, col: 0 }];
+            expect(measureSolution([[0, 0], [0, 0]], moves, DEFAULT_RULE_SET)).toEqual({ branchingFactor: 4, cascadeCount: 1 });
+        });
+
+        it('should generate distinct puzzles that survive serialisation', () => {
+            const puzzles = generatePuzzles(3, { rng: sequenceRng([0.15, 0.55, 0.95, 0.35, 0.75]) });
+            expect(puzzles).toHaveLength(3);
+            expect(new Set(puzzles.map(p => p.id)).size).toBe(3);
+
+            const json = serializePuzzle(puzzles[0]);
+            expect(parsePuzzle(json)).toEqual(puzzles[0]);
+            expect(serializePuzzle(parsePuzzle(json))).toBe(json);
+            expect(() => parsePuzzle('{nope')).toThrow('Invalid puzzle: not valid JSON');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+import { RULE_SETS } from '../app/rules';
+import { rankMoves, scorePosition, getDefaultDepth } from '../app/hints';
+
+const zeros = () => [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+describe('Hints', () => {
+
+    // ==========================================
+    // 1. Heuristics (3 Tests)
+    // ==========================================
+    describe('scorePosition', () => {
+        it('should score target grids by distance, punishing wrong locked cells', () => {
+            const objective = { type: 'targetGrid', target: [[3, 0], [0, 0]] };
+            expect(scorePosition([[3, 0], [0, 0]], objective)).toBe(0);
+            expect(scorePosition([[1, 0], [0, 1]], objective)).toBe(-3);
+            expect(scorePosition([[15, 0], [0, 0]], objective)).toBe(-100);
+        });
+
+        it('should score target sums by the remaining shortfall', () => {
+            const objective = { type: 'targetSum', sum: 10 };
+            expect(scorePosition([[4, 0], [0, 1]], objective)).toBe(-5);
+            expect(scorePosition([[9, 9], [0, 0]], objective)).toBe(0);
+        });
+
+        it('should reward locks most for lock objectives', () => {
+            const objective = { type: 'lockAll' };
+            expect(scorePosition([[15, 0], [0, 0]], objective)).toBe(100);
+            expect(scorePosition([[14, 0], [0, 0]], objective)).toBe(14);
+            expect(scorePosition([[-3, 2], [0, 0]], objective)).toBe(2); // Negatives count as 0
+        });
+    });
+
+    // ==========================================
+    // 2. Ranking (5 Tests)
+    // ==========================================
+    describe('rankMoves', () => {
+        it('should rank every clickable cell with a preview of the move', () => {
+            const grid = [[15, 0], [0, 0]];
+            const ranking = rankMoves({ grid, moveCount: 0 }, { type: 'lockAll' }, { depth: 1 });
+            expect(ranking).toHaveLength(3); // Locked (0,0) excluded
+            ranking.forEach(move => {
+                expect(move.preview[move.row][move.col]).toBe(grid[move.row][move.col] + 1);
+            });
+        });
+
+        it('should put the first move of a short solution on top', () => {
+            const objective = { type: 'targetGrid', target: [[3, -1, 0], [0, 0, 0], [0, 0, 0]] };
+            const [best] = rankMoves({ grid: zeros(), moveCount: 0 }, objective, { depth: 3 });
+            expect([best.row, best.col]).toEqual([0, 0]);
+        });
+
+        it('should prefer an immediate win', () => {
+            const grid = [[0, 0, 0], [0, 14, 0], [0, 0, 0]];
+            const objective = { type: 'targetGrid', target: [[0, 0, 0], [0, 15, -1], [0, 2, 0]] };
+            const [best] = rankMoves({ grid, moveCount: 0 }, objective, { depth: 2 });
+            expect(best).toMatchObject({ row: 1, col: 1 });
+            expect(best.score).toBeGreaterThan(1e6);
+        });
+
+        it('should use the active rule set', () => {
+            const grid = [[0, 0, 0], [0, 1, 0], [0, 0, 0]];
+            const objective = { type: 'targetGrid', target: [[-1, 0, -1], [0, 2, 0], [-1, 0, -1]] };
+            const [best] = rankMoves({ grid, moveCount: 0 }, objective, { depth: 1, ruleSet: RULE_SETS.primes });
+            expect(best).toMatchObject({ row: 1, col: 1 });
+        });
+
+        it('should look less far ahead on larger boards', () => {
+            expect(getDefaultDepth(9)).toBe(3);
+            expect(getDefaultDepth(16)).toBe(2);
+            expect(getDefaultDepth(64)).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,173 @@
+import { createInitialState, updateGrid } from '../app/gameState';
+import { RULE_SETS } from '../app/rules';
+import { DEFAULT_LOCK } from '../app/locks';
+import {
+    createHistory,
+    recordMove,
+    undo,
+    redo,
+    jumpTo,
+    restoreBranch,
+    canUndo,
+    canRedo,
+    getTimeline,
+    getCurrentIndex,
+    getMoves,
+    getHistoryState,
+    validateHistory
+} from '../app/history';
+
+const play = (history, moves) =>
+    moves.reduce((h, [row, col]) => recordMove(h, row, col), history);
+
+describe('Move History', () => {
+    let start;
+
+    beforeEach(() => {
+        start = createHistory(createInitialState().grid);
+    });
+
+    // ==========================================
+    // 1. Recording (4 Tests)
+    // ==========================================
+    describe('recordMove', () => {
+        it('should apply updateGrid and record the move', () => {
+            const history = recordMove(start, 0, 0);
+            expect(history.present.grid).toEqual(updateGrid(start.present.grid, 0, 0));
+            expect(history.present.move).toEqual({ row: 0, col: 0 });
+            expect(history.past).toEqual([start.present]);
+            expect(canUndo(history)).toBe(true);
+        });
+
+        it('should return the same history for no-op clicks', () => {
+            const locked = createHistory([[15, 0], [0, 0]]);
+            expect(recordMove(locked, 0, 0)).toBe(locked);
+            expect(recordMove(start, 5, 5)).toBe(start);
+        });
+
+        it('should pass options through to updateGrid', () => {
+            const history = recordMove(createHistory([[0, 0, 0], [0, 1, 0], [0, 0, 0]]), 1, 1, {
+                ruleSet: RULE_SETS.primes
+            });
+            expect(history.present.grid[0][0]).toBe(-1);
+        });
+
+        it('should expose the present as a GameState', () => {
+            const history = play(start, [[0, 0], [1, 1]]);
+            expect(getHistoryState(history)).toEqual({
+                grid: history.present.grid,
+                rows: 3,
+                cols: 3,
+                moveCount: 2,
+                lock: DEFAULT_LOCK,
+                lockTimers: null
+            });
+            expect(getMoves(history)).toEqual([{ row: 0, col: 0 }, { row: 1, col: 1 }]);
+        });
+    });
+
+    // ==========================================
+    // 2. Undo / Redo / Jump (5 Tests)
+    // ==========================================
+    describe('Navigation', () => {
+        it('should undo and redo back to the same grids', () => {
+            const history = play(start, [[0, 0], [0, 0], [0, 0]]);
+            const undone = undo(history);
+            expect(undone.present).toBe(history.past[2]);
+            expect(canRedo(undone)).toBe(true);
+            expect(redo(undone).present).toBe(history.present);
+        });
+
+        it('should not move past either end of the timeline', () => {
+            expect(undo(start)).toBe(start);
+            expect(redo(start)).toBe(start);
+        });
+
+        it('should jump to any move in the timeline', () => {
+            const history = play(start, [[0, 0], [1, 1], [2, 2]]);
+            const jumped = jumpTo(history, 1);
+            expect(getCurrentIndex(jumped)).toBe(1);
+            expect(jumped.present.move).toEqual({ row: 0, col: 0 });
+            expect(getTimeline(jumped)).toEqual(getTimeline(history));
+        });
+
+        it('should ignore invalid jump targets', () => {
+            const history = play(start, [[0, 0]]);
+            expect(jumpTo(history, -1)).toBe(history);
+            expect(jumpTo(history, 2)).toBe(history);
+            expect(jumpTo(history, 0.5)).toBe(history);
+        });
+
+        it('should not mutate the previous history', () => {
+            const history = play(start, [[0, 0], [1, 1]]);
+            const snapshot = JSON.parse(JSON.stringify(history));
+            undo(history);
+            recordMove(undo(history), 2, 2);
+            expect(history).toEqual(snapshot);
+        });
+    });
+
+    // ==========================================
+    // 3. Branching (4 Tests)
+    // ==========================================
+    describe('Branching', () => {
+        it('should keep the undone future as a branch when playing from an earlier point', () => {
+            const history = play(start, [[0, 0], [1, 1], [2, 2]]);
+            const branched = recordMove(jumpTo(history, 1), 0, 1);
+
+            expect(canRedo(branched)).toBe(false);
+            expect(branched.branches).toHaveLength(1);
+            expect(branched.branches[0].forkIndex).toBe(1);
+            expect(branched.branches[0].entries).toEqual(getTimeline(history));
+        });
+
+        it('should not create a branch when there is no future', () => {
+            expect(play(start, [[0, 0], [0, 1]]).branches).toEqual([]);
+        });
+
+        it('should restore a branch and keep the replaced timeline', () => {
+            const history = play(start, [[0, 0], [1, 1], [2, 2]]);
+            const branched = recordMove(jumpTo(history, 1), 0, 1);
+            const restored = restoreBranch(branched, branched.branches[0].id);
+
+            expect(restored.present).toBe(history.present);
+            expect(getTimeline(restored)).toEqual(getTimeline(history));
+            expect(restored.branches).toHaveLength(1);
+            expect(restored.branches[0].entries).toEqual(getTimeline(branched));
+            expect(restored.branches[0].forkIndex).toBe(1);
+        });
+
+        it('should ignore unknown branch ids', () => {
+            expect(restoreBranch(start, 42)).toBe(start);
+        });
+    });
+
+    // ==========================================
+    // 4. Validation (3 Tests)
+    // ==========================================
+    describe('validateHistory', () => {
+        it('should accept histories built by recordMove, branches included', () => {
+            const branched = recordMove(jumpTo(play(start, [[0, 0], [1, 1]]), 1), 2, 2);
+            expect(validateHistory(branched)).toEqual([]);
+            expect(validateHistory(JSON.parse(JSON.stringify(branched)))).toEqual([]);
+        });
+
+        it('should reject malformed histories', () => {
+            const history = play(start, [[0, 0]]);
+            expect(validateHistory(null)).toEqual(['History must be an object']);
+            expect(validateHistory({ ...history, future: 'x' })).toHaveLength(1);
+            expect(validateHistory({ ...history, present: { grid: [[1, 2]], move: { row: 0, col: 0 } } }))
+                .toContain('History timeline has invalid entries');
+            expect(validateHistory({ ...history, present: { ...history.present, move: { row: 5, col: 0 } } }))
+                .toContain('History timeline has invalid entries');
+            expect(validateHistory({ ...history, branches: [{ id: 'a' }], nextBranchId: 1.5 }))
+                .toEqual(['Branch 0 is invalid', 'Next branch id must be an integer']);
+        });
+
+        it('should reject branches without entries, which could not be restored', () => {
+            const branched = recordMove(jumpTo(play(start, [[0, 0]]), 0), 1, 1);
+            const [branch] = branched.branches;
+            expect(validateHistory({ ...branched, branches: [{ ...branch, entries: [] }] })).toEqual(['Branch 0 is invalid']);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import {
+    LEVEL_PACK_VERSION,
+    STARTER_PACK,
+    validateLevelPack,
+    loadLevelPack,
+    rateLevel,
+    parseCampaignProgress,
+    recordLevelResult,
+    getLevelStatuses
+} from '../app/levelPack';
+import { OBJECTIVES } from '../app/objectives';
+import { getRuleSet } from '../app/rules';
+import { solve } from '../app/solver';
+
+const level = {
+    id: 'one',
+    name: 'One',
+    start: [[0, 0], [0, 0]],
+    ruleSetId: 'classic',
+    objective: { type: 'targetSum', sum: 1 },
+    par: 1,
+    stars: { three: 1, two: 3 }
+};
+const pack = { version: LEVEL_PACK_VERSION, id: 'test', name: 'Test', levels: [level, { ...level, id: 'two' }] };
+
+describe('Level Packs', () => {
+
+    // ==========================================
+    // 1. Schema & Loading (3 Tests)
+    // ==========================================
+    describe('Schema', () => {
+        it('should accept valid packs, including the starter pack', () => {
+            expect(validateLevelPack(pack)).toEqual([]);
+            expect(validateLevelPack(STARTER_PACK)).toEqual([]);
+            expect(loadLevelPack(JSON.stringify(pack))).toEqual(pack);
+        });
+
+        it('should report pack and level errors with the level position', () => {
+            expect(validateLevelPack({ version: 2, id: '', name: 'X', levels: [] })).toEqual([
+                'Unsupported level pack version: 2',
+                'Pack id is required',
+                'Pack needs at least one level'
+            ]);
+            const broken = {
+                ...level,
+                ruleSetId: 'nope',
+                objective: { type: 'targetGrid', target: [[0, 0, 0], [0, 0, 0]] },
+                par: 4
+            };
+            expect(validateLevelPack({ ...pack, levels: [level, broken, level] })).toEqual([
+                'Level 2 (one): Unknown rule set "nope"',
+                'Level 2 (one): Objective: Target grid must match the start grid dimensions',
+                'Level 2 (one): Star thresholds must be integers with par <= three <= two',
+                'Level 2 (one): Duplicate level id',
+                'Level 3 (one): Duplicate level id'
+            ]);
+        });
+
+        it('should throw readable errors when loading bad JSON', () => {
+            expect(() => loadLevelPack('{')).toThrow('Invalid level pack: not valid JSON');
+            expect(() => loadLevelPack(JSON.stringify({ ...pack, levels: [{ ...level, par: 0 }] })))
+                .toThrow('Invalid level pack: Level 1 (one): Par must be a positive integer');
+        });
+    });
+
+    // ==========================================
+    // 2. Stars & Progress (3 Tests)
+    // ==========================================
+    describe('Campaign', () => {
+        it('should rate wins against the star thresholds', () => {
+            expect([1, 2, 3, 4].map(moves => rateLevel(level, moves))).toEqual([3, 2, 2, 1]);
+        });
+
+        it('should keep the best rating and unlock levels in order', () => {
+            let progress = parseCampaignProgress(null);
+            expect(getLevelStatuses(pack, progress).map(({ unlocked, stars }) => [unlocked, stars])).toEqual([[true, 0], [false, 0]]);
+
+            progress = recordLevelResult(progress, 'test', 'one', 2);
+            expect(recordLevelResult(progress, 'test', 'one', 1)).toBe(progress);
+            progress = recordLevelResult(progress, 'test', 'one', 3);
+            expect(progress).toEqual({ stars: { test: { one: 3 } } });
+            expect(getLevelStatuses(pack, progress).map(({ unlocked, stars }) => [unlocked, stars])).toEqual([[true, 3], [true, 0]]);
+        });
+
+        it('should start over from corrupt stored progress', () => {
+            expect(parseCampaignProgress('{bad')).toEqual({ stars: {} });
+            expect(parseCampaignProgress('{"stars":[]}')).toEqual({ stars: {} });
+            expect(parseCampaignProgress(JSON.stringify({ stars: { test: { one: 1 } } }))).toEqual({ stars: { test: { one: 1 } } });
+        });
+    });
+
+    // ==========================================
+    // 3. Starter Pack (1 Test)
+    // ==========================================
+    describe('Starter pack', () => {
+        it('should teach one idea per level, each solvable in exactly par moves', () => {
+            expect(STARTER_PACK.levels.map(({ id }) => id)).toEqual(['threes', 'fives', 'lockdown', 'chain-reaction']);
+            STARTER_PACK.levels.forEach(({ start, ruleSetId, objective, par }) => {
+                const result = solve({
+                    start,
+                    goal: grid => OBJECTIVES[objective.type].isWon({ grid }, objective),
+                    ruleSet: getRuleSet(ruleSetId),
+                    maxDepth: par
+                });
+                expect(result.moves).toHaveLength(par);
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+import { updateGrid, updateGridWithTrace, getCellInfo, getLockedCells, isCellLocked } from '../app/gameState';
+import {
+    DEFAULT_LOCK,
+    describeLock,
+    validateLock,
+    createLockTimers,
+    tickLockTimers,
+    countNewLocks
+} from '../app/locks';
+import { createHistory, recordMove, getHistoryState } from '../app/history';
+import { solve } from '../app/solver';
+import { scorePosition, rankMoves } from '../app/hints';
+import { scoreMove } from '../app/scoring';
+
+const lowLock = { threshold: 5, mode: 'permanent' };
+const expiring = { threshold: 5, mode: 'expiring', duration: 2 };
+
+// Play clicks the way the page does: timers come from the history so far
+const play = (grid, lock, clicks) => clicks.reduce((history, [row, col]) => {
+    const { lockTimers } = getHistoryState(history, lock);
+    return recordMove(history, row, col, { lock, lockTimers });
+}, createHistory(grid));
+
+describe('Lock Rules', () => {
+
+    // ==========================================
+    // 1. Configuration (2 Tests)
+    // ==========================================
+    describe('Configuration', () => {
+        it('should validate thresholds, modes and durations', () => {
+            expect(validateLock(DEFAULT_LOCK)).toEqual([]);
+            expect(validateLock(expiring)).toEqual([]);
+            expect(validateLock({ threshold: 1, mode: 'permanent' })).toEqual(['Lock threshold must be an integer from 2 to 99']);
+            expect(validateLock({ threshold: 15, mode: 'sticky' })).toEqual(['Unknown lock mode "sticky"']);
+            expect(validateLock({ threshold: 15, mode: 'expiring', duration: 0 })).toEqual(['Expiring locks need a positive whole duration']);
+            expect(validateLock(null)).toEqual(['Lock must be an object']);
+        });
+
+        it('should describe the active configuration', () => {
+            expect(describeLock(DEFAULT_LOCK)).toBe('Cells lock for good at 15 or above');
+            expect(describeLock(expiring)).toBe('Cells lock at 5 or above for 2 moves');
+            expect(describeLock({ threshold: 9, mode: 'negative' })).toBe('Cells lock at 9 or above, or below 0');
+        });
+    });
+
+    // ==========================================
+    // 2. Threshold (1 Test)
+    // ==========================================
+    describe('Threshold', () => {
+        it('should lock cells at the configured threshold', () => {
+            // 4→5: below +2, then the 5 is locked
+            const grid = updateGrid([[4, 0], [0, 0]], 0, 0, { lock: lowLock });
+            expect(grid).toEqual([[5, 0], [2, 0]]);
+            expect(updateGrid(grid, 0, 0, { lock: lowLock })).toBe(grid);
+            expect(updateGrid(grid, 0, 0)).toEqual([[6, -1], [2, 0]]);
+            expect(getCellInfo(5, lowLock).isLocked).toBe(true);
+            expect(getCellInfo(5).isLocked).toBe(false);
+            expect(getLockedCells({ grid, lock: lowLock })).toEqual([{ row: 0, col: 0, value: 5 }]);
+            expect(countNewLocks([[4, 0], [0, 0]], grid, lowLock)).toBe(1);
+        });
+    });
+
+    // ==========================================
+    // 3. Expiring Locks (2 Tests)
+    // ==========================================
+    describe('Expiring', () => {
+        it('should arm a timer when a cell enters the range and count it down', () => {
+            const timers = createLockTimers([[5, 0]], expiring);
+            expect(timers).toEqual([[2, 0]]);
+            expect(tickLockTimers(timers, [[5, 0]], [[5, 7]], expiring)).toEqual([[1, 2]]);
+            expect(tickLockTimers([[0, 0]], [[5, 0]], [[6, 0]], expiring)).toEqual([[0, 0]]); // Stays unlocked in range
+            expect(createLockTimers([[5]], DEFAULT_LOCK)).toBeNull();
+        });
+
+        it('should unlock cells after the duration, replaying timers from the history', () => {
+            let history = play([[4, 0], [0, 0]], expiring, [[0, 0]]);
+            expect(isCellLocked(getHistoryState(history, expiring), 0, 0)).toBe(true);
+            expect(recordMove(history, 0, 0, { lock: expiring, lockTimers: getHistoryState(history, expiring).lockTimers })).toBe(history);
+
+            // Two moves later the lock has lifted: 5→6 fires the 3-rule
+            history = play([[4, 0], [0, 0]], expiring, [[0, 0], [1, 1], [1, 1], [0, 0]]);
+            expect(history.present.grid).toEqual([[6, -1], [2, 2]]);
+            expect(getHistoryState(history, expiring).lockTimers).toEqual([[0, 0], [0, 0]]);
+        });
+    });
+
+    // ==========================================
+    // 4. Negative & Bomb Locks (2 Tests)
+    // ==========================================
+    describe('Modes', () => {
+        it('should lock negative cells in negative mode', () => {
+            const negative = { threshold: 15, mode: 'negative' };
+            const grid = updateGrid([[2, 0]], 0, 0, { lock: negative });
+            expect(grid).toEqual([[3, -1]]);
+            expect(isCellLocked({ grid, lock: negative }, 0, 1)).toBe(true);
+            expect(updateGrid(grid, 0, 1, { lock: negative })).toBe(grid);
+            expect(updateGrid(grid, 0, 1)).toEqual([[3, 0]]);
+        });
+
+        it('should blast the straight neighbours once when a bomb locks', () => {
+            const bomb = { threshold: 5, mode: 'bomb' };
+            const { grid, events } = updateGridWithTrace([[0, 0, 0], [0, 4, 0], [0, 0, 0]], 1, 1, { lock: bomb });
+            const blasts = events.filter(event => event.ruleId === 'bomb');
+            expect(blasts.map(({ target }) => `${target.row},${target.col}`)).toEqual(['0,1', '2,1', '1,0', '1,2']);
+            expect(blasts.every(event => event.type === 'ripple' && event.depth === 1 && event.delta === 1)).toBe(true);
+            // The 5-rule still fires after the blast: below +2 (1→3), whose 3-rule hits the right -1
+            expect(grid).toEqual([[0, 1, 0], [1, 5, 1], [0, 3, -1]]);
+        });
+    });
+
+    // ==========================================
+    // 5. Search, Hints & Scoring (1 Test)
+    // ==========================================
+    describe('Lock options', () => {
+        it('should be honoured by the solver, hints and scoring', () => {
+            const start = [[4, 0], [0, 0]];
+            const target = [[6, -1], [2, 1]];
+            expect(solve({ start, target, maxDepth: 3, lock: lowLock }).status).toBe('unsolvable');
+            expect(solve({ start, target, maxDepth: 3, lock: { ...expiring, duration: 1 } }).moves).toHaveLength(3);
+
+            expect(scorePosition([[5, 0]], { type: 'lockAll' }, lowLock)).toBe(100);
+            expect(scorePosition([[5, 0]], { type: 'lockAll' })).toBe(5);
+            const ranking = rankMoves({ grid: [[5, 0], [2, 0]], moveCount: 0, lock: lowLock }, { type: 'lockAll' }, { depth: 1 });
+            expect(ranking.some(({ row, col }) => row === 0 && col === 0)).toBe(false);
+            expect(scoreMove(start, { row: 0, col: 0 }, { lock: lowLock }).newLocks).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { createInitialState } from '../app/gameState';
+import {
+    evaluateObjective,
+    checkGameOver,
+    describeObjective,
+    hasClickableCells,
+    validateObjective,
+    gridsEqual
+} from '../app/objectives';
+
+const stateOf = (grid, moveCount = 0) => ({ grid, moveCount });
+
+describe('Objectives', () => {
+
+    // ==========================================
+    // 1. Win Conditions (4 Tests)
+    // ==========================================
+    describe('Win conditions', () => {
+        it('should win lockAll once every cell is locked', () => {
+            const objective = { type: 'lockAll' };
+            expect(evaluateObjective(objective, stateOf([[15, 16], [20, 14]])).status).toBe('playing');
+            expect(evaluateObjective(objective, stateOf([[15, 16], [20, 15]])).status).toBe('won');
+        });
+
+        it('should win targetGrid only on an exact match', () => {
+            const objective = { type: 'targetGrid', target: [[1, 2], [3, 4]] };
+            expect(evaluateObjective(objective, stateOf([[1, 2], [3, 5]])).status).toBe('playing');
+            expect(evaluateObjective(objective, stateOf([[1, 2], [3, 4]])).status).toBe('won');
+        });
+
+        it('should win targetSum when the sum is reached', () => {
+            const objective = { type: 'targetSum', sum: 10, maxMoves: 20 };
+            expect(evaluateObjective(objective, stateOf([[4, 5], [0, 0]], 9)).status).toBe('playing');
+            expect(evaluateObjective(objective, stateOf([[4, 5], [0, 1]], 10)).status).toBe('won');
+        });
+
+        it('should not offer a separate noClickable objective (it is lockAll)', () => {
+            expect(hasClickableCells(stateOf([[15, 15], [15, 15]]))).toBe(false);
+            expect(evaluateObjective({ type: 'lockAll' }, stateOf([[15, 15], [15, 15]])).status).toBe('won');
+            expect(validateObjective({ type: 'noClickable' })).toEqual(['Unknown objective type "noClickable"']);
+        });
+    });
+
+    // ==========================================
+    // 2. Loss Conditions (3 Tests)
+    // ==========================================
+    describe('Loss conditions', () => {
+        it('should lose when the move limit passes without a win', () => {
+            const objective = { type: 'targetSum', sum: 100, maxMoves: 5 };
+            expect(evaluateObjective(objective, stateOf([[1, 0], [0, 0]], 4)).status).toBe('playing');
+            expect(evaluateObjective(objective, stateOf([[1, 0], [0, 0]], 5))).toEqual({
+                status: 'lost',
+                reason: 'Out of moves (5)'
+            });
+        });
+
+        it('should prefer a win on the final allowed move', () => {
+            const objective = { type: 'targetSum', sum: 1, maxMoves: 1 };
+            expect(evaluateObjective(objective, stateOf([[1, 0], [0, 0]], 1)).status).toBe('won');
+        });
+
+        it('should lose when no clickable cells remain and the goal is missed', () => {
+            const objective = { type: 'targetGrid', target: [[0, 0], [0, 0]] };
+            expect(evaluateObjective(objective, stateOf([[15, 15], [15, 15]])).reason)
+                .toBe('No clickable cells left');
+        });
+    });
+
+    // ==========================================
+    // 3. Game Loop Helpers (3 Tests)
+    // ==========================================
+    describe('Game loop helpers', () => {
+        it('should mark the state as game over only when decided', () => {
+            const playing = { ...createInitialState(), moveCount: 0 };
+            expect(checkGameOver(playing, { type: 'lockAll' }).state).toBe(playing);
+
+            const { state, result } = checkGameOver(stateOf([[15, 15], [15, 15]], 60), { type: 'lockAll' });
+            expect(state.isGameOver).toBe(true);
+            expect(result.status).toBe('won');
+        });
+
+        it('should describe objectives with their move limit', () => {
+            expect(describeObjective({ type: 'lockAll' })).toBe('Lock every cell');
+            expect(describeObjective({ type: 'targetSum', sum: 27, maxMoves: 27 }))
+                .toBe('Reach a grid sum of 27 within 27 moves');
+        });
+
+        it('should compare grids by value', () => {
+            expect(gridsEqual([[1, 2], [3, 4]], [[1, 2], [3, 4]])).toBe(true);
+            expect(gridsEqual([[1, 2], [3, 4]], [[1, 2, 0], [3, 4, 0]])).toBe(false);
+        });
+    });
+});
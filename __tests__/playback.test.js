@@ -0,0 +1,63 @@
+import { updateGridWithTrace } from '../app/gameState';
+import { buildPlaybackFrames, getArrow, formatDelta } from '../app/playback';
+
+describe('Cascade Playback', () => {
+
+    // ==========================================
+    // 1. Frame Building (4 Tests)
+    // ==========================================
+    describe('buildPlaybackFrames', () => {
+        it('should build one frame per BFS step with intermediate grids', () => {
+            const grid = [[2, 4, 0], [0, 0, 0], [0, 0, 0]];
+            const { events, grid: finalGrid } = updateGridWithTrace(grid, 0, 0);
+            const frames = buildPlaybackFrames(grid, events);
+
+            expect(frames).toHaveLength(2);
+            expect(frames[0].source).toEqual({ row: 0, col: 0 });
+            expect(frames[0].increment).toBe(1);
+            expect(frames[0].grid[0]).toEqual([3, 3, 0]);
+            expect(frames[1].source).toEqual({ row: 0, col: 1 });
+            expect(frames[1].increment).toBeNull();
+            expect(frames[1].grid).toEqual(finalGrid);
+        });
+
+        it('should list each ripple with its label and arrow', () => {
+            const grid = [[0, 0, 0], [0, 14, 0], [0, 0, 0]];
+            const [frame] = buildPlaybackFrames(grid, updateGridWithTrace(grid, 1, 1).events);
+            expect(frame.ripples).toEqual([
+                { target: { row: 1, col: 2 }, delta: -1, label: '−1', arrow: '→' },
+                { target: { row: 2, col: 1 }, delta: 2, label: '+2', arrow: '↓' }
+            ]);
+        });
+
+        it('should not mutate the start grid or share rows between frames', () => {
+            const grid = [[2, 4, 0], [0, 0, 0], [0, 0, 0]];
+            const snapshot = JSON.parse(JSON.stringify(grid));
+            const frames = buildPlaybackFrames(grid, updateGridWithTrace(grid, 0, 0).events);
+            expect(grid).toEqual(snapshot);
+            expect(frames[0].grid[0]).not.toBe(frames[1].grid[0]);
+        });
+
+        it('should ignore skip events and return no frames for no-op clicks', () => {
+            const grid = [[15, 0], [0, 0]];
+            expect(buildPlaybackFrames(grid, updateGridWithTrace(grid, 0, 0).events)).toEqual([]);
+        });
+    });
+
+    // ==========================================
+    // 2. Formatting (2 Tests)
+    // ==========================================
+    describe('Formatting', () => {
+        it('should point arrows from source to target', () => {
+            const source = { row: 1, col: 1 };
+            expect(getArrow(source, { row: 1, col: 2 })).toBe('→');
+            expect(getArrow(source, { row: 2, col: 1 })).toBe('↓');
+            expect(getArrow(source, { row: 0, col: 0 })).toBe('↖');
+        });
+
+        it('should format deltas with a sign', () => {
+            expect(formatDelta(-1)).toBe('−1');
+            expect(formatDelta(2)).toBe('+2');
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { updateGrid } from '../app/gameState';
+import { evaluateObjective } from '../app/objectives';
+import {
+    PUZZLES,
+    PUZZLE_FORMAT_VERSION,
+    createPuzzle,
+    validatePuzzle,
+    parsePuzzle,
+    startPuzzle,
+    getPuzzle,
+    getPuzzleObjective,
+    getPuzzleProgress
+} from '../app/puzzle';
+
+describe('Puzzle Mode', () => {
+
+    // ==========================================
+    // 1. Format & Validation (6 Tests)
+    // ==========================================
+    describe('Format', () => {
+        it('should create a versioned puzzle with deep-copied grids', () => {
+            const start = [[0, 0], [0, 0]];
+            const puzzle = createPuzzle({ id: 'p', start, target: [[1, 0], [0, 0]] });
+            expect(puzzle.version).toBe(PUZZLE_FORMAT_VERSION);
+            expect(puzzle.name).toBe('p');
+            expect(puzzle.start).toEqual(start);
+            expect(puzzle.start).not.toBe(start);
+        });
+
+        it('should reject targets that do not match the start dimensions', () => {
+            expect(() => createPuzzle({ id: 'p', start: [[0, 0], [0, 0]], target: [[0, 0, 0], [0, 0, 0]] }))
+                .toThrow('Target grid must be valid and match the start grid dimensions');
+        });
+
+        it('should report every invalid field', () => {
+            expect(validatePuzzle({ version: 99, start: [[0]], maxMoves: 0 })).toEqual([
+                'Unsupported puzzle version: 99',
+                'Puzzle id is required',
+                'Start grid is invalid',
+                'Move limit must be a positive integer'
+            ]);
+            expect(validatePuzzle('nope')).toEqual(['Puzzle must be an object']);
+        });
+
+        it('should reject rule sets that are not built in', () => {
+            const puzzle = createPuzzle({ id: 'p', start: [[0, 0], [0, 0]], target: [[1, 0], [0, 0]], ruleSetId: 'primes' });
+            expect(validatePuzzle(puzzle)).toEqual([]);
+            expect(validatePuzzle({ ...puzzle, ruleSetId: 'prime' })).toEqual(['Unknown rule set "prime"']);
+            expect(validatePuzzle({ ...puzzle, ruleSetId: 'toString' })).toEqual(['Unknown rule set "toString"']);
+            expect(() => parsePuzzle(JSON.stringify({ ...puzzle, ruleSetId: 'clasic' }))).toThrow('Unknown rule set "clasic"');
+        });
+
+        it('should accept another objective in place of a target', () => {
+            const puzzle = createPuzzle({ id: 'p', start: [[0, 0], [0, 0]], objective: { type: 'targetSum', sum: 4 }, maxMoves: 2 });
+            expect(puzzle.target).toBeUndefined();
+            expect(getPuzzleObjective(puzzle)).toEqual({ type: 'targetSum', sum: 4, maxMoves: 2 });
+            expect(validatePuzzle({ ...puzzle, objective: { type: 'targetSum' } })).toEqual(['Objective: Target sum must be an integer']);
+            expect(validatePuzzle({ ...puzzle, target: [[0, 0], [0, 0]] })).toEqual(['Target grid puzzles use target, not objective']);
+            expect(validatePuzzle({ ...puzzle, objective: { type: 'lockAll', maxMoves: 3 } })).toEqual(['Objective move limits belong in maxMoves']);
+        });
+
+        it('should survive a JSON round trip', () => {
+            const [puzzle] = PUZZLES;
+            expect(validatePuzzle(JSON.parse(JSON.stringify(puzzle)))).toEqual([]);
+        });
+    });
+
+    // ==========================================
+    // 2. Play & Progress (4 Tests)
+    // ==========================================
+    describe('Play', () => {
+        it('should start from the puzzle start grid', () => {
+            const puzzle = getPuzzle('chain-reaction');
+            const state = startPuzzle(puzzle);
+            expect(state.grid).toEqual(puzzle.start);
+            expect(state.moveCount).toBe(0);
+        });
+
+        it('should decide puzzles with a targetGrid objective', () => {
+            const puzzle = getPuzzle('first-ripple');
+            expect(getPuzzleObjective(puzzle)).toEqual({
+                type: 'targetGrid',
+                target: puzzle.target,
+                maxMoves: 3
+            });
+        });
+
+        it('should track which cells match the target', () => {
+            const progress = getPuzzleProgress([[3, 0], [1, 1]], [[3, -1], [1, 2]]);
+            expect(progress.matches).toEqual([[true, false], [true, false]]);
+            expect(progress.matchCount).toBe(2);
+            expect(progress.totalCells).toBe(4);
+            expect(progress.solved).toBe(false);
+        });
+
+        it('should declare success when the grid equals the target', () => {
+            const puzzle = getPuzzle('first-ripple');
+            let grid = startPuzzle(puzzle).grid;
+            for (let i = 0; i < 3; i++) {
+                grid = updateGrid(grid, 0, 0);
+            }
+            expect(getPuzzleProgress(grid, puzzle.target).solved).toBe(true);
+            expect(evaluateObjective(getPuzzleObjective(puzzle), { grid, moveCount: 3 }).status).toBe('won');
+        });
+    });
+});
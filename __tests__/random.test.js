@@ -0,0 +1,33 @@
+import { createRng, hashString } from '../app/random';
+
+describe('Seeded Randomness', () => {
+
+    // ==========================================
+    // 1. PRNG (3 Tests)
+    // ==========================================
+    describe('createRng', () => {
+        it('should repeat the same sequence for the same seed', () => {
+            const a = createRng(42);
+            const b = createRng(42);
+            const first = Array.from({ length: 5 }, a);
+            expect(Array.from({ length: 5 }, b)).toEqual(first);
+            expect(Array.from({ length: 5 }, createRng(43))).not.toEqual(first);
+        });
+
+        it('should produce numbers in [0, 1)', () => {
+            const rng = createRng('range');
+            for (let i = 0; i < 1000; i++) {
+                const value = rng();
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+
+        it('should hash string seeds to stable unsigned integers', () => {
+            expect(hashString('daily:2026-01-01')).toBe(hashString('daily:2026-01-01'));
+            expect(hashString('a')).not.toBe(hashString('b'));
+            expect(hashString('anything')).toBeGreaterThanOrEqual(0);
+            expect(createRng('seed')()).toBe(createRng(hashString('seed'))());
+        });
+    });
+});
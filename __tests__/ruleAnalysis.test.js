@@ -0,0 +1,91 @@
+import { analyzeRuleSet } from '../app/ruleAnalysis';
+import { RULE_SETS } from '../app/rules';
+
+const ruleSetOf = (...rules) => ({ id: 'custom', name: 'Custom', rules });
+const rule = (id, when, amount, type = 'add') => ({ id, when, targets: [[0, 1]], effect: { type, amount } });
+
+describe('Rule Analysis', () => {
+
+    // ==========================================
+    // 1. Built-in Rule Sets (1 Test)
+    // ==========================================
+    describe('Built-in rule sets', () => {
+        it('should only flag the compounding doubling rule', () => {
+            expect(analyzeRuleSet(RULE_SETS.classic)).toEqual([]);
+            expect(analyzeRuleSet(RULE_SETS.primes)).toEqual([]);
+            expect(analyzeRuleSet(RULE_SETS.doubling)).toEqual([
+                expect.objectContaining({ ruleId: 'div4-up', kind: 'exponential' })
+            ]);
+        });
+    });
+
+    // ==========================================
+    // 2. Growth Checks (5 Tests)
+    // ==========================================
+    describe('Growth checks', () => {
+        it('should flag multiply effects that grow in magnitude', () => {
+            const warnings = analyzeRuleSet(ruleSetOf(
+                rule('triple', { type: 'prime' }, 3, 'multiply'),
+                rule('flip', { type: 'prime' }, -1, 'multiply'),
+                rule('halve', { type: 'prime' }, 0.5, 'multiply'),
+                rule('negate', { type: 'prime' }, -2, 'multiply')
+            ));
+            expect(warnings.map(({ ruleId, kind }) => `${ruleId}:${kind}`)).toEqual(['triple:exponential', 'negate:exponential']);
+            expect(warnings[0].message).toBe('Prime (×3): values multiply on every hit and can grow exponentially');
+        });
+
+        it('should flag rules whose targets keep matching after the effect', () => {
+            const warnings = analyzeRuleSet(ruleSetOf(
+                rule('climb', { type: 'atLeast', n: 5 }, 1),
+                rule('sink', { type: 'atLeast', n: 5 }, -1),
+                rule('steps', { type: 'divisibleBy', n: 3 }, -6),
+                rule('off', { type: 'divisibleBy', n: 3 }, 2)
+            ));
+            expect(warnings.map(({ ruleId, kind }) => `${ruleId}:${kind}`)).toEqual(['climb:self-sustaining', 'steps:self-sustaining']);
+            expect(warnings[1].message).toBe('Divisible by 3 (−6): targets that already match still match afterwards, so the rule can re-trigger from cell to cell and keep pushing values further');
+        });
+
+        it('should ignore predicates an effect always moves the target out of', () => {
+            expect(analyzeRuleSet(ruleSetOf(
+                rule('once', { type: 'equals', n: 4 }, 4),
+                rule('zero', { type: 'divisibleBy', n: 2 }, 0)
+            ))).toEqual([]);
+        });
+
+        it('should flag rules that keep each other\'s targets matching', () => {
+            // 6k + 2 and 6k + 4 are even, and so is every even value plus 2 or 4
+            const warnings = analyzeRuleSet(ruleSetOf(
+                rule('six', { type: 'divisibleBy', n: 6 }, 2),
+                rule('even', { type: 'divisibleBy', n: 2 }, 4)
+            ));
+            expect(warnings.map(({ ruleId, kind }) => `${ruleId}:${kind}`)).toEqual(['even:self-sustaining', 'six:feedback-loop']);
+            expect(warnings[1]).toMatchObject({
+                ruleIds: ['six', 'even'],
+                message: 'Divisible by 6 (+2), Divisible by 2 (+4): targets matching one of these rules still match one after any of their effects, so together they can re-trigger from cell to cell and keep pushing values further'
+            });
+
+            expect(analyzeRuleSet(ruleSetOf(
+                rule('up', { type: 'atLeast', n: 5 }, 1),
+                rule('upper', { type: 'atLeast', n: 6 }, 2)
+            )).map(({ kind }) => kind)).toEqual(['self-sustaining', 'self-sustaining']);
+        });
+
+        it('should not flag rules whose effects can move a matching target out of every rule', () => {
+            expect(analyzeRuleSet(ruleSetOf(
+                // A target at 4 hit by −1 drops to 3; one at 5 hit by +1 rises to 6
+                rule('four', { type: 'equals', n: 4 }, 1),
+                rule('five', { type: 'equals', n: 5 }, -1)
+            ))).toEqual([]);
+            expect(analyzeRuleSet(ruleSetOf(
+                // 6k + 3 matches "divisible by 3" but 3k + 1 matches nothing
+                rule('six', { type: 'divisibleBy', n: 6 }, 3),
+                rule('three', { type: 'divisibleBy', n: 3 }, 1)
+            ))).toEqual([]);
+            expect(analyzeRuleSet(ruleSetOf(
+                // Each rule alone keeps its targets matching, but +1 takes a multiple of 4 out of both
+                rule('four', { type: 'divisibleBy', n: 4 }, 8),
+                rule('climb', { type: 'atLeast', n: 5 }, 1)
+            )).map(({ ruleId, kind }) => `${ruleId}:${kind}`)).toEqual(['four:self-sustaining', 'climb:self-sustaining']);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+import { updateGrid } from '../app/gameState';
+import {
+    DEFAULT_RULE_SET,
+    RULE_SETS,
+    OFFSETS,
+    getRuleSet,
+    ruleMatches,
+    applyRuleEffect,
+    validateRuleSet,
+    describeRule
+} from '../app/rules';
+
+describe('Ripple Rule Engine', () => {
+
+    // ==========================================
+    // 1. Evaluation (4 Tests)
+    // ==========================================
+    describe('Evaluation', () => {
+        it('should match predicates against cell values', () => {
+            const [div3] = DEFAULT_RULE_SET.rules;
+            expect(ruleMatches(div3, 9)).toBe(true);
+            expect(ruleMatches(div3, -3)).toBe(true);
+            expect(ruleMatches(div3, 10)).toBe(false);
+        });
+
+        it('should apply add and multiply effects', () => {
+            const [, div5] = DEFAULT_RULE_SET.rules;
+            expect(applyRuleEffect(div5, 1)).toBe(3);
+
+            const [, div4] = RULE_SETS.doubling.rules;
+            expect(applyRuleEffect(div4, -3)).toBe(-6);
+        });
+
+        it('should recognise primes only for integers >= 2', () => {
+            const [prime] = RULE_SETS.primes.rules;
+            expect([2, 3, 5, 7, 11, 13].every(v => ruleMatches(prime, v))).toBe(true);
+            expect([-7, 0, 1, 4, 9, 15].some(v => ruleMatches(prime, v))).toBe(false);
+        });
+
+        it('should fall back to the default rule set for unknown ids', () => {
+            expect(getRuleSet('primes')).toBe(RULE_SETS.primes);
+            expect(getRuleSet('missing')).toBe(DEFAULT_RULE_SET);
+        });
+    });
+
+    // ==========================================
+    // 2. updateGrid with Custom Rule Sets (5 Tests)
+    // ==========================================
+    describe('updateGrid with custom rule sets', () => {
+        it('should behave identically with the explicit default rule set', () => {
+            const grid = [[2, 4, 0], [0, 0, 0], [0, 0, 0]];
+            expect(updateGrid(grid, 0, 0, { ruleSet: DEFAULT_RULE_SET }))
+                .toEqual(updateGrid(grid, 0, 0));
+        });
+
+        it('should double the up neighbour when divisible by 4', () => {
+            const ruleSet = {
+                id: 'test',
+                name: 'Test',
+                rules: [{
+                    id: 'div4-up',
+                    when: { type: 'divisibleBy', n: 4 },
+                    targets: [OFFSETS.up],
+                    effect: { type: 'multiply', amount: 2 }
+                }]
+            };
+            const grid = [[0, 7, 0], [0, 3, 0], [0, 0, 0]];
+            const result = updateGrid(grid, 1, 1, { ruleSet });
+            expect(result[1][1]).toBe(4);
+            expect(result[0][1]).toBe(14);
+        });
+
+        it('should hit every diagonal for the primes rule set', () => {
+            const grid = [[0, 0, 0], [0, 1, 0], [0, 0, 0]];
+            const result = updateGrid(grid, 1, 1, { ruleSet: RULE_SETS.primes });
+            expect(result).toEqual([[-1, 0, -1], [0, 2, 0], [-1, 0, -1]]);
+        });
+
+        it('should skip out-of-bounds and locked targets per offset', () => {
+            const grid = [[0, 0, 0], [0, 1, 0], [0, 0, 20]];
+            const result = updateGrid(grid, 0, 0, { ruleSet: RULE_SETS.primes });
+            expect(result[0][0]).toBe(1); // 1 is not prime, nothing fires
+
+            const next = updateGrid(grid, 1, 1, { ruleSet: RULE_SETS.primes });
+            expect(next[2][2]).toBe(20); // Locked diagonal untouched
+            expect(next[0][0]).toBe(-1);
+        });
+
+        it('should cascade through custom rules', () => {
+            // (0,0) 1 -> 2 (prime) -> (1,1) 4 -> 3 (prime) -> (2,2) 0 -> -1
+            const grid = [[1, 0, 0], [0, 4, 0], [0, 0, 0]];
+            const result = updateGrid(grid, 0, 0, { ruleSet: RULE_SETS.primes });
+            expect(result[1][1]).toBe(3);
+            expect(result[2][2]).toBe(-1);
+            expect(result[0][2]).toBe(-1);
+            expect(result[2][0]).toBe(-1);
+        });
+    });
+
+    // ==========================================
+    // 3. Validation & Descriptions (5 Tests)
+    // ==========================================
+    describe('validateRuleSet', () => {
+        it('should accept every built-in rule set', () => {
+            Object.values(RULE_SETS).forEach(ruleSet => {
+                expect(validateRuleSet(ruleSet)).toEqual([]);
+            });
+        });
+
+        it('should report malformed rules', () => {
+            const errors = validateRuleSet({
+                rules: [
+                    { id: 'a', when: { type: 'divisibleBy', n: 0 }, targets: [[0, 1]], effect: { type: 'add', amount: 1 } },
+                    { id: 'a', when: { type: 'prime' }, targets: [[0, 0]], effect: { type: 'pow', amount: 2 } }
+                ]
+            });
+            expect(errors).toEqual([
+                'Rule 1: invalid predicate',
+                'Rule 2: duplicate id "a"',
+                'Rule 2: targets must be non-zero [dRow, dCol] integer offsets',
+                'Rule 2: invalid effect'
+            ]);
+        });
+
+        it('should reject predicate and effect types inherited from Object', () => {
+            expect(validateRuleSet({
+                rules: [
+                    { id: 'a', when: { type: 'constructor' }, targets: [[0, 1]], effect: { type: 'add', amount: 1 } },
+                    { id: 'b', when: { type: 'prime' }, targets: [[0, 1]], effect: { type: 'toString', amount: 1 } }
+                ]
+            })).toEqual(['Rule 1: invalid predicate', 'Rule 2: invalid effect']);
+
+            const rule = { id: 'x', when: { type: '__proto__' }, targets: [[0, 1]], effect: { type: 'toString', amount: 1 } };
+            expect(() => ruleMatches(rule, 3)).toThrow('Invalid rule: unknown predicate "__proto__"');
+            expect(() => applyRuleEffect(rule, 3)).toThrow('Invalid rule: unknown effect "toString"');
+        });
+
+        it('should reject non-objects', () => {
+            expect(validateRuleSet(null)).toHaveLength(1);
+            expect(validateRuleSet({ rules: 'x' })).toHaveLength(1);
+        });
+    });
+
+    describe('describeRule', () => {
+        it('should describe the default rules for the Rules panel', () => {
+            const [div3, div5] = DEFAULT_RULE_SET.rules;
+            expect(describeRule(div3)).toEqual({
+                condition: 'Divisible by 3',
+                targets: 'Right neighbor',
+                effect: '−1',
+                isDecrease: true
+            });
+            expect(describeRule(div5).targets).toBe('Below neighbor');
+            expect(describeRule(div5).effect).toBe('+2');
+        });
+    });
+});
@@ -0,0 +1,188 @@
+import { createHistory, recordMove, getHistoryState, undo } from '../app/history';
+import { getGameLink } from '../app/gameLink';
+import { getPuzzle } from '../app/puzzle';
+import {
+    SAVE_SCHEMA_VERSION,
+    AUTOSAVE_KEY,
+    SLOTS_KEY,
+    createSave,
+    validateSave,
+    migrateSave,
+    parseSave,
+    readAutosave,
+    readStartupSave,
+    writeAutosave,
+    listSlots,
+    saveSlot,
+    loadSlot,
+    deleteSlot
+} from '../app/saves';
+
+// In-memory stand-in for localStorage
+const createStorage = (initial = {}) => {
+    const data = { ...initial };
+    return {
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        data
+    };
+};
+
+const settings = { ruleSetId: 'classic', objectiveId: 'lockAll', puzzle: null, playbackSpeed: 2 };
+
+const makeSave = (moves = [[0, 0], [1, 1]], date = new Date('2026-05-01T10:00:00Z')) => {
+    const history = moves.reduce(
+        (h, [row, col]) => recordMove(h, row, col),
+        createHistory([[0, 0, 0], [0, 0, 0], [0, 0, 0]])
+    );
+    return createSave({ history, settings, hintsUsed: 1, noOpClicks: 2 }, date);
+};
+
+describe('Saved Games', () => {
+
+    // ==========================================
+    // 1. Snapshots (3 Tests)
+    // ==========================================
+    describe('createSave', () => {
+        it('should snapshot history, settings and hints at the current version', () => {
+            const save = makeSave();
+            expect(save).toMatchObject({ version: SAVE_SCHEMA_VERSION, savedAt: '2026-05-01T10:00:00.000Z', hintsUsed: 1, noOpClicks: 2, settings });
+            expect(getHistoryState(save.history).moveCount).toBe(2);
+            expect(validateSave(save)).toEqual([]);
+        });
+
+        it('should round-trip through JSON, puzzles included', () => {
+            const save = createSave({ history: createHistory(getPuzzle('first-ripple').start), settings: { ...settings, puzzle: getPuzzle('first-ripple') } });
+            expect(parseSave(JSON.stringify(save))).toEqual({ save, error: null });
+        });
+
+        it('should report every invalid field', () => {
+            const save = makeSave();
+            const errors = validateSave({
+                ...save,
+                savedAt: 'yesterday',
+                settings: { ruleSetId: 'nope', objectiveId: 3, puzzle: { id: 'x' }, playbackSpeed: 0 },
+                hintsUsed: -1,
+                noOpClicks: 0.5
+            });
+            expect(errors).toEqual(expect.arrayContaining([
+                'Saved-at must be an ISO timestamp',
+                'Unknown rule set "nope"',
+                'Unknown topology "undefined"',
+                'Lock: Lock must be an object',
+                'Objective id must be a string',
+                'Playback speed must be a positive number',
+                'Hints used must be a non-negative integer',
+                'No-op clicks must be a non-negative integer'
+            ]));
+            expect(errors.some(error => error.startsWith('Puzzle: '))).toBe(true);
+        });
+    });
+
+    // ==========================================
+    // 2. Migration & Corruption (3 Tests)
+    // ==========================================
+    describe('Loading', () => {
+        it('should run migrations step by step up to the current version', () => {
+            const calls = [];
+            const migrations = {
+                1: (save) => { calls.push(save.version); return { ...save, renamed: save.old }; },
+                2: (save) => { calls.push(save.version); return { ...save, extra: true }; }
+            };
+            const migrated = migrateSave({ version: 1, old: 'x' }, { migrations, version: 3 });
+            expect(calls).toEqual([1, 2]);
+            expect(migrated).toMatchObject({ version: 3, renamed: 'x', extra: true });
+            expect(migrateSave(makeSave())).toEqual(makeSave()); // Current saves pass through
+
+            // Built-in v1 -> v2: saves from before scoring had no no-op count
+            const v1 = { ...makeSave(), version: 1 };
+            delete v1.noOpClicks;
+            expect(parseSave(JSON.stringify(v1))).toEqual({ save: { ...makeSave(), noOpClicks: 0 }, error: null });
+
+            // Built-in v2 -> v3: saves from before topologies were on the square board
+            const v2 = { ...makeSave(), version: 2, settings };
+            expect(parseSave(JSON.stringify(v2)).save.settings.topologyId).toBe('square');
+
+            // Built-in v3 -> v4: saves from before lock settings locked for good at 15
+            const v3 = { ...makeSave(), version: 3, settings: { ...settings, topologyId: 'torus' } };
+            expect(parseSave(JSON.stringify(v3)).save.settings).toMatchObject({ topologyId: 'torus', lock: { threshold: 15, mode: 'permanent' } });
+        });
+
+        it('should refuse saves that are newer, unversioned or missing a migration', () => {
+            expect(() => migrateSave({ version: SAVE_SCHEMA_VERSION + 1 })).toThrow('newer than this app');
+            expect(() => migrateSave({})).toThrow('Invalid save: missing version');
+            expect(() => migrateSave({ version: 1 }, { migrations: {}, version: 2 }))
+                .toThrow('Invalid save: no migration from version 1');
+        });
+
+        it('should turn corrupt data into an error instead of throwing', () => {
+            expect(parseSave(null)).toEqual({ save: null, error: null });
+            expect(parseSave('{not json')).toEqual({ save: null, error: 'Invalid save: not valid JSON' });
+            expect(parseSave('null').error).toBe('Invalid save: missing version');
+            const tampered = { ...makeSave(), history: { past: [], future: [], branches: [], present: { grid: 'x' } } };
+            expect(parseSave(JSON.stringify(tampered)).error).toMatch(/^Invalid save: History start grid is invalid/);
+        });
+    });
+
+    // ==========================================
+    // 3. Storage & Slots (4 Tests)
+    // ==========================================
+    describe('Storage', () => {
+        it('should write and read the autosave, tolerating refused writes', () => {
+            const storage = createStorage();
+            expect(readAutosave(storage)).toEqual({ save: null, error: null });
+            expect(writeAutosave(storage, makeSave())).toBe(true);
+            expect(readAutosave(storage).save).toEqual(makeSave());
+            expect(Object.keys(storage.data)).toEqual([AUTOSAVE_KEY]);
+
+            const full = { getItem: () => null, setItem: () => { throw new Error('QuotaExceededError'); } };
+            expect(writeAutosave(full, makeSave())).toBe(false);
+        });
+
+        it('should prefer the autosave on reload when the URL links the same game', () => {
+            const save = makeSave([[0, 0], [1, 1], [2, 2]]);
+            save.history = undo(save.history);
+            const storage = createStorage();
+            writeAutosave(storage, save);
+            const { history } = save;
+
+            // The page keeps the live game in the hash too; the save also has hints, settings and redo
+            const restored = readStartupSave(storage, `#${getGameLink(history, 'classic')}`);
+            expect(restored.save).toEqual(save);
+            expect(restored.save.hintsUsed).toBe(1);
+            expect(readStartupSave(storage, '')).toEqual({ save, error: null });
+
+            // Other games, replay links and broken links are left to the link loader
+            const other = recordMove(history, 0, 1);
+            expect(readStartupSave(storage, `#${getGameLink(other, 'classic')}`)).toEqual({ save: null, error: null });
+            expect(readStartupSave(storage, `#${getGameLink(history, 'classic', 'replay')}`).save).toBeNull();
+            expect(readStartupSave(storage, '#g=garbage')).toEqual({ save: null, error: null });
+        });
+
+        it('should list, load and delete named slots', () => {
+            const storage = createStorage();
+            expect(saveSlot(storage, '  Morning  ', makeSave([[0, 0]], new Date('2026-05-01T08:00:00Z')))).toBe(true);
+            expect(saveSlot(storage, 'Evening', makeSave([[0, 0], [0, 1], [0, 2]], new Date('2026-05-01T20:00:00Z')))).toBe(true);
+            expect(saveSlot(storage, '   ', makeSave())).toBe(false);
+
+            expect(listSlots(storage)).toEqual([
+                { name: 'Evening', savedAt: '2026-05-01T20:00:00.000Z', moveCount: 3, error: null },
+                { name: 'Morning', savedAt: '2026-05-01T08:00:00.000Z', moveCount: 1, error: null }
+            ]);
+            expect(getHistoryState(loadSlot(storage, 'Morning').save.history).moveCount).toBe(1);
+            expect(loadSlot(storage, 'Noon')).toEqual({ save: null, error: 'No save named "Noon"' });
+
+            deleteSlot(storage, 'Morning');
+            expect(listSlots(storage).map(slot => slot.name)).toEqual(['Evening']);
+        });
+
+        it('should list corrupt slots with their error and survive a corrupt slot map', () => {
+            const storage = createStorage({ [SLOTS_KEY]: JSON.stringify({ Broken: { version: 1 } }) });
+            const [slot] = listSlots(storage);
+            expect(slot).toMatchObject({ name: 'Broken', savedAt: null, moveCount: null });
+            expect(slot.error).toMatch(/^Invalid save: /);
+
+            expect(listSlots(createStorage({ [SLOTS_KEY]: '[oops' }))).toEqual([]);
+        });
+    });
+});
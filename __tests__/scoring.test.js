@@ -0,0 +1,73 @@
+import { createHistory, recordMove, undo } from '../app/history';
+import { getCanonicalKey } from '../app/solver';
+import { SCORING, scoreMove, scoreGame, getChainMultiplier } from '../app/scoring';
+
+const play = (grid, moves) =>
+    moves.reduce((h, [row, col]) => recordMove(h, row, col), createHistory(grid));
+
+describe('Scoring', () => {
+
+    // ==========================================
+    // 1. Moves (5 Tests)
+    // ==========================================
+    describe('scoreMove', () => {
+        it('should award points per cell changed by the cascade, not the click', () => {
+            expect(scoreMove([[0, 0], [0, 0]], { row: 0, col: 0 })).toMatchObject({ cellsChanged: 0, depth: 0, total: 0 });
+            expect(scoreMove([[2, 0], [0, 0]], { row: 0, col: 0 }))
+                .toMatchObject({ cellsChanged: 1, depth: 1, multiplier: 1, cascadePoints: SCORING.cellPoints });
+        });
+
+        it('should multiply longer chains', () => {
+            // (0,0) 2→3 ripples right: 7→6 ripples right again: 0→-1
+            const score = scoreMove([[2, 7, 0], [0, 0, 0], [0, 0, 0]], { row: 0, col: 0 });
+            expect(score).toMatchObject({ cellsChanged: 2, depth: 2, multiplier: 1.5, cascadePoints: 30 });
+            expect(getChainMultiplier(4)).toBe(2.5);
+        });
+
+        it('should add a bonus for each newly locked cell', () => {
+            // 14→15 locks and fires both rules
+            const score = scoreMove([[14, 0], [0, 0]], { row: 0, col: 0 });
+            expect(score).toMatchObject({ cellsChanged: 2, newLocks: 1, lockPoints: SCORING.lockPoints });
+            expect(score.total).toBe(2 * SCORING.cellPoints + SCORING.lockPoints);
+        });
+
+        it('should penalise moves that return to an earlier grid', () => {
+            const seen = new Set([getCanonicalKey([[1, 0], [0, 0]])]);
+            const score = scoreMove([[0, 0], [0, 0]], { row: 0, col: 0 }, { seen });
+            expect(score).toMatchObject({ wasted: true, penalty: SCORING.wastedPenalty, total: -SCORING.wastedPenalty });
+        });
+
+        it('should score nothing for clicks on locked cells', () => {
+            expect(scoreMove([[15, 0], [0, 0]], { row: 0, col: 0 })).toMatchObject({ cellsChanged: 0, wasted: false, total: 0 });
+        });
+    });
+
+    // ==========================================
+    // 2. Games (3 Tests)
+    // ==========================================
+    describe('scoreGame', () => {
+        it('should sum per-move scores with a breakdown per move', () => {
+            const history = play([[0, 0, 0], [0, 0, 0], [0, 0, 0]], [[0, 0], [0, 0], [0, 0], [1, 1]]);
+            const score = scoreGame(history);
+            expect(score.moves).toHaveLength(4);
+            expect(score.moves.map(m => m.total)).toEqual([0, 0, SCORING.cellPoints, 0]);
+            expect(score.total).toBe(SCORING.cellPoints);
+        });
+
+        it('should only count moves up to the present', () => {
+            const history = play([[0, 0, 0], [0, 0, 0], [0, 0, 0]], [[0, 0], [0, 0], [0, 0]]);
+            expect(scoreGame(undo(history)).total).toBe(0);
+            expect(scoreGame(undo(history)).moves).toHaveLength(2);
+        });
+
+        it('should subtract hint and no-op penalties', () => {
+            const score = scoreGame(createHistory([[0, 0], [0, 0]]), { hintsUsed: 2, noOpClicks: 3 });
+            expect(score).toEqual({
+                total: -(2 * SCORING.hintPenalty + 3 * SCORING.noOpPenalty),
+                moves: [],
+                hintPenalty: 2 * SCORING.hintPenalty,
+                noOpPenalty: 3 * SCORING.noOpPenalty
+            });
+        });
+    });
+});
@@ -0,0 +1,86 @@
+import { RULE_SETS } from '../app/rules';
+import { PUZZLES } from '../app/puzzle';
+import { solve, solvePuzzle, getCanonicalKey, applyMoves } from '../app/solver';
+
+const zeros = () => [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+describe('Solver', () => {
+
+    // ==========================================
+    // 1. Helpers (2 Tests)
+    // ==========================================
+    describe('Helpers', () => {
+        it('should build a canonical key that separates rows', () => {
+            expect(getCanonicalKey([[1, 2], [3, 4]])).toBe('1,2|3,4');
+            expect(getCanonicalKey([[1, 23], [4, 5]])).not.toBe(getCanonicalKey([[12, 3], [4, 5]]));
+        });
+
+        it('should replay a click sequence', () => {
+            const moves = [{ row: 0, col: 0 }, { row: 0, col: 0 }, { row: 0, col: 0 }];
+            expect(applyMoves(zeros(), moves)[0]).toEqual([3, -1, 0]);
+        });
+    });
+
+    // ==========================================
+    // 2. Search (6 Tests)
+    // ==========================================
+    describe('solve', () => {
+        it('should return an empty sequence when already solved', () => {
+            expect(solve({ start: zeros(), target: zeros() })).toEqual({
+                status: 'solved', moves: [], nodesExplored: 0, depth: 0
+            });
+        });
+
+        it('should find the optimal sequence to a target grid', () => {
+            const target = [[3, -1, 0], [0, 0, 0], [0, 0, 0]];
+            const result = solve({ start: zeros(), target });
+            expect(result.status).toBe('solved');
+            expect(result.moves).toEqual([{ row: 0, col: 0 }, { row: 0, col: 0 }, { row: 0, col: 0 }]);
+            expect(result.depth).toBe(3);
+            expect(applyMoves(zeros(), result.moves)).toEqual(target);
+        });
+
+        it('should accept a goal predicate', () => {
+            const result = solve({ start: zeros(), goal: grid => grid[1][0] === 2 });
+            expect(result.moves).toEqual([{ row: 1, col: 0 }, { row: 1, col: 0 }]);
+        });
+
+        it('should prove no solution exists within the bound', () => {
+            // Nothing can ripple into (0,0), and clicks only increase it
+            const result = solve({ start: [[0, 0], [0, 0]], goal: grid => grid[0][0] === -5, maxDepth: 3 });
+            expect(result.status).toBe('unsolvable');
+            expect(result.moves).toBeNull();
+            expect(result.nodesExplored).toBeGreaterThan(0);
+        });
+
+        it('should stop at the node limit without claiming unsolvability', () => {
+            const result = solve({ start: zeros(), goal: () => false, maxDepth: 10, maxNodes: 50 });
+            expect(result.status).toBe('limit');
+            expect(result.nodesExplored).toBe(50);
+        });
+
+        it('should search with a custom rule set', () => {
+            const start = [[0, 0, 0], [0, 1, 0], [0, 0, 0]];
+            const result = solve({ start, target: [[-1, 0, -1], [0, 2, 0], [-1, 0, -1]], ruleSet: RULE_SETS.primes });
+            expect(result.moves).toEqual([{ row: 1, col: 1 }]);
+        });
+    });
+
+    // ==========================================
+    // 3. Puzzle Validation (2 Tests)
+    // ==========================================
+    describe('solvePuzzle', () => {
+        it('should solve every built-in puzzle within its move limit', () => {
+            PUZZLES.forEach(puzzle => {
+                const result = solvePuzzle(puzzle);
+                expect(result.status).toBe('solved');
+                expect(result.moves.length).toBeLessThanOrEqual(puzzle.maxMoves);
+            });
+        });
+
+        it('should report puzzles whose limit is too tight', () => {
+            const [puzzle] = PUZZLES;
+            expect(solvePuzzle({ ...puzzle, maxMoves: 2 }).status).toBe('unsolvable');
+        });
+    });
+});
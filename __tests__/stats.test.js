@@ -0,0 +1,145 @@
+import { createHistory, recordMove } from '../app/history';
+import { scoreGame } from '../app/scoring';
+import {
+    MAX_RECORDED_GAMES,
+    createStatsLog,
+    createGameRecord,
+    recordGame,
+    summarizeStats,
+    getMetricSeries,
+    exportStats,
+    importStats,
+    parseStats,
+    mergeStats
+} from '../app/stats';
+
+const makeRecord = (moves, { status = 'won', startedAt = null, at = '2026-06-01T12:00:00Z' } = {}) => {
+    const history = moves.reduce(
+        (h, [row, col]) => recordMove(h, row, col),
+        createHistory([[0, 0, 0], [0, 0, 0], [0, 0, 0]])
+    );
+    return createGameRecord({
+        history,
+        score: scoreGame(history),
+        result: { status, reason: '' },
+        objective: 'Lock all',
+        mode: 'free',
+        ruleSetId: 'classic',
+        startedAt
+    }, new Date(at));
+};
+
+// Same record with a chosen score, duration and finish time
+const withFields = (record, fields) => ({ ...record, ...fields, id: `${record.id}-${fields.finishedAt ?? fields.score}` });
+
+describe('Statistics', () => {
+
+    // ==========================================
+    // 1. Recording (3 Tests)
+    // ==========================================
+    describe('createGameRecord', () => {
+        it('should capture score, moves, duration, cascade depth and final grid stats', () => {
+            const start = new Date('2026-06-01T11:59:30Z').getTime();
+            const record = makeRecord([[0, 0], [0, 0], [0, 0]], { startedAt: start });
+            expect(record).toMatchObject({
+                finishedAt: '2026-06-01T12:00:00.000Z',
+                status: 'won',
+                moves: 3,
+                score: 10,
+                durationMs: 30000,
+                longestCascade: 1,
+                rows: 3,
+                cols: 3
+            });
+            expect(record.gridStats).toMatchObject({ sum: 2, lockedCount: 0, maxValue: 3, minValue: -1 });
+        });
+
+        it('should leave the duration unknown without a start time', () => {
+            expect(makeRecord([[1, 1]]).durationMs).toBeNull();
+        });
+
+        it('should append games and drop the oldest beyond the cap', () => {
+            const record = makeRecord([[1, 1]]);
+            let log = createStatsLog();
+            for (let i = 0; i < MAX_RECORDED_GAMES + 2; i++) {
+                log = recordGame(log, { ...record, id: String(i) });
+            }
+            expect(log.games).toHaveLength(MAX_RECORDED_GAMES);
+            expect(log.games[0].id).toBe('2');
+        });
+    });
+
+    // ==========================================
+    // 2. Summaries (3 Tests)
+    // ==========================================
+    describe('summarizeStats', () => {
+        const base = makeRecord([[0, 0]]);
+        const log = [
+            withFields(base, { score: 50, durationMs: 9000, longestCascade: 1, finishedAt: '2026-06-01T00:00:00.000Z' }),
+            withFields(base, { score: 120, durationMs: 20000, longestCascade: 4, finishedAt: '2026-06-02T00:00:00.000Z' }),
+            withFields(base, { score: 300, durationMs: 1000, status: 'lost', finishedAt: '2026-06-03T00:00:00.000Z' }),
+            withFields(base, { score: 10, durationMs: null, finishedAt: '2026-06-04T00:00:00.000Z' })
+        ].reduce(recordGame, createStatsLog());
+
+        it('should rank best scores and fastest wins', () => {
+            const summary = summarizeStats(log, 2);
+            expect(summary).toMatchObject({ gamesPlayed: 4, wins: 3 });
+            expect(summary.bestScores.map(game => game.score)).toEqual([300, 120]);
+            // Lost games and unknown durations are not solves
+            expect(summary.fastestSolves.map(game => game.durationMs)).toEqual([9000, 20000]);
+        });
+
+        it('should find the longest cascade and total the locks', () => {
+            const summary = summarizeStats(log);
+            expect(summary.longestCascade.longestCascade).toBe(4);
+            expect(summary).toMatchObject({ totalLocks: 0, averageLocks: 0 });
+            expect(summarizeStats(createStatsLog())).toMatchObject({ gamesPlayed: 0, longestCascade: null, averageLocks: 0 });
+        });
+
+        it('should chart grid metrics per game and reject unknown metrics', () => {
+            expect(getMetricSeries(log, 'sum')).toEqual(log.games.map(game => ({ finishedAt: game.finishedAt, value: 1 })));
+            expect(() => getMetricSeries(log, 'colour')).toThrow('Invalid metric: colour');
+        });
+    });
+
+    // ==========================================
+    // 3. Import / Export (4 Tests)
+    // ==========================================
+    describe('Import / Export', () => {
+        it('should round-trip an export', () => {
+            const log = recordGame(createStatsLog(), makeRecord([[0, 0], [2, 2]]));
+            expect(importStats(exportStats(log))).toEqual(log);
+        });
+
+        it('should reject malformed imports, naming the bad game', () => {
+            const log = recordGame(createStatsLog(), makeRecord([[0, 0]]));
+            expect(() => importStats('nope')).toThrow('Invalid stats: not valid JSON');
+            expect(() => importStats('{"version":9,"games":[]}')).toThrow('Invalid stats: expected version 1');
+            const broken = { ...log, games: [{ ...log.games[0], score: 'lots', mode: 'arcade' }] };
+            expect(() => importStats(JSON.stringify(broken))).toThrow(/game 1: .*Unknown mode "arcade".*score must be a number/);
+            expect(parseStats('{corrupt')).toEqual(createStatsLog());
+        });
+
+        it('should reject fields the dashboard would fail to render', () => {
+            const log = recordGame(createStatsLog(), makeRecord([[0, 0]]));
+            const broken = { ...log, games: [{ ...log.games[0], objective: { type: 'lockAll' }, finishedAt: 1780000000000, ruleSetId: ['classic'] }] };
+            expect(() => importStats(JSON.stringify(broken))).toThrow(
+                'Invalid stats: game 1: Finished-at must be an ISO timestamp; Objective must be a string; Rule set id must be a string'
+            );
+            expect(() => importStats(JSON.stringify({ ...log, games: [{ ...log.games[0], objective: ['Lock every cell'] }] })))
+                .toThrow('Objective must be a string');
+            expect(parseStats(JSON.stringify(broken))).toEqual(createStatsLog());
+        });
+
+        it('should merge imports without duplicating games', () => {
+            const a = makeRecord([[0, 0]], { at: '2026-06-01T00:00:00Z' });
+            const b = makeRecord([[1, 1]], { at: '2026-06-02T00:00:00Z' });
+            const c = makeRecord([[2, 2]], { at: '2026-06-03T00:00:00Z' });
+            const merged = mergeStats(
+                [a, c].reduce(recordGame, createStatsLog()),
+                [b, c].reduce(recordGame, createStatsLog())
+            );
+            expect(merged.games.map(game => game.id)).toEqual([a.id, b.id, c.id]);
+        });
+    });
+});
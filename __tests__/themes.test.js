@@ -0,0 +1,90 @@
+import {
+    THEMES,
+    THEME_OPTIONS,
+    SYSTEM_THEME,
+    parseThemePreference,
+    resolveTheme,
+    getCellPalette,
+    getCellThemeStyle
+} from '../app/themes';
+
+const COLOUR_BLIND_THEMES = ['highContrast', 'redGreen', 'blueYellow', 'monochrome'];
+
+describe('Themes', () => {
+
+    // ==========================================
+    // 1. Registry (3 Tests)
+    // ==========================================
+    describe('THEMES', () => {
+        it('should define a palette for every cell state in every theme', () => {
+            Object.entries(THEMES).forEach(([id, theme]) => {
+                expect(theme.id).toBe(id);
+                ['even', 'odd', 'locked'].forEach(state => {
+                    expect(theme.cells[state]).toEqual(expect.objectContaining({
+                        background: expect.stringMatching(/^#[0-9a-f]{6}$/),
+                        color: expect.stringMatching(/^#[0-9a-f]{6}$/),
+                        border: expect.stringMatching(/^#[0-9a-f]{6}$/)
+                    }));
+                });
+            });
+        });
+
+        it('should keep the classic colours in light and dark mode', () => {
+            expect(THEMES.light.cells.locked.background).toBe('#ff0000');
+            expect(THEMES.dark.cells).toBe(THEMES.light.cells);
+            expect(THEMES.dark.isDark).toBe(true);
+        });
+
+        it('should pattern odd and locked cells in the colour-blind and high-contrast themes', () => {
+            COLOUR_BLIND_THEMES.forEach(id => {
+                const { even, odd, locked } = THEMES[id].cells;
+                expect(even.pattern).toBeNull();
+                expect(odd.pattern).toBeTruthy();
+                expect(locked.pattern).toBeTruthy();
+                expect(odd.pattern).not.toBe(locked.pattern);
+            });
+            expect(THEME_OPTIONS[0]).toBe(SYSTEM_THEME);
+        });
+    });
+
+    // ==========================================
+    // 2. Preference (2 Tests)
+    // ==========================================
+    describe('Preference', () => {
+        it('should accept known theme ids and fall back to the system theme', () => {
+            expect(parseThemePreference('dark')).toBe('dark');
+            expect(parseThemePreference('monochrome')).toBe('monochrome');
+            expect(parseThemePreference(null)).toBe(SYSTEM_THEME);
+            expect(parseThemePreference('sepia')).toBe(SYSTEM_THEME);
+            expect(parseThemePreference('toString')).toBe(SYSTEM_THEME);
+        });
+
+        it('should follow prefers-color-scheme unless a theme is chosen', () => {
+            expect(resolveTheme(SYSTEM_THEME, true)).toBe(THEMES.dark);
+            expect(resolveTheme(null, false)).toBe(THEMES.light);
+            expect(resolveTheme('highContrast', false)).toBe(THEMES.highContrast);
+            expect(resolveTheme('light', true)).toBe(THEMES.light);
+        });
+    });
+
+    // ==========================================
+    // 3. Cell Appearance (2 Tests)
+    // ==========================================
+    describe('Cell appearance', () => {
+        it('should pick the palette by lock state, then parity', () => {
+            expect(getCellPalette(THEMES.light, 4).state).toBe('even');
+            expect(getCellPalette(THEMES.light, -3).state).toBe('odd');
+            expect(getCellPalette(THEMES.light, 16).state).toBe('locked');
+            expect(getCellPalette(THEMES.redGreen, 15).palette).toBe(THEMES.redGreen.cells.locked);
+        });
+
+        it('should build an inline style with the pattern only when the theme has one', () => {
+            expect(getCellThemeStyle(THEMES.light, 1)).toEqual({
+                backgroundColor: '#1a237e',
+                color: '#ffffff',
+                border: '1px solid #000000'
+            });
+            expect(getCellThemeStyle(THEMES.redGreen, 1).backgroundImage).toBe(THEMES.redGreen.cells.odd.pattern);
+        });
+    });
+});
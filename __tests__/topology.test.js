@@ -0,0 +1,93 @@
+import { updateGrid, updateGridWithTrace } from '../app/gameState';
+import { OFFSETS } from '../app/rules';
+import { TOPOLOGIES, DEFAULT_TOPOLOGY, getTopology, resolveTargets } from '../app/topology';
+import { buildPlaybackFrames } from '../app/playback';
+import { solve } from '../app/solver';
+import { scoreMove } from '../app/scoring';
+
+const ALL_OFFSETS = Object.values(OFFSETS);
+const cells = (targets) => targets.map(({ row, col }) => `${row},${col}`).sort();
+
+describe('Topologies', () => {
+
+    // ==========================================
+    // 1. Registry (1 Test)
+    // ==========================================
+    describe('getTopology', () => {
+        it('should look up built-in topologies and fall back to the square board', () => {
+            expect(Object.keys(TOPOLOGIES)).toEqual(['square', 'torus', 'diagonal', 'hex']);
+            expect(getTopology('hex')).toBe(TOPOLOGIES.hex);
+            expect(getTopology('moebius')).toBe(DEFAULT_TOPOLOGY);
+            expect(getTopology()).toBe(DEFAULT_TOPOLOGY);
+            expect(updateGrid([[0, 2], [0, 0]], 0, 1, { topology: 'square' })).toEqual([[0, 3], [0, 0]]);
+        });
+    });
+
+    // ==========================================
+    // 2. Torus (2 Tests)
+    // ==========================================
+    describe('Torus', () => {
+        it('should wrap ripples off the right and bottom edges', () => {
+            // 2→3 on the right edge: -1 wraps to column 0
+            expect(updateGrid([[0, 0, 2], [0, 0, 0], [0, 0, 0]], 0, 2, { topology: 'torus' }))
+                .toEqual([[-1, 0, 3], [0, 0, 0], [0, 0, 0]]);
+            // 4→5 on the bottom edge: +2 wraps to row 0
+            expect(updateGrid([[0, 0, 0], [0, 0, 0], [0, 4, 0]], 2, 1, { topology: 'torus' }))
+                .toEqual([[0, 2, 0], [0, 0, 0], [0, 5, 0]]);
+        });
+
+        it('should trace the direction travelled so playback arrows point forwards', () => {
+            const { events } = updateGridWithTrace([[0, 0, 2], [0, 0, 0], [0, 0, 0]], 0, 2, { topology: 'torus' });
+            expect(events[1]).toMatchObject({ type: 'ripple', target: { row: 0, col: 0 }, offset: [0, 1] });
+            const [frame] = buildPlaybackFrames([[0, 0, 2], [0, 0, 0], [0, 0, 0]], events);
+            expect(frame.ripples[0].arrow).toBe('→');
+        });
+    });
+
+    // ==========================================
+    // 3. Diagonal (1 Test)
+    // ==========================================
+    describe('Diagonal', () => {
+        it('should add the diagonals beside each straight ripple, once per cell', () => {
+            // 2→3 in the centre: right, up-right and down-right all -1
+            expect(updateGrid([[0, 0, 0], [0, 2, 0], [0, 0, 0]], 1, 1, { topology: 'diagonal' }))
+                .toEqual([[0, 0, -1], [0, 3, -1], [0, 0, -1]]);
+            const targets = resolveTargets(TOPOLOGIES.diagonal, 1, 1, [OFFSETS.right, OFFSETS.upRight], 3, 3);
+            expect(cells(targets)).toEqual(['0,2', '1,2', '2,2']);
+        });
+    });
+
+    // ==========================================
+    // 4. Hex (2 Tests)
+    // ==========================================
+    describe('Hex', () => {
+        it('should give every cell six neighbours, shifted on odd rows', () => {
+            expect(cells(resolveTargets(TOPOLOGIES.hex, 2, 2, ALL_OFFSETS, 5, 5)))
+                .toEqual(['1,1', '1,2', '2,1', '2,3', '3,1', '3,2']);
+            expect(cells(resolveTargets(TOPOLOGIES.hex, 1, 2, ALL_OFFSETS, 5, 5)))
+                .toEqual(['0,2', '0,3', '1,1', '1,3', '2,2', '2,3']);
+        });
+
+        it('should send straight down ripples to both cells below', () => {
+            // Even row: below-left and below-right are columns c-1 and c
+            expect(updateGrid([[0, 4, 0], [0, 0, 0], [0, 0, 0]], 0, 1, { topology: 'hex' }))
+                .toEqual([[0, 5, 0], [2, 2, 0], [0, 0, 0]]);
+            // Odd row: columns c and c+1
+            expect(updateGrid([[0, 0, 0], [0, 4, 0], [0, 0, 0]], 1, 1, { topology: 'hex' }))
+                .toEqual([[0, 0, 0], [0, 5, 0], [0, 2, 2]]);
+        });
+    });
+
+    // ==========================================
+    // 5. Search & Scoring (1 Test)
+    // ==========================================
+    describe('Topology options', () => {
+        it('should be honoured by the solver and scoring', () => {
+            const start = [[0, 2], [0, 0]];
+            const target = [[-1, 3], [0, 0]];
+            expect(solve({ start, target, maxDepth: 1 }).status).toBe('unsolvable');
+            expect(solve({ start, target, maxDepth: 1, topology: 'torus' }).moves).toEqual([{ row: 0, col: 1 }]);
+            expect(scoreMove(start, { row: 0, col: 1 }, { topology: 'torus' }).cellsChanged).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+import {
+    DEFAULT_VERSUS,
+    validateVersusConfig,
+    describeVictory,
+    createVersusState,
+    versusReducer,
+    replayVersus
+} from '../app/versus';
+
+const click = (row, col) => ({ type: 'click', row, col });
+const play = (state, moves) => moves.reduce((current, [row, col]) => versusReducer(current, click(row, col)), state);
+
+describe('Hot-Seat Versus', () => {
+
+    // ==========================================
+    // 1. Config (2 Tests)
+    // ==========================================
+    describe('Config', () => {
+        it('should accept valid configs and describe their victory condition', () => {
+            expect(validateVersusConfig(DEFAULT_VERSUS)).toEqual([]);
+            expect(validateVersusConfig({ scoring: 'cascades', victory: 'target', limit: 10 })).toEqual([]);
+            expect(describeVictory({ scoring: 'cascades', victory: 'turns', limit: 3 })).toBe('Best score after 3 rounds');
+        });
+
+        it('should reject unknown options and missing limits', () => {
+            expect(validateVersusConfig(null)).toEqual(['Versus config must be an object']);
+            expect(validateVersusConfig({ scoring: 'luck', victory: 'turns', limit: 0 })).toEqual([
+                'Unknown scoring "luck"',
+                'Limit must be a positive integer'
+            ]);
+            expect(() => createVersusState([[0, 0], [0, 0]], { scoring: 'ownership', victory: 'sudden' }))
+                .toThrow('Invalid versus config: Unknown victory condition "sudden"');
+        });
+    });
+
+    // ==========================================
+    // 2. Turns & Scoring (3 Tests)
+    // ==========================================
+    describe('Turns & Scoring', () => {
+        it('should alternate players and ignore locked clicks without passing the turn', () => {
+            const start = createVersusState([[14, 0], [0, 14]], DEFAULT_VERSUS);
+            const first = versusReducer(start, click(0, 0));
+            expect(first.currentPlayer).toBe(1);
+            expect(first.turn).toBe(1);
+
+            expect(versusReducer(first, click(0, 0))).toBe(first);
+            expect(versusReducer(first, click(2, 0))).toBe(first);
+            expect(() => versusReducer(first, { type: 'pass' })).toThrow('Invalid versus action: unknown type "pass"');
+        });
+
+        it('should give locked cells to the mover and release them when expiring locks run out', () => {
+            const owned = play(createVersusState([[14, 0], [0, 14]], DEFAULT_VERSUS), [[0, 0], [1, 1]]);
+            expect(owned.owners).toEqual([[0, null], [null, 1]]);
+            expect(owned.scores).toEqual([1, 1]);
+
+            const lock = { threshold: 15, mode: 'expiring', duration: 2 };
+            const expired = play(createVersusState([[14, 0], [0, 14]], DEFAULT_VERSUS, { lock }), [[0, 0], [1, 1], [0, 1]]);
+            expect(expired.owners).toEqual([[null, null], [null, 1]]);
+            expect(expired.scores).toEqual([0, 1]);
+        });
+
+        it('should award cascade scoring to the player who triggered it', () => {
+            const grid = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+            const state = play(createVersusState(grid, { scoring: 'cascades', victory: 'board' }), [[1, 1], [1, 1], [1, 1]]);
+            expect(state.grid[1][2]).toBe(-1);
+            expect(state.scores).toEqual([1, 0]);
+            expect(state.currentPlayer).toBe(1);
+        });
+    });
+
+    // ==========================================
+    // 3. Victory & Replay (2 Tests)
+    // ==========================================
+    describe('Victory & Replay', () => {
+        it('should end on a full board, a score target or a round limit', () => {
+            const board = play(createVersusState([[14, 14], [14, 14]], DEFAULT_VERSUS), [[0, 0], [1, 1], [0, 1], [0, 1]]);
+            expect(board).toMatchObject({ status: 'over', winner: 'draw', scores: [2, 2] });
+            expect(versusReducer(board, click(1, 0))).toBe(board);
+
+            const target = play(createVersusState([[14, 0], [0, 14]], { ...DEFAULT_VERSUS, victory: 'target', limit: 1 }), [[0, 0]]);
+            expect(target).toMatchObject({ status: 'over', winner: 0 });
+
+            const grid = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+            const rounds = play(createVersusState(grid, { scoring: 'cascades', victory: 'turns', limit: 2 }), [[1, 1], [1, 1], [1, 1]]);
+            expect(rounds.status).toBe('playing');
+            expect(versusReducer(rounds, click(0, 0))).toMatchObject({ status: 'over', winner: 0, turn: 4 });
+        });
+
+        it('should replay moves to the same state as the reducer', () => {
+            const grid = [[14, 0], [0, 14]];
+            const moves = [{ row: 0, col: 0 }, { row: 0, col: 0 }, { row: 1, col: 1 }];
+            const replayed = replayVersus(grid, moves, DEFAULT_VERSUS);
+            expect(replayed).toEqual(play(createVersusState(grid, DEFAULT_VERSUS), moves.map(({ row, col }) => [row, col])));
+            expect(replayed.turn).toBe(2);
+            expect(replayed.currentPlayer).toBe(0);
+        });
+    });
+});
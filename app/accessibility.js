@@ -0,0 +1,126 @@
+/**
+ * Accessibility
+ *
+ * Screen-reader text and keyboard movement for the ARIA grid: cell labels
+ * that carry value, parity and lock state (otherwise shown only by colour),
+ * spoken summaries of a cascade built from the updateGridWithTrace event
+ * log, and roving-focus arithmetic for arrow/Home/End keys.
+ */
+
+import { getCellInfo, isLocked } from './gameState';
+
+// ============================================================================
+// CELL LABELS
+// ============================================================================
+
+/** Cascade events narrated before the rest are summarised as a count */
+export const MAX_NARRATED_EVENTS = 8;
+
+/**
+ * Accessible name of a cell
+ * @param {number} value
+ * @param {number} row
+ * @param {number} col
+ * @param {boolean} [locked] - Lock state under the active lock rules (default: value >= 15)
+ * @returns {string} - e.g. "Cell 1,2: 4, even" or "Cell 0,0: 15, odd, locked"
+ */
+export function describeCell(value, row, col, locked) {
+    const info = getCellInfo(value, undefined, locked);
+    return `Cell ${row},${col}: ${value}, ${info.isEven ? 'even' : 'odd'}${info.isLocked ? ', locked' : ''}`;
+}
+
+// ============================================================================
+// CASCADE NARRATION
+// ============================================================================
+
+/**
+ * Sentence for one trace event, or null if it is not worth announcing
+ * @param {import('./gameState').TraceEvent} event
+ * @param {import('./locks').LockConfig} [lock] - Active lock rules
+ * @returns {string|null}
+ */
+function narrateEvent(event, lock) {
+    const { row, col } = event.target;
+
+    if (event.type === 'skip') {
+        return event.reason === 'locked' ? `cell ${row},${col} is locked, ripple blocked` : null;
+    }
+
+    const verb = event.delta < 0 ? 'decreased' : 'increased';
+    const blast = event.ruleId === 'bomb' ? ' by a bomb' : '';
+    const locks = isLocked(event.to, lock) && !isLocked(event.from, lock);
+    return `cell ${row},${col} ${verb} to ${event.to}${blast}${locks ? ', now locked' : ''}`;
+}
+
+/**
+ * Announcements for a move, in cascade order
+ *
+ * Ripples that fall off the board are left out; past MAX_NARRATED_EVENTS
+ * the remainder is reported as a single "and N more changes".
+ *
+ * @param {import('./gameState').TraceEvent[]} events - From updateGridWithTrace
+ * @param {import('./locks').LockConfig} [lock] - Active lock rules
+ * @returns {string[]}
+ */
+export function narrateCascade(events, lock) {
+    const blockedClick = events.length === 1 && events[0].type === 'skip' && events[0].reason === 'locked';
+    if (blockedClick) {
+        const { row, col } = events[0].target;
+        return [`cell ${row},${col} is locked, nothing happened`];
+    }
+
+    const messages = events.map(event => narrateEvent(event, lock)).filter(Boolean);
+    if (messages.length <= MAX_NARRATED_EVENTS) return messages;
+
+    const hidden = messages.length - MAX_NARRATED_EVENTS;
+    return [...messages.slice(0, MAX_NARRATED_EVENTS), `and ${hidden} more change${hidden === 1 ? '' : 's'}`];
+}
+
+// ============================================================================
+// KEYBOARD NAVIGATION
+// ============================================================================
+
+/**
+ * Cell focused after a navigation key (WAI-ARIA grid pattern)
+ *
+ * Arrows move one cell and stop at the edges; Home/End jump to the ends of
+ * the row, or to the first/last cell of the grid with Ctrl.
+ *
+ * @param {{row: number, col: number}} position - Currently focused cell
+ * @param {string} key - KeyboardEvent.key
+ * @param {number} rows
+ * @param {number} cols
+ * @param {Object} [options]
+ * @param {boolean} [options.ctrlKey=false]
+ * @returns {{row: number, col: number}|null} - null if the key does not navigate
+ */
+export function getNextFocus({ row, col }, key, rows, cols, { ctrlKey = false } = {}) {
+    switch (key) {
+        case 'ArrowUp':
+            return { row: Math.max(row - 1, 0), col };
+        case 'ArrowDown':
+            return { row: Math.min(row + 1, rows - 1), col };
+        case 'ArrowLeft':
+            return { row, col: Math.max(col - 1, 0) };
+        case 'ArrowRight':
+            return { row, col: Math.min(col + 1, cols - 1) };
+        case 'Home':
+            return { row: ctrlKey ? 0 : row, col: 0 };
+        case 'End':
+            return { row: ctrlKey ? rows - 1 : row, col: cols - 1 };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check if a key event target takes typing, so board shortcuts leave it alone
+ * @param {EventTarget|null} target - KeyboardEvent.target
+ * @returns {boolean}
+ */
+export function isTextEntryTarget(target) {
+    return Boolean(target && (
+        target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+    ));
+}
@@ -0,0 +1,11 @@
+import { applySessionMove, getSessionStore } from '../../../../gameSessions';
+import { respond, readBody } from '../../respond';
+
+/**
+ * POST /api/game/:id/move: apply a move on the server
+ * Body: { row, col, moveNumber } (moveNumber starts at 1)
+ */
+export async function POST(request, { params }) {
+    const { id } = await params;
+    return respond(await applySessionMove(getSessionStore(), id, await readBody(request)));
+}
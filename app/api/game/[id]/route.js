@@ -0,0 +1,10 @@
+import { getSession, getSessionStore } from '../../../gameSessions';
+import { respond } from '../respond';
+
+/**
+ * GET /api/game/:id: the authoritative state of a session
+ */
+export async function GET(request, { params }) {
+    const { id } = await params;
+    return respond(await getSession(getSessionStore(), id));
+}
@@ -0,0 +1,32 @@
+/**
+ * JSON responses shared by the game route handlers
+ */
+
+import { toSessionView } from '../../gameSessions';
+
+/**
+ * Response for a session result: the session view, or the error with its status
+ * @param {{session?: import('../../gameSessions').GameSession, error?: import('../../gameSessions').SessionError}} result
+ * @param {number} [status=200] - Status on success
+ * @returns {Response}
+ */
+export function respond({ session, error }, status = 200) {
+    if (error) {
+        const { status: errorStatus, code, message } = error;
+        return Response.json({ error: { code, message } }, { status: errorStatus });
+    }
+    return Response.json(toSessionView(session), { status });
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Request} request
+ * @returns {Promise<any>} - undefined when the body is missing or not JSON
+ */
+export async function readBody(request) {
+    try {
+        return await request.json();
+    } catch {
+        return undefined;
+    }
+}
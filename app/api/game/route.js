@@ -0,0 +1,10 @@
+import { createSession, getSessionStore } from '../../gameSessions';
+import { respond, readBody } from './respond';
+
+/**
+ * POST /api/game: start a session
+ * Body: { grid?, rows?, cols?, ruleSetId?, topology?, lock? }
+ */
+export async function POST(request) {
+    return respond(await createSession(getSessionStore(), await readBody(request)), 201);
+}
@@ -0,0 +1,182 @@
+'use client';
+
+import { useState, useSyncExternalStore } from 'react';
+import Link from 'next/link';
+import { createHistory, recordMove, undo, canUndo } from '../history';
+import { evaluateObjective, describeObjective } from '../objectives';
+import { getRuleSet } from '../rules';
+import {
+  CAMPAIGN_STORAGE_KEY,
+  LEVEL_PACKS,
+  loadLevelPack,
+  rateLevel,
+  parseCampaignProgress,
+  recordLevelResult,
+  getLevelStatuses
+} from '../levelPack';
+import PlayBoard from '../components/PlayBoard';
+import useTheme from '../useTheme';
+
+// localStorage as an external store: other tabs notify through "storage" events,
+// and this page re-renders itself after every move
+const subscribeStorage = (onChange) => {
+  window.addEventListener('storage', onChange);
+  return () => window.removeEventListener('storage', onChange);
+};
+const getStoredProgress = () => localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+const getServerSnapshot = () => null;
+
+const renderStars = (stars) => '★'.repeat(stars) + '☆'.repeat(3 - stars);
+
+export default function CampaignPage() {
+  const storedProgress = useSyncExternalStore(subscribeStorage, getStoredProgress, getServerSnapshot);
+  const isDarkMode = useTheme().theme.isDark;
+  const [packs, setPacks] = useState(LEVEL_PACKS);
+  const [packId, setPackId] = useState(LEVEL_PACKS[0].id);
+  const [play, setPlay] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  const progress = parseCampaignProgress(storedProgress);
+  const pack = packs.find(candidate => candidate.id === packId);
+  const statuses = getLevelStatuses(pack, progress);
+
+  const result = play
+    ? evaluateObjective(play.level.objective, {
+      grid: play.history.present.grid,
+      moveCount: play.history.past.length
+    })
+    : null;
+  const levelIndex = play ? pack.levels.indexOf(play.level) : -1;
+  const nextStatus = statuses[levelIndex + 1];
+
+  const startLevel = (level) => {
+    setPlay({ level, history: createHistory(level.start) });
+  };
+
+  const handleCellClick = (row, col) => {
+    const history = recordMove(play.history, row, col, { ruleSet: getRuleSet(play.level.ruleSetId) });
+    setPlay({ ...play, history });
+
+    const moves = history.past.length;
+    if (evaluateObjective(play.level.objective, { grid: history.present.grid, moveCount: moves }).status === 'won') {
+      const updated = recordLevelResult(progress, pack.id, play.level.id, rateLevel(play.level, moves));
+      try {
+        localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(updated));
+        setSaveError(null);
+      } catch {
+        setSaveError('Could not save your progress: storage is full or unavailable');
+      }
+    }
+  };
+
+  const handleLoadPack = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const loaded = loadLevelPack(await file.text());
+      setPacks([...packs.filter(candidate => candidate.id !== loaded.id), loaded]);
+      setPackId(loaded.id);
+      setPlay(null);
+      setLoadError(null);
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  };
+
+  const cardClass = `p-6 rounded-2xl shadow-xl border flex flex-col gap-4 ${isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-100'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = `px-3 py-1.5 text-sm font-semibold rounded-md border transition-colors cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+      ? 'border-gray-600 hover:bg-gray-700'
+      : 'border-gray-300 hover:bg-gray-100'
+    }`;
+
+  return (
+    <div className={`min-h-screen p-6 transition-colors duration-300 ${isDarkMode ? 'bg-black text-white' : 'bg-gray-50/50 text-gray-900'}`}>
+      <div className="max-w-4xl mx-auto flex flex-col gap-6">
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-3xl font-bold">Campaign</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={packId}
+              onChange={(e) => { setPackId(e.target.value); setPlay(null); }}
+              aria-label="Level pack"
+              className={`px-2 py-1.5 text-sm rounded-md border ${isDarkMode ? 'bg-gray-900 border-gray-600' : 'bg-white border-gray-300'}`}
+            >
+              {packs.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+            </select>
+            <label className={buttonClass}>
+              Load pack JSON
+              <input type="file" accept="application/json,.json" onChange={handleLoadPack} className="sr-only" />
+            </label>
+            <Link href="/" className={buttonClass}>← Back to game</Link>
+          </div>
+        </header>
+
+        {loadError && <p role="alert" className="text-sm text-red-500">{loadError}</p>}
+        {saveError && <p role="alert" className="text-sm text-red-500">{saveError}</p>}
+
+        {/* LEVEL LIST */}
+        <section className={cardClass}>
+          <div>
+            <h2 className="text-lg font-bold">{pack.name}</h2>
+            {pack.description && <p className={`text-sm ${mutedClass}`}>{pack.description}</p>}
+          </div>
+          <ol className="grid sm:grid-cols-2 gap-2">
+            {statuses.map(({ level, stars, unlocked }, index) => (
+              <li key={level.id}>
+                <button
+                  onClick={() => startLevel(level)}
+                  disabled={!unlocked}
+                  aria-label={`Level ${index + 1}: ${level.name}, ${unlocked ? `${stars} of 3 stars` : 'locked'}`}
+                  className={`${buttonClass} w-full flex justify-between gap-2 ${play?.level === level ? 'ring-2 ring-blue-500' : ''}`}
+                >
+                  <span>{index + 1}. {level.name}</span>
+                  <span className="font-mono text-amber-500" aria-hidden="true">{unlocked ? renderStars(stars) : '🔒'}</span>
+                </button>
+              </li>
+            ))}
+          </ol>
+        </section>
+
+        {/* ACTIVE LEVEL */}
+        {play && (
+          <section className={cardClass}>
+            <div>
+              <h2 className="text-lg font-bold">{play.level.name}</h2>
+              {play.level.intro && <p className="text-sm">{play.level.intro}</p>}
+              <p className={`text-sm ${mutedClass}`}>
+                {describeObjective(play.level.objective)} · Par {play.level.par} · ★★★ in {play.level.stars.three}, ★★ in {play.level.stars.two}
+              </p>
+            </div>
+            <p role="status" className={`text-sm font-semibold ${result.status === 'won' ? 'text-green-600' : result.status === 'lost' ? 'text-red-500' : mutedClass}`}>
+              {result.status === 'won'
+                ? `Solved in ${play.history.past.length} moves: ${renderStars(rateLevel(play.level, play.history.past.length))}`
+                : `${play.history.past.length} moves · ${result.reason}`}
+            </p>
+            <PlayBoard
+              grid={play.history.present.grid}
+              onCellClick={handleCellClick}
+              disabled={result.status !== 'playing'}
+              isDarkMode={isDarkMode}
+            />
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => setPlay({ ...play, history: undo(play.history) })} disabled={!canUndo(play.history)} className={buttonClass}>
+                ↩ Undo
+              </button>
+              <button onClick={() => startLevel(play.level)} className={buttonClass}>
+                ↺ Restart
+              </button>
+              {result.status === 'won' && nextStatus && (
+                <button onClick={() => startLevel(nextStatus.level)} className={buttonClass}>
+                  Next level →
+                </button>
+              )}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
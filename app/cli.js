@@ -0,0 +1,465 @@
+/**
+ * Command-Line Simulator
+ *
+ * The commands behind bin/recursive-grid, as pure functions over argv
+ * strings so they run (and are tested) without a terminal. File access is
+ * passed in; everything else is the same engine the UI uses.
+ *
+ * Every command prints a human-readable report, or one JSON document with
+ * --json (one per line for generate and the REPL) for use in pipelines.
+ */
+
+import { createInitialState, createCustomState, updateGridWithTrace, getGridStats, isLocked, isValidPosition, TRUNCATION_REASONS } from './gameState';
+import { createHistory, recordMove, undo, getMoves } from './history';
+import { narrateCascade } from './accessibility';
+import { parsePuzzle, serializePuzzle } from './puzzle';
+import { solvePuzzle } from './solver';
+import { generatePuzzles } from './generator';
+import { createRng, hashString } from './random';
+import { RULE_SETS, getRuleSet } from './rules';
+import { TOPOLOGIES } from './topology';
+
+// ============================================================================
+// CLI STRUCTURE
+// ============================================================================
+
+/**
+ * Parsed command line
+ * @typedef {Object} CliArgs
+ * @property {string} command - play, solve, generate, repl or help
+ * @property {string[]} positional - Arguments after the command
+ * @property {Object<string, string|boolean>} flags - --name value, or true for switches
+ */
+
+/**
+ * Result of running a command
+ * @typedef {Object} CliResult
+ * @property {string} output - Text for stdout (or stderr when exitCode is 1)
+ * @property {number} exitCode - 0 on success, 1 on error
+ */
+
+/**
+ * REPL state
+ * @typedef {Object} ReplSession
+ * @property {import('./history').History} history
+ * @property {string} ruleSetId
+ * @property {string} topology
+ * @property {boolean} trace - Print each cascade after a click
+ * @property {boolean} json - Print JSON instead of text
+ */
+
+/** Flags that take no value */
+const SWITCHES = new Set(['json', 'trace', 'help']);
+
+export const CLI_USAGE = `Usage: recursive-grid <command> [options]
+
+Commands:
+  play [clicks...]   Apply clicks ("row,col") to a grid and print the result
+  solve <file>       Solve a puzzle JSON file within its move limit
+  generate           Generate puzzles (JSON: one puzzle per line)
+  repl               Interactive session (type "help" inside)
+
+Options:
+  --grid <rows>      Start grid, e.g. "0,0,0;0,4,0;0,0,0" (play, repl)
+  --rows <n>         Empty board rows (default 3); --cols <n> defaults to rows
+  --rules <id>       Rule set: ${Object.keys(RULE_SETS).join(', ')}
+  --topology <id>    Board: ${Object.keys(TOPOLOGIES).join(', ')}
+  --trace            Print every cascade step (play, repl)
+  --count <n>        Puzzles to generate (default 1)
+  --seed <text>      Seed for repeatable generation
+  --min-moves <n>    Shortest solution a generated puzzle may have (default 3)
+  --max-nodes <n>    Solver node cap
+  --json             Machine-readable output`;
+
+export const REPL_HELP = `Commands:
+  r,c | click r c    Click a cell
+  undo               Take back the last click
+  show               Print the board
+  reset [rows cols]  Start again on an empty board
+  grid <rows>        Start again from a grid, e.g. grid 0,0;0,4
+  rules <id>         Switch rule set (${Object.keys(RULE_SETS).join(', ')})
+  trace on|off       Print each cascade
+  json on|off        Print JSON
+  quit               Leave`;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split argv into a command, positional arguments and flags
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {CliArgs}
+ */
+export function parseCliArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const name = arg.slice(2);
+        if (SWITCHES.has(name)) {
+            flags[name] = true;
+        } else if (i + 1 < argv.length) {
+            flags[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for --${name}`);
+        }
+    }
+
+    const [command = 'help', ...rest] = positional;
+    return { command: flags.help ? 'help' : command, positional: rest, flags };
+}
+
+/**
+ * Parse a grid written as rows separated by ";" (or JSON)
+ * @param {string} text - e.g. "0,0,0;0,4,0" or "[[0,0],[0,4]]"
+ * @returns {number[][]}
+ */
+export function parseGrid(text) {
+    let grid;
+    try {
+        grid = text.trim().startsWith('[')
+            ? JSON.parse(text)
+            : text.split(';').map(row => row.split(',').map(cell => (cell.trim() === '' ? NaN : Number(cell))));
+    } catch {
+        throw new Error('Invalid grid: not valid JSON');
+    }
+    return createCustomState(grid).grid; // Validates
+}
+
+/**
+ * Parse a click written as "row,col"
+ * @param {string} text
+ * @returns {import('./history').Move}
+ */
+export function parseClick(text) {
+    const match = /^\s*(\d+)\s*,\s*(\d+)\s*$/.exec(text);
+    if (!match) {
+        throw new Error(`Invalid click: "${text}" (expected row,col)`);
+    }
+    return { row: Number(match[1]), col: Number(match[2]) };
+}
+
+/**
+ * Read a whole-number flag
+ * @param {Object<string, string|boolean>} flags
+ * @param {string} name
+ * @param {number} [fallback]
+ * @returns {number|undefined}
+ */
+function readNumber(flags, name, fallback) {
+    if (flags[name] === undefined) return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`--${name} must be a positive whole number`);
+    }
+    return value;
+}
+
+/**
+ * Read a registry id flag, rejecting unknown ids (the engine would silently fall back)
+ * @param {Object<string, string|boolean>} flags
+ * @param {string} name
+ * @param {Object} registry
+ * @param {string} fallback
+ * @returns {string}
+ */
+function readId(flags, name, registry, fallback) {
+    const id = flags[name] ?? fallback;
+    if (!Object.hasOwn(registry, id)) {
+        throw new Error(`Unknown --${name} "${id}" (expected one of ${Object.keys(registry).join(', ')})`);
+    }
+    return id;
+}
+
+/**
+ * Start grid from --grid or --rows/--cols
+ * @param {Object<string, string|boolean>} flags
+ * @returns {number[][]}
+ */
+function readStartGrid(flags) {
+    if (flags.grid !== undefined) return parseGrid(String(flags.grid));
+    const rows = readNumber(flags, 'rows', 3);
+    return createInitialState(rows, readNumber(flags, 'cols', rows)).grid;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Grid as aligned text; locked cells are marked with *
+ * @param {number[][]} grid
+ * @returns {string}
+ */
+export function formatGrid(grid) {
+    const cells = grid.map(row => row.map(value => `${value}${isLocked(value) ? '*' : ''}`));
+    const width = Math.max(...cells.flat().map(cell => cell.length));
+    return cells.map(row => row.map(cell => cell.padStart(width)).join(' ')).join('\n');
+}
+
+/**
+ * Cascade report for one click
+ * @param {import('./gameState').UpdateTrace} trace
+ * @returns {string}
+ */
+function formatTrace({ events, depth, truncated }) {
+    const lines = narrateCascade(events).map(message => `  ${message}`);
+    lines.push(`  depth ${depth}`);
+    if (truncated) {
+        lines.push(`  stopped early: ${TRUNCATION_REASONS[truncated.reason]} (${truncated.pending} cells still queued)`);
+    }
+    return lines.join('\n');
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Apply clicks one at a time, keeping each trace
+ * @param {number[][]} start
+ * @param {import('./history').Move[]} clicks
+ * @param {import('./gameState').UpdateOptions} options
+ * @returns {{grid: number[][], steps: Array<{move: import('./history').Move} & import('./gameState').UpdateTrace>}}
+ */
+function playClicks(start, clicks, options) {
+    let grid = start;
+    const steps = clicks.map(move => {
+        if (!isValidPosition(move.row, move.col, grid.length, grid[0].length)) {
+            throw new Error(`Click ${move.row},${move.col} is off the ${grid.length}x${grid[0].length} board`);
+        }
+        const trace = updateGridWithTrace(grid, move.row, move.col, options);
+        grid = trace.grid;
+        return { move, ...trace };
+    });
+    return { grid, steps };
+}
+
+/**
+ * play: apply a click sequence
+ * @param {CliArgs} args
+ * @returns {string}
+ */
+function runPlay({ positional, flags }) {
+    const start = readStartGrid(flags);
+    const clicks = positional.map(parseClick);
+    const options = {
+        ruleSet: getRuleSet(readId(flags, 'rules', RULE_SETS, 'classic')),
+        topology: readId(flags, 'topology', TOPOLOGIES, 'square')
+    };
+    const { grid, steps } = playClicks(start, clicks, options);
+
+    if (flags.json) {
+        return JSON.stringify({
+            start,
+            grid,
+            moves: clicks,
+            stats: getGridStats({ grid }),
+            ...(flags.trace ? { trace: steps.map(({ move, events, depth, truncated }) => ({ move, events, depth, truncated })) } : {})
+        });
+    }
+
+    const lines = [];
+    if (flags.trace) {
+        steps.forEach(step => {
+            lines.push(`click ${step.move.row},${step.move.col}`, formatTrace(step));
+        });
+    }
+    const { sum, lockedCount } = getGridStats({ grid });
+    lines.push(formatGrid(grid), `${clicks.length} moves · sum ${sum} · ${lockedCount} locked`);
+    return lines.join('\n');
+}
+
+/**
+ * solve: solve a puzzle file
+ * @param {CliArgs} args
+ * @param {(path: string) => string} readFile
+ * @returns {string}
+ */
+function runSolve({ positional, flags }, readFile) {
+    const [path] = positional;
+    if (!path) {
+        throw new Error('solve needs a puzzle file');
+    }
+    const puzzle = parsePuzzle(readFile(path));
+    const result = solvePuzzle(puzzle, { maxNodes: readNumber(flags, 'max-nodes') });
+
+    if (flags.json) {
+        return JSON.stringify({ puzzle: puzzle.id, ...result });
+    }
+    const explored = `${result.nodesExplored} positions explored`;
+    if (result.status === 'solved') {
+        return `${puzzle.name}: solved in ${result.moves.length} moves (${explored})\n` +
+            result.moves.map(({ row, col }) => `${row},${col}`).join(' ');
+    }
+    if (result.status === 'unsolvable') {
+        return `${puzzle.name}: no solution within ${result.depth} moves (${explored})`;
+    }
+    return `${puzzle.name}: gave up at the node limit (${explored})`;
+}
+
+/**
+ * generate: generate puzzles
+ * @param {CliArgs} args
+ * @returns {string}
+ */
+function runGenerate({ flags }) {
+    const rows = readNumber(flags, 'rows', 3);
+    const puzzles = generatePuzzles(readNumber(flags, 'count', 1), {
+        rows,
+        cols: readNumber(flags, 'cols', rows),
+        minMoves: readNumber(flags, 'min-moves', 3),
+        ruleSetId: readId(flags, 'rules', RULE_SETS, 'classic'),
+        ...(flags.seed !== undefined ? { rng: createRng(hashString(String(flags.seed))) } : {})
+    });
+    if (puzzles.length === 0) {
+        throw new Error('No puzzle qualified; try fewer --min-moves or a bigger board');
+    }
+
+    if (flags.json) {
+        return puzzles.map(serializePuzzle).join('\n');
+    }
+    return puzzles.map(puzzle => [
+        `${puzzle.name} · ${puzzle.difficulty.label} · ${puzzle.maxMoves} moves`,
+        'start:', formatGrid(puzzle.start),
+        'target:', formatGrid(puzzle.target)
+    ].join('\n')).join('\n\n');
+}
+
+/**
+ * Run one command
+ * Errors are reported in the result rather than thrown.
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io
+ * @param {(path: string) => string} io.readFile - Used by solve
+ * @returns {CliResult}
+ */
+export function runCli(argv, { readFile }) {
+    try {
+        const args = parseCliArgs(argv);
+        switch (args.command) {
+            case 'help':
+                return { output: CLI_USAGE, exitCode: 0 };
+            case 'play':
+                return { output: runPlay(args), exitCode: 0 };
+            case 'solve':
+                return { output: runSolve(args, readFile), exitCode: 0 };
+            case 'generate':
+                return { output: runGenerate(args), exitCode: 0 };
+            default:
+                throw new Error(`Unknown command "${args.command}" (run with --help)`);
+        }
+    } catch (error) {
+        return { output: `error: ${error.message}`, exitCode: 1 };
+    }
+}
+
+// ============================================================================
+// REPL
+// ============================================================================
+
+/**
+ * Start a REPL session from the command-line flags
+ * @param {Object<string, string|boolean>} flags
+ * @returns {ReplSession}
+ */
+export function createReplSession(flags) {
+    return {
+        history: createHistory(readStartGrid(flags)),
+        ruleSetId: readId(flags, 'rules', RULE_SETS, 'classic'),
+        topology: readId(flags, 'topology', TOPOLOGIES, 'square'),
+        trace: Boolean(flags.trace),
+        json: Boolean(flags.json)
+    };
+}
+
+/**
+ * Board report for the session
+ * @param {ReplSession} session
+ * @returns {string}
+ */
+function showSession({ history, json }) {
+    const { grid } = history.present;
+    if (json) {
+        return JSON.stringify({ grid, moves: getMoves(history), stats: getGridStats({ grid }) });
+    }
+    return `${formatGrid(grid)}\n${getMoves(history).length} moves · sum ${getGridStats({ grid }).sum}`;
+}
+
+/**
+ * Click a cell in the session
+ * @param {ReplSession} session
+ * @param {import('./history').Move} move
+ * @returns {{session: ReplSession, output: string}}
+ */
+function clickSession(session, { row, col }) {
+    const options = { ruleSet: getRuleSet(session.ruleSetId), topology: session.topology };
+    const history = recordMove(session.history, row, col, options);
+    if (history === session.history) {
+        return { session, output: `cell ${row},${col} is locked or off the board` };
+    }
+
+    const next = { ...session, history };
+    if (!session.trace) {
+        return { session: next, output: showSession(next) };
+    }
+    const trace = updateGridWithTrace(session.history.present.grid, row, col, options);
+    if (session.json) {
+        const { grid, events, depth, truncated } = trace;
+        return { session: next, output: JSON.stringify({ move: { row, col }, grid, events, depth, truncated }) };
+    }
+    return { session: next, output: `${formatTrace(trace)}\n${showSession(next)}` };
+}
+
+/**
+ * Evaluate one REPL line
+ * @param {ReplSession} session
+ * @param {string} line
+ * @returns {{session: ReplSession, output: string, done?: boolean}}
+ */
+export function runReplLine(session, line) {
+    const [word = '', ...rest] = line.trim().split(/\s+/);
+    try {
+        switch (word) {
+            case '':
+                return { session, output: '' };
+            case 'help':
+                return { session, output: REPL_HELP };
+            case 'quit':
+            case 'exit':
+                return { session, output: '', done: true };
+            case 'show':
+                return { session, output: showSession(session) };
+            case 'undo': {
+                const next = { ...session, history: undo(session.history) };
+                return { session: next, output: next.history === session.history ? 'nothing to undo' : showSession(next) };
+            }
+            case 'click':
+                return clickSession(session, parseClick(rest.join(',')));
+            case 'reset':
+            case 'grid': {
+                const flags = word === 'grid' ? { grid: rest.join('') } : { rows: rest[0], cols: rest[1] ?? rest[0] };
+                const next = { ...session, history: createHistory(readStartGrid(flags)) };
+                return { session: next, output: showSession(next) };
+            }
+            case 'rules':
+                return { session: { ...session, ruleSetId: readId({ rules: rest[0] }, 'rules', RULE_SETS) }, output: `rules: ${rest[0]}` };
+            case 'trace':
+            case 'json':
+                return { session: { ...session, [word]: rest[0] !== 'off' }, output: `${word} ${rest[0] === 'off' ? 'off' : 'on'}` };
+            default:
+                if (!/^\d/.test(word)) {
+                    throw new Error(`Unknown command "${word}" (type help)`);
+                }
+                return clickSession(session, parseClick(line));
+        }
+    } catch (error) {
+        return { session, output: `error: ${error.message}` };
+    }
+}
@@ -0,0 +1,43 @@
+'use client';
+
+import { useState } from 'react';
+
+/**
+ * Daily challenge header with streaks and a share button once played
+ * @param {Object} props
+ * @param {string} props.dateKey - "YYYY-MM-DD"
+ * @param {{current: number, best: number}} props.streaks
+ * @param {string|null} props.shareText - Summary of today's result, if any
+ * @param {boolean} props.isDarkMode
+ */
+export default function DailyPanel({ dateKey, streaks, shareText, isDarkMode }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleShare = async () => {
+    if (navigator.share) {
+      await navigator.share({ text: shareText }).catch(() => {});
+      return;
+    }
+    await navigator.clipboard?.writeText(shareText);
+    setCopied(true);
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center justify-center gap-3 text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+      <span className="font-semibold">📅 Daily {dateKey}</span>
+      <span>🔥 Streak {streaks.current}</span>
+      <span>Best {streaks.best}</span>
+      {shareText && (
+        <button
+          onClick={handleShare}
+          className={`px-3 py-1 rounded-md border font-semibold transition-colors ${isDarkMode
+              ? 'border-emerald-700 text-emerald-300 hover:bg-emerald-900/40'
+              : 'border-emerald-300 text-emerald-700 hover:bg-emerald-50'
+            }`}
+        >
+          {copied ? 'Copied!' : 'Share result'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import { getGridStats } from '../gameState';
+
+/**
+ * Overlay shown over the game card once the objective is decided
+ * @param {Object} props
+ * @param {import('../gameState').GameState} props.state - Final game state
+ * @param {import('../objectives').ObjectiveResult} props.result - Outcome
+ * @param {number} props.score - Final score
+ * @param {boolean} props.isDarkMode
+ * @param {() => void} props.onPlayAgain
+ * @param {() => void} props.onUndo
+ */
+export default function GameOverScreen({ state, result, score, isDarkMode, onPlayAgain, onUndo }) {
+  const stats = getGridStats(state);
+  const won = result.status === 'won';
+
+  const rows = [
+    ['Score', score],
+    ['Moves', state.moveCount],
+    ['Hints used', state.hintsUsed ?? 0],
+    ['Locked cells', `${stats.lockedCount} / ${stats.totalCells}`],
+    ['Sum', stats.sum],
+    ['Min / Max', `${stats.minValue} / ${stats.maxValue}`],
+    ['Average', stats.average.toFixed(2)]
+  ];
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="game-over-title"
+      className="absolute inset-0 z-20 flex items-center justify-center rounded-2xl bg-black/60 backdrop-blur-sm p-6"
+    >
+      <div className={`w-full max-w-xs p-6 rounded-xl shadow-xl flex flex-col items-center gap-4 ${isDarkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
+        }`}>
+        <div className="text-4xl" aria-hidden="true">{won ? '🎉' : '💥'}</div>
+        <h2 id="game-over-title" className="text-2xl font-bold">
+          {won ? 'You won!' : 'Game over'}
+        </h2>
+        <p className={`text-sm text-center ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          {result.reason}
+        </p>
+
+        <dl className="w-full grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+          {rows.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>{label}</dt>
+              <dd className="text-right font-mono font-semibold">{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <div className="flex gap-2 w-full">
+          <button
+            onClick={onUndo}
+            className={`flex-1 px-4 py-2 text-sm font-semibold rounded-md border transition-colors ${isDarkMode
+                ? 'border-gray-600 hover:bg-gray-700'
+                : 'border-gray-300 hover:bg-gray-100'
+              }`}
+          >
+            ↶ Undo
+          </button>
+          <button
+            onClick={onPlayAgain}
+            className="flex-1 px-4 py-2 text-sm font-semibold rounded-md bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+          >
+            Play Again
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+'use client';
+
+import { useState } from 'react';
+
+/**
+ * Hint button with the suggested move and an optional "show why" preview
+ * @param {Object} props
+ * @param {import('../hints').HintMove[]|null} props.ranking - Best first
+ * @param {boolean} props.isThinking
+ * @param {number} props.hintsUsed
+ * @param {number[][]} props.grid - Current grid (to highlight preview changes)
+ * @param {boolean} props.disabled
+ * @param {() => void} props.onRequest
+ * @param {boolean} props.isDarkMode
+ */
+export default function HintPanel({ ranking, isThinking, hintsUsed, grid, disabled, onRequest, isDarkMode }) {
+  const [showWhy, setShowWhy] = useState(false);
+  const best = ranking?.[0];
+
+  return (
+    <div className={`flex flex-col items-center gap-2 text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onRequest}
+          disabled={disabled || isThinking}
+          className={`px-3 py-1 rounded-md border font-semibold transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+              ? 'border-sky-700 text-sky-300 hover:bg-sky-900/40'
+              : 'border-sky-300 text-sky-700 hover:bg-sky-50'
+            }`}
+        >
+          {isThinking ? 'Thinking…' : '💡 Hint'}
+        </button>
+        <span>Hints used: {hintsUsed}</span>
+      </div>
+
+      {best && (
+        <div className="flex flex-col items-center gap-2">
+          <p>
+            Try cell <strong className="font-mono">({best.row}, {best.col})</strong>
+            {' · '}
+            <button onClick={() => setShowWhy(!showWhy)} className="underline">
+              {showWhy ? 'hide why' : 'show why'}
+            </button>
+          </p>
+
+          {showWhy && (
+            <div className="flex flex-col items-center gap-1">
+              <div
+                className="grid gap-1"
+                style={{ gridTemplateColumns: `repeat(${best.preview[0].length}, minmax(0, 1fr))` }}
+                aria-label="Grid after the suggested move"
+              >
+                {best.preview.map((row, r) =>
+                  row.map((value, c) => {
+                    const changed = value !== grid[r][c];
+                    return (
+                      <div
+                        key={`${r}-${c}`}
+                        className={`w-7 h-7 flex items-center justify-center rounded font-mono font-bold border ${changed
+                            ? 'bg-sky-500 border-sky-600 text-white'
+                            : isDarkMode ? 'bg-gray-900 border-gray-600' : 'bg-gray-100 border-gray-300'
+                          }`}
+                      >
+                        {value}
+                      </div>
+                    );
+                  })
+                )}
+              </div>
+              <ol className="font-mono">
+                {ranking.slice(0, 3).map((move, i) => (
+                  <li key={`${move.row}-${move.col}`}>
+                    {i + 1}. ({move.row}, {move.col}) score {Math.round(move.score)}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
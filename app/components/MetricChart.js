@@ -0,0 +1,62 @@
+'use client';
+
+const WIDTH = 320;
+const HEIGHT = 120;
+const PADDING = 8;
+
+/**
+ * Line chart of one metric over successive games (inline SVG, no chart library)
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {Array<{finishedAt: string, value: number}>} props.series - Oldest first
+ * @param {boolean} props.isDarkMode
+ */
+export default function MetricChart({ label, series, isDarkMode }) {
+  const values = series.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const stepX = series.length > 1 ? (WIDTH - 2 * PADDING) / (series.length - 1) : 0;
+
+  const points = series.map((point, i) => ({
+    x: PADDING + i * stepX,
+    y: HEIGHT - PADDING - ((point.value - min) / range) * (HEIGHT - 2 * PADDING),
+    ...point
+  }));
+
+  return (
+    <figure className="flex flex-col gap-1">
+      <figcaption className={`text-xs font-semibold uppercase tracking-wide ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        {label}
+        {series.length > 0 && (
+          <span className="ml-2 font-mono normal-case">
+            min {Number(min.toFixed(2))} · max {Number(max.toFixed(2))}
+          </span>
+        )}
+      </figcaption>
+      {series.length === 0 ? (
+        <p className={`text-sm ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>No games yet.</p>
+      ) : (
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className={`w-full rounded border ${isDarkMode ? 'border-gray-700 bg-gray-900' : 'border-gray-200 bg-gray-50'}`}
+          role="img"
+          aria-label={`${label} over the last ${series.length} games, from ${min} to ${max}`}
+        >
+          <polyline
+            points={points.map(({ x, y }) => `${x},${y}`).join(' ')}
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+            className="text-indigo-500"
+          />
+          {points.map(({ x, y, value, finishedAt }, i) => (
+            <circle key={i} cx={x} cy={y} r="3" className="fill-indigo-500">
+              <title>{`${new Date(finishedAt).toLocaleString()}: ${Number(value.toFixed(2))}`}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+    </figure>
+  );
+}
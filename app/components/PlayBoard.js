@@ -0,0 +1,42 @@
+'use client';
+
+import { getCellInfo } from '../gameState';
+
+/**
+ * Compact clickable board for the editor's test play and the campaign
+ * @param {Object} props
+ * @param {number[][]} props.grid
+ * @param {(row: number, col: number) => void} props.onCellClick
+ * @param {boolean} [props.disabled] - Stops all clicks (e.g. once the level is decided)
+ * @param {boolean} props.isDarkMode
+ */
+export default function PlayBoard({ grid, onCellClick, disabled = false, isDarkMode }) {
+  return (
+    <div
+      className="grid gap-1 w-fit"
+      style={{ gridTemplateColumns: `repeat(${grid[0].length}, minmax(0, 1fr))` }}
+    >
+      {grid.map((row, rowIndex) =>
+        row.map((value, colIndex) => {
+          const { isLocked } = getCellInfo(value);
+          return (
+            <button
+              key={`${rowIndex}-${colIndex}`}
+              onClick={() => onCellClick(rowIndex, colIndex)}
+              disabled={isLocked || disabled}
+              aria-label={`Row ${rowIndex + 1}, column ${colIndex + 1}: ${value}${isLocked ? ', locked' : ''}`}
+              className={`w-12 h-12 rounded font-mono font-bold border-2 ${isLocked
+                  ? 'bg-red-500 border-red-600 text-white'
+                  : isDarkMode
+                    ? 'bg-gray-900 border-gray-600 hover:bg-gray-700 cursor-pointer'
+                    : 'bg-gray-100 border-gray-300 hover:bg-gray-200 cursor-pointer'
+                }`}
+            >
+              {value}
+            </button>
+          );
+        })
+      )}
+    </div>
+  );
+}
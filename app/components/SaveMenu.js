@@ -0,0 +1,87 @@
+'use client';
+
+import { useState } from 'react';
+
+/**
+ * Collapsible menu of named save slots
+ * @param {Object} props
+ * @param {ReturnType<import('../saves').listSlots>} props.slots - Newest first
+ * @param {() => void} props.onOpen - Called when the menu opens (refresh the list)
+ * @param {(name: string) => void} props.onSave
+ * @param {(name: string) => void} props.onLoad
+ * @param {(name: string) => void} props.onDelete
+ * @param {boolean} props.isDarkMode
+ */
+export default function SaveMenu({ slots, onOpen, onSave, onLoad, onDelete, isDarkMode }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+
+  const buttonClass = `px-2 py-0.5 rounded border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+      ? 'border-gray-600 hover:bg-gray-700'
+      : 'border-gray-300 hover:bg-gray-100'
+    }`;
+
+  const toggle = () => {
+    if (!isOpen) onOpen();
+    setIsOpen(!isOpen);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(name);
+    setName('');
+  };
+
+  return (
+    <div className={`flex flex-col items-center gap-2 text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+      <button onClick={toggle} aria-expanded={isOpen} className={`${buttonClass} font-semibold`}>
+        💾 Saves {isOpen ? '▴' : '▾'}
+      </button>
+
+      {isOpen && (
+        <div className="flex flex-col items-center gap-2">
+          <form onSubmit={handleSubmit} className="flex gap-1">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Slot name"
+              aria-label="Save slot name"
+              className={`px-2 py-0.5 rounded border ${isDarkMode
+                  ? 'bg-gray-900 border-gray-700 text-white'
+                  : 'bg-white border-gray-300 text-gray-900'
+                }`}
+            />
+            <button type="submit" disabled={!name.trim()} className={buttonClass}>
+              Save
+            </button>
+          </form>
+
+          {slots.length === 0 ? (
+            <p>No saved games yet.</p>
+          ) : (
+            <ul className="flex flex-col gap-1 w-full">
+              {slots.map(slot => (
+                <li key={slot.name} className="flex items-center justify-between gap-3">
+                  <span className="font-semibold">{slot.name}</span>
+                  <span className={`font-mono ${slot.error ? 'text-red-500' : ''}`} title={slot.error ?? undefined}>
+                    {slot.error
+                      ? 'corrupt'
+                      : `${slot.moveCount} moves · ${new Date(slot.savedAt).toLocaleString()}`}
+                  </span>
+                  <span className="flex gap-1">
+                    <button onClick={() => onLoad(slot.name)} disabled={Boolean(slot.error)} className={buttonClass}>
+                      Load
+                    </button>
+                    <button onClick={() => onDelete(slot.name)} className={buttonClass}>
+                      Delete
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import { useState } from 'react';
+
+/**
+ * Live score with an expandable per-move breakdown
+ * @param {Object} props
+ * @param {import('../scoring').GameScore} props.score
+ * @param {boolean} props.isDarkMode
+ */
+export default function ScorePanel({ score, isDarkMode }) {
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const last = score.moves[score.moves.length - 1];
+
+  return (
+    <div className={`flex flex-col items-center gap-1 text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+      <div className="flex items-center gap-3">
+        <span className={`text-lg font-bold font-mono ${isDarkMode ? 'text-white' : 'text-gray-900'}`} aria-live="polite">
+          {score.total} pts
+        </span>
+        {last && (
+          <span className={`font-mono ${last.total < 0 ? 'text-red-500' : 'text-green-600'}`}>
+            {last.total >= 0 ? '+' : ''}{last.total} last move
+          </span>
+        )}
+        <button onClick={() => setShowBreakdown(!showBreakdown)} className="underline">
+          {showBreakdown ? 'hide breakdown' : 'breakdown'}
+        </button>
+      </div>
+
+      {showBreakdown && (
+        <table className="font-mono">
+          <thead>
+            <tr className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+              <th className="px-1 text-left">#</th>
+              <th className="px-1 text-left">Cell</th>
+              <th className="px-1 text-right">Cascade</th>
+              <th className="px-1 text-right">Locks</th>
+              <th className="px-1 text-right">Penalty</th>
+              <th className="px-1 text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {score.moves.map((move, i) => (
+              <tr key={i}>
+                <td className="px-1">{i + 1}</td>
+                <td className="px-1">{move.move.row},{move.move.col}</td>
+                <td className="px-1 text-right" title={`${move.cellsChanged} cells × ${move.multiplier}`}>
+                  {move.cascadePoints}{move.multiplier > 1 ? ` (×${move.multiplier})` : ''}
+                </td>
+                <td className="px-1 text-right">{move.lockPoints}</td>
+                <td className="px-1 text-right" title={move.wasted ? 'Returned to an earlier grid' : undefined}>
+                  {move.penalty ? `−${move.penalty}` : 0}
+                </td>
+                <td className="px-1 text-right font-semibold">{move.total}</td>
+              </tr>
+            ))}
+            {score.hintPenalty > 0 && (
+              <tr>
+                <td className="px-1" colSpan={5}>Hints</td>
+                <td className="px-1 text-right font-semibold">−{score.hintPenalty}</td>
+              </tr>
+            )}
+            {score.noOpPenalty > 0 && (
+              <tr>
+                <td className="px-1" colSpan={5}>Locked-cell clicks</td>
+                <td className="px-1 text-right font-semibold">−{score.noOpPenalty}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+'use client';
+
+/**
+ * Mini-grid showing a puzzle's target, with matching cells ticked
+ * @param {Object} props
+ * @param {number[][]} props.target - Target grid
+ * @param {import('../puzzle').PuzzleProgress} props.progress - Current match state
+ * @param {import('../puzzle').PuzzleDifficulty} [props.difficulty] - Shown for generated puzzles
+ * @param {boolean} props.isDarkMode
+ */
+export default function TargetGrid({ target, progress, difficulty, isDarkMode }) {
+  const cols = target[0].length;
+
+  return (
+    <div className="flex flex-col items-center gap-2">
+      <h3 className={`text-xs font-semibold uppercase tracking-wide ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        Target · {progress.matchCount}/{progress.totalCells} match
+        {difficulty && ` · ${difficulty.label} (${difficulty.optimalMoves} moves)`}
+      </h3>
+      <div
+        className="grid gap-1"
+        style={{ gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))` }}
+      >
+        {target.map((row, rowIndex) =>
+          row.map((value, colIndex) => {
+            const matched = progress.matches[rowIndex][colIndex];
+            return (
+              <div
+                key={`${rowIndex}-${colIndex}`}
+                className={`relative w-8 h-8 flex items-center justify-center rounded text-xs font-mono font-bold border ${matched
+                    ? 'bg-green-500 border-green-600 text-white'
+                    : isDarkMode
+                      ? 'bg-gray-900 border-gray-600 text-gray-300'
+                      : 'bg-gray-100 border-gray-300 text-gray-700'
+                  }`}
+                title={matched ? 'Matches' : 'Does not match yet'}
+              >
+                {value}
+                {matched && (
+                  <span className="absolute top-0 right-0.5 text-[0.6rem] leading-none" aria-hidden="true">✓</span>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
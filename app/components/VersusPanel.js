@@ -0,0 +1,55 @@
+'use client';
+
+import { describeVictory, VERSUS_SCORING } from '../versus';
+
+// Matches the owner rings on the board
+const PLAYER_TEXT_CLASSES = ['text-rose-500', 'text-sky-500'];
+
+/**
+ * Turn indicator and per-player scores for hot-seat games
+ * @param {Object} props
+ * @param {import('../versus').VersusState} props.state
+ * @param {boolean} props.isDarkMode
+ * @param {() => void} props.onPlayAgain
+ */
+export default function VersusPanel({ state, isDarkMode, onPlayAgain }) {
+  const { scores, currentPlayer, status, winner, config } = state;
+
+  return (
+    <div className={`flex flex-col items-center gap-2 text-xs ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+      <p role="status" aria-live="polite" className={`text-base font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+        {status === 'playing' && (
+          <span className={PLAYER_TEXT_CLASSES[currentPlayer]}>Player {currentPlayer + 1} to move</span>
+        )}
+        {status === 'over' && (winner === 'draw'
+          ? 'Draw!'
+          : <span className={PLAYER_TEXT_CLASSES[winner]}>Player {winner + 1} wins!</span>)}
+      </p>
+
+      <div className="flex gap-6">
+        {scores.map((score, player) => (
+          <div
+            key={player}
+            className={`flex flex-col items-center px-3 py-1 rounded-md border-2 ${status === 'playing' && player === currentPlayer
+              ? 'border-current'
+              : 'border-transparent'
+              } ${PLAYER_TEXT_CLASSES[player]}`}
+          >
+            <span className="font-semibold">Player {player + 1}</span>
+            <span className="text-lg font-bold font-mono">{score} pts</span>
+          </div>
+        ))}
+      </div>
+
+      <p>
+        {VERSUS_SCORING[config.scoring].description} · {describeVictory(config)}
+      </p>
+
+      {status === 'over' && (
+        <button onClick={onPlayAgain} className="underline">
+          Play again
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+/**
+ * Daily Challenge
+ *
+ * Everyone gets the same puzzle on a given date: the date seeds a
+ * deterministic PRNG that drives the puzzle generator, so no server is
+ * needed. Results and streaks are plain data kept in localStorage by
+ * the UI (next to the theme preference).
+ */
+
+import { generatePuzzle } from './generator';
+import { applyMoves } from './solver';
+import { getPuzzleProgress } from './puzzle';
+import { getRuleSet } from './rules';
+
+// ============================================================================
+// DAILY STRUCTURE
+// ============================================================================
+
+/** localStorage key holding the serialised DailyRecord */
+export const DAILY_STORAGE_KEY = 'dailyResults';
+
+/**
+ * Outcome of one day's puzzle
+ * @typedef {Object} DailyResult
+ * @property {boolean} solved
+ * @property {number} moves - Moves played
+ * @property {number} hintsUsed
+ * @property {number[]} progress - Matching cells after each move (for the share grid)
+ */
+
+/**
+ * All stored daily results
+ * @typedef {Object} DailyRecord
+ * @property {Object<string, DailyResult>} results - Keyed by date ("YYYY-MM-DD")
+ */
+
+/** Generator settings shared by every daily puzzle */
+const DAILY_OPTIONS = {
+    rows: 3,
+    cols: 3,
+    minMoves: 4,
+    walkLength: 7,
+    slack: 2,
+    maxAttempts: 200
+};
+
+// ============================================================================
+// DATES
+// ============================================================================
+
+/**
+ * Local calendar date as "YYYY-MM-DD"
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function getDateKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Date key for the day before
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {string}
+ */
+export function getPreviousDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getDateKey(new Date(year, month - 1, day - 1));
+}
+
+/**
+ * Date key for the day after
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function getNextDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getDateKey(new Date(year, month - 1, day + 1));
+}
+
+// ============================================================================
+// PUZZLE
+// ============================================================================
+
+/**
+ * Generator options for a date's puzzle
+ * Plain data, so the page can generate it in the generator worker.
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {import('./generator').GeneratorOptions}
+ */
+export function getDailyOptions(dateKey) {
+    return { ...DAILY_OPTIONS, seed: `daily:${dateKey}` };
+}
+
+/**
+ * Name a generated puzzle as a date's daily puzzle
+ * @param {import('./puzzle').Puzzle|null} generated - generatePuzzle(getDailyOptions(dateKey))
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {import('./puzzle').Puzzle}
+ * @throws {Error} If nothing was generated
+ */
+export function toDailyPuzzle(generated, dateKey) {
+    if (!generated) {
+        throw new Error(`Invalid daily puzzle: nothing generated for ${dateKey}`);
+    }
+
+    return { ...generated, id: `daily-${dateKey}`, name: `Daily ${dateKey}` };
+}
+
+/**
+ * The puzzle for a date (identical for every player)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {import('./puzzle').Puzzle}
+ */
+export function getDailyPuzzle(dateKey) {
+    return toDailyPuzzle(generatePuzzle(getDailyOptions(dateKey)), dateKey);
+}
+
+/**
+ * Date of a daily puzzle
+ * @param {import('./puzzle').Puzzle|null} puzzle
+ * @returns {string|null} - "YYYY-MM-DD", or null for any other puzzle
+ */
+export function getDailyDateKey(puzzle) {
+    return puzzle?.id.startsWith('daily-') ? puzzle.id.slice('daily-'.length) : null;
+}
+
+// ============================================================================
+// RESULTS & STREAKS
+// ============================================================================
+
+/**
+ * Empty record
+ * @returns {DailyRecord}
+ */
+export function createDailyRecord() {
+    return { results: {} };
+}
+
+/**
+ * Parse a stored record, falling back to an empty one if it is missing or corrupt
+ * @param {string|null} json
+ * @returns {DailyRecord}
+ */
+export function parseDailyRecord(json) {
+    try {
+        const data = JSON.parse(json);
+        if (data && typeof data.results === 'object' && !Array.isArray(data.results)) {
+            return { results: { ...data.results } };
+        }
+    } catch {
+        // Fall through to an empty record
+    }
+    return createDailyRecord();
+}
+
+/**
+ * Build a result from the moves played on a daily puzzle
+ * @param {import('./puzzle').Puzzle} puzzle
+ * @param {import('./history').Move[]} moves
+ * @param {{solved: boolean, hintsUsed?: number}} outcome
+ * @returns {DailyResult}
+ */
+export function createDailyResult(puzzle, moves, { solved, hintsUsed = 0 }) {
+    const ruleSet = getRuleSet(puzzle.ruleSetId);
+    const progress = moves.map((_, i) =>
+        getPuzzleProgress(applyMoves(puzzle.start, moves.slice(0, i + 1), { ruleSet }), puzzle.target).matchCount
+    );
+
+    return { solved, moves: moves.length, hintsUsed, progress };
+}
+
+/**
+ * Store a day's result; the first result of a day is final
+ * @param {DailyRecord} record
+ * @param {string} dateKey
+ * @param {DailyResult} result
+ * @returns {DailyRecord} - Same record if the day already has a result
+ */
+export function recordDailyResult(record, dateKey, result) {
+    if (record.results[dateKey]) {
+        return record;
+    }
+    return { results: { ...record.results, [dateKey]: result } };
+}
+
+/**
+ * Current and best solve streaks
+ * The current streak counts back from today, or from yesterday if today
+ * is not played yet, so an unplayed morning does not reset it.
+ * @param {DailyRecord} record
+ * @param {string} todayKey
+ * @returns {{current: number, best: number}}
+ */
+export function getStreaks(record, todayKey) {
+    const solved = (key) => Boolean(record.results[key]?.solved);
+
+    let current = 0;
+    let day = record.results[todayKey] ? todayKey : getPreviousDateKey(todayKey);
+    while (solved(day)) {
+        current++;
+        day = getPreviousDateKey(day);
+    }
+
+    let best = 0;
+    for (const key of Object.keys(record.results)) {
+        // Only walk runs from their first day
+        if (!solved(key) || solved(getPreviousDateKey(key))) continue;
+        let length = 0;
+        for (let d = key; solved(d); d = getNextDateKey(d)) length++;
+        best = Math.max(best, length);
+    }
+
+    return { current, best };
+}
+
+// ============================================================================
+// SHARING
+// ============================================================================
+
+/**
+ * Spoiler-free summary: one square per move showing whether it brought
+ * the board closer to the target (🟩), left it level (🟨) or set it back (🟥)
+ * @param {string} dateKey
+ * @param {import('./puzzle').Puzzle} puzzle
+ * @param {DailyResult} result
+ * @returns {string}
+ */
+export function formatShareText(dateKey, puzzle, result) {
+    const startMatches = getPuzzleProgress(puzzle.start, puzzle.target).matchCount;
+    const squares = result.progress.map((matches, i) => {
+        const before = i === 0 ? startMatches : result.progress[i - 1];
+        if (matches > before) return '🟩';
+        if (matches < before) return '🟥';
+        return '🟨';
+    });
+
+    const par = puzzle.difficulty?.optimalMoves;
+    const outcome = result.solved
+        ? `✅ ${result.moves} moves${par ? ` (par ${par})` : ''}`
+        : `❌ ${result.moves} moves`;
+
+    return [
+        `Recursive Grid Daily ${dateKey}`,
+        `${outcome} · 💡 ${result.hintsUsed}`,
+        squares.join('')
+    ].join('\n');
+}
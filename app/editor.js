@@ -0,0 +1,175 @@
+/**
+ * Level Editor
+ *
+ * Pure helpers behind the /editor route. The editor keeps every cell as
+ * the text the designer typed (a draft), so half-finished input such as
+ * "-" never throws: drafts are read into grids with per-cell errors, and
+ * puzzles are built and imported with error lists instead of exceptions.
+ */
+
+import { isValidGrid, MIN_GRID_SIZE, MAX_GRID_SIZE } from './gameState';
+import { createPuzzle, parsePuzzle, validatePuzzle, PUZZLE_FORMAT_VERSION } from './puzzle';
+
+// ============================================================================
+// EDITOR STRUCTURE
+// ============================================================================
+
+/**
+ * Cell text as typed, row by row
+ * @typedef {string[][]} GridDraft
+ */
+
+/**
+ * Result of reading a draft
+ * @typedef {Object} DraftResult
+ * @property {number[][]|null} grid - null while any error remains
+ * @property {boolean[][]} cellErrors - true where a cell is not a whole number
+ * @property {string[]} errors - Display-ready messages
+ */
+
+/**
+ * Everything the editor form holds
+ * @typedef {Object} EditorDocument
+ * @property {string} id
+ * @property {string} name
+ * @property {GridDraft} start
+ * @property {GridDraft} target - Used by the targetGrid objective only
+ * @property {'targetGrid'|'lockAll'|'targetSum'} objectiveType
+ * @property {string} sum - Target sum (targetSum only)
+ * @property {string} maxMoves - Empty for no limit
+ * @property {string} ruleSetId
+ */
+
+/** Objectives a designer can pick */
+export const EDITOR_OBJECTIVES = {
+    targetGrid: 'Match a target grid',
+    lockAll: 'Lock every cell',
+    targetSum: 'Reach a target sum'
+};
+
+// ============================================================================
+// DRAFTS
+// ============================================================================
+
+const WHOLE_NUMBER = /^\s*-?\d+\s*$/;
+
+/** validatePuzzle messages about the grids themselves */
+const GRID_ERROR = /^(Start|Target) grid/;
+
+/**
+ * Parse typed text as a whole number
+ * @param {string} text
+ * @returns {number} - NaN unless the text is a whole number
+ */
+function parseWhole(text) {
+    return WHOLE_NUMBER.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Draft for an existing grid
+ * @param {number[][]} grid
+ * @returns {GridDraft}
+ */
+export function toDraft(grid) {
+    return grid.map(row => row.map(String));
+}
+
+/**
+ * Resize a draft, keeping the overlapping cells and filling new ones with "0"
+ * @param {GridDraft} draft
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {GridDraft}
+ */
+export function resizeDraft(draft, rows, cols) {
+    return Array.from({ length: rows }, (_, r) =>
+        Array.from({ length: cols }, (_, c) => draft[r]?.[c] ?? '0')
+    );
+}
+
+/**
+ * Read a draft into a grid, collecting errors instead of throwing
+ * @param {GridDraft} draft
+ * @param {string} [label='Start'] - Prefix for messages
+ * @returns {DraftResult}
+ */
+export function readDraft(draft, label = 'Start') {
+    const errors = [];
+    const cellErrors = draft.map(row => row.map(text => !WHOLE_NUMBER.test(text)));
+    const grid = draft.map(row => row.map(Number));
+
+    cellErrors.forEach((row, r) => row.forEach((bad, c) => {
+        if (bad) errors.push(`${label} cell ${r},${c}: "${draft[r][c]}" is not a whole number`);
+    }));
+    if (errors.length === 0 && !isValidGrid(grid)) {
+        errors.push(`${label} grid must be rectangular, from ${MIN_GRID_SIZE}x${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}x${MAX_GRID_SIZE}`);
+    }
+
+    return { grid: errors.length === 0 ? grid : null, cellErrors, errors };
+}
+
+// ============================================================================
+// PUZZLES
+// ============================================================================
+
+/**
+ * Build a puzzle from the editor form
+ * @param {EditorDocument} doc
+ * @returns {{puzzle: import('./puzzle').Puzzle|null, errors: string[]}}
+ */
+export function buildPuzzle(doc) {
+    const start = readDraft(doc.start, 'Start');
+    const target = doc.objectiveType === 'targetGrid' ? readDraft(doc.target, 'Target') : null;
+    const errors = [...start.errors, ...(target?.errors ?? [])];
+
+    const maxMoves = doc.maxMoves.trim() === '' ? undefined : parseWhole(doc.maxMoves);
+    const definition = {
+        version: PUZZLE_FORMAT_VERSION,
+        id: doc.id.trim(),
+        name: doc.name.trim() || doc.id.trim(),
+        start: start.grid,
+        ...(target ? { target: target.grid } : {}),
+        ...(doc.objectiveType === 'targetSum' ? { objective: { type: 'targetSum', sum: parseWhole(doc.sum) } } : {}),
+        ...(doc.objectiveType === 'lockAll' ? { objective: { type: 'lockAll' } } : {}),
+        ...(maxMoves !== undefined ? { maxMoves } : {}),
+        ruleSetId: doc.ruleSetId
+    };
+
+    // Broken drafts are already reported cell by cell
+    const drafted = errors.length > 0;
+    errors.push(...validatePuzzle(definition).filter(error => !(drafted && GRID_ERROR.test(error))));
+
+    return { puzzle: errors.length === 0 ? createPuzzle(definition) : null, errors };
+}
+
+/**
+ * Editor form for a puzzle (the inverse of buildPuzzle)
+ * @param {import('./puzzle').Puzzle} puzzle
+ * @returns {EditorDocument}
+ */
+export function toEditorDocument(puzzle) {
+    const objectiveType = puzzle.objective?.type ?? 'targetGrid';
+    return {
+        id: puzzle.id,
+        name: puzzle.name,
+        start: toDraft(puzzle.start),
+        target: toDraft(puzzle.target ?? puzzle.start),
+        objectiveType,
+        sum: objectiveType === 'targetSum' ? String(puzzle.objective.sum) : '0',
+        maxMoves: puzzle.maxMoves === undefined ? '' : String(puzzle.maxMoves),
+        ruleSetId: puzzle.ruleSetId ?? 'classic'
+    };
+}
+
+/**
+ * Import puzzle JSON without throwing
+ * @param {string} json
+ * @returns {{puzzle: import('./puzzle').Puzzle|null, error: string|null}}
+ */
+export function importPuzzle(json) {
+    try {
+        return { puzzle: parsePuzzle(json), error: null };
+    } catch (error) {
+        return { puzzle: null, error: error.message };
+    }
+}
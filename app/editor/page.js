@@ -0,0 +1,342 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { MIN_GRID_SIZE, MAX_GRID_SIZE } from '../gameState';
+import { createHistory, recordMove, undo, canUndo } from '../history';
+import { evaluateObjective } from '../objectives';
+import { serializePuzzle, getPuzzleObjective } from '../puzzle';
+import { RULE_SETS, getRuleSet } from '../rules';
+import {
+  EDITOR_OBJECTIVES,
+  toDraft,
+  resizeDraft,
+  readDraft,
+  buildPuzzle,
+  toEditorDocument,
+  importPuzzle
+} from '../editor';
+import PlayBoard from '../components/PlayBoard';
+import useSolver from '../useSolver';
+import useTheme from '../useTheme';
+
+/** Cap on solver work per check, so every check finishes (it runs in a worker) */
+const SOLVER_NODE_LIMIT = 50000;
+
+const SIZES = Array.from({ length: MAX_GRID_SIZE - MIN_GRID_SIZE + 1 }, (_, i) => MIN_GRID_SIZE + i);
+
+const emptyDraft = (rows, cols) => resizeDraft([], rows, cols);
+
+const INITIAL_DOCUMENT = {
+  id: 'my-puzzle',
+  name: 'My puzzle',
+  start: emptyDraft(3, 3),
+  target: emptyDraft(3, 3),
+  objectiveType: 'targetGrid',
+  sum: '50',
+  maxMoves: '',
+  ruleSetId: 'classic'
+};
+
+/**
+ * Editable grid of cell inputs; cells that are not whole numbers get a red border
+ * @param {Object} props
+ * @param {string} props.label - Used in aria-labels
+ * @param {import('../editor').GridDraft} props.draft
+ * @param {boolean[][]} props.cellErrors
+ * @param {(row: number, col: number, text: string) => void} props.onChange
+ * @param {boolean} props.isDarkMode
+ */
+function DraftGrid({ label, draft, cellErrors, onChange, isDarkMode }) {
+  return (
+    <div
+      className="grid gap-1 w-fit"
+      style={{ gridTemplateColumns: `repeat(${draft[0].length}, minmax(0, 1fr))` }}
+    >
+      {draft.map((row, rowIndex) =>
+        row.map((text, colIndex) => {
+          const invalid = cellErrors[rowIndex][colIndex];
+          return (
+            <input
+              key={`${rowIndex}-${colIndex}`}
+              type="text"
+              inputMode="numeric"
+              value={text}
+              onChange={(e) => onChange(rowIndex, colIndex, e.target.value)}
+              aria-label={`${label} row ${rowIndex + 1}, column ${colIndex + 1}`}
+              aria-invalid={invalid}
+              className={`w-12 h-12 text-center font-mono font-bold rounded border-2 ${invalid
+                  ? 'border-red-500'
+                  : isDarkMode
+                    ? 'border-gray-600'
+                    : 'border-gray-300'
+                } ${isDarkMode ? 'bg-gray-900' : 'bg-white'}`}
+            />
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+export default function EditorPage() {
+  const isDarkMode = useTheme().theme.isDark;
+  const [doc, setDoc] = useState(INITIAL_DOCUMENT);
+  // Test play runs against the puzzle as it was when play started
+  const [play, setPlay] = useState(null);
+  const { result: solveResult, error: solveError, isSolving, requestSolve, cancelSolve } = useSolver();
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState(null);
+
+  const start = readDraft(doc.start, 'Start');
+  const target = readDraft(doc.target, 'Target');
+  const { puzzle, errors } = buildPuzzle(doc);
+  const rows = doc.start.length;
+  const cols = doc.start[0].length;
+
+  const edit = (changes) => {
+    setDoc(current => ({ ...current, ...changes }));
+    cancelSolve();
+  };
+
+  const editCell = (key) => (row, col, text) => {
+    edit({ [key]: doc[key].map((cells, r) => cells.map((value, c) => (r === row && c === col ? text : value))) });
+  };
+
+  const handleResize = (nextRows, nextCols) => {
+    edit({ start: resizeDraft(doc.start, nextRows, nextCols), target: resizeDraft(doc.target, nextRows, nextCols) });
+  };
+
+  // Test play runs the real engine; won or lost boards stop taking clicks
+  const playResult = play
+    ? evaluateObjective(getPuzzleObjective(play.puzzle), {
+      grid: play.history.present.grid,
+      moveCount: play.history.past.length
+    })
+    : null;
+
+  const handlePlayClick = (row, col) => {
+    setPlay({
+      ...play,
+      history: recordMove(play.history, row, col, { ruleSet: getRuleSet(play.puzzle.ruleSetId) })
+    });
+  };
+
+  const handleUseAsTarget = () => {
+    edit({ objectiveType: 'targetGrid', target: toDraft(play.history.present.grid) });
+  };
+
+  // Solver check and JSON import/export
+  const handleSolve = () => {
+    requestSolve(puzzle, { maxNodes: SOLVER_NODE_LIMIT });
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([serializePuzzle(puzzle)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${puzzle.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const loadJson = (json) => {
+    const result = importPuzzle(json);
+    setImportError(result.error);
+    if (result.puzzle) {
+      edit(toEditorDocument(result.puzzle));
+      setPlay(null);
+      setImportText('');
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) loadJson(await file.text());
+  };
+
+  const cardClass = `p-6 rounded-2xl shadow-xl border flex flex-col gap-4 ${isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-100'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const fieldClass = `px-2 py-1 rounded border ${isDarkMode ? 'bg-gray-900 border-gray-600' : 'bg-white border-gray-300'}`;
+  const buttonClass = `px-3 py-1.5 text-sm font-semibold rounded-md border transition-colors cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+      ? 'border-gray-600 hover:bg-gray-700'
+      : 'border-gray-300 hover:bg-gray-100'
+    }`;
+
+  const describeSolve = (result) => {
+    if (result.status === 'solved') {
+      const moves = result.moves.map(({ row, col }) => `(${row},${col})`).join(' ');
+      return result.moves.length === 0 ? 'Already solved at the start.' : `Solvable in ${result.moves.length} moves: ${moves}`;
+    }
+    if (result.status === 'unsolvable') return `No solution within ${result.depth} moves.`;
+    return `Gave up after ${result.nodesExplored} positions (searched ${result.depth} moves deep).`;
+  };
+
+  return (
+    <div className={`min-h-screen p-6 transition-colors duration-300 ${isDarkMode ? 'bg-black text-white' : 'bg-gray-50/50 text-gray-900'}`}>
+      <div className="max-w-4xl mx-auto flex flex-col gap-6">
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-3xl font-bold">Level Editor</h1>
+          <Link href="/" className={buttonClass}>← Back to game</Link>
+        </header>
+
+        {/* PUZZLE SETTINGS */}
+        <section className={cardClass}>
+          <div className="flex flex-wrap gap-4 text-sm">
+            <label className="flex flex-col gap-1">
+              Id
+              <input value={doc.id} onChange={(e) => edit({ id: e.target.value })} className={fieldClass} />
+            </label>
+            <label className="flex flex-col gap-1">
+              Name
+              <input value={doc.name} onChange={(e) => edit({ name: e.target.value })} className={fieldClass} />
+            </label>
+            <label className="flex flex-col gap-1">
+              Size
+              <span className="flex items-center gap-1">
+                <select value={rows} onChange={(e) => handleResize(Number(e.target.value), cols)} aria-label="Rows" className={fieldClass}>
+                  {SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+                ×
+                <select value={cols} onChange={(e) => handleResize(rows, Number(e.target.value))} aria-label="Columns" className={fieldClass}>
+                  {SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </span>
+            </label>
+            <label className="flex flex-col gap-1">
+              Rule set
+              <select value={doc.ruleSetId} onChange={(e) => edit({ ruleSetId: e.target.value })} className={fieldClass}>
+                {Object.values(RULE_SETS).map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">
+              Objective
+              <select value={doc.objectiveType} onChange={(e) => edit({ objectiveType: e.target.value })} className={fieldClass}>
+                {Object.entries(EDITOR_OBJECTIVES).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+              </select>
+            </label>
+            {doc.objectiveType === 'targetSum' && (
+              <label className="flex flex-col gap-1">
+                Sum
+                <input value={doc.sum} onChange={(e) => edit({ sum: e.target.value })} inputMode="numeric" className={`${fieldClass} w-20`} />
+              </label>
+            )}
+            <label className="flex flex-col gap-1">
+              Max moves
+              <input
+                value={doc.maxMoves}
+                onChange={(e) => edit({ maxMoves: e.target.value })}
+                inputMode="numeric"
+                placeholder="No limit"
+                className={`${fieldClass} w-24`}
+              />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap gap-8">
+            <div className="flex flex-col gap-2">
+              <h2 className="text-lg font-bold">Start</h2>
+              <DraftGrid label="Start" draft={doc.start} cellErrors={start.cellErrors} onChange={editCell('start')} isDarkMode={isDarkMode} />
+            </div>
+            {doc.objectiveType === 'targetGrid' && (
+              <div className="flex flex-col gap-2">
+                <h2 className="text-lg font-bold">Target</h2>
+                <DraftGrid label="Target" draft={doc.target} cellErrors={target.cellErrors} onChange={editCell('target')} isDarkMode={isDarkMode} />
+              </div>
+            )}
+          </div>
+
+          {errors.length > 0 && (
+            <ul role="alert" className="text-sm text-red-500 flex flex-col gap-1">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => setPlay({ puzzle, history: createHistory(puzzle.start) })} disabled={!puzzle} className={buttonClass}>
+              ▶ Test play
+            </button>
+            <button onClick={handleSolve} disabled={!puzzle || isSolving} className={buttonClass}>
+              {isSolving ? '🧮 Checking…' : '🧮 Check solvable'}
+            </button>
+          </div>
+          {solveResult && (
+            <p role="status" className={`text-sm ${solveResult.status === 'solved' ? 'text-green-600' : 'text-amber-600'}`}>
+              {describeSolve(solveResult)}
+            </p>
+          )}
+          {solveError && (
+            <p role="alert" className="text-sm text-red-500">
+              Solver check failed: {solveError}
+            </p>
+          )}
+        </section>
+
+        {/* TEST PLAY */}
+        {play && (
+          <section className={cardClass}>
+            <h2 className="text-lg font-bold">Test play · {play.history.past.length} moves</h2>
+            <p role="status" className={`text-sm ${playResult.status === 'won' ? 'text-green-600' : playResult.status === 'lost' ? 'text-red-500' : mutedClass}`}>
+              {playResult.reason}
+            </p>
+            <PlayBoard
+              grid={play.history.present.grid}
+              onCellClick={handlePlayClick}
+              disabled={playResult.status !== 'playing'}
+              isDarkMode={isDarkMode}
+            />
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => setPlay({ ...play, history: undo(play.history) })} disabled={!canUndo(play.history)} className={buttonClass}>
+                ↩ Undo
+              </button>
+              <button onClick={() => setPlay({ ...play, history: createHistory(play.puzzle.start) })} className={buttonClass}>
+                ↺ Restart
+              </button>
+              <button onClick={handleUseAsTarget} className={buttonClass}>
+                🎯 Use board as target
+              </button>
+              <button onClick={() => setPlay(null)} className={buttonClass}>
+                ■ Stop
+              </button>
+            </div>
+          </section>
+        )}
+
+        {/* IMPORT / EXPORT */}
+        <section className={cardClass}>
+          <h2 className="text-lg font-bold">Puzzle JSON</h2>
+          {puzzle ? (
+            <>
+              <textarea readOnly value={serializePuzzle(puzzle)} aria-label="Exported puzzle JSON" rows={3} className={`${fieldClass} font-mono text-xs`} />
+              <div>
+                <button onClick={handleDownload} className={buttonClass}>Download JSON</button>
+              </div>
+            </>
+          ) : (
+            <p className={`text-sm ${mutedClass}`}>Fix the errors above to export.</p>
+          )}
+
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste puzzle JSON to import"
+            aria-label="Puzzle JSON to import"
+            rows={3}
+            className={`${fieldClass} font-mono text-xs`}
+          />
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => loadJson(importText)} disabled={importText.trim() === ''} className={buttonClass}>
+              Import pasted JSON
+            </button>
+            <label className={buttonClass}>
+              Import file
+              <input type="file" accept="application/json,.json" onChange={handleImportFile} className="sr-only" />
+            </label>
+          </div>
+          {importError && <p role="alert" className="text-sm text-red-500">{importError}</p>}
+        </section>
+      </div>
+    </div>
+  );
+}
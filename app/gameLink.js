@@ -0,0 +1,273 @@
+/**
+ * Game Links
+ *
+ * Compact, versioned encoding of a game for the URL hash: the start grid,
+ * the rule set, the topology, the lock rules and the click sequence. A link either restores
+ * the board (with the full timeline) or rewinds it so the moves can be
+ * played back.
+ *
+ * Format (dot-separated, after the "g=" prefix):
+ *   version . mode . ROWSxCOLS . cells . ruleSetId . topologyId . lock . moves . present . checksum
+ * - cells: row-major values, runs written as "value*count" ("0*9")
+ * - lock: threshold, mode letter and expiring duration ("15p", "10e3")
+ * - moves: one "rc" digit pair per click (dimensions never exceed 8), the
+ *   undone ones included
+ * - present: how many of the moves are played; the rest can be redone
+ * - checksum: FNV-1a of everything before it, in base 36
+ * Version 1 links have no topologyId field and always use the square board;
+ * versions 1 and 2 have no lock field and use the default lock; versions 1
+ * to 3 have no present field and are at their last move.
+ */
+
+import { isValidDimensions, isValidGrid, isValidPosition } from './gameState';
+import { RULE_SETS } from './rules';
+import { TOPOLOGIES, DEFAULT_TOPOLOGY } from './topology';
+import { DEFAULT_LOCK, validateLock, tickLockTimers, createLockTimers } from './locks';
+import { createHistory, recordMove, jumpTo, getTimeline, getCurrentIndex } from './history';
+import { hashString } from './random';
+
+// ============================================================================
+// LINK STRUCTURE
+// ============================================================================
+
+/** Current link format version */
+export const GAME_LINK_VERSION = 4;
+
+/** Fields in a link of each supported version, checksum included */
+const FIELD_COUNTS = { 1: 7, 2: 8, 3: 9, 4: 10 };
+
+/** Hash prefix marking a game link */
+export const GAME_LINK_PREFIX = 'g=';
+
+/** Link modes: restore the board, or rewind it for playback */
+const MODES = { restore: 'r', replay: 'p' };
+
+/** Lock mode letters */
+const LOCK_CODES = { permanent: 'p', expiring: 'e', negative: 'n', bomb: 'b' };
+
+/**
+ * Decoded game link
+ * @typedef {Object} GameLink
+ * @property {number[][]} start - Start grid
+ * @property {string} ruleSetId - Built-in rule set id
+ * @property {string} topologyId - Built-in topology id
+ * @property {import('./locks').LockConfig} lock - Lock threshold and mode
+ * @property {import('./history').Move[]} moves - Click sequence, undone moves included
+ * @property {number} [present] - Moves played (default: all of them)
+ * @property {'restore'|'replay'} mode
+ */
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Run-length encode grid values ("0*7,3,0")
+ * @param {number[]} values
+ * @returns {string}
+ */
+function encodeCells(values) {
+    const runs = [];
+    for (const value of values) {
+        const last = runs[runs.length - 1];
+        if (last && last.value === value) {
+            last.count++;
+        } else {
+            runs.push({ value, count: 1 });
+        }
+    }
+    return runs.map(({ value, count }) => (count > 1 ? `${value}*${count}` : `${value}`)).join(',');
+}
+
+/**
+ * Encode a game as a link payload (without the leading "#")
+ * @param {GameLink} game
+ * @returns {string}
+ */
+export function encodeGameLink({ start, ruleSetId, topologyId = DEFAULT_TOPOLOGY.id, lock = DEFAULT_LOCK, moves, present = moves.length, mode = 'restore' }) {
+    const body = [
+        GAME_LINK_VERSION,
+        MODES[mode],
+        `${start.length}x${start[0].length}`,
+        encodeCells(start.flat()),
+        ruleSetId,
+        topologyId,
+        `${lock.threshold}${LOCK_CODES[lock.mode]}${lock.mode === 'expiring' ? lock.duration : ''}`,
+        moves.map(({ row, col }) => `${row}${col}`).join(''),
+        present
+    ].join('.');
+
+    return `${GAME_LINK_PREFIX}${body}.${hashString(body).toString(36)}`;
+}
+
+/**
+ * Link for the game in a history
+ * The whole active timeline is linked, so moves undone before a refresh
+ * or share can still be redone.
+ * @param {import('./history').History} history
+ * @param {string} ruleSetId
+ * @param {'restore'|'replay'} [mode='restore']
+ * @param {string} [topologyId='square']
+ * @param {import('./locks').LockConfig} [lock=DEFAULT_LOCK]
+ * @returns {string}
+ */
+export function getGameLink(history, ruleSetId, mode = 'restore', topologyId = DEFAULT_TOPOLOGY.id, lock = DEFAULT_LOCK) {
+    return encodeGameLink({
+        start: getTimeline(history)[0].grid,
+        ruleSetId,
+        topologyId,
+        lock,
+        moves: getTimeline(history).slice(1).map(entry => entry.move),
+        present: getCurrentIndex(history),
+        mode
+    });
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/**
+ * Expand run-length encoded cells, refusing to grow past the expected size
+ * @param {string} text
+ * @param {number} expected - rows * cols
+ * @returns {number[]}
+ */
+function decodeCells(text, expected) {
+    const values = [];
+    for (const token of text.split(',')) {
+        const match = /^(-?\d+)(?:\*(\d+))?$/.exec(token);
+        if (!match) {
+            throw new Error(`Invalid game link: bad cell "${token}"`);
+        }
+        const value = Number(match[1]);
+        const count = match[2] === undefined ? 1 : Number(match[2]);
+        if (!Number.isSafeInteger(value) || count < 1 || values.length + count > expected) {
+            throw new Error('Invalid game link: cells do not fit the grid');
+        }
+        for (let i = 0; i < count; i++) values.push(value);
+    }
+    if (values.length !== expected) {
+        throw new Error('Invalid game link: cells do not fit the grid');
+    }
+    return values;
+}
+
+/**
+ * Parse and validate a lock field ("15p", "10e3")
+ * @param {string} text
+ * @returns {import('./locks').LockConfig}
+ */
+function decodeLock(text) {
+    const match = /^(\d+)([a-z])(\d*)$/.exec(text);
+    const mode = match && Object.keys(LOCK_CODES).find(key => LOCK_CODES[key] === match[2]);
+    if (!mode) {
+        throw new Error(`Invalid game link: bad lock "${text}"`);
+    }
+
+    const lock = { threshold: Number(match[1]), mode };
+    if (mode === 'expiring') lock.duration = Number(match[3]);
+    if (validateLock(lock).length > 0 || (mode !== 'expiring' && match[3] !== '')) {
+        throw new Error(`Invalid game link: bad lock "${text}"`);
+    }
+    return lock;
+}
+
+/**
+ * Decode and validate a link payload
+ * @param {string} text - Hash contents, with or without the leading "#"
+ * @returns {GameLink}
+ * @throws {Error} "Invalid game link: ..." for malformed or tampered payloads
+ */
+export function decodeGameLink(text) {
+    const payload = text.replace(/^#/, '');
+    if (!payload.startsWith(GAME_LINK_PREFIX)) {
+        throw new Error('Invalid game link: missing prefix');
+    }
+
+    const parts = payload.slice(GAME_LINK_PREFIX.length).split('.');
+    const fieldCount = FIELD_COUNTS[parts[0]];
+    if (!fieldCount) {
+        throw new Error(`Invalid game link: unsupported version ${parts[0]}`);
+    }
+    if (parts.length !== fieldCount) {
+        throw new Error('Invalid game link: wrong number of fields');
+    }
+    if (hashString(parts.slice(0, -1).join('.')).toString(36) !== parts[parts.length - 1]) {
+        throw new Error('Invalid game link: checksum mismatch');
+    }
+
+    // Version 1 predates topologies, version 2 predates lock settings, version 3 the present index
+    const [version, modeCode, dimensions, cells, ruleSetId, ...rest] = parts.slice(0, -1);
+    const presentText = version === '4' ? rest.pop() : null;
+    const moveText = rest.pop();
+    const [topologyId = DEFAULT_TOPOLOGY.id, lockText] = rest;
+
+    const mode = Object.keys(MODES).find(key => MODES[key] === modeCode);
+    if (!mode) {
+        throw new Error(`Invalid game link: unknown mode "${modeCode}"`);
+    }
+
+    const [rows, cols] = (/^(\d+)x(\d+)$/.exec(dimensions) ?? []).slice(1).map(Number);
+    if (!isValidDimensions(rows, cols)) {
+        throw new Error(`Invalid game link: bad dimensions "${dimensions}"`);
+    }
+
+    const values = decodeCells(cells, rows * cols);
+    const start = Array.from({ length: rows }, (_, r) => values.slice(r * cols, (r + 1) * cols));
+    if (!isValidGrid(start, rows, cols)) {
+        throw new Error('Invalid game link: bad grid');
+    }
+
+    if (!Object.hasOwn(RULE_SETS, ruleSetId)) {
+        throw new Error(`Invalid game link: unknown rule set "${ruleSetId}"`);
+    }
+    if (!Object.hasOwn(TOPOLOGIES, topologyId)) {
+        throw new Error(`Invalid game link: unknown topology "${topologyId}"`);
+    }
+    const lock = lockText === undefined ? DEFAULT_LOCK : decodeLock(lockText);
+
+    if (!/^(\d\d)*$/.test(moveText)) {
+        throw new Error('Invalid game link: bad move list');
+    }
+    const moves = (moveText.match(/\d\d/g) ?? []).map(([row, col]) => ({ row: Number(row), col: Number(col) }));
+    if (!moves.every(({ row, col }) => isValidPosition(row, col, rows, cols))) {
+        throw new Error('Invalid game link: move out of bounds');
+    }
+
+    const present = presentText === null ? moves.length : Number(presentText);
+    if (!/^\d+$/.test(presentText ?? '0') || present > moves.length) {
+        throw new Error(`Invalid game link: bad present move "${presentText}"`);
+    }
+
+    return { start, ruleSetId, topologyId, lock, moves, present, mode };
+}
+
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Rebuild the history for a decoded link
+ * Restore links stop at their present move, with the rest left to redo;
+ * replay links are rewound to the start so the moves can be played forward.
+ * @param {GameLink} game
+ * @returns {import('./history').History}
+ * @throws {Error} If a move clicks a locked cell (no real game records one)
+ */
+export function replayGameLink({ start, ruleSetId, topologyId, lock = DEFAULT_LOCK, moves, present = moves.length, mode }) {
+    const ruleSet = RULE_SETS[ruleSetId];
+    let history = createHistory(start);
+    let lockTimers = createLockTimers(start, lock);
+
+    moves.forEach(({ row, col }, i) => {
+        const next = recordMove(history, row, col, { ruleSet, topology: topologyId, lock, lockTimers });
+        if (next === history) {
+            throw new Error(`Invalid game link: move ${i + 1} clicks a locked cell`);
+        }
+        lockTimers = tickLockTimers(lockTimers, history.present.grid, next.present.grid, lock);
+        history = next;
+    });
+
+    return jumpTo(history, mode === 'replay' ? 0 : present);
+}
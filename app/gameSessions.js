@@ -0,0 +1,321 @@
+/**
+ * Server-Side Game Sessions
+ *
+ * For competitive modes the server owns the grid: clients create a
+ * session, then send numbered moves that are applied with updateGrid on
+ * the server. The route handlers in app/api/game/ are thin wrappers
+ * around these functions.
+ *
+ * Failures are returned, never thrown, as { error: { status, code,
+ * message } } so handlers can map them straight to HTTP responses.
+ *
+ * Sessions live in a SessionStore. The default keeps them in memory (one
+ * server process, lost on restart) and is bounded, since any client can
+ * create sessions; tests and deployments can swap in another store with
+ * setSessionStore.
+ */
+
+import { createInitialState, updateGrid, isValidGrid, isValidPosition, isCellLocked, getGridStats, DEFAULT_GRID_SIZE } from './gameState';
+import { DEFAULT_LOCK, validateLock, createLockTimers, tickLockTimers } from './locks';
+import { RULE_SETS, getRuleSet } from './rules';
+import { TOPOLOGIES, DEFAULT_TOPOLOGY } from './topology';
+
+// ============================================================================
+// SESSION STRUCTURE
+// ============================================================================
+
+/**
+ * Authoritative game on the server
+ * @typedef {Object} GameSession
+ * @property {string} id
+ * @property {number[][]} start - Starting grid
+ * @property {number[][]} grid - Grid after every accepted move
+ * @property {import('./history').Move[]} moves - Accepted moves, in order
+ * @property {string} ruleSetId
+ * @property {string} topology
+ * @property {import('./locks').LockConfig} lock
+ * @property {number[][]|null} lockTimers - Expiring lock timers
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Where sessions are kept
+ * Methods may return promises; handlers always await them. Anyone can
+ * create sessions, so a store must bound what it keeps: the memory store
+ * drops sessions idle for SESSION_TTL_MS and, past MAX_MEMORY_SESSIONS,
+ * the least recently used one. get then reports an evicted session as
+ * missing (404).
+ * @typedef {Object} SessionStore
+ * @property {(id: string) => GameSession|undefined|Promise<GameSession|undefined>} get
+ * @property {(session: GameSession) => boolean|Promise<boolean>} save - Stores the
+ *   session unless one with as many moves or more is already stored (returns false then)
+ */
+
+/**
+ * Failure reported to the client
+ * @typedef {Object} SessionError
+ * @property {number} status - HTTP status
+ * @property {'invalid-request'|'not-found'|'invalid-move'|'out-of-order'|'locked'} code
+ * @property {string} message
+ */
+
+/**
+ * What clients see of a session
+ * @typedef {Object} SessionView
+ * @property {string} id
+ * @property {number[][]} grid
+ * @property {number} moveCount - Moves accepted so far
+ * @property {number} nextMove - moveNumber the next move must carry
+ * @property {string} ruleSetId
+ * @property {string} topology
+ * @property {import('./locks').LockConfig} lock
+ * @property {Object} stats - getGridStats of the grid
+ */
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/** Sessions the memory store keeps before evicting the least recently used */
+export const MAX_MEMORY_SESSIONS = 1000;
+
+/** Idle time after which the memory store drops a session */
+export const SESSION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Session store backed by a Map (one process only)
+ *
+ * The Map is kept in order of last use, so expired and least recently
+ * used sessions are always at the front.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxSessions]
+ * @param {number} [options.ttlMs]
+ * @param {() => number} [options.now] - Clock in milliseconds
+ * @returns {SessionStore}
+ */
+export function createMemoryStore({ maxSessions = MAX_MEMORY_SESSIONS, ttlMs = SESSION_TTL_MS, now = Date.now } = {}) {
+    const sessions = new Map(); // id -> { session, usedAt }
+
+    const touch = (session) => {
+        sessions.delete(session.id);
+        sessions.set(session.id, { session, usedAt: now() });
+    };
+
+    const dropExpired = () => {
+        for (const [id, { usedAt }] of sessions) {
+            if (now() - usedAt < ttlMs) break;
+            sessions.delete(id);
+        }
+    };
+
+    return {
+        get: (id) => {
+            dropExpired();
+            const entry = sessions.get(id);
+            if (entry) touch(entry.session);
+            return entry?.session;
+        },
+        save: (session) => {
+            dropExpired();
+            const current = sessions.get(session.id);
+            if (current && current.session.moves.length >= session.moves.length) {
+                return false;
+            }
+            if (!current && sessions.size >= maxSessions) {
+                sessions.delete(sessions.keys().next().value);
+            }
+            touch(session);
+            return true;
+        }
+    };
+}
+
+let activeStore = createMemoryStore();
+
+/**
+ * Store used by the route handlers
+ * @returns {SessionStore}
+ */
+export function getSessionStore() {
+    return activeStore;
+}
+
+/**
+ * Replace the store used by the route handlers
+ * @param {SessionStore} store
+ */
+export function setSessionStore(store) {
+    activeStore = store;
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Error result
+ * @param {number} status
+ * @param {SessionError['code']} code
+ * @param {string} message
+ * @returns {{error: SessionError}}
+ */
+function fail(status, code, message) {
+    return { error: { status, code, message } };
+}
+
+/**
+ * Client view of a session
+ * @param {GameSession} session
+ * @returns {SessionView}
+ */
+export function toSessionView({ id, grid, moves, ruleSetId, topology, lock }) {
+    return {
+        id,
+        grid,
+        moveCount: moves.length,
+        nextMove: moves.length + 1,
+        ruleSetId,
+        topology,
+        lock,
+        stats: getGridStats({ grid, lock })
+    };
+}
+
+/**
+ * Empty grid for the requested size, or null if the size is invalid
+ * @param {any} rows
+ * @param {any} cols
+ * @returns {number[][]|null}
+ */
+function createGridOrNull(rows = DEFAULT_GRID_SIZE, cols = rows) {
+    try {
+        return createInitialState(rows, cols).grid;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Validate a create request
+ * @param {any} body
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+function validateCreateRequest(body) {
+    if (!body || typeof body !== 'object') {
+        return ['Body must be a JSON object'];
+    }
+
+    const errors = [];
+    if (body.grid !== undefined && !(isValidGrid(body.grid) && body.grid.flat().every(Number.isInteger))) {
+        errors.push('Grid must be a rectangular array of whole numbers from 2x2 to 8x8');
+    }
+    if (body.grid === undefined && !isValidGrid(createGridOrNull(body.rows, body.cols))) {
+        errors.push('Rows and columns must be whole numbers from 2 to 8');
+    }
+    if (body.ruleSetId !== undefined && !Object.hasOwn(RULE_SETS, body.ruleSetId)) {
+        errors.push(`Unknown rule set "${body.ruleSetId}"`);
+    }
+    if (body.topology !== undefined && !Object.hasOwn(TOPOLOGIES, body.topology)) {
+        errors.push(`Unknown topology "${body.topology}"`);
+    }
+    if (body.lock !== undefined) {
+        errors.push(...validateLock(body.lock));
+    }
+    return errors;
+}
+
+/**
+ * Start a session
+ * @param {SessionStore} store
+ * @param {Object} body - { grid?, rows?, cols?, ruleSetId?, topology?, lock? }
+ * @param {Object} [options]
+ * @param {() => string} [options.createId] - Session id source (default: random UUID)
+ * @param {() => Date} [options.now]
+ * @returns {Promise<{session: GameSession}|{error: SessionError}>}
+ */
+export async function createSession(store, body, { createId = () => crypto.randomUUID(), now = () => new Date() } = {}) {
+    const errors = validateCreateRequest(body);
+    if (errors.length > 0) {
+        return fail(400, 'invalid-request', errors.join('; '));
+    }
+
+    const start = body.grid ? body.grid.map(row => [...row]) : createGridOrNull(body.rows, body.cols);
+    const lock = body.lock ?? DEFAULT_LOCK;
+    const session = {
+        id: createId(),
+        start,
+        grid: start,
+        moves: [],
+        ruleSetId: body.ruleSetId ?? getRuleSet().id,
+        topology: body.topology ?? DEFAULT_TOPOLOGY.id,
+        lock,
+        lockTimers: createLockTimers(start, lock),
+        createdAt: now().toISOString()
+    };
+    await store.save(session);
+    return { session };
+}
+
+/**
+ * Look up a session
+ * @param {SessionStore} store
+ * @param {string} id
+ * @returns {Promise<{session: GameSession}|{error: SessionError}>}
+ */
+export async function getSession(store, id) {
+    const session = await store.get(id);
+    return session ? { session } : fail(404, 'not-found', `No game session "${id}"`);
+}
+
+/**
+ * Apply a numbered move on the server
+ *
+ * moveNumber must be the session's next move (1 for the first), so
+ * replayed, skipped or reordered requests are rejected rather than
+ * applied twice or out of turn.
+ *
+ * @param {SessionStore} store
+ * @param {string} id
+ * @param {any} body - { row, col, moveNumber }
+ * @returns {Promise<{session: GameSession}|{error: SessionError}>}
+ */
+export async function applySessionMove(store, id, body) {
+    const found = await getSession(store, id);
+    if (found.error) return found;
+    const { session } = found;
+
+    const { row, col, moveNumber } = body ?? {};
+    const expected = session.moves.length + 1;
+    if (!Number.isInteger(moveNumber)) {
+        return fail(400, 'invalid-request', 'moveNumber must be a whole number');
+    }
+    if (moveNumber !== expected) {
+        return fail(409, 'out-of-order', `Expected move ${expected}, got move ${moveNumber}`);
+    }
+    if (!isValidPosition(row, col, session.grid.length, session.grid[0].length)) {
+        return fail(400, 'invalid-move', `Cell ${row},${col} is not on the ${session.grid.length}x${session.grid[0].length} board`);
+    }
+    if (isCellLocked(session, row, col)) {
+        return fail(422, 'locked', `Cell ${row},${col} is locked`);
+    }
+
+    const grid = updateGrid(session.grid, row, col, {
+        ruleSet: getRuleSet(session.ruleSetId),
+        topology: session.topology,
+        lock: session.lock,
+        lockTimers: session.lockTimers
+    });
+    const next = {
+        ...session,
+        grid,
+        moves: [...session.moves, { row, col }],
+        lockTimers: tickLockTimers(session.lockTimers, session.grid, grid, session.lock)
+    };
+
+    // Another request for the same move number got there first
+    if (!(await store.save(next))) {
+        return fail(409, 'out-of-order', `Move ${moveNumber} was already applied`);
+    }
+    return { session: next };
+}
@@ -1,13 +1,68 @@
 /**
- * Game State Architecture for 3x3 Grid Logic Game
+ * Game State Architecture for NxM Grid Logic Game
  * 
  * Design Principles:
  * - Immutability: All state updates return new objects
- * - Minimal redundancy: Locked state is derived (value >= 15)
+ * - Minimal redundancy: Locked state is derived from the lock config (default value >= 15)
  * - Type safety: Uses 2D numeric array (number[][])
  * - Performance: O(1) cell access, efficient updates
+ * - Dimensions: Boards range from 2x2 to 8x8 (default 3x3)
+ * - Rules: Ripples come from a declarative rule set (see rules.js)
+ * - Topology: Neighbours are resolved by a topology (see topology.js)
+ * - Locks: Threshold and lock mode are configurable (see locks.js)
  */
 
+import { DEFAULT_RULE_SET, ruleMatches, applyRuleEffect } from './rules';
+import { getTopology, resolveTargets } from './topology';
+import { DEFAULT_LOCK, BOMB_OFFSETS, BOMB_BLAST, meetsLock } from './locks';
+
+// ============================================================================
+// BOARD DIMENSIONS
+// ============================================================================
+
+/** Smallest supported board edge */
+export const MIN_GRID_SIZE = 2;
+
+/** Largest supported board edge */
+export const MAX_GRID_SIZE = 8;
+
+/** Board edge used when no dimensions are given */
+export const DEFAULT_GRID_SIZE = 3;
+
+// ============================================================================
+// CASCADE LIMITS
+// ============================================================================
+
+/**
+ * Safety limits for a single cascade
+ * Each cell fires at most once per click, but custom rules with wide
+ * fan-out can still make one click expensive. A cascade that hits a limit
+ * stops where it is and reports why (see UpdateTrace.truncated).
+ *
+ * The step and queue caps are deterministic. The time budget is not (the
+ * same click can stop at different cells under different machine load),
+ * so it is off by default and only the interactive UI opts in; solving,
+ * replays and server moves always give the same grid for the same moves.
+ *
+ * @typedef {Object} CascadeLimits
+ * @property {number} maxSteps - Cells processed (the clicked cell always is)
+ * @property {number} maxQueue - Entries allowed in the BFS queue
+ * @property {number} timeBudgetMs - Wall-clock budget for one cascade (Infinity: none)
+ */
+
+/** Default limits: far above anything an 8x8 board needs, with no time budget */
+export const DEFAULT_CASCADE_LIMITS = { maxSteps: 1000, maxQueue: 10000, timeBudgetMs: Infinity };
+
+/** Time budget the UI gives a click before refusing it, so a runaway cascade cannot freeze the page */
+export const INTERACTIVE_TIME_BUDGET_MS = 250;
+
+/** Readable names of the truncation reasons */
+export const TRUNCATION_REASONS = {
+    'max-steps': 'step limit',
+    'max-queue': 'queue limit',
+    'time-budget': 'time budget'
+};
+
 // ============================================================================
 // STATE STRUCTURE
 // ============================================================================
@@ -15,16 +70,22 @@
 /**
  * Core game state - minimal and immutable
  * @typedef {Object} GameState
- * @property {number[][]} grid - 3x3 2D array of cell values
+ * @property {number[][]} grid - rows x cols 2D array of cell values
+ * @property {number} rows - Number of rows in the grid
+ * @property {number} cols - Number of columns in the grid
  * @property {number} moveCount - Total moves made (for game history/undo)
  * @property {boolean} isGameOver - Whether the game has ended
+ * @property {number} [hintsUsed] - Hints requested this game (counted against the score)
+ * @property {number} [noOpClicks] - Clicks on locked cells (counted against the score)
+ * @property {import('./locks').LockConfig} [lock] - Lock rules (default: DEFAULT_LOCK)
+ * @property {number[][]|null} [lockTimers] - Moves left on each expiring lock
  */
 
 /**
  * Cell metadata (derived from grid values)
  * @typedef {Object} CellInfo
  * @property {number} value - The numeric value
- * @property {boolean} isLocked - Derived: value >= 15
+ * @property {boolean} isLocked - Derived from the lock config (default: value >= 15)
  * @property {boolean} isEven - Derived: value % 2 === 0
  * @property {boolean} isOdd - Derived: value % 2 !== 0
  */
@@ -35,30 +96,54 @@
 
 /**
  * Creates initial game state with values 0
+ * @param {number} [rows=3] - Number of rows (2-8)
+ * @param {number} [cols=rows] - Number of columns (2-8)
  * @returns {GameState}
  */
-export function createInitialState() {
+export function createInitialState(rows = DEFAULT_GRID_SIZE, cols = rows) {
+    if (!isValidDimensions(rows, cols)) {
+        throw new Error(
+            `Invalid dimensions: ${rows}x${cols} (must be ${MIN_GRID_SIZE}-${MAX_GRID_SIZE} per side)`
+        );
+    }
+
     return {
-        grid: [
-            [0, 0, 0],
-            [0, 0, 0],
-            [0, 0, 0]
-        ]
+        grid: Array.from({ length: rows }, () => new Array(cols).fill(0)),
+        rows,
+        cols
     };
 }
 
 /**
  * Creates a custom initial state with specified values
- * @param {number[][]} grid - 3x3 array of initial values
+ * Dimensions are taken from the grid itself.
+ * @param {number[][]} grid - Rectangular array of initial values (2x2 to 8x8)
  * @returns {GameState}
  */
 export function createCustomState(grid) {
     if (!isValidGrid(grid)) {
-        throw new Error('Invalid grid: must be 3x3 array of numbers');
+        throw new Error(
+            `Invalid grid: must be a rectangular array of numbers from ${MIN_GRID_SIZE}x${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}x${MAX_GRID_SIZE}`
+        );
     }
 
     return {
-        grid: grid.map(row => [...row]) // Deep copy for immutability
+        grid: grid.map(row => [...row]), // Deep copy for immutability
+        rows: grid.length,
+        cols: grid[0].length
+    };
+}
+
+/**
+ * Get the dimensions of a game state
+ * Falls back to the grid itself for states created without rows/cols.
+ * @param {GameState} state - Current game state
+ * @returns {{rows: number, cols: number}}
+ */
+export function getDimensions(state) {
+    return {
+        rows: state.rows ?? state.grid.length,
+        cols: state.cols ?? (state.grid[0] ? state.grid[0].length : 0)
     };
 }
 
@@ -67,23 +152,27 @@ export function createCustomState(grid) {
 // ============================================================================
 
 /**
- * Check if a cell is locked (value >= 15)
+ * Check if a cell is locked (default: value >= 15)
+ * Expiring locks also depend on their timers; see isCellLocked.
  * @param {number} value - Cell value
+ * @param {import('./locks').LockConfig} [lock=DEFAULT_LOCK] - Active lock rules
  * @returns {boolean}
  */
-export function isLocked(value) {
-    return value >= 15;
+export function isLocked(value, lock = DEFAULT_LOCK) {
+    return meetsLock(value, lock);
 }
 
 /**
  * Get complete cell information including derived properties
  * @param {number} value - Cell value
+ * @param {import('./locks').LockConfig} [lock=DEFAULT_LOCK] - Active lock rules
+ * @param {boolean} [locked] - Lock state when already known (expiring locks)
  * @returns {CellInfo}
  */
-export function getCellInfo(value) {
+export function getCellInfo(value, lock = DEFAULT_LOCK, locked = isLocked(value, lock)) {
     return {
         value,
-        isLocked: isLocked(value),
+        isLocked: locked,
         isEven: value % 2 === 0,
         isOdd: value % 2 !== 0
     };
@@ -92,12 +181,13 @@ export function getCellInfo(value) {
 /**
  * Get cell value at specific position
  * @param {GameState} state - Current game state
- * @param {number} row - Row index (0-2)
- * @param {number} col - Column index (0-2)
+ * @param {number} row - Row index (0 to rows-1)
+ * @param {number} col - Column index (0 to cols-1)
  * @returns {number}
  */
 export function getCellValue(state, row, col) {
-    if (!isValidPosition(row, col)) {
+    const { rows, cols } = getDimensions(state);
+    if (!isValidPosition(row, col, rows, cols)) {
         throw new Error(`Invalid position: (${row}, ${col})`);
     }
     return state.grid[row][col];
@@ -106,24 +196,25 @@ export function getCellValue(state, row, col) {
 /**
  * Get cell info at specific position
  * @param {GameState} state - Current game state
- * @param {number} row - Row index (0-2)
- * @param {number} col - Column index (0-2)
+ * @param {number} row - Row index (0 to rows-1)
+ * @param {number} col - Column index (0 to cols-1)
  * @returns {CellInfo}
  */
 export function getCellInfoAt(state, row, col) {
     const value = getCellValue(state, row, col);
-    return getCellInfo(value);
+    return getCellInfo(value, state.lock, isCellLocked(state, row, col));
 }
 
 /**
  * Check if cell at position is locked
  * @param {GameState} state - Current game state
- * @param {number} row - Row index (0-2)
- * @param {number} col - Column index (0-2)
+ * @param {number} row - Row index (0 to rows-1)
+ * @param {number} col - Column index (0 to cols-1)
  * @returns {boolean}
  */
 export function isCellLocked(state, row, col) {
-    return isLocked(getCellValue(state, row, col));
+    const value = getCellValue(state, row, col);
+    return state.lockTimers ? state.lockTimers[row][col] > 0 : isLocked(value, state.lock);
 }
 
 /**
@@ -132,11 +223,12 @@ export function isCellLocked(state, row, col) {
  * @returns {Array<{row: number, col: number, value: number}>}
  */
 export function getLockedCells(state) {
+    const { rows, cols } = getDimensions(state);
     const locked = [];
-    for (let row = 0; row < 3; row++) {
-        for (let col = 0; col < 3; col++) {
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
             const value = state.grid[row][col];
-            if (isLocked(value)) {
+            if (isCellLocked(state, row, col)) {
                 locked.push({ row, col, value });
             }
         }
@@ -152,109 +244,288 @@ export function getLockedCells(state) {
 // ============================================================================
 
 /**
- * Pure function to update grid with cascading ripple logic
- * 
- * Rules:
- * 1. Validates position and locked state
- * 2. Uses BFS queue to process cascading ripples
- * 3. Each cell processes only once per click (tracked via Set)
- * 4. Ripples trigger when cell value is divisible by 3 or 5
- * 5. Maintains immutability throughout
- * 
- * @param {number[][]} grid - Current 3x3 grid
- * @param {number} row - Row index (0-2)
- * @param {number} col - Column index (0-2)
- * @returns {number[][]} - New immutable grid
+ * Options accepted by updateGrid
+ * @typedef {Object} UpdateOptions
+ * @property {import('./rules').RuleSet} [ruleSet] - Ripple rules (default: DEFAULT_RULE_SET)
+ * @property {string} [topology] - Topology id (default: 'square')
+ * @property {import('./locks').LockConfig} [lock] - Lock rules (default: DEFAULT_LOCK)
+ * @property {number[][]|null} [lockTimers] - Expiring lock timers; cells with time left are locked
+ * @property {Partial<CascadeLimits>} [limits] - Overrides for DEFAULT_CASCADE_LIMITS
+ */
+
+/**
+ * Single step of a traced cascade
+ * @typedef {Object} TraceEvent
+ * @property {'increment'|'ripple'|'skip'} type - Click increment, applied ripple, or ripple skipped
+ * @property {number} step - BFS step (index of the dequeued source cell)
+ * @property {number} depth - Cascade level of the target (0 = clicked cell)
+ * @property {string} [ruleId] - Rule that fired, or 'bomb' for a bomb lock's blast (ripple/skip only)
+ * @property {{row: number, col: number}} [source] - Firing cell (ripple/skip only)
+ * @property {{row: number, col: number}} target - Cell that changed (or would have)
+ * @property {[number, number]} [offset] - Direction travelled, set only when the ripple wrapped around an edge
+ * @property {number} [delta] - Value change (increment/ripple only)
+ * @property {number} [from] - Value before the change (increment/ripple only)
+ * @property {number} [to] - Value after the change (increment/ripple only)
+ * @property {'locked'|'out-of-bounds'} [reason] - Why the target was skipped (skip only)
+ */
+
+/**
+ * Why a cascade stopped early
+ * @typedef {Object} CascadeTruncation
+ * @property {'max-steps'|'max-queue'|'time-budget'} reason - Limit that was hit
+ * @property {number} steps - Cells processed before stopping
+ * @property {number} pending - Distinct cells still waiting in the queue
  */
-export function updateGrid(grid, row, col) {
+
+/**
+ * Result of a traced update
+ * @typedef {Object} UpdateTrace
+ * @property {number[][]} grid - Same value updateGrid would return
+ * @property {TraceEvent[]} events - Ordered cascade events
+ * @property {number} depth - Deepest cascade level reached by an applied ripple
+ * @property {CascadeTruncation|null} truncated - Set when a cascade limit stopped the cascade
+ */
+
+/**
+ * Fill in defaults for updateGrid options
+ * @param {UpdateOptions} options
+ * @returns {Object} - Settings for runCascade
+ */
+function resolveSettings({ ruleSet = DEFAULT_RULE_SET, topology, lock = DEFAULT_LOCK, lockTimers = null, limits } = {}) {
+    return { ruleSet, topology: getTopology(topology), lock, lockTimers, limits: { ...DEFAULT_CASCADE_LIMITS, ...limits } };
+}
+
+/**
+ * First limit a running cascade has reached
+ * @param {CascadeLimits} limits
+ * @param {number} steps - Cells processed so far
+ * @param {number} queued - Current queue length
+ * @param {number} elapsed - Milliseconds since the cascade started
+ * @returns {CascadeTruncation['reason']|null}
+ */
+function getLimitReason(limits, steps, queued, elapsed) {
+    if (steps >= limits.maxSteps) return 'max-steps';
+    if (queued > limits.maxQueue) return 'max-queue';
+    if (elapsed >= limits.timeBudgetMs) return 'time-budget';
+    return null;
+}
+
+/**
+ * BFS cascade shared by updateGrid and updateGridWithTrace
+ * Events are only built when an events array is supplied.
+ * @param {number[][]} grid - Current grid
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {Object} settings
+ * @param {import('./rules').RuleSet} settings.ruleSet - Ripple rules
+ * @param {import('./topology').Topology} settings.topology - Neighbour resolution
+ * @param {import('./locks').LockConfig} settings.lock - When cells lock
+ * @param {number[][]|null} settings.lockTimers - Expiring lock timers
+ * @param {CascadeLimits} settings.limits - When to stop early
+ * @param {TraceEvent[]|null} events - Receives events when not null
+ * @returns {{grid: number[][], depth: number, truncated: CascadeTruncation|null}}
+ */
+function runCascade(grid, row, col, { ruleSet, topology, lock, lockTimers, limits }, events) {
+    const rows = grid.length;
+    const cols = rows > 0 ? grid[0].length : 0;
+
+    // Locked before the click (expiring locks go by their timers), or newly locked by this cascade
+    const startsLocked = (r, c) => (lockTimers ? lockTimers[r][c] > 0 : isLocked(grid[r][c], lock));
+
     // 1. Validate position
-    if (!isValidPosition(row, col)) {
-        return grid; // Return original reference (no-op)
+    if (!isValidPosition(row, col, rows, cols)) {
+        events?.push({ type: 'skip', step: 0, depth: 0, target: { row, col }, reason: 'out-of-bounds' });
+        return { grid, depth: 0, truncated: null }; // Return original reference (no-op)
     }
 
     // 2. Check locked state on ORIGINAL grid
-    if (isLocked(grid[row][col])) {
-        return grid; // Return original reference (no-op)
+    if (startsLocked(row, col)) {
+        events?.push({ type: 'skip', step: 0, depth: 0, target: { row, col }, reason: 'locked' });
+        return { grid, depth: 0, truncated: null }; // Return original reference (no-op)
     }
 
     // 3. Clone grid for immutability
     const newGrid = grid.map(r => [...r]);
+    const isBlocked = (r, c) => startsLocked(r, c) || (isLocked(newGrid[r][c], lock) && !isLocked(grid[r][c], lock));
 
     // 4. Initialize BFS queue and processed tracking
-    const queue = [{ row, col, isOriginalClick: true }];
+    const queue = [{ row, col, depth: 0, isOriginalClick: true }];
     const processed = new Set();
+    const keyOf = cell => `${cell.row},${cell.col}`;
+    const startedAt = Date.now();
+    let step = 0;
+    let maxDepth = 0;
+    let truncated = null;
+
+    /**
+     * Change every target a rule (or bomb) reaches from a source cell
+     * @param {{row: number, col: number}} source
+     * @param {Array<[number, number]>} offsets
+     * @param {string} ruleId
+     * @param {(value: number) => number} apply
+     * @param {number} depth - Cascade level of the targets
+     */
+    const ripple = (source, offsets, ruleId, apply, depth) => {
+        for (const { offset: [dRow, dCol], row: targetRow, col: targetCol } of resolveTargets(topology, source.row, source.col, offsets, rows, cols)) {
+            const target = { row: targetRow, col: targetCol };
+            const wrapped = targetRow !== source.row + dRow || targetCol !== source.col + dCol;
+            const wrap = wrapped ? { offset: [dRow, dCol] } : {};
+
+            // Ripples that leave the board are ignored (wrapping topologies never leave it)
+            if (!isValidPosition(targetRow, targetCol, rows, cols)) {
+                events?.push({ type: 'skip', step, depth, ruleId, source, target, reason: 'out-of-bounds' });
+                continue;
+            }
 
-    // 5. Process queue with cascading ripple logic
-    while (queue.length > 0) {
-        const current = queue.shift();
-        const { row: r, col: c, isOriginalClick } = current;
+            // Only modify if not locked
+            if (isBlocked(targetRow, targetCol)) {
+                events?.push({ type: 'skip', step, depth, ruleId, source, target, ...wrap, reason: 'locked' });
+                continue;
+            }
 
-        const cellKey = `${r},${c}`;
+            const from = newGrid[targetRow][targetCol];
+            newGrid[targetRow][targetCol] = apply(from);
+            maxDepth = Math.max(maxDepth, depth);
+            events?.push({
+                type: 'ripple',
+                step,
+                depth,
+                ruleId,
+                source,
+                target,
+                ...wrap,
+                delta: newGrid[targetRow][targetCol] - from,
+                from,
+                to: newGrid[targetRow][targetCol]
+            });
+
+            // Queue the affected cell for potential cascading
+            // Don't check processed here - let it queue even if already queued
+            queue.push({ row: targetRow, col: targetCol, depth, isOriginalClick: false });
+            detonate(target, from, depth);
+        }
+    };
+
+    // Bomb locks blast their straight neighbours once, as they lock
+    const detonate = (cell, from, depth) => {
+        if (lock.mode === 'bomb' && isLocked(newGrid[cell.row][cell.col], lock) && !isLocked(from, lock)) {
+            ripple(cell, BOMB_OFFSETS, 'bomb', value => value + BOMB_BLAST, depth + 1);
+        }
+    };
 
+    // 5. Process queue with cascading ripple logic
+    while (queue.length > 0) {
         // Skip if already processed (prevents infinite loops)
-        if (processed.has(cellKey)) {
+        if (processed.has(keyOf(queue[0]))) {
+            queue.shift();
             continue;
         }
 
+        // Stop at a safety limit (never before the click itself), leaving the rest unprocessed
+        const reason = step > 0 && getLimitReason(limits, step, queue.length, Date.now() - startedAt);
+        if (reason) {
+            const pending = new Set(queue.map(keyOf).filter(key => !processed.has(key))).size;
+            truncated = { reason, steps: step, pending };
+            break;
+        }
+
+        const { row: r, col: c, depth, isOriginalClick } = queue.shift();
+
         // Mark as processed NOW (when dequeued, not when queued)
-        processed.add(cellKey);
+        processed.add(`${r},${c}`);
 
         // Increment only the original clicked cell
         if (isOriginalClick) {
             newGrid[r][c] += 1;
+            events?.push({
+                type: 'increment',
+                step,
+                depth,
+                target: { row: r, col: c },
+                delta: 1,
+                from: newGrid[r][c] - 1,
+                to: newGrid[r][c]
+            });
+            detonate({ row: r, col: c }, newGrid[r][c] - 1, depth);
         }
 
         const value = newGrid[r][c];
 
         // Skip ripple if value is 0 (safety guard)
         if (value === 0) {
+            step++;
             continue;
         }
 
-        // Apply ripple rules and queue affected cells
-
-        // Rule 1: Divisible by 3 → Decrement RIGHT neighbor
-        if (value % 3 === 0) {
-            const rightCol = c + 1;
-            if (isValidPosition(r, rightCol)) {
-                // Only modify if not locked
-                if (!isLocked(newGrid[r][rightCol])) {
-                    newGrid[r][rightCol] -= 1;
-
-                    // Queue the affected cell for potential cascading
-                    // Don't check processed here - let it queue even if already queued
-                    queue.push({ row: r, col: rightCol, isOriginalClick: false });
-                }
+        // Apply every matching rule (in rule set order) and queue affected cells
+        for (const rule of ruleSet.rules) {
+            if (ruleMatches(rule, value)) {
+                ripple({ row: r, col: c }, rule.targets, rule.id, from => applyRuleEffect(rule, from), depth + 1);
             }
         }
 
-        // Rule 2: Divisible by 5 → Increment BELOW neighbor by 2
-        if (value % 5 === 0) {
-            const belowRow = r + 1;
-            if (isValidPosition(belowRow, c)) {
-                // Only modify if not locked
-                if (!isLocked(newGrid[belowRow][c])) {
-                    newGrid[belowRow][c] += 2;
-
-                    // Queue the affected cell for potential cascading
-                    // Don't check processed here - let it queue even if already queued
-                    queue.push({ row: belowRow, col: c, isOriginalClick: false });
-                }
-            }
-        }
+        step++;
     }
 
-    return newGrid;
+    return { grid: newGrid, depth: maxDepth, truncated };
+}
+
+/**
+ * Pure function to update grid with cascading ripple logic
+ * 
+ * Rules:
+ * 1. Validates position and locked state
+ * 2. Uses BFS queue to process cascading ripples
+ * 3. Each cell processes only once per click (tracked via Set)
+ * 4. Ripples trigger when a rule in the active rule set matches the cell value
+ *    (default: divisible by 3 or 5)
+ * 5. Maintains immutability throughout
+ * 
+ * Dimensions are read from the grid, so any board from 2x2 to 8x8 works.
+ * Rule targets are resolved by the topology (flat square board by default).
+ * A cascade that hits a safety limit returns the grid as it stood; use
+ * updateGridWithTrace to find out whether that happened.
+ * 
+ * @param {number[][]} grid - Current grid
+ * @param {number} row - Row index (0 to rows-1)
+ * @param {number} col - Column index (0 to cols-1)
+ * @param {UpdateOptions} [options] - Rule set, topology and other settings
+ * @returns {number[][]} - New immutable grid
+ */
+export function updateGrid(grid, row, col, options) {
+    return runCascade(grid, row, col, resolveSettings(options), null).grid;
+}
+
+/**
+ * Same update as updateGrid, plus an ordered log of the cascade
+ * 
+ * Events are emitted in BFS order: the click increment, then for each
+ * dequeued cell every rule target it hit (ripple) or could not reach (skip).
+ * No-op clicks return the original grid reference and a single skip event.
+ * If a cascade limit is hit, truncated says which one and how much was left.
+ * 
+ * @param {number[][]} grid - Current grid
+ * @param {number} row - Row index (0 to rows-1)
+ * @param {number} col - Column index (0 to cols-1)
+ * @param {UpdateOptions} [options] - Rule set, topology and other settings
+ * @returns {UpdateTrace}
+ */
+export function updateGridWithTrace(grid, row, col, options) {
+    const events = [];
+    const result = runCascade(grid, row, col, resolveSettings(options), events);
+    return { grid: result.grid, events, depth: result.depth, truncated: result.truncated };
 }
 
 
 
 /**
  * Reset the game to initial state
+ * @param {number} [rows=3] - Number of rows (2-8)
+ * @param {number} [cols=rows] - Number of columns (2-8)
  * @returns {GameState}
  */
-export function resetGame() {
-    return createInitialState();
+export function resetGame(rows = DEFAULT_GRID_SIZE, cols = rows) {
+    return createInitialState(rows, cols);
 }
 
 /**
@@ -273,37 +544,67 @@ export function setGameOver(state) {
 // VALIDATION HELPERS
 // ============================================================================
 
+/**
+ * Validate if board dimensions are supported (2-8 per side)
+ * @param {number} rows - Number of rows
+ * @param {number} cols - Number of columns
+ * @returns {boolean}
+ */
+export function isValidDimensions(rows, cols) {
+    return [rows, cols].every(
+        size =>
+            Number.isInteger(size) &&
+            size >= MIN_GRID_SIZE &&
+            size <= MAX_GRID_SIZE
+    );
+}
+
 /**
  * Validate if position is within grid bounds
  * @param {number} row - Row index
  * @param {number} col - Column index
+ * @param {number} [rows=3] - Number of rows in the grid
+ * @param {number} [cols=rows] - Number of columns in the grid
  * @returns {boolean}
  */
-export function isValidPosition(row, col) {
+export function isValidPosition(row, col, rows = DEFAULT_GRID_SIZE, cols = rows) {
     return (
         Number.isInteger(row) &&
         Number.isInteger(col) &&
         row >= 0 &&
-        row < 3 &&
+        row < rows &&
         col >= 0 &&
-        col < 3
+        col < cols
     );
 }
 
 /**
  * Validate if grid structure is correct
+ * Without explicit dimensions, any rectangular grid from 2x2 to 8x8 is accepted.
  * @param {any} grid - Grid to validate
+ * @param {number} [rows] - Required number of rows
+ * @param {number} [cols] - Required number of columns
  * @returns {boolean}
  */
-export function isValidGrid(grid) {
-    if (!Array.isArray(grid) || grid.length !== 3) {
+export function isValidGrid(grid, rows, cols) {
+    if (!Array.isArray(grid) || !Array.isArray(grid[0])) {
+        return false;
+    }
+
+    const expectedRows = rows ?? grid.length;
+    const expectedCols = cols ?? grid[0].length;
+
+    if (
+        !isValidDimensions(expectedRows, expectedCols) ||
+        grid.length !== expectedRows
+    ) {
         return false;
     }
 
     return grid.every(
         row =>
             Array.isArray(row) &&
-            row.length === 3 &&
+            row.length === expectedCols &&
             row.every(cell => typeof cell === 'number' && !isNaN(cell))
     );
 }
@@ -329,14 +630,15 @@ export function flattenGrid(state) {
 export function getGridStats(state) {
     const values = flattenGrid(state);
     const lockedCells = getLockedCells(state);
+    const totalCells = values.length;
 
     return {
-        totalCells: 9,
+        totalCells,
         lockedCount: lockedCells.length,
-        unlockedCount: 9 - lockedCells.length,
+        unlockedCount: totalCells - lockedCells.length,
         minValue: Math.min(...values),
         maxValue: Math.max(...values),
         sum: values.reduce((acc, val) => acc + val, 0),
-        average: values.reduce((acc, val) => acc + val, 0) / 9
+        average: values.reduce((acc, val) => acc + val, 0) / totalCells
     };
 }
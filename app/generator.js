@@ -0,0 +1,217 @@
+/**
+ * Procedural Puzzle Generator
+ *
+ * Builds puzzles that are solvable by construction: play a random click
+ * sequence from a start grid through updateGrid and use the result as
+ * the target. The solver then finds the optimal solution, which drives
+ * the difficulty rating and filters out trivial puzzles.
+ */
+
+import { createInitialState, updateGrid, updateGridWithTrace, isLocked } from './gameState';
+import { getRuleSet } from './rules';
+import { createPuzzle } from './puzzle';
+import { solve, getCanonicalKey } from './solver';
+import { createRng, hashString } from './random';
+
+// ============================================================================
+// GENERATOR STRUCTURE
+// ============================================================================
+
+/**
+ * Generator settings
+ * @typedef {Object} GeneratorOptions
+ * @property {number} [rows=3] - Board rows (ignored when start is given)
+ * @property {number} [cols=rows] - Board columns (ignored when start is given)
+ * @property {number[][]} [start] - Seed grid (default: all zeros)
+ * @property {number} [minMoves=3] - Reject puzzles solvable in fewer moves
+ * @property {number} [walkLength=6] - Longest random click sequence
+ * @property {number} [slack=2] - Extra moves allowed beyond the optimum
+ * @property {string} [ruleSetId] - Built-in rule set id (default: classic)
+ * @property {string} [seed] - Seeds the rng when none is given (unlike rng, survives postMessage)
+ * @property {() => number} [rng=Math.random] - Uniform [0, 1) source
+ * @property {Set<string>} [seen] - Keys of puzzles to treat as duplicates
+ * @property {number} [maxAttempts=50] - Random walks tried before giving up
+ * @property {number} [maxNodes=20000] - Solver node cap per attempt
+ */
+
+/** Rating thresholds for each difficulty label (inclusive lower bounds) */
+export const DIFFICULTY_LABELS = [
+    { label: 'expert', min: 85 },
+    { label: 'hard', min: 65 },
+    { label: 'medium', min: 45 },
+    { label: 'easy', min: 0 }
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Pick a random integer in [min, max]
+ * @param {() => number} rng
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function randomInt(rng, min, max) {
+    return min + Math.floor(rng() * (max - min + 1));
+}
+
+/**
+ * List the cells that can still be clicked
+ * @param {number[][]} grid
+ * @returns {Array<{row: number, col: number}>}
+ */
+function getClickableCells(grid) {
+    const cells = [];
+    grid.forEach((row, r) => row.forEach((value, c) => {
+        if (!isLocked(value)) cells.push({ row: r, col: c });
+    }));
+    return cells;
+}
+
+/**
+ * Key identifying a puzzle by its start, target and rules
+ * @param {number[][]} start
+ * @param {number[][]} target
+ * @param {string} ruleSetId
+ * @returns {string}
+ */
+export function getPuzzleKey(start, target, ruleSetId) {
+    return `${ruleSetId}:${getCanonicalKey(start)}>${getCanonicalKey(target)}`;
+}
+
+// ============================================================================
+// DIFFICULTY
+// ============================================================================
+
+/**
+ * Measure a solution: branching factor and cascade count along the way
+ * @param {number[][]} start
+ * @param {import('./history').Move[]} moves - Optimal solution
+ * @param {import('./rules').RuleSet} ruleSet
+ * @returns {{branchingFactor: number, cascadeCount: number}}
+ */
+export function measureSolution(start, moves, ruleSet) {
+    let grid = start;
+    let branching = 0;
+    let cascadeCount = 0;
+
+    for (const { row, col } of moves) {
+        branching += getClickableCells(grid).length;
+        const { grid: next, events } = updateGridWithTrace(grid, row, col, { ruleSet });
+        cascadeCount += events.filter(event => event.type === 'ripple').length;
+        grid = next;
+    }
+
+    return {
+        branchingFactor: moves.length > 0 ? branching / moves.length : 0,
+        cascadeCount
+    };
+}
+
+/**
+ * Combine solution metrics into a rating and label
+ * Solution length dominates; cascades add to it, and branching adds
+ * logarithmically so large boards are not rated hard for size alone.
+ * @param {{optimalMoves: number, branchingFactor: number, cascadeCount: number}} metrics
+ * @returns {import('./puzzle').PuzzleDifficulty}
+ */
+export function rateDifficulty({ optimalMoves, branchingFactor, cascadeCount }) {
+    const rating = Math.round(optimalMoves * 10 + cascadeCount * 3 + Math.log2(Math.max(branchingFactor, 1)) * 4);
+    const { label } = DIFFICULTY_LABELS.find(({ min }) => rating >= min);
+
+    return {
+        rating,
+        label,
+        optimalMoves,
+        branchingFactor: Math.round(branchingFactor * 100) / 100,
+        cascadeCount
+    };
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Generate one solvable, non-trivial, non-duplicate puzzle
+ * @param {GeneratorOptions} [options]
+ * @returns {import('./puzzle').Puzzle|null} - null if no puzzle qualified within maxAttempts
+ */
+export function generatePuzzle({
+    rows = 3,
+    cols = rows,
+    start,
+    minMoves = 3,
+    walkLength = 6,
+    slack = 2,
+    ruleSetId = getRuleSet().id,
+    seed,
+    rng = seed === undefined ? Math.random : createRng(seed),
+    seen = new Set(),
+    maxAttempts = 50,
+    maxNodes = 20000
+} = {}) {
+    const ruleSet = getRuleSet(ruleSetId);
+    const startGrid = start ?? createInitialState(rows, cols).grid;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        // 1. Random walk to a target
+        let target = startGrid;
+        const steps = randomInt(rng, minMoves, Math.max(minMoves, walkLength));
+        for (let i = 0; i < steps; i++) {
+            const cells = getClickableCells(target);
+            if (cells.length === 0) break;
+            const { row, col } = cells[randomInt(rng, 0, cells.length - 1)];
+            target = updateGrid(target, row, col, { ruleSet });
+        }
+
+        // 2. Skip duplicates before paying for a solve
+        const key = getPuzzleKey(startGrid, target, ruleSet.id);
+        if (seen.has(key)) continue;
+
+        // 3. Optimal solution (always exists within the walk length)
+        const result = solve({ start: startGrid, target, ruleSet, maxDepth: steps, maxNodes });
+        if (result.status !== 'solved' || result.moves.length < minMoves) continue;
+
+        seen.add(key);
+        const optimalMoves = result.moves.length;
+        const difficulty = rateDifficulty({
+            optimalMoves,
+            ...measureSolution(startGrid, result.moves, ruleSet)
+        });
+        const id = `gen-${ruleSet.id}-${hashString(key).toString(36)}`;
+
+        return createPuzzle({
+            id,
+            name: `Generated ${difficulty.label} #${id.slice(-4)}`,
+            start: startGrid,
+            target,
+            maxMoves: optimalMoves + slack,
+            ruleSetId: ruleSet.id,
+            difficulty
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Generate several distinct puzzles
+ * @param {number} count - Puzzles wanted
+ * @param {GeneratorOptions} [options] - Shared by every puzzle
+ * @returns {import('./puzzle').Puzzle[]} - May be shorter than count if attempts run out
+ */
+export function generatePuzzles(count, options = {}) {
+    const seen = options.seen ?? new Set();
+    const puzzles = [];
+
+    for (let i = 0; i < count; i++) {
+        const puzzle = generatePuzzle({ ...options, seen });
+        if (!puzzle) break;
+        puzzles.push(puzzle);
+    }
+
+    return puzzles;
+}
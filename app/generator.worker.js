@@ -0,0 +1,6 @@
+/** Generator Worker: runs generatePuzzle off the main thread (see useGenerator) */
+
+import { generatePuzzle } from './generator';
+import { answerRequests } from './workerRequests';
+
+answerRequests(generatePuzzle);
@@ -0,0 +1,161 @@
+/**
+ * Hint Ranking
+ *
+ * Ranks every clickable cell by a depth-limited lookahead: each move is
+ * scored by the best position reachable within `depth` moves of it,
+ * using a heuristic suited to the current objective. Pure and
+ * synchronous; the UI runs it inside hints.worker.js.
+ */
+
+import { updateGrid, isLocked } from './gameState';
+import { DEFAULT_LOCK, tickLockTimers } from './locks';
+import { evaluateObjective } from './objectives';
+
+// ============================================================================
+// HINT STRUCTURE
+// ============================================================================
+
+/** Score of a position that wins the objective */
+const WIN_SCORE = 1e6;
+
+/** Score of a position that loses the objective */
+const LOSS_SCORE = -1e6;
+
+/**
+ * Ranked candidate move
+ * @typedef {Object} HintMove
+ * @property {number} row
+ * @property {number} col
+ * @property {number} score - Higher is better
+ * @property {number[][]} preview - Grid right after this move
+ */
+
+/**
+ * Lookahead parameters
+ * @typedef {Object} HintOptions
+ * @property {number} [depth] - Moves to look ahead (default: scaled by board size)
+ * @property {import('./rules').RuleSet} [ruleSet] - Rules passed to updateGrid
+ * @property {string} [topology] - Topology id passed to updateGrid
+ */
+
+// ============================================================================
+// HEURISTICS
+// ============================================================================
+
+/**
+ * Static score of a grid for an objective (higher is closer to winning)
+ * @param {number[][]} grid
+ * @param {import('./objectives').Objective} objective
+ * @param {import('./locks').LockConfig} [lock=DEFAULT_LOCK] - Active lock rules
+ * @returns {number}
+ */
+export function scorePosition(grid, objective, lock = DEFAULT_LOCK) {
+    const values = grid.flat();
+
+    switch (objective.type) {
+        case 'targetGrid': {
+            const target = objective.target.flat();
+            const distance = values.reduce((acc, value, i) => {
+                // A wrong locked cell can never be fixed
+                const miss = isLocked(value, lock) && value !== target[i] ? 100 : Math.abs(value - target[i]);
+                return acc + miss;
+            }, 0);
+            return 0 - distance; // Not -distance, which yields -0 for a perfect match
+        }
+        case 'targetSum': {
+            const sum = values.reduce((acc, value) => acc + value, 0);
+            return 0 - Math.max(objective.sum - sum, 0);
+        }
+        default: {
+            // Lock objectives: locked cells count most, then progress toward the lock threshold
+            return values.reduce(
+                (acc, value) => acc + (isLocked(value, lock) ? 100 : Math.max(Math.min(value, lock.threshold), 0)),
+                0
+            );
+        }
+    }
+}
+
+/**
+ * Default lookahead depth: deeper on small boards, shallow on large ones
+ * @param {number} cellCount
+ * @returns {number}
+ */
+export function getDefaultDepth(cellCount) {
+    if (cellCount <= 9) return 3;
+    if (cellCount <= 25) return 2;
+    return 1;
+}
+
+/**
+ * Best score reachable from a state within `depth` more moves
+ * Earlier wins score higher so the shortest route is preferred.
+ * @param {number[][]} grid
+ * @param {number} moveCount - Moves played to reach this grid
+ * @param {number[][]|null} lockTimers - Expiring lock timers for this grid
+ * @param {number} depth - Remaining lookahead
+ * @param {import('./objectives').Objective} objective
+ * @param {import('./gameState').UpdateOptions} update - Rule set, topology and lock
+ * @returns {number}
+ */
+function lookahead(grid, moveCount, lockTimers, depth, objective, update) {
+    const { lock } = update;
+    const { status } = evaluateObjective(objective, { grid, moveCount, lock, lockTimers });
+    if (status === 'won') return WIN_SCORE + depth;
+    if (status === 'lost') return LOSS_SCORE;
+
+    let best = scorePosition(grid, objective, lock);
+    if (depth === 0) {
+        return best;
+    }
+
+    for (let row = 0; row < grid.length; row++) {
+        for (let col = 0; col < grid[row].length; col++) {
+            const child = updateGrid(grid, row, col, { ...update, lockTimers });
+            if (child !== grid) {
+                const childTimers = tickLockTimers(lockTimers, grid, child, lock);
+                best = Math.max(best, lookahead(child, moveCount + 1, childTimers, depth - 1, objective, update));
+            }
+        }
+    }
+
+    return best;
+}
+
+// ============================================================================
+// RANKING
+// ============================================================================
+
+/**
+ * Rank every clickable cell, best first
+ * @param {import('./gameState').GameState} state - Needs grid and moveCount; lock rules and timers are read from it
+ * @param {import('./objectives').Objective} objective
+ * @param {HintOptions} [options]
+ * @returns {HintMove[]}
+ */
+export function rankMoves(state, objective, { depth, ruleSet, topology } = {}) {
+    const { grid, lockTimers = null } = state;
+    const update = { ruleSet, topology, lock: state.lock ?? DEFAULT_LOCK };
+    const moveCount = state.moveCount ?? 0;
+    const searchDepth = depth ?? getDefaultDepth(grid.length * grid[0].length);
+    const ranking = [];
+
+    for (let row = 0; row < grid.length; row++) {
+        for (let col = 0; col < grid[row].length; col++) {
+            const preview = updateGrid(grid, row, col, { ...update, lockTimers });
+            if (preview === grid) {
+                continue; // Locked
+            }
+
+            ranking.push({
+                row,
+                col,
+                score: lookahead(preview, moveCount + 1, tickLockTimers(lockTimers, grid, preview, update.lock), searchDepth - 1, objective, update),
+                preview
+            });
+        }
+    }
+
+    // Stable order: best score, then reading order
+    return ranking.sort((a, b) => b.score - a.score || a.row - b.row || a.col - b.col);
+}
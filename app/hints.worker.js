@@ -0,0 +1,6 @@
+/** Hint Worker: runs rankMoves off the main thread (see useHints) */
+
+import { rankMoves } from './hints';
+import { answerRequests } from './workerRequests';
+
+answerRequests(rankMoves);
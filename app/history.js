@@ -0,0 +1,309 @@
+/**
+ * Move History with Branching Timeline
+ *
+ * Design Principles:
+ * - Built on updateGrid: every recorded move is a pure grid transition
+ * - Immutability: every operation returns a new history object
+ * - Nothing is lost: playing from an earlier point stores the undone
+ *   future as a branch that can be restored later
+ */
+
+import { updateGrid, isValidGrid, isValidPosition } from './gameState';
+import { DEFAULT_LOCK, replayLockTimers } from './locks';
+
+// ============================================================================
+// HISTORY STRUCTURE
+// ============================================================================
+
+/**
+ * Single click on the board
+ * @typedef {Object} Move
+ * @property {number} row
+ * @property {number} col
+ */
+
+/**
+ * Grid snapshot with the move that produced it
+ * @typedef {Object} HistoryEntry
+ * @property {number[][]} grid - Grid after the move
+ * @property {Move|null} move - null for the starting grid
+ */
+
+/**
+ * Abandoned timeline kept for later restoration
+ * @typedef {Object} Branch
+ * @property {number} id - Unique within its history
+ * @property {number} forkIndex - Last entry shared with the timeline it split from
+ * @property {HistoryEntry[]} entries - Full timeline of the branch (start included)
+ */
+
+/**
+ * Undo/redo history
+ * @typedef {Object} History
+ * @property {HistoryEntry[]} past - Entries before the present (oldest first)
+ * @property {HistoryEntry} present - Current entry
+ * @property {HistoryEntry[]} future - Undone entries (next redo first)
+ * @property {Branch[]} branches - Abandoned timelines
+ * @property {number} nextBranchId - Id for the next stored branch
+ */
+
+// ============================================================================
+// CREATION & DERIVED STATE
+// ============================================================================
+
+/**
+ * Create a history starting at the given grid
+ * @param {number[][]} grid - Starting grid
+ * @returns {History}
+ */
+export function createHistory(grid) {
+    return {
+        past: [],
+        present: { grid, move: null },
+        future: [],
+        branches: [],
+        nextBranchId: 1
+    };
+}
+
+/**
+ * Get the full active timeline (past, present and future)
+ * @param {History} history
+ * @returns {HistoryEntry[]}
+ */
+export function getTimeline(history) {
+    return [...history.past, history.present, ...history.future];
+}
+
+/**
+ * Get the index of the present entry (equals the number of moves played)
+ * @param {History} history
+ * @returns {number}
+ */
+export function getCurrentIndex(history) {
+    return history.past.length;
+}
+
+/**
+ * Get the moves leading to the present grid
+ * @param {History} history
+ * @returns {Move[]}
+ */
+export function getMoves(history) {
+    return [...history.past, history.present]
+        .map(entry => entry.move)
+        .filter(Boolean);
+}
+
+/**
+ * Build a GameState from the present entry
+ * Expiring lock timers are replayed from the moves leading to the present.
+ * @param {History} history
+ * @param {import('./locks').LockConfig} [lock=DEFAULT_LOCK] - Active lock rules
+ * @returns {import('./gameState').GameState}
+ */
+export function getHistoryState(history, lock = DEFAULT_LOCK) {
+    const { grid } = history.present;
+    return {
+        grid,
+        rows: grid.length,
+        cols: grid[0].length,
+        moveCount: getCurrentIndex(history),
+        lock,
+        lockTimers: replayLockTimers([...history.past, history.present].map(entry => entry.grid), lock)
+    };
+}
+
+/**
+ * @param {History} history
+ * @returns {boolean}
+ */
+export function canUndo(history) {
+    return history.past.length > 0;
+}
+
+/**
+ * @param {History} history
+ * @returns {boolean}
+ */
+export function canRedo(history) {
+    return history.future.length > 0;
+}
+
+// ============================================================================
+// TRANSITIONS
+// ============================================================================
+
+/**
+ * Play a move and record it
+ *
+ * If moves had been undone, the undone future is kept as a branch.
+ * No-op clicks (locked or out-of-bounds) leave the history untouched.
+ *
+ * @param {History} history
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {import('./gameState').UpdateOptions} [options] - Passed to updateGrid
+ * @returns {History}
+ */
+export function recordMove(history, row, col, options) {
+    const grid = updateGrid(history.present.grid, row, col, options);
+    if (grid === history.present.grid) {
+        return history; // Same reference signals no-op
+    }
+
+    const entry = { grid, move: { row, col } };
+
+    if (history.future.length === 0) {
+        return {
+            ...history,
+            past: [...history.past, history.present],
+            present: entry
+        };
+    }
+
+    // Keep the abandoned future as a branch
+    const branch = {
+        id: history.nextBranchId,
+        forkIndex: getCurrentIndex(history),
+        entries: getTimeline(history)
+    };
+
+    return {
+        past: [...history.past, history.present],
+        present: entry,
+        future: [],
+        branches: [...history.branches, branch],
+        nextBranchId: history.nextBranchId + 1
+    };
+}
+
+/**
+ * Move to any entry of the active timeline
+ * @param {History} history
+ * @param {number} index - Timeline index (0 = starting grid)
+ * @returns {History}
+ */
+export function jumpTo(history, index) {
+    const timeline = getTimeline(history);
+    if (
+        !Number.isInteger(index) ||
+        index < 0 ||
+        index >= timeline.length ||
+        index === getCurrentIndex(history)
+    ) {
+        return history;
+    }
+
+    return {
+        ...history,
+        past: timeline.slice(0, index),
+        present: timeline[index],
+        future: timeline.slice(index + 1)
+    };
+}
+
+/**
+ * Step back one move
+ * @param {History} history
+ * @returns {History}
+ */
+export function undo(history) {
+    return jumpTo(history, getCurrentIndex(history) - 1);
+}
+
+/**
+ * Step forward one move
+ * @param {History} history
+ * @returns {History}
+ */
+export function redo(history) {
+    return jumpTo(history, getCurrentIndex(history) + 1);
+}
+
+/**
+ * Make a stored branch the active timeline
+ *
+ * The active timeline is stored as a branch in its place, and the
+ * present moves to the end of the restored branch.
+ *
+ * @param {History} history
+ * @param {number} branchId - Id of the branch to restore
+ * @returns {History}
+ */
+export function restoreBranch(history, branchId) {
+    const branch = history.branches.find(b => b.id === branchId);
+    if (!branch) {
+        return history;
+    }
+
+    const { entries } = branch;
+    const replaced = {
+        id: history.nextBranchId,
+        forkIndex: branch.forkIndex,
+        entries: getTimeline(history)
+    };
+
+    return {
+        past: entries.slice(0, -1),
+        present: entries[entries.length - 1],
+        future: [],
+        branches: [...history.branches.filter(b => b.id !== branchId), replaced],
+        nextBranchId: history.nextBranchId + 1
+    };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a history loaded from outside (e.g. a save)
+ * Checks structure only: every grid shares the start's dimensions and
+ * every move is on the board.
+ * @param {any} history
+ * @returns {string[]} - Empty if valid
+ */
+export function validateHistory(history) {
+    if (!history || typeof history !== 'object') {
+        return ['History must be an object'];
+    }
+    if (!Array.isArray(history.past) || !Array.isArray(history.future) || !Array.isArray(history.branches)) {
+        return ['History must have past, future and branches arrays'];
+    }
+
+    const start = history.past[0] ?? history.present;
+    if (!isValidGrid(start?.grid)) {
+        return ['History start grid is invalid'];
+    }
+    const rows = start.grid.length;
+    const cols = start.grid[0].length;
+
+    const isValidEntry = (entry, index) =>
+        Boolean(entry) &&
+        isValidGrid(entry.grid, rows, cols) &&
+        (index === 0
+            ? entry.move === null
+            : Boolean(entry.move) && isValidPosition(entry.move.row, entry.move.col, rows, cols));
+
+    const errors = [];
+    if (!getTimeline(history).every(isValidEntry)) {
+        errors.push('History timeline has invalid entries');
+    }
+    history.branches.forEach((branch, i) => {
+        if (
+            !Number.isInteger(branch?.id) ||
+            !Number.isInteger(branch.forkIndex) ||
+            !Array.isArray(branch.entries) ||
+            branch.entries.length === 0 || // restoreBranch would leave no present
+            !branch.entries.every(isValidEntry)
+        ) {
+            errors.push(`Branch ${i} is invalid`);
+        }
+    });
+    if (!Number.isInteger(history.nextBranchId)) {
+        errors.push('Next branch id must be an integer');
+    }
+
+    return errors;
+}
@@ -0,0 +1,308 @@
+/**
+ * Level Packs & Campaign
+ *
+ * A level pack is versioned JSON: pack metadata plus an ordered list of
+ * levels. Each level has a start grid, a rule set, an objective, par moves
+ * and star thresholds. The campaign plays a pack in order: a level
+ * unlocks once the one before it has been won, and the best star rating
+ * per level is kept in localStorage by the UI.
+ */
+
+import { isValidGrid } from './gameState';
+import { validateObjective } from './objectives';
+import { RULE_SETS } from './rules';
+
+// ============================================================================
+// PACK STRUCTURE
+// ============================================================================
+
+/** Version written into every pack; bump on breaking format changes */
+export const LEVEL_PACK_VERSION = 1;
+
+/** localStorage key holding the serialised CampaignProgress */
+export const CAMPAIGN_STORAGE_KEY = 'campaignProgress';
+
+/**
+ * Move counts that earn stars (a win above `two` earns one star)
+ * @typedef {Object} StarThresholds
+ * @property {number} three - Most moves for three stars
+ * @property {number} two - Most moves for two stars
+ */
+
+/**
+ * One level of a pack
+ * @typedef {Object} Level
+ * @property {string} id - Unique within the pack
+ * @property {string} name - Display name
+ * @property {string} [intro] - What the level teaches, shown before play
+ * @property {number[][]} start - Starting grid
+ * @property {string} ruleSetId - Built-in rule set id
+ * @property {import('./objectives').Objective} objective - May include a move limit
+ * @property {number} par - Moves in the best known solution
+ * @property {StarThresholds} stars
+ */
+
+/**
+ * Level pack (JSON-safe)
+ * @typedef {Object} LevelPack
+ * @property {number} version - LEVEL_PACK_VERSION
+ * @property {string} id - Stable identifier (progress is stored under it)
+ * @property {string} name - Display name
+ * @property {string} [author]
+ * @property {string} [description]
+ * @property {Level[]} levels - In play order
+ */
+
+/**
+ * Best star rating per level, per pack
+ * @typedef {Object} CampaignProgress
+ * @property {Object<string, Object<string, number>>} stars - packId → levelId → 1-3
+ */
+
+/**
+ * Campaign view of one level
+ * @typedef {Object} LevelStatus
+ * @property {Level} level
+ * @property {number} stars - Best rating so far (0 = not won)
+ * @property {boolean} unlocked
+ */
+
+// ============================================================================
+// VALIDATION & LOADING
+// ============================================================================
+
+/**
+ * Validate one level
+ * @param {any} level
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+function validateLevel(level) {
+    if (!level || typeof level !== 'object') {
+        return ['Level must be an object'];
+    }
+
+    const errors = [];
+    if (typeof level.id !== 'string' || level.id === '') {
+        errors.push('Level id is required');
+    }
+    if (typeof level.name !== 'string' || level.name === '') {
+        errors.push('Level name is required');
+    }
+    if (!isValidGrid(level.start)) {
+        errors.push('Start grid is invalid');
+    }
+    if (!Object.hasOwn(RULE_SETS, level.ruleSetId ?? '')) {
+        errors.push(`Unknown rule set "${level.ruleSetId}"`);
+    }
+    const objectiveErrors = validateObjective(level.objective);
+    errors.push(...objectiveErrors.map(error => `Objective: ${error}`));
+    if (
+        objectiveErrors.length === 0 &&
+        level.objective.type === 'targetGrid' &&
+        isValidGrid(level.start) &&
+        !isValidGrid(level.objective.target, level.start.length, level.start[0].length)
+    ) {
+        errors.push('Objective: Target grid must match the start grid dimensions');
+    }
+    if (!Number.isInteger(level.par) || level.par < 1) {
+        errors.push('Par must be a positive integer');
+    }
+    if (
+        !level.stars ||
+        !Number.isInteger(level.stars.three) ||
+        !Number.isInteger(level.stars.two) ||
+        !(level.par <= level.stars.three && level.stars.three <= level.stars.two)
+    ) {
+        errors.push('Star thresholds must be integers with par <= three <= two');
+    }
+    return errors;
+}
+
+/**
+ * Validate a level pack
+ * Level errors are prefixed with their position and id.
+ * @param {any} data - Candidate pack
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+export function validateLevelPack(data) {
+    if (!data || typeof data !== 'object') {
+        return ['Level pack must be an object'];
+    }
+
+    const errors = [];
+    if (data.version !== LEVEL_PACK_VERSION) {
+        errors.push(`Unsupported level pack version: ${data.version}`);
+    }
+    if (typeof data.id !== 'string' || data.id === '') {
+        errors.push('Pack id is required');
+    }
+    if (typeof data.name !== 'string' || data.name === '') {
+        errors.push('Pack name is required');
+    }
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        errors.push('Pack needs at least one level');
+        return errors;
+    }
+
+    const seen = new Set();
+    data.levels.forEach((level, index) => {
+        const label = `Level ${index + 1}${typeof level?.id === 'string' ? ` (${level.id})` : ''}`;
+        errors.push(...validateLevel(level).map(error => `${label}: ${error}`));
+        if (seen.has(level?.id)) {
+            errors.push(`${label}: Duplicate level id`);
+        }
+        seen.add(level?.id);
+    });
+    return errors;
+}
+
+/**
+ * Parse and validate level pack JSON
+ * @param {string} json
+ * @returns {LevelPack}
+ */
+export function loadLevelPack(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('Invalid level pack: not valid JSON');
+    }
+
+    const errors = validateLevelPack(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid level pack: ${errors.join('; ')}`);
+    }
+    return data;
+}
+
+// ============================================================================
+// STARS & PROGRESS
+// ============================================================================
+
+/**
+ * Stars for a won level
+ * @param {Level} level
+ * @param {number} moves - Moves the win took
+ * @returns {number} - 1-3
+ */
+export function rateLevel(level, moves) {
+    if (moves <= level.stars.three) return 3;
+    if (moves <= level.stars.two) return 2;
+    return 1;
+}
+
+/**
+ * Empty progress
+ * @returns {CampaignProgress}
+ */
+export function createCampaignProgress() {
+    return { stars: {} };
+}
+
+/**
+ * Parse stored progress, falling back to empty progress if it is missing or corrupt
+ * @param {string|null} json
+ * @returns {CampaignProgress}
+ */
+export function parseCampaignProgress(json) {
+    try {
+        const data = JSON.parse(json);
+        if (data && typeof data.stars === 'object' && !Array.isArray(data.stars)) {
+            return { stars: { ...data.stars } };
+        }
+    } catch {
+        // Fall through to empty progress
+    }
+    return createCampaignProgress();
+}
+
+/**
+ * Record a win, keeping the best rating
+ * @param {CampaignProgress} progress
+ * @param {string} packId
+ * @param {string} levelId
+ * @param {number} stars - 1-3
+ * @returns {CampaignProgress} - Same reference if nothing improved
+ */
+export function recordLevelResult(progress, packId, levelId, stars) {
+    const packStars = progress.stars[packId] ?? {};
+    if ((packStars[levelId] ?? 0) >= stars) {
+        return progress;
+    }
+    return { stars: { ...progress.stars, [packId]: { ...packStars, [levelId]: stars } } };
+}
+
+/**
+ * Stars and unlock state of every level in a pack
+ * The first level is always open; each later one opens once the previous one is won.
+ * @param {LevelPack} pack
+ * @param {CampaignProgress} progress
+ * @returns {LevelStatus[]}
+ */
+export function getLevelStatuses(pack, progress) {
+    const packStars = progress.stars[pack.id] ?? {};
+    return pack.levels.map((level, index) => ({
+        level,
+        stars: packStars[level.id] ?? 0,
+        unlocked: index === 0 || (packStars[pack.levels[index - 1].id] ?? 0) > 0
+    }));
+}
+
+// ============================================================================
+// STARTER PACK
+// ============================================================================
+
+/** Built-in pack: one rule at a time, then locking, then everything together */
+export const STARTER_PACK = {
+    version: LEVEL_PACK_VERSION,
+    id: 'starter',
+    name: 'Starter Pack',
+    author: 'The Recursive Grid',
+    description: 'Learn the ripple rules one at a time.',
+    levels: [
+        {
+            id: 'threes',
+            name: 'Threes',
+            intro: 'When a cell reaches a multiple of 3, the cell to its right loses 1.',
+            start: [[0, 0, 0], [0, 0, 0], [0, 0, 0]],
+            ruleSetId: 'classic',
+            objective: { type: 'targetGrid', target: [[3, -1, 0], [0, 0, 0], [0, 0, 0]] },
+            par: 3,
+            stars: { three: 3, two: 5 }
+        },
+        {
+            id: 'fives',
+            name: 'Fives',
+            intro: 'When a cell reaches a multiple of 5, the cell below it gains 2.',
+            start: [[4, 0, 4], [0, 0, 0], [0, 0, 0]],
+            ruleSetId: 'classic',
+            objective: { type: 'targetGrid', target: [[5, 0, 5], [2, 0, 2], [0, 0, 0]] },
+            par: 2,
+            stars: { three: 2, two: 4 }
+        },
+        {
+            id: 'lockdown',
+            name: 'Lockdown',
+            intro: 'A cell locks at 15: clicks and ripples no longer change it. Lock every cell.',
+            start: [[14, 14], [14, 14]],
+            ruleSetId: 'classic',
+            objective: { type: 'lockAll' },
+            par: 2,
+            stars: { three: 2, two: 4 }
+        },
+        {
+            id: 'chain-reaction',
+            name: 'Chain Reaction',
+            intro: 'Ripples can trigger more ripples. Put it all together.',
+            start: [[2, 4, 0], [0, 3, 0], [4, 0, 1]],
+            ruleSetId: 'classic',
+            objective: { type: 'targetGrid', target: [[3, 3, -1], [0, 5, 0], [5, 2, 1]] },
+            par: 4,
+            stars: { three: 4, two: 6 }
+        }
+    ]
+};
+
+/** Packs that ship with the game */
+export const LEVEL_PACKS = [STARTER_PACK];
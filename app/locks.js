@@ -0,0 +1,174 @@
+/**
+ * Lock Rules
+ *
+ * When a cell locks, and for how long, as plain data (LockConfig):
+ * - permanent: cells lock for good at the threshold (the original rule)
+ * - expiring: locks lift after a number of moves; the cell stays
+ *   unlocked until it leaves the locked range and comes back
+ * - negative: cells also lock as soon as they drop below zero
+ * - bomb: as permanent, but a cell that locks during a cascade blasts
+ *   its straight neighbours with a final ripple
+ *
+ * Expiring locks need more than the grid: lock timers (moves left per
+ * cell) are carried beside it and advanced after every move.
+ */
+
+// ============================================================================
+// LOCK STRUCTURE
+// ============================================================================
+
+/**
+ * @typedef {Object} LockConfig
+ * @property {number} threshold - Cells lock at this value or above
+ * @property {'permanent'|'expiring'|'negative'|'bomb'} mode
+ * @property {number} [duration] - Moves an expiring lock lasts
+ */
+
+/** Original rule: locked for good at 15 */
+export const DEFAULT_LOCK = { threshold: 15, mode: 'permanent' };
+
+/** Allowed thresholds */
+export const MIN_LOCK_THRESHOLD = 2;
+export const MAX_LOCK_THRESHOLD = 99;
+
+/** Duration used when switching to expiring locks */
+export const DEFAULT_LOCK_DURATION = 3;
+
+/** Change a bomb lock makes to each neighbour */
+export const BOMB_BLAST = 1;
+
+/** Straight neighbours hit by a bomb (before topology resolution) */
+export const BOMB_OFFSETS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/** Lock modes, keyed by id */
+export const LOCK_MODES = {
+    permanent: {
+        name: 'Permanent',
+        describe: ({ threshold }) => `Cells lock for good at ${threshold} or above`
+    },
+    expiring: {
+        name: 'Expiring',
+        describe: ({ threshold, duration }) => `Cells lock at ${threshold} or above for ${duration} moves`
+    },
+    negative: {
+        name: 'Negative',
+        describe: ({ threshold }) => `Cells lock at ${threshold} or above, or below 0`
+    },
+    bomb: {
+        name: 'Bomb',
+        describe: ({ threshold }) => `Cells lock at ${threshold} or above and blast their neighbours +${BOMB_BLAST}`
+    }
+};
+
+// ============================================================================
+// LOCK CHECKS
+// ============================================================================
+
+/**
+ * Whether a value is in the locked range
+ * (for expiring locks, whether the lock timer is armed)
+ * @param {number} value
+ * @param {LockConfig} [lock=DEFAULT_LOCK]
+ * @returns {boolean}
+ */
+export function meetsLock(value, lock = DEFAULT_LOCK) {
+    return value >= lock.threshold || (lock.mode === 'negative' && value < 0);
+}
+
+/**
+ * Describe a lock configuration
+ * @param {LockConfig} lock
+ * @returns {string}
+ */
+export function describeLock(lock) {
+    return LOCK_MODES[lock.mode].describe(lock);
+}
+
+/**
+ * Validate a lock configuration
+ * @param {any} lock
+ * @returns {string[]} - Empty if valid
+ */
+export function validateLock(lock) {
+    if (!lock || typeof lock !== 'object') {
+        return ['Lock must be an object'];
+    }
+
+    const errors = [];
+    if (!Number.isInteger(lock.threshold) || lock.threshold < MIN_LOCK_THRESHOLD || lock.threshold > MAX_LOCK_THRESHOLD) {
+        errors.push(`Lock threshold must be an integer from ${MIN_LOCK_THRESHOLD} to ${MAX_LOCK_THRESHOLD}`);
+    }
+    if (!Object.hasOwn(LOCK_MODES, lock.mode ?? '')) {
+        errors.push(`Unknown lock mode "${lock.mode}"`);
+    } else if (lock.mode === 'expiring' && !(Number.isInteger(lock.duration) && lock.duration > 0)) {
+        errors.push('Expiring locks need a positive whole duration');
+    }
+    return errors;
+}
+
+// ============================================================================
+// LOCK TIMERS
+// ============================================================================
+
+/**
+ * Timers for a starting grid: cells already in range start locked
+ * @param {number[][]} grid
+ * @param {LockConfig} lock
+ * @returns {number[][]|null} - null unless locks expire
+ */
+export function createLockTimers(grid, lock) {
+    if (lock?.mode !== 'expiring') return null;
+    return grid.map(row => row.map(value => (meetsLock(value, lock) ? lock.duration : 0)));
+}
+
+/**
+ * Advance timers by one move
+ *
+ * Cells that entered the locked range this move start a full timer;
+ * every other timer counts down. A lock that has run out stays off while
+ * the cell remains in range.
+ *
+ * @param {number[][]|null} timers - Before the move
+ * @param {number[][]} before - Grid before the move
+ * @param {number[][]} after - Grid after the move
+ * @param {LockConfig} lock
+ * @returns {number[][]|null}
+ */
+export function tickLockTimers(timers, before, after, lock) {
+    if (!timers) return null;
+    return timers.map((row, r) => row.map((left, c) => {
+        if (meetsLock(after[r][c], lock) && !meetsLock(before[r][c], lock)) {
+            return lock.duration;
+        }
+        return Math.max(left - 1, 0);
+    }));
+}
+
+/**
+ * Timers after playing through a sequence of grids
+ * @param {number[][][]} grids - Start grid first
+ * @param {LockConfig} lock
+ * @returns {number[][]|null}
+ */
+export function replayLockTimers(grids, lock) {
+    let timers = createLockTimers(grids[0], lock);
+    for (let i = 1; i < grids.length; i++) {
+        timers = tickLockTimers(timers, grids[i - 1], grids[i], lock);
+    }
+    return timers;
+}
+
+/**
+ * Cells that entered the locked range during a move
+ * @param {number[][]} before
+ * @param {number[][]} after
+ * @param {LockConfig} [lock=DEFAULT_LOCK]
+ * @returns {number}
+ */
+export function countNewLocks(before, after, lock = DEFAULT_LOCK) {
+    let count = 0;
+    after.forEach((row, r) => row.forEach((value, c) => {
+        if (meetsLock(value, lock) && !meetsLock(before[r][c], lock)) count++;
+    }));
+    return count;
+}
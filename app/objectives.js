@@ -0,0 +1,150 @@
+/**
+ * Objectives & Game-Over Evaluation
+ *
+ * An objective is plain data ({ type, ...params }). After every move the
+ * game loop calls evaluateObjective; once it reports a win or loss the
+ * state is marked with setGameOver. Game over stays derived from the grid
+ * and move count, so undoing out of it simply resumes play.
+ */
+
+import { getGridStats, setGameOver, isValidGrid } from './gameState';
+
+// ============================================================================
+// OBJECTIVE STRUCTURE
+// ============================================================================
+
+/**
+ * Win condition, with an optional move limit
+ * @typedef {Object} Objective
+ * @property {'lockAll'|'targetGrid'|'targetSum'} type
+ * @property {number[][]} [target] - Exact grid to reach (targetGrid)
+ * @property {number} [sum] - Grid sum to reach or exceed (targetSum)
+ * @property {number} [maxMoves] - Lose when this many moves pass without winning
+ */
+
+/**
+ * Outcome of evaluating an objective
+ * @typedef {Object} ObjectiveResult
+ * @property {'playing'|'won'|'lost'} status
+ * @property {string} reason - Human-readable explanation
+ */
+
+// ============================================================================
+// OBJECTIVE TYPES
+// ============================================================================
+
+/**
+ * Check if two grids hold identical values
+ * @param {number[][]} a
+ * @param {number[][]} b
+ * @returns {boolean}
+ */
+export function gridsEqual(a, b) {
+    return (
+        a.length === b.length &&
+        a.every((row, r) => row.length === b[r].length && row.every((value, c) => value === b[r][c]))
+    );
+}
+
+/**
+ * Objective registry: isWon(state, objective) and describe(objective)
+ */
+export const OBJECTIVES = {
+    lockAll: {
+        isWon: state => getGridStats(state).unlockedCount === 0,
+        describe: () => 'Lock every cell'
+    },
+    targetGrid: {
+        isWon: (state, { target }) => gridsEqual(state.grid, target),
+        describe: () => 'Match the target grid exactly'
+    },
+    targetSum: {
+        isWon: (state, { sum }) => getGridStats(state).sum >= sum,
+        describe: ({ sum }) => `Reach a grid sum of ${sum}`
+    }
+};
+
+/**
+ * Validate an objective definition
+ * @param {any} objective - Candidate objective
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+export function validateObjective(objective) {
+    if (!objective || typeof objective !== 'object' || !Object.hasOwn(OBJECTIVES, objective.type ?? '')) {
+        return [`Unknown objective type "${objective?.type}"`];
+    }
+
+    const errors = [];
+    if (objective.type === 'targetGrid' && !isValidGrid(objective.target)) {
+        errors.push('Target grid is invalid');
+    }
+    if (objective.type === 'targetSum' && !Number.isInteger(objective.sum)) {
+        errors.push('Target sum must be an integer');
+    }
+    if (objective.maxMoves !== undefined && (!Number.isInteger(objective.maxMoves) || objective.maxMoves < 1)) {
+        errors.push('Move limit must be a positive integer');
+    }
+    return errors;
+}
+
+/**
+ * Check if any cell can still be clicked
+ * @param {import('./gameState').GameState} state
+ * @returns {boolean}
+ */
+export function hasClickableCells(state) {
+    return getGridStats(state).unlockedCount > 0;
+}
+
+/**
+ * Describe an objective, including its move limit
+ * @param {Objective} objective
+ * @returns {string}
+ */
+export function describeObjective(objective) {
+    const text = OBJECTIVES[objective.type].describe(objective);
+    return objective.maxMoves ? `${text} within ${objective.maxMoves} moves` : text;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Evaluate an objective against the current state
+ *
+ * Order: win first, then no clickable cells left, then move limit.
+ *
+ * @param {Objective} objective
+ * @param {import('./gameState').GameState} state - Needs grid and moveCount
+ * @returns {ObjectiveResult}
+ */
+export function evaluateObjective(objective, state) {
+    if (OBJECTIVES[objective.type].isWon(state, objective)) {
+        return { status: 'won', reason: `${OBJECTIVES[objective.type].describe(objective)}: done!` };
+    }
+
+    if (!hasClickableCells(state)) {
+        return { status: 'lost', reason: 'No clickable cells left' };
+    }
+
+    if (objective.maxMoves && (state.moveCount ?? 0) >= objective.maxMoves) {
+        return { status: 'lost', reason: `Out of moves (${objective.maxMoves})` };
+    }
+
+    return { status: 'playing', reason: describeObjective(objective) };
+}
+
+/**
+ * Mark the state as game over when the objective is decided
+ * @param {import('./gameState').GameState} state
+ * @param {Objective} objective
+ * @returns {{state: import('./gameState').GameState, result: ObjectiveResult}}
+ */
+export function checkGameOver(state, objective) {
+    const result = evaluateObjective(objective, state);
+    return {
+        state: result.status === 'playing' ? state : setGameOver(state),
+        result
+    };
+}
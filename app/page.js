@@ -1,48 +1,539 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import {
   createInitialState,
   getCellInfo,
-  updateGrid,
   isCellLocked,
+  TRUNCATION_REASONS,
+  INTERACTIVE_TIME_BUDGET_MS,
+  updateGridWithTrace,
   getGridStats,
-  resetGame
+  resetGame,
+  MIN_GRID_SIZE,
+  MAX_GRID_SIZE
 } from './gameState';
+import { DEFAULT_RULE_SET, RULE_SETS, getRuleSet, describeRule } from './rules';
+import { analyzeRuleSet } from './ruleAnalysis';
+import { TOPOLOGIES, DEFAULT_TOPOLOGY, getTopology } from './topology';
+import {
+  DEFAULT_LOCK,
+  DEFAULT_LOCK_DURATION,
+  MIN_LOCK_THRESHOLD,
+  MAX_LOCK_THRESHOLD,
+  LOCK_MODES,
+  describeLock,
+  validateLock
+} from './locks';
+import {
+  createHistory,
+  recordMove,
+  undo,
+  redo,
+  jumpTo,
+  restoreBranch,
+  canUndo,
+  canRedo,
+  getTimeline,
+  getHistoryState,
+  getMoves
+} from './history';
+import { buildPlaybackFrames, PLAYBACK_SPEEDS, BASE_FRAME_DURATION } from './playback';
+import useCascadePlayback from './useCascadePlayback';
+import { checkGameOver, describeObjective } from './objectives';
+import GameOverScreen from './components/GameOverScreen';
+import TargetGrid from './components/TargetGrid';
+import HintPanel from './components/HintPanel';
+import useHints from './useHints';
+import { PUZZLES, getPuzzle, startPuzzle, getPuzzleObjective, getPuzzleProgress } from './puzzle';
+import useGenerator from './useGenerator';
+import {
+  DAILY_STORAGE_KEY,
+  getDateKey,
+  getDailyOptions,
+  toDailyPuzzle,
+  getDailyDateKey,
+  parseDailyRecord,
+  createDailyResult,
+  recordDailyResult,
+  getStreaks,
+  formatShareText
+} from './daily';
+import DailyPanel from './components/DailyPanel';
+import { GAME_LINK_PREFIX, decodeGameLink, replayGameLink, getGameLink } from './gameLink';
+import {
+  createSave,
+  readStartupSave,
+  writeAutosave,
+  listSlots,
+  saveSlot,
+  loadSlot,
+  deleteSlot
+} from './saves';
+import SaveMenu from './components/SaveMenu';
+import { scoreGame } from './scoring';
+import ScorePanel from './components/ScorePanel';
+import { DEFAULT_VERSUS, VERSUS_SCORING, VICTORY_CONDITIONS, validateVersusConfig, replayVersus } from './versus';
+import VersusPanel from './components/VersusPanel';
+import { STATS_STORAGE_KEY, parseStats, createGameRecord, recordGame } from './stats';
+import { describeCell, narrateCascade, getNextFocus, isTextEntryTarget } from './accessibility';
+import { THEMES, THEME_OPTIONS, SYSTEM_THEME, LOCK_ICON, getCellThemeStyle } from './themes';
+import useTheme from './useTheme';
+import Link from 'next/link';
+
+// Tailwind only ships classes it can see verbatim, so column counts are spelled out
+const GRID_COLS_CLASSES = {
+  2: 'grid-cols-2',
+  3: 'grid-cols-3',
+  4: 'grid-cols-4',
+  5: 'grid-cols-5',
+  6: 'grid-cols-6',
+  7: 'grid-cols-7',
+  8: 'grid-cols-8'
+};
+
+// Owner rings in hot-seat games, by player (the panel uses the same colours)
+const PLAYER_RING_CLASSES = ['ring-4 ring-rose-500', 'ring-4 ring-sky-500'];
+
+const GRID_SIZE_OPTIONS = Array.from(
+  { length: MAX_GRID_SIZE - MIN_GRID_SIZE + 1 },
+  (_, i) => MIN_GRID_SIZE + i
+);
+
+// Objectives offered in the picker, scaled to the board size
+const OBJECTIVE_PRESETS = {
+  lockAll: {
+    label: 'Lock all',
+    create: () => ({ type: 'lockAll' })
+  },
+  targetSum: {
+    label: 'Target sum',
+    create: (rows, cols) => ({ type: 'targetSum', sum: 3 * rows * cols, maxMoves: 3 * rows * cols })
+  }
+};
+
+// Where the direction arrow sits on the source cell during playback
+const ARROW_POSITION_CLASSES = {
+  '→': 'right-0.5 top-1/2 -translate-y-1/2',
+  '←': 'left-0.5 top-1/2 -translate-y-1/2',
+  '↓': 'bottom-0 left-1/2 -translate-x-1/2',
+  '↑': 'top-0 left-1/2 -translate-x-1/2',
+  '↘': 'bottom-0 right-0.5',
+  '↙': 'bottom-0 left-0.5',
+  '↗': 'top-0 right-0.5',
+  '↖': 'top-0 left-0.5'
+};
+
+// Shrink cells on larger boards so an 8x8 grid still fits the card
+const getCellSizeClass = (rows, cols) => {
+  const largest = Math.max(rows, cols);
+  if (largest >= 7) return 'w-11 h-11 md:w-14 md:h-14 text-lg';
+  if (largest >= 5) return 'w-14 h-14 md:w-16 md:h-16 text-2xl';
+  return 'w-20 h-20 md:w-24 md:h-24 text-3xl';
+};
 
 export default function Home() {
-  const [gameState, setGameState] = useState(createInitialState());
-  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [history, setHistory] = useState(() => createHistory(createInitialState().grid));
+  const [ruleSet, setRuleSet] = useState(DEFAULT_RULE_SET);
+  const [topologyId, setTopologyId] = useState(DEFAULT_TOPOLOGY.id);
+  const [lock, setLock] = useState(DEFAULT_LOCK);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [objectiveId, setObjectiveId] = useState('lockAll');
+  const [puzzle, setPuzzle] = useState(null);
+  const [versus, setVersus] = useState(null);
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [noOpClicks, setNoOpClicks] = useState(0);
+  const [startedAt, setStartedAt] = useState(null);
+  const [isGameRecorded, setIsGameRecorded] = useState(false);
+  const [dailyRecord, setDailyRecord] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [copiedLink, setCopiedLink] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [focusedCell, setFocusedCell] = useState({ row: 0, col: 0 });
+  const [announcement, setAnnouncement] = useState('');
+  const hasRestored = useRef(false);
+  const cellRefs = useRef(new Map());
+  const { ranking: hintRanking, isThinking, requestHint, clearHint } = useHints();
+  const { isGenerating, requestPuzzle, cancelGeneration } = useGenerator();
+  const playback = useCascadePlayback(playbackSpeed);
+  const { theme, preference: themePreference, setPreference: setThemePreference } = useTheme();
+  const isDarkMode = theme.isDark;
+  const { skip: skipPlayback, play: playFrames, isPlaying } = playback;
 
-  // Load theme preference from localStorage
+  // Saves hold validated data, but unknown presets and speeds still fall back to defaults
+  const applySave = useCallback((save) => {
+    const { settings } = save;
+    skipPlayback();
+    clearHint();
+    setHistory(save.history);
+    setRuleSet(getRuleSet(settings.ruleSetId));
+    setTopologyId(settings.topologyId);
+    setLock(settings.lock);
+    setObjectiveId(OBJECTIVE_PRESETS[settings.objectiveId] ? settings.objectiveId : 'lockAll');
+    setPuzzle(settings.puzzle);
+    setVersus(null);
+    setPlaybackSpeed(PLAYBACK_SPEEDS.includes(settings.playbackSpeed) ? settings.playbackSpeed : 1);
+    setHintsUsed(save.hintsUsed);
+    setNoOpClicks(save.noOpClicks);
+    setStartedAt(null);
+    setIsGameRecorded(false);
+    setIsReplaying(false);
+  }, [skipPlayback, clearHint]);
+
+  // Load games from "#g=..." links, on first visit and when the hash is edited;
+  // the first visit restores the autosave instead when there is no link or it links the same game
   useEffect(() => {
-    const savedTheme = localStorage.getItem('theme');
-    if (savedTheme === 'dark') {
-      setIsDarkMode(true);
+    const applyLink = () => {
+      const hash = window.location.hash.slice(1);
+      if (!hash.startsWith(GAME_LINK_PREFIX)) return false;
+      try {
+        const game = decodeGameLink(hash);
+        skipPlayback();
+        clearHint();
+        setHistory(replayGameLink(game));
+        setRuleSet(getRuleSet(game.ruleSetId));
+        setTopologyId(game.topologyId);
+        setLock(game.lock);
+        setPuzzle(null);
+        setVersus(null);
+        setHintsUsed(0);
+        setNoOpClicks(0);
+        setStartedAt(null);
+        setIsGameRecorded(false);
+        setIsReplaying(game.mode === 'replay');
+        setNotice(null);
+      } catch (error) {
+        setNotice(`Could not open link: ${error.message}`);
+      }
+      return true;
+    };
+
+    // The autosave wins when the hash holds the same game, since it also keeps branches, hints and settings
+    const applyStartup = () => {
+      const { save, error } = readStartupSave(localStorage, window.location.hash);
+      if (save) {
+        applySave(save);
+      } else if (!applyLink() && error) {
+        setNotice(`Could not restore your last game: ${error}`);
+      }
+    };
+
+    // Restore once: the hash and autosave are rewritten below, and strict mode re-runs effects
+    if (!hasRestored.current) {
+      hasRestored.current = true;
+      applyStartup();
     }
-  }, []);
+    window.addEventListener('hashchange', applyLink);
+    return () => window.removeEventListener('hashchange', applyLink);
+  }, [skipPlayback, clearHint, applySave]);
 
-  // Save theme preference to localStorage
+  // Undo: Ctrl/Cmd+Z, Redo: Ctrl/Cmd+Shift+Z (text fields keep their own undo)
   useEffect(() => {
-    localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
-  }, [isDarkMode]);
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (isTextEntryTarget(e.target)) return;
+      e.preventDefault();
+      skipPlayback();
+      clearHint();
+      setHistory(current => (e.shiftKey ? redo(current) : undo(current)));
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [skipPlayback, clearHint]);
+
+  // Game over is derived after every move, so undo can step back out of it
+  const objective = puzzle
+    ? getPuzzleObjective(puzzle)
+    : OBJECTIVE_PRESETS[objectiveId].create(history.present.grid.length, history.present.grid[0].length);
+  const { state: gameState, result: objectiveResult } = checkGameOver(
+    { ...getHistoryState(history, lock), hintsUsed, noOpClicks },
+    objective
+  );
+  const topology = getTopology(topologyId);
+  const score = scoreGame(history, { ruleSet, topology: topologyId, lock, hintsUsed, noOpClicks });
+  const timeline = getTimeline(history);
+
+  // Hot-seat games replay the moves through the versus reducer, so undo takes back turns
+  const versusState = versus
+    ? replayVersus(timeline[0].grid, getMoves(history), versus, { ruleSet, topology: topologyId, lock })
+    : null;
+  const isGameOver = versusState ? versusState.status === 'over' : gameState.isGameOver;
+
+  // While a cascade plays, the board shows the grid as of the current frame
+  const { frame } = playback;
+  const displayState = frame ? { ...gameState, grid: frame.grid } : gameState;
+  const puzzleProgress = puzzle?.target ? getPuzzleProgress(displayState.grid, puzzle.target) : null;
+
+  // Daily mode: today's stored result (if any) unlocks sharing
+  const dailyKey = getDailyDateKey(puzzle);
+  const dailyResult = dailyKey && dailyRecord?.results[dailyKey];
+  const shareText = dailyResult ? formatShareText(dailyKey, puzzle, dailyResult) : null;
+
+  // The tab stop stays on the board when a smaller grid is loaded
+  const focusRow = Math.min(focusedCell.row, gameState.rows - 1);
+  const focusCol = Math.min(focusedCell.col, gameState.cols - 1);
+
+  const getSave = () => createSave({
+    history,
+    settings: { ruleSetId: ruleSet.id, topologyId, lock, objectiveId, puzzle, playbackSpeed },
+    hintsUsed,
+    noOpClicks
+  });
+
+  // Autosave after every change; a refused write (quota, private mode) is not fatal
+  useEffect(() => {
+    writeAutosave(localStorage, createSave({
+      history,
+      settings: { ruleSetId: ruleSet.id, topologyId, lock, objectiveId, puzzle, playbackSpeed },
+      hintsUsed,
+      noOpClicks
+    }));
+  }, [history, ruleSet, topologyId, lock, objectiveId, puzzle, playbackSpeed, hintsUsed, noOpClicks]);
+
+  // Keep the free-play game in the URL so a refresh restores it (puzzles are not linked)
+  useEffect(() => {
+    const hash = puzzle ? '' : `#${getGameLink(history, ruleSet.id, 'restore', topologyId, lock)}`;
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+  }, [history, ruleSet, topologyId, lock, puzzle]);
+
+  // Replay links step through their moves, one cascade at a time
+  useEffect(() => {
+    if (!isReplaying || isPlaying) return;
+    const timer = setTimeout(() => {
+      if (!canRedo(history)) {
+        setIsReplaying(false);
+        return;
+      }
+      const nextHistory = redo(history);
+      const { row, col } = nextHistory.present.move;
+      const { lockTimers } = getHistoryState(history, lock);
+      const { events } = updateGridWithTrace(history.present.grid, row, col, { ruleSet, topology: topologyId, lock, lockTimers });
+      setHistory(nextHistory);
+      playFrames(buildPlaybackFrames(history.present.grid, events));
+    }, BASE_FRAME_DURATION / playbackSpeed);
+    return () => clearTimeout(timer);
+  }, [isReplaying, isPlaying, history, ruleSet, topologyId, lock, playbackSpeed, playFrames]);
+
+  const changeHistory = (nextHistory) => {
+    playback.skip();
+    clearHint();
+    setIsReplaying(false);
+    setCopiedLink(null);
+    setHistory(nextHistory);
+  };
+
+  const handleCopyLink = async (mode) => {
+    const url = `${window.location.origin}${window.location.pathname}#${getGameLink(history, ruleSet.id, mode, topologyId, lock)}`;
+    await navigator.clipboard?.writeText(url);
+    setCopiedLink(mode);
+  };
+
+  // A new game drops any random puzzle still being generated
+  const startNewGame = (grid) => {
+    cancelGeneration();
+    changeHistory(createHistory(grid));
+    setHintsUsed(0);
+    setNoOpClicks(0);
+    setStartedAt(null);
+    setIsGameRecorded(false);
+  };
+
+  const handleHint = () => {
+    setHintsUsed(hintsUsed + 1);
+    requestHint(gameState, objective, ruleSet, topologyId, (error) => setNotice(`Could not find a hint: ${error}`));
+  };
 
   const handleCellClick = (row, col) => {
-    const newGrid = updateGrid(gameState.grid, row, col);
-    if (newGrid !== gameState.grid) {
-      setGameState({
-        ...gameState,
-        grid: newGrid
+    if (isGameOver) return;
+    const update = { ruleSet, topology: topologyId, lock, lockTimers: gameState.lockTimers };
+    // Only the live click is timed: a move cut short by the clock would replay differently, so it is refused
+    const { events, truncated } = updateGridWithTrace(gameState.grid, row, col, { ...update, limits: { timeBudgetMs: INTERACTIVE_TIME_BUDGET_MS } });
+    if (truncated?.reason === 'time-budget') {
+      setNotice(`Move not played: its cascade ran past the ${TRUNCATION_REASONS[truncated.reason]} after ${truncated.steps} cells`);
+      return;
+    }
+    setAnnouncement(narrateCascade(events, lock).join('. '));
+    const nextHistory = recordMove(history, row, col, update);
+    if (nextHistory === history) {
+      setNoOpClicks(noOpClicks + 1); // Locked cell: penalised by the score
+      return;
+    }
+    if (truncated) {
+      setNotice(`Cascade stopped at the ${TRUNCATION_REASONS[truncated.reason]} after ${truncated.steps} cells (${truncated.pending} still queued)`);
+    }
+    changeHistory(nextHistory);
+    playback.play(buildPlaybackFrames(gameState.grid, events));
+    // Sessions are timed from the first move
+    const firstMoveAt = startedAt ?? new Date().getTime();
+    if (startedAt === null) setStartedAt(firstMoveAt);
+    if (!versus) handleGameFinished(nextHistory, firstMoveAt); // Hot-seat games stay out of the stats
+  };
+
+  // Roving tabindex: arrows move focus between cells, Enter/Space clicks the focused one
+  const handleCellKeyDown = (e, row, col) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handleCellClick(row, col);
+      return;
+    }
+    const next = getNextFocus({ row, col }, e.key, gameState.rows, gameState.cols, { ctrlKey: e.ctrlKey });
+    if (!next) return;
+    e.preventDefault();
+    cellRefs.current.get(`${next.row}-${next.col}`)?.focus();
+  };
+
+  // Each game is logged once, even if the player undoes out of the end and finishes again
+  const handleGameFinished = (nextHistory, firstMoveAt) => {
+    const { result } = checkGameOver({ ...getHistoryState(nextHistory, lock), hintsUsed }, objective);
+    if (result.status === 'playing') return;
+
+    if (!isGameRecorded) {
+      const record = createGameRecord({
+        history: nextHistory,
+        score: scoreGame(nextHistory, { ruleSet, topology: topologyId, lock, hintsUsed, noOpClicks }),
+        result,
+        objective: describeObjective(objective),
+        mode: dailyKey ? 'daily' : puzzle ? 'puzzle' : 'free',
+        ruleSetId: ruleSet.id,
+        lock,
+        startedAt: firstMoveAt
       });
+      // The move is already played, so a storage failure only costs the record
+      try {
+        const log = recordGame(parseStats(localStorage.getItem(STATS_STORAGE_KEY)), record);
+        localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(log));
+      } catch {
+        setNotice('Could not record this game: storage is full or unavailable');
+      }
+      setIsGameRecorded(true);
+    }
+    if (dailyKey) saveDailyOutcome(nextHistory, result);
+  };
+
+  // Only the first finish of the day is stored, so undoing out of it changes nothing
+  const saveDailyOutcome = (nextHistory, result) => {
+    const outcome = createDailyResult(puzzle, getMoves(nextHistory), { solved: result.status === 'won', hintsUsed });
+    try {
+      const currentRecord = dailyRecord ?? parseDailyRecord(localStorage.getItem(DAILY_STORAGE_KEY));
+      const nextRecord = recordDailyResult(currentRecord, dailyKey, outcome);
+      setDailyRecord(nextRecord);
+      localStorage.setItem(DAILY_STORAGE_KEY, JSON.stringify(nextRecord));
+    } catch {
+      setNotice('Could not save today\'s result: storage is full or unavailable');
     }
   };
 
+  const handleSaveSlot = (name) => {
+    if (!saveSlot(localStorage, name, getSave())) {
+      setNotice('Could not save: storage is full or unavailable');
+    }
+    setSlots(listSlots(localStorage));
+  };
+
+  const handleLoadSlot = (name) => {
+    const { save, error } = loadSlot(localStorage, name);
+    if (save) {
+      applySave(save);
+      setNotice(null);
+    } else {
+      setNotice(`Could not load "${name}": ${error}`);
+    }
+  };
+
+  const handleDeleteSlot = (name) => {
+    deleteSlot(localStorage, name);
+    setSlots(listSlots(localStorage));
+  };
+
+  // Generated in the random puzzle worker from a seed every player shares
+  const handleDaily = () => {
+    const dateKey = getDateKey();
+    requestPuzzle(getDailyOptions(dateKey), (generated) => {
+      if (!generated) {
+        setNotice('Could not generate today\'s puzzle');
+        return;
+      }
+      setDailyRecord(parseDailyRecord(localStorage.getItem(DAILY_STORAGE_KEY)));
+      loadPuzzle(toDailyPuzzle(generated, dateKey));
+    }, (error) => setNotice(`Could not generate today's puzzle: ${error}`));
+  };
+
   const handleReset = () => {
-    setGameState(resetGame());
+    startNewGame(puzzle ? startPuzzle(puzzle).grid : resetGame(gameState.rows, gameState.cols).grid);
+  };
+
+  const handleResize = (rows, cols) => {
+    startNewGame(resetGame(rows, cols).grid);
+  };
+
+  const handleRuleSetChange = (id) => {
+    setRuleSet(getRuleSet(id));
+    startNewGame(resetGame(gameState.rows, gameState.cols).grid);
+  };
+
+  const handleTopologyChange = (id) => {
+    setTopologyId(getTopology(id).id);
+    startNewGame(resetGame(gameState.rows, gameState.cols).grid);
+  };
+
+  // Only expiring locks keep a duration; invalid edits put the field back, unchanged ones keep the game
+  const handleLockChange = (changes, input) => {
+    const { duration, ...nextLock } = { ...lock, ...changes };
+    if (nextLock.mode === 'expiring') nextLock.duration = duration ?? DEFAULT_LOCK_DURATION;
+    if (['threshold', 'mode', 'duration'].every(key => nextLock[key] === lock[key])) return;
+    if (validateLock(nextLock).length > 0) {
+      if (input) input.value = input.defaultValue;
+      return;
+    }
+    setLock(nextLock);
+    startNewGame(resetGame(gameState.rows, gameState.cols).grid);
   };
 
-  const toggleTheme = () => {
-    setIsDarkMode(!isDarkMode);
+  // Puzzles are built and solved on the square board with the default locks
+  const loadPuzzle = (nextPuzzle) => {
+    setPuzzle(nextPuzzle);
+    setVersus(null);
+    setRuleSet(getRuleSet(nextPuzzle.ruleSetId));
+    setTopologyId(DEFAULT_TOPOLOGY.id);
+    setLock(DEFAULT_LOCK);
+    startNewGame(startPuzzle(nextPuzzle).grid);
+  };
+
+  // Generated in a worker on the current board size and rules; the generator only returns null if every attempt fails
+  const handleRandomPuzzle = () => {
+    requestPuzzle({ rows: gameState.rows, cols: gameState.cols, ruleSetId: ruleSet.id }, (nextPuzzle) => {
+      if (nextPuzzle) loadPuzzle(nextPuzzle);
+      else setNotice('Could not generate a puzzle for this board, try again');
+    }, (error) => setNotice(`Could not generate a puzzle: ${error}`));
+  };
+
+  // Hot-seat rules apply to a fresh board and null switches back to solo play;
+  // invalid limits put the field back, unchanged ones keep the game
+  const handleVersusChange = (changes, input) => {
+    const nextVersus = changes && { ...(versus ?? DEFAULT_VERSUS), ...changes };
+    if (nextVersus && versus && ['scoring', 'victory', 'limit'].every(key => nextVersus[key] === versus[key])) return;
+    if (nextVersus && validateVersusConfig(nextVersus).length > 0) {
+      if (input) input.value = input.defaultValue;
+      return;
+    }
+    setVersus(nextVersus);
+    startNewGame(resetGame(gameState.rows, gameState.cols).grid);
+  };
+
+  // Goal picker values are objective preset ids or "puzzle:<id>"
+  const handleObjectiveChange = (value) => {
+    if (value.startsWith('puzzle:')) {
+      const id = value.slice('puzzle:'.length);
+      // The generated puzzle is not in PUZZLES, so keep it if reselected
+      loadPuzzle(id === puzzle?.id ? puzzle : getPuzzle(id));
+      return;
+    }
+
+    setPuzzle(null);
+    setObjectiveId(value);
+    startNewGame(resetGame(gameState.rows, gameState.cols).grid);
   };
 
   /* 
@@ -50,50 +541,60 @@ export default function Home() {
    * - Rounded: 4px
    * - Shadow: 2px 2px 0px black
    */
-  const getCellStyle = (value, isLocked) => {
-    const baseStyle = {
-      borderRadius: '4px',
-      boxShadow: '2px 2px 0px black',
-      border: '1px solid black'
-    };
-
-    if (isLocked) {
-      return { ...baseStyle, backgroundColor: '#ff0000', color: '#ffffff' };
-    }
-    if (value % 2 === 0) {
-      return { ...baseStyle, backgroundColor: '#e0e0e0', color: '#000000' };
-    }
-    return { ...baseStyle, backgroundColor: '#1a237e', color: '#ffffff' };
-  };
+  const getCellStyle = (value, locked) => ({
+    borderRadius: '4px',
+    boxShadow: '2px 2px 0px black',
+    ...getCellThemeStyle(theme, value, locked)
+  });
 
   return (
     <div className={`min-h-screen flex items-center justify-center p-6 transition-colors duration-300 ${isDarkMode ? 'bg-black' : 'bg-gray-50/50'
       }`}>
 
-      {/* THEME TOGGLE */}
-      <button
-        onClick={toggleTheme}
-        className={`absolute top-6 right-6 p-3 rounded-lg transition-all duration-300 ${isDarkMode
-            ? 'bg-gray-800 text-yellow-400 hover:bg-gray-700'
-            : 'bg-white text-gray-700 hover:bg-gray-100'
-          } shadow-md`}
-        aria-label="Toggle theme"
+      {/* PAGE LINKS */}
+      <nav className="absolute top-6 left-6 flex gap-2">
+        {[['/stats', '📊 Stats'], ['/campaign', '🗺️ Campaign'], ['/editor', '🛠️ Editor']].map(([href, label]) => (
+          <Link
+            key={href}
+            href={href}
+            className={`px-3 py-2 rounded-lg text-sm font-semibold transition-all duration-300 shadow-md ${isDarkMode
+                ? 'bg-gray-800 text-gray-200 hover:bg-gray-700'
+                : 'bg-white text-gray-700 hover:bg-gray-100'
+              }`}
+          >
+            {label}
+          </Link>
+        ))}
+      </nav>
+
+      {/* THEME PICKER */}
+      <label
+        className={`absolute top-6 right-6 flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-semibold transition-all duration-300 shadow-md ${isDarkMode
+            ? 'bg-gray-800 text-gray-200'
+            : 'bg-white text-gray-700'
+          }`}
       >
-        {isDarkMode ? (
-          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-            <path d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" />
-          </svg>
-        ) : (
-          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
-            <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z" />
-          </svg>
-        )}
-      </button>
+        🎨 Theme
+        <select
+          value={themePreference}
+          onChange={(e) => setThemePreference(e.target.value)}
+          className={`px-1 py-0.5 rounded border font-normal ${isDarkMode
+              ? 'bg-gray-900 border-gray-600'
+              : 'bg-white border-gray-300'
+            }`}
+        >
+          {THEME_OPTIONS.map(id => (
+            <option key={id} value={id} title={THEMES[id]?.description}>
+              {id === SYSTEM_THEME ? 'System' : THEMES[id].name}
+            </option>
+          ))}
+        </select>
+      </label>
 
       <div className="flex gap-8 max-w-6xl w-full items-start justify-center flex-wrap lg:flex-nowrap">
 
         {/* GAME CARD */}
-        <div className={`p-10 rounded-2xl shadow-xl border flex-shrink-0 flex flex-col items-center gap-8 transition-all duration-300 ${isDarkMode
+        <div className={`relative p-10 rounded-2xl shadow-xl border flex-shrink-0 flex flex-col items-center gap-8 transition-all duration-300 ${isDarkMode
             ? 'bg-gray-800 border-gray-700'
             : 'bg-white border-gray-100'
           }`}>
@@ -111,31 +612,519 @@ export default function Home() {
           </div>
 
           {/* GRID */}
-          <div className={`grid grid-cols-3 gap-4 p-4 rounded-xl border transition-colors ${isDarkMode
+          <div
+            role="grid"
+            aria-label={`Grid, ${gameState.rows} rows by ${gameState.cols} columns, ${topology.name.toLowerCase()} board`}
+            aria-rowcount={gameState.rows}
+            aria-colcount={gameState.cols}
+            className={`grid ${topology.id === 'hex' ? '' : GRID_COLS_CLASSES[gameState.cols]} ${gameState.cols > 5 ? 'gap-2' : 'gap-4'} p-4 rounded-xl border transition-colors ${topology.wrap ? 'border-dashed border-2' : ''} ${isDarkMode
               ? 'bg-gray-900 border-gray-700'
               : 'bg-gray-50 border-gray-200'
+            }`}
+            style={topology.id === 'hex' ? { gridTemplateColumns: `repeat(${2 * gameState.cols + 1}, auto)` } : undefined}
+          >
+            {displayState.grid.map((row, rowIndex) => (
+              <div key={rowIndex} role="row" aria-rowindex={rowIndex + 1} className="contents">
+                {row.map((value, colIndex) => {
+                  const locked = isCellLocked(displayState, rowIndex, colIndex);
+                  const owner = versusState?.owners[rowIndex][colIndex] ?? null;
+                  const isSource = frame && frame.source.row === rowIndex && frame.source.col === colIndex;
+                  const ripple = frame && frame.ripples.find(
+                    r => r.target.row === rowIndex && r.target.col === colIndex
+                  );
+
+                  return (
+                    <div
+                      key={`${rowIndex}-${colIndex}`}
+                      ref={el => {
+                        if (el) cellRefs.current.set(`${rowIndex}-${colIndex}`, el);
+                        else cellRefs.current.delete(`${rowIndex}-${colIndex}`);
+                      }}
+                      role="gridcell"
+                      aria-colindex={colIndex + 1}
+                      aria-label={`${describeCell(value, rowIndex, colIndex, locked)}${owner === null ? '' : `, owned by player ${owner + 1}`}`}
+                      aria-disabled={locked}
+                      tabIndex={rowIndex === focusRow && colIndex === focusCol ? 0 : -1}
+                      onClick={() => handleCellClick(rowIndex, colIndex)}
+                      onKeyDown={e => handleCellKeyDown(e, rowIndex, colIndex)}
+                      onFocus={() => setFocusedCell({ row: rowIndex, col: colIndex })}
+                      className={`
+                        relative ${getCellSizeClass(gameState.rows, gameState.cols)} flex items-center justify-center 
+                        font-bold select-none font-mono
+                        transition-transform active:scale-95 focus-visible:outline-4 focus-visible:outline-offset-2 focus-visible:outline-indigo-500
+                        ${locked ? 'cursor-not-allowed opacity-90' : 'cursor-pointer hover:brightness-105'}
+                        ${owner === null ? '' : PLAYER_RING_CLASSES[owner]}
+                        ${isSource ? 'ring-4 ring-yellow-400 z-10' : ''}
+                        ${puzzleProgress?.matches[rowIndex][colIndex] ? 'outline-2 outline-offset-2 outline-green-500' : ''}
+                        ${hintRanking?.[0]?.row === rowIndex && hintRanking[0].col === colIndex ? 'ring-4 ring-sky-400 animate-pulse' : ''}
+                        ${ripple ? 'cascade-pulse' : ''}
+                      `}
+                      style={{
+                        ...getCellStyle(value, locked),
+                        // Hex boards use half-cell columns so odd rows can sit half a cell to the right
+                        ...(topology.id === 'hex' ? { gridColumn: `${2 * colIndex + 1 + (rowIndex % 2)} / span 2` } : {})
+                      }}
+                      title={locked ? 'Locked' : 'Click to increment'}
+                    >
+                      {value}
+
+                      {/* Locks are marked by shape too, not only by colour */}
+                      {locked && (
+                        <span className="absolute top-0.5 left-1 text-xs leading-none pointer-events-none" aria-hidden="true">
+                          {LOCK_ICON}
+                        </span>
+                      )}
+                      {owner !== null && (
+                        <span className="absolute bottom-0.5 right-1 text-xs leading-none pointer-events-none" aria-hidden="true">
+                          P{owner + 1}
+                        </span>
+                      )}
+
+                      {/* PLAYBACK OVERLAYS */}
+                      {isSource && frame.ripples.map(r => (
+                        <span
+                          key={`arrow-${playback.frameIndex}-${r.target.row}-${r.target.col}`}
+                          className={`absolute ${ARROW_POSITION_CLASSES[r.arrow] ?? ''} text-base leading-none text-yellow-300 drop-shadow pointer-events-none`}
+                          aria-hidden="true"
+                        >
+                          {r.arrow}
+                        </span>
+                      ))}
+                      {ripple && (
+                        <span
+                          key={`delta-${playback.frameIndex}`}
+                          className={`cascade-delta absolute -top-3 right-0 px-1 rounded text-sm font-bold pointer-events-none ${ripple.delta < 0 ? 'bg-red-500 text-white' : 'bg-green-500 text-white'
+                            }`}
+                          aria-hidden="true"
+                        >
+                          {ripple.label}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+
+          {/* Screen readers hear what each move changed */}
+          <p role="status" aria-live="polite" className="sr-only">
+            {announcement}
+          </p>
+
+          {/* DAILY */}
+          {dailyKey && dailyRecord && (
+            <DailyPanel
+              dateKey={dailyKey}
+              streaks={getStreaks(dailyRecord, getDateKey())}
+              shareText={shareText}
+              isDarkMode={isDarkMode}
+            />
+          )}
+
+          {/* PUZZLE TARGET */}
+          {puzzle?.target && (
+            <TargetGrid
+              target={puzzle.target}
+              progress={puzzleProgress}
+              difficulty={puzzle.difficulty}
+              isDarkMode={isDarkMode}
+            />
+          )}
+
+          {/* SCORE */}
+          {versusState
+            ? <VersusPanel state={versusState} isDarkMode={isDarkMode} onPlayAgain={handleReset} />
+            : <ScorePanel score={score} isDarkMode={isDarkMode} />}
+
+          {/* HINTS */}
+          <HintPanel
+            ranking={hintRanking}
+            isThinking={isThinking}
+            hintsUsed={hintsUsed}
+            grid={gameState.grid}
+            disabled={isGameOver}
+            onRequest={handleHint}
+            isDarkMode={isDarkMode}
+          />
+
+          {/* SIZE PICKER */}
+          <div className={`flex flex-wrap items-center justify-center gap-3 text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'
             }`}>
-            {gameState.grid.map((row, rowIndex) =>
-              row.map((value, colIndex) => {
-                const locked = isCellLocked(gameState, rowIndex, colIndex);
-
-                return (
-                  <div
-                    key={`${rowIndex}-${colIndex}`}
-                    onClick={() => !locked && handleCellClick(rowIndex, colIndex)}
-                    className={`
-                      w-20 h-20 md:w-24 md:h-24 flex items-center justify-center 
-                      text-3xl font-bold select-none font-mono
-                      transition-transform active:scale-95
-                      ${locked ? 'cursor-not-allowed opacity-90' : 'cursor-pointer hover:brightness-105'}
-                    `}
-                    style={getCellStyle(value, locked)}
-                    title={locked ? 'Locked' : 'Click to increment'}
+            <label className="flex items-center gap-2">
+              Rows
+              <select
+                value={gameState.rows}
+                onChange={(e) => handleResize(Number(e.target.value), gameState.cols)}
+                disabled={Boolean(puzzle)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                {GRID_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </label>
+            <span aria-hidden="true">×</span>
+            <label className="flex items-center gap-2">
+              Columns
+              <select
+                value={gameState.cols}
+                onChange={(e) => handleResize(gameState.rows, Number(e.target.value))}
+                disabled={Boolean(puzzle)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                {GRID_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Rules
+              <select
+                value={ruleSet.id}
+                onChange={(e) => handleRuleSetChange(e.target.value)}
+                disabled={Boolean(puzzle)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                {Object.values(RULE_SETS).map(set => (
+                  <option key={set.id} value={set.id}>{set.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Board
+              <select
+                value={topologyId}
+                onChange={(e) => handleTopologyChange(e.target.value)}
+                disabled={Boolean(puzzle)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                {Object.values(TOPOLOGIES).map(option => (
+                  <option key={option.id} value={option.id} title={option.description}>{option.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Locks
+              <select
+                value={lock.mode}
+                onChange={(e) => handleLockChange({ mode: e.target.value })}
+                disabled={Boolean(puzzle)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                {Object.entries(LOCK_MODES).map(([id, mode]) => (
+                  <option key={id} value={id}>{mode.name}</option>
+                ))}
+              </select>
+            </label>
+            {/* Number fields apply on blur or Enter, since each change starts a new game */}
+            <label className="flex items-center gap-2">
+              at ≥
+              <input
+                key={lock.threshold}
+                type="number"
+                min={MIN_LOCK_THRESHOLD}
+                max={MAX_LOCK_THRESHOLD}
+                defaultValue={lock.threshold}
+                onBlur={(e) => handleLockChange({ threshold: Number(e.target.value) }, e.target)}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                disabled={Boolean(puzzle)}
+                className={`w-16 px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              />
+            </label>
+            {lock.mode === 'expiring' && (
+              <label className="flex items-center gap-2">
+                for
+                <input
+                  key={lock.duration}
+                  type="number"
+                  min={1}
+                  defaultValue={lock.duration}
+                  onBlur={(e) => handleLockChange({ duration: Number(e.target.value) }, e.target)}
+                  onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                  disabled={Boolean(puzzle)}
+                  className={`w-16 px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                      ? 'bg-gray-900 border-gray-700 text-white'
+                      : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                />
+                moves
+              </label>
+            )}
+            <label className="flex items-center gap-2">
+              Goal
+              <select
+                value={puzzle ? `puzzle:${puzzle.id}` : objectiveId}
+                onChange={(e) => handleObjectiveChange(e.target.value)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                <optgroup label="Free play">
+                  {Object.entries(OBJECTIVE_PRESETS).map(([id, preset]) => (
+                    <option key={id} value={id}>{preset.label}</option>
+                  ))}
+                </optgroup>
+                <optgroup label="Puzzles">
+                  {PUZZLES.map(p => (
+                    <option key={p.id} value={`puzzle:${p.id}`}>{p.name}</option>
+                  ))}
+                  {puzzle?.difficulty && (
+                    <option value={`puzzle:${puzzle.id}`}>{puzzle.name}</option>
+                  )}
+                </optgroup>
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Players
+              <select
+                value={versus ? 'hotseat' : 'solo'}
+                onChange={(e) => handleVersusChange(e.target.value === 'hotseat' ? {} : null)}
+                disabled={Boolean(puzzle)}
+                className={`px-2 py-1 rounded-md border disabled:opacity-50 ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white'
+                    : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+              >
+                <option value="solo">Solo</option>
+                <option value="hotseat">Hot-seat (2 players)</option>
+              </select>
+            </label>
+            {versus && (
+              <>
+                <label className="flex items-center gap-2">
+                  Scoring
+                  <select
+                    value={versus.scoring}
+                    onChange={(e) => handleVersusChange({ scoring: e.target.value })}
+                    className={`px-2 py-1 rounded-md border ${isDarkMode
+                        ? 'bg-gray-900 border-gray-700 text-white'
+                        : 'bg-white border-gray-300 text-gray-900'
+                      }`}
+                  >
+                    {Object.entries(VERSUS_SCORING).map(([id, option]) => (
+                      <option key={id} value={id} title={option.description}>{option.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  Win
+                  <select
+                    value={versus.victory}
+                    onChange={(e) => handleVersusChange({ victory: e.target.value })}
+                    className={`px-2 py-1 rounded-md border ${isDarkMode
+                        ? 'bg-gray-900 border-gray-700 text-white'
+                        : 'bg-white border-gray-300 text-gray-900'
+                      }`}
+                  >
+                    {Object.entries(VICTORY_CONDITIONS).map(([id, condition]) => (
+                      <option key={id} value={id}>{condition.name}</option>
+                    ))}
+                  </select>
+                </label>
+                {VICTORY_CONDITIONS[versus.victory].usesLimit && (
+                  <input
+                    key={versus.limit}
+                    type="number"
+                    min={1}
+                    defaultValue={versus.limit}
+                    aria-label={versus.victory === 'turns' ? 'Rounds' : 'Points to win'}
+                    onBlur={(e) => handleVersusChange({ limit: Number(e.target.value) }, e.target)}
+                    onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                    className={`w-16 px-2 py-1 rounded-md border ${isDarkMode
+                        ? 'bg-gray-900 border-gray-700 text-white'
+                        : 'bg-white border-gray-300 text-gray-900'
+                      }`}
+                  />
+                )}
+              </>
+            )}
+            <button
+              onClick={handleRandomPuzzle}
+              disabled={isGenerating}
+              title="Generate a puzzle for the current size and rules"
+              className={`px-3 py-1 rounded-md border font-semibold transition-colors disabled:opacity-50 disabled:cursor-wait ${isDarkMode
+                  ? 'border-gray-700 hover:bg-gray-700'
+                  : 'border-gray-300 hover:bg-gray-100'
+                }`}
+            >
+              {isGenerating ? '🎲 Generating…' : '🎲 Random puzzle'}
+            </button>
+            <button
+              onClick={handleDaily}
+              disabled={isGenerating}
+              title="Today's puzzle (the same for everyone)"
+              className={`px-3 py-1 rounded-md border font-semibold transition-colors disabled:opacity-50 disabled:cursor-wait ${isDarkMode
+                  ? 'border-gray-700 hover:bg-gray-700'
+                  : 'border-gray-300 hover:bg-gray-100'
+                }`}
+            >
+              📅 Daily
+            </button>
+          </div>
+
+          {/* HISTORY */}
+          <div className="flex flex-col items-center gap-3 w-full max-w-md">
+            <div className="flex gap-2">
+              <button
+                onClick={() => changeHistory(undo(history))}
+                disabled={!canUndo(history)}
+                title="Undo (Ctrl+Z)"
+                className={`px-4 py-1.5 text-sm font-semibold rounded-md border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white hover:bg-gray-700'
+                    : 'bg-white border-gray-300 text-gray-900 hover:bg-gray-100'
+                  }`}
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={() => changeHistory(redo(history))}
+                disabled={!canRedo(history)}
+                title="Redo (Ctrl+Shift+Z)"
+                className={`px-4 py-1.5 text-sm font-semibold rounded-md border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+                    ? 'bg-gray-900 border-gray-700 text-white hover:bg-gray-700'
+                    : 'bg-white border-gray-300 text-gray-900 hover:bg-gray-100'
+                  }`}
+              >
+                Redo ↷
+              </button>
+            </div>
+
+            {/* PLAYBACK CONTROLS */}
+            <div className={`flex items-center gap-2 text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-500'
+              }`}>
+              <label className="flex items-center gap-1">
+                Cascade speed
+                <select
+                  value={playbackSpeed}
+                  onChange={(e) => setPlaybackSpeed(Number(e.target.value))}
+                  className={`px-1 py-0.5 rounded border ${isDarkMode
+                      ? 'bg-gray-900 border-gray-700 text-white'
+                      : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                >
+                  {PLAYBACK_SPEEDS.map(speed => (
+                    <option key={speed} value={speed}>{speed}×</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={playback.skip}
+                disabled={!playback.isPlaying}
+                className={`px-2 py-0.5 rounded border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${isDarkMode
+                    ? 'border-gray-600 hover:bg-gray-700'
+                    : 'border-gray-300 hover:bg-gray-100'
+                  }`}
+              >
+                Skip ⏭
+              </button>
+            </div>
+
+            {/* LINKS */}
+            {!puzzle && (
+              <div className={`flex flex-wrap items-center justify-center gap-2 text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-500'
+                }`}>
+                {[['restore', '🔗 Copy link'], ['replay', '▶ Copy replay link']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => handleCopyLink(mode)}
+                    className={`px-2 py-0.5 rounded border transition-colors ${isDarkMode
+                        ? 'border-gray-600 hover:bg-gray-700'
+                        : 'border-gray-300 hover:bg-gray-100'
+                      }`}
+                  >
+                    {copiedLink === mode ? 'Copied!' : label}
+                  </button>
+                ))}
+                {isReplaying && (
+                  <button
+                    onClick={() => setIsReplaying(false)}
+                    className={`px-2 py-0.5 rounded border transition-colors ${isDarkMode
+                        ? 'border-gray-600 hover:bg-gray-700'
+                        : 'border-gray-300 hover:bg-gray-100'
+                      }`}
                   >
-                    {value}
-                  </div>
-                );
-              })
+                    Stop replay ⏹
+                  </button>
+                )}
+              </div>
+            )}
+            {notice && (
+              <p role="alert" className="text-xs text-red-500 text-center">
+                {notice}
+                {' '}
+                <button onClick={() => setNotice(null)} className="underline">dismiss</button>
+              </p>
+            )}
+
+            {/* SAVES */}
+            <SaveMenu
+              slots={slots}
+              onOpen={() => setSlots(listSlots(localStorage))}
+              onSave={handleSaveSlot}
+              onLoad={handleLoadSlot}
+              onDelete={handleDeleteSlot}
+              isDarkMode={isDarkMode}
+            />
+
+            {timeline.length > 1 && (
+              <ol className="flex flex-wrap justify-center gap-1 text-xs font-mono">
+                {timeline.map((entry, index) => (
+                  <li key={index}>
+                    <button
+                      onClick={() => changeHistory(jumpTo(history, index))}
+                      className={`px-2 py-0.5 rounded border transition-colors ${index === gameState.moveCount
+                          ? 'bg-indigo-600 border-indigo-600 text-white'
+                          : index > gameState.moveCount
+                            ? (isDarkMode ? 'border-gray-700 text-gray-500' : 'border-gray-200 text-gray-400')
+                            : (isDarkMode ? 'border-gray-600 text-gray-300' : 'border-gray-300 text-gray-700')
+                        }`}
+                      title={entry.move ? `Move ${index}: (${entry.move.row}, ${entry.move.col})` : 'Start'}
+                    >
+                      {entry.move ? `${index}. ${entry.move.row},${entry.move.col}` : 'Start'}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            {history.branches.length > 0 && (
+              <div className={`flex flex-wrap justify-center items-center gap-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'
+                }`}>
+                <span>Branches:</span>
+                {history.branches.map(branch => (
+                  <button
+                    key={branch.id}
+                    onClick={() => changeHistory(restoreBranch(history, branch.id))}
+                    className={`px-2 py-0.5 rounded border font-mono transition-colors ${isDarkMode
+                        ? 'border-gray-600 hover:bg-gray-700'
+                        : 'border-gray-300 hover:bg-gray-100'
+                      }`}
+                    title={`Restore timeline that split after move ${branch.forkIndex}`}
+                  >
+                    #{branch.id} ({branch.entries.length - 1} moves)
+                  </button>
+                ))}
+              </div>
             )}
           </div>
 
@@ -157,6 +1146,18 @@ export default function Home() {
             Reset Game
           </button>
 
+          {/* GAME OVER */}
+          {!versus && gameState.isGameOver && !playback.isPlaying && (
+            <GameOverScreen
+              state={gameState}
+              score={score.total}
+              result={objectiveResult}
+              isDarkMode={isDarkMode}
+              onPlayAgain={handleReset}
+              onUndo={() => changeHistory(undo(history))}
+            />
+          )}
+
         </div>
 
         {/* RULES PANEL */}
@@ -178,6 +1179,10 @@ export default function Home() {
                 🎯 Objective
               </h3>
               <p>Click cells to increment values and trigger cascading ripples across the grid.</p>
+              <p className="mt-2 font-medium">
+                Goal: {describeObjective(objective)}
+                {objective.maxMoves ? ` (${Math.max(objective.maxMoves - gameState.moveCount, 0)} left)` : ''}
+              </p>
             </div>
 
             <div>
@@ -186,10 +1191,13 @@ export default function Home() {
                 📊 Cell States
               </h3>
               <ul className="space-y-1 ml-4">
-                <li>• <span className="font-mono bg-gray-200 text-black px-1 rounded">Even</span> - Gray background</li>
-                <li>• <span className="font-mono bg-indigo-900 text-white px-1 rounded">Odd</span> - Blue background</li>
-                <li>• <span className="font-mono bg-red-600 text-white px-1 rounded">≥15</span> - Locked (red)</li>
+                <li>• <span className="font-mono px-1 rounded" style={getCellThemeStyle(theme, 0)}>Even</span> - Plain</li>
+                <li>• <span className="font-mono px-1 rounded" style={getCellThemeStyle(theme, 1)}>Odd</span> - {theme.cells.odd.pattern ? 'Striped' : 'Plain'}</li>
+                <li>• <span className="font-mono px-1 rounded" style={getCellThemeStyle(theme, lock.threshold, true)}>≥{lock.threshold}{lock.mode === 'negative' ? ' or <0' : ''}</span> - Locked {LOCK_ICON}{theme.cells.locked.pattern ? ', cross-hatched' : ''}</li>
               </ul>
+              <p className="mt-2">
+                <strong>{LOCK_MODES[lock.mode].name} locks:</strong> {describeLock(lock)}.
+              </p>
             </div>
 
             <div>
@@ -198,21 +1206,28 @@ export default function Home() {
                 ⚡ Ripple Rules
               </h3>
               <ul className="space-y-2 ml-4">
-                <li>
-                  <strong>Divisible by 3:</strong>
-                  <br />
-                  Right neighbor <span className="text-red-500">-1</span>
-                </li>
-                <li>
-                  <strong>Divisible by 5:</strong>
-                  <br />
-                  Below neighbor <span className="text-green-500">+2</span>
-                </li>
-                <li>
-                  <strong>Value 15:</strong>
-                  <br />
-                  Both rules apply + cell locks
-                </li>
+                {ruleSet.rules.map(rule => {
+                  const { condition, targets, effect, isDecrease } = describeRule(rule);
+                  return (
+                    <li key={rule.id}>
+                      <strong>{condition}:</strong>
+                      <br />
+                      {targets} <span className={isDecrease ? 'text-red-500' : 'text-green-500'}>{effect}</span>
+                    </li>
+                  );
+                })}
+                {ruleSet.rules.length > 1 && (
+                  <li>
+                    <strong>Several matches:</strong>
+                    <br />
+                    Every matching rule applies, in order
+                  </li>
+                )}
+                {analyzeRuleSet(ruleSet).map(warning => (
+                  <li key={`${warning.ruleId}-${warning.kind}`} className="text-amber-600">
+                    ⚠️ {warning.message}
+                  </li>
+                ))}
               </ul>
             </div>
 
@@ -222,6 +1237,9 @@ export default function Home() {
                 🔄 Cascading
               </h3>
               <p>Ripples can trigger additional ripples, creating chain reactions across the grid!</p>
+              <p className="mt-2">
+                <strong>{topology.name} board:</strong> {topology.description}.
+              </p>
             </div>
 
             <div className={`pt-4 border-t transition-colors ${isDarkMode ? 'border-gray-700' : 'border-gray-200'
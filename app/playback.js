@@ -0,0 +1,120 @@
+/**
+ * Cascade Playback Frames
+ *
+ * Turns an updateGridWithTrace event log into one frame per BFS step, so
+ * the UI can replay a cascade: highlight the source cell, point at each
+ * target and show the delta, with the grid as it stood after that step.
+ */
+
+// ============================================================================
+// FRAME STRUCTURE
+// ============================================================================
+
+/**
+ * Single ripple shown in a frame
+ * @typedef {Object} FrameRipple
+ * @property {{row: number, col: number}} target
+ * @property {number} delta - Value change
+ * @property {string} label - Display delta, e.g. "−1" or "+2"
+ * @property {string} arrow - Direction from source to target, e.g. "→"
+ */
+
+/**
+ * One BFS step of a cascade
+ * @typedef {Object} PlaybackFrame
+ * @property {number} step - BFS step index
+ * @property {{row: number, col: number}} source - Cell being processed
+ * @property {number|null} increment - Click delta (first frame only)
+ * @property {FrameRipple[]} ripples - Ripples applied in this step
+ * @property {number[][]} grid - Grid after this step
+ */
+
+/** Default delay between frames at 1x speed (ms) */
+export const BASE_FRAME_DURATION = 450;
+
+/** Selectable playback speeds (multipliers of BASE_FRAME_DURATION) */
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+const ARROWS = {
+    '-1,0': '↑',
+    '1,0': '↓',
+    '0,-1': '←',
+    '0,1': '→',
+    '-1,-1': '↖',
+    '-1,1': '↗',
+    '1,-1': '↙',
+    '1,1': '↘'
+};
+
+// ============================================================================
+// FRAME BUILDING
+// ============================================================================
+
+/**
+ * Arrow glyph pointing from source to target
+ * @param {{row: number, col: number}} source
+ * @param {{row: number, col: number}} target
+ * @returns {string}
+ */
+export function getArrow(source, target) {
+    const dRow = Math.sign(target.row - source.row);
+    const dCol = Math.sign(target.col - source.col);
+    return ARROWS[`${dRow},${dCol}`] ?? '•';
+}
+
+/**
+ * Format a delta for display
+ * @param {number} delta
+ * @returns {string} - e.g. "−1", "+2"
+ */
+export function formatDelta(delta) {
+    return delta < 0 ? `−${-delta}` : `+${delta}`;
+}
+
+/**
+ * Build playback frames from a trace
+ *
+ * Steps that neither increment nor ripple (e.g. a cell that matched no
+ * rule) produce no frame. Skipped targets are not shown.
+ *
+ * @param {number[][]} startGrid - Grid before the click
+ * @param {import('./gameState').TraceEvent[]} events - From updateGridWithTrace
+ * @returns {PlaybackFrame[]}
+ */
+export function buildPlaybackFrames(startGrid, events) {
+    const frames = [];
+    let grid = startGrid;
+    let current = null;
+
+    for (const event of events) {
+        if (event.type === 'skip') {
+            continue;
+        }
+
+        const source = event.type === 'increment' ? event.target : event.source;
+
+        if (!current || current.step !== event.step) {
+            grid = grid.map(r => [...r]);
+            current = { step: event.step, source, increment: null, ripples: [], grid };
+            frames.push(current);
+        }
+
+        grid[event.target.row][event.target.col] = event.to;
+
+        if (event.type === 'increment') {
+            current.increment = event.delta;
+        } else {
+            current.ripples.push({
+                target: event.target,
+                delta: event.delta,
+                label: formatDelta(event.delta),
+                // Wrapped ripples point the way they travelled, not back across the board
+                arrow: event.offset
+                    ? getArrow(event.source, { row: event.source.row + event.offset[0], col: event.source.col + event.offset[1] })
+                    : getArrow(event.source, event.target)
+            });
+        }
+    }
+
+    return frames;
+}
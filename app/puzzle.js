@@ -0,0 +1,264 @@
+/**
+ * Puzzle Mode
+ *
+ * A puzzle is a start grid, a target grid and an optional move limit,
+ * stored as plain JSON. Playing a puzzle means playing the start grid
+ * (via createCustomState) under a targetGrid objective. Puzzles made in
+ * the level editor may swap the target for another objective (lock all or
+ * target sum).
+ */
+
+import { createCustomState, isValidGrid } from './gameState';
+import { validateObjective } from './objectives';
+import { RULE_SETS } from './rules';
+
+// ============================================================================
+// PUZZLE STRUCTURE
+// ============================================================================
+
+/** Version written into every puzzle; bump on breaking format changes */
+export const PUZZLE_FORMAT_VERSION = 1;
+
+/**
+ * Puzzle definition (JSON-safe)
+ * @typedef {Object} Puzzle
+ * @property {number} version - PUZZLE_FORMAT_VERSION
+ * @property {string} id - Stable identifier
+ * @property {string} name - Display name
+ * @property {number[][]} start - Starting grid
+ * @property {number[][]} [target] - Grid to reach (same dimensions as start); required unless objective is set
+ * @property {import('./objectives').Objective} [objective] - Any other objective (without maxMoves)
+ * @property {number} [maxMoves] - Optional move limit
+ * @property {string} [ruleSetId] - Built-in rule set id (default: classic)
+ * @property {PuzzleDifficulty} [difficulty] - Set by the generator
+ */
+
+/**
+ * Difficulty metadata written by the generator
+ * @typedef {Object} PuzzleDifficulty
+ * @property {number} rating - Combined score (higher is harder)
+ * @property {'easy'|'medium'|'hard'|'expert'} label
+ * @property {number} optimalMoves - Shortest solution length
+ * @property {number} branchingFactor - Average clickable cells along the solution
+ * @property {number} cascadeCount - Ripples triggered by the optimal solution
+ */
+
+/**
+ * Per-cell comparison with the target
+ * @typedef {Object} PuzzleProgress
+ * @property {boolean[][]} matches - true where the cell equals the target
+ * @property {number} matchCount - Number of matching cells
+ * @property {number} totalCells - Number of cells on the board
+ * @property {boolean} solved - Every cell matches
+ */
+
+// ============================================================================
+// VALIDATION & CREATION
+// ============================================================================
+
+/**
+ * Validate a puzzle definition
+ * @param {any} data - Candidate puzzle
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+export function validatePuzzle(data) {
+    if (!data || typeof data !== 'object') {
+        return ['Puzzle must be an object'];
+    }
+
+    const errors = [];
+
+    if (data.version !== PUZZLE_FORMAT_VERSION) {
+        errors.push(`Unsupported puzzle version: ${data.version}`);
+    }
+    if (typeof data.id !== 'string' || data.id === '') {
+        errors.push('Puzzle id is required');
+    }
+    if (data.objective !== undefined) {
+        if (data.target !== undefined || data.objective?.type === 'targetGrid') {
+            errors.push('Target grid puzzles use target, not objective');
+        } else if (data.objective?.maxMoves !== undefined) {
+            errors.push('Objective move limits belong in maxMoves');
+        } else {
+            errors.push(...validateObjective(data.objective).map(error => `Objective: ${error}`));
+        }
+    }
+    if (!isValidGrid(data.start)) {
+        errors.push('Start grid is invalid');
+    } else if (data.objective === undefined && !isValidGrid(data.target, data.start.length, data.start[0].length)) {
+        errors.push('Target grid must be valid and match the start grid dimensions');
+    }
+    if (
+        data.maxMoves !== undefined &&
+        (!Number.isInteger(data.maxMoves) || data.maxMoves < 1)
+    ) {
+        errors.push('Move limit must be a positive integer');
+    }
+    if (data.ruleSetId !== undefined && typeof data.ruleSetId !== 'string') {
+        errors.push('Rule set id must be a string');
+    } else if (data.ruleSetId !== undefined && !Object.hasOwn(RULE_SETS, data.ruleSetId)) {
+        // getRuleSet would quietly fall back to classic and solve the wrong puzzle
+        errors.push(`Unknown rule set "${data.ruleSetId}"`);
+    }
+    if (
+        data.difficulty !== undefined &&
+        (!data.difficulty || typeof data.difficulty.rating !== 'number' || typeof data.difficulty.label !== 'string')
+    ) {
+        errors.push('Difficulty must include a numeric rating and a label');
+    }
+
+    return errors;
+}
+
+/**
+ * Create a puzzle, filling in defaults
+ * @param {Object} definition - Puzzle fields (version/name optional)
+ * @returns {Puzzle}
+ */
+export function createPuzzle(definition) {
+    const puzzle = {
+        version: PUZZLE_FORMAT_VERSION,
+        name: definition.id,
+        ...definition
+    };
+
+    const errors = validatePuzzle(puzzle);
+    if (errors.length > 0) {
+        throw new Error(`Invalid puzzle: ${errors.join('; ')}`);
+    }
+
+    return {
+        ...puzzle,
+        start: puzzle.start.map(row => [...row]),
+        ...(puzzle.target ? { target: puzzle.target.map(row => [...row]) } : {}),
+        ...(puzzle.objective ? { objective: { ...puzzle.objective } } : {})
+    };
+}
+
+/**
+ * Serialise a puzzle to JSON with a fixed key order
+ * Identical puzzles always produce identical text (safe to diff and hash).
+ * @param {Puzzle} puzzle
+ * @returns {string}
+ */
+export function serializePuzzle(puzzle) {
+    const ordered = {
+        version: puzzle.version,
+        id: puzzle.id,
+        name: puzzle.name,
+        start: puzzle.start,
+        ...(puzzle.target !== undefined ? { target: puzzle.target } : {}),
+        ...(puzzle.objective !== undefined ? { objective: puzzle.objective } : {}),
+        ...(puzzle.maxMoves !== undefined ? { maxMoves: puzzle.maxMoves } : {}),
+        ...(puzzle.ruleSetId !== undefined ? { ruleSetId: puzzle.ruleSetId } : {}),
+        ...(puzzle.difficulty !== undefined
+            ? {
+                difficulty: {
+                    rating: puzzle.difficulty.rating,
+                    label: puzzle.difficulty.label,
+                    optimalMoves: puzzle.difficulty.optimalMoves,
+                    branchingFactor: puzzle.difficulty.branchingFactor,
+                    cascadeCount: puzzle.difficulty.cascadeCount
+                }
+            }
+            : {})
+    };
+    return JSON.stringify(ordered);
+}
+
+/**
+ * Parse and validate puzzle JSON
+ * @param {string} json
+ * @returns {Puzzle}
+ */
+export function parsePuzzle(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('Invalid puzzle: not valid JSON');
+    }
+    return createPuzzle(data);
+}
+
+/**
+ * Starting game state for a puzzle
+ * @param {Puzzle} puzzle
+ * @returns {import('./gameState').GameState}
+ */
+export function startPuzzle(puzzle) {
+    return { ...createCustomState(puzzle.start), moveCount: 0 };
+}
+
+/**
+ * Objective that decides a puzzle
+ * @param {Puzzle} puzzle
+ * @returns {import('./objectives').Objective}
+ */
+export function getPuzzleObjective(puzzle) {
+    return {
+        ...(puzzle.objective ?? { type: 'targetGrid', target: puzzle.target }),
+        ...(puzzle.maxMoves ? { maxMoves: puzzle.maxMoves } : {})
+    };
+}
+
+// ============================================================================
+// PROGRESS
+// ============================================================================
+
+/**
+ * Compare a grid with the puzzle target
+ * @param {number[][]} grid - Current grid
+ * @param {number[][]} target - Target grid (same dimensions)
+ * @returns {PuzzleProgress}
+ */
+export function getPuzzleProgress(grid, target) {
+    const matches = grid.map((row, r) => row.map((value, c) => value === target[r][c]));
+    const flat = matches.flat();
+    const matchCount = flat.filter(Boolean).length;
+
+    return {
+        matches,
+        matchCount,
+        totalCells: flat.length,
+        solved: matchCount === flat.length
+    };
+}
+
+// ============================================================================
+// BUILT-IN PUZZLES
+// ============================================================================
+
+/** Hand-made starter puzzles (each solvable within its move limit) */
+export const PUZZLES = [
+    createPuzzle({
+        id: 'first-ripple',
+        name: 'First Ripple',
+        start: [[0, 0, 0], [0, 0, 0], [0, 0, 0]],
+        target: [[3, -1, 0], [0, 0, 0], [0, 0, 0]],
+        maxMoves: 3
+    }),
+    createPuzzle({
+        id: 'falling-twos',
+        name: 'Falling Twos',
+        start: [[0, 0, 0], [0, 0, 0], [0, 0, 0]],
+        target: [[0, 5, -1], [0, 2, 0], [0, 0, 0]],
+        maxMoves: 5
+    }),
+    createPuzzle({
+        id: 'chain-reaction',
+        name: 'Chain Reaction',
+        start: [[2, 4, 0], [0, 3, 0], [4, 0, 1]],
+        target: [[3, 3, -1], [0, 5, 0], [5, 2, 1]],
+        maxMoves: 4
+    })
+];
+
+/**
+ * Look up a built-in puzzle
+ * @param {string} id - Puzzle id
+ * @returns {Puzzle|undefined}
+ */
+export function getPuzzle(id) {
+    return PUZZLES.find(puzzle => puzzle.id === id);
+}
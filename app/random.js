@@ -0,0 +1,45 @@
+/**
+ * Deterministic Randomness
+ *
+ * Seeded pseudo-random numbers, so the same seed always yields the same
+ * sequence (and the same generated puzzle) on every machine.
+ */
+
+// ============================================================================
+// SEEDS
+// ============================================================================
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+/**
+ * Mulberry32 PRNG: small, fast and good enough for puzzle generation
+ * @param {number|string} seed - Integer seed, or a string hashed into one
+ * @returns {() => number} - Uniform numbers in [0, 1), like Math.random
+ */
+export function createRng(seed) {
+    let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
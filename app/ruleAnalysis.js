@@ -0,0 +1,147 @@
+/**
+ * Rule Set Analysis
+ *
+ * Static checks for rule sets that can grow values without bound, found
+ * from the rule data alone (no grid is simulated):
+ * - exponential: a multiply effect with |amount| > 1 compounds every time
+ *   the cell is hit
+ * - self-sustaining: a rule whose effect never moves a value out of its
+ *   own predicate, so targets that already match fire in turn and each
+ *   move can push values further
+ * - feedback loop: the same across several rules, where any of their
+ *   effects leaves a value matching one of them still matching one of
+ *   them, so together they can re-trigger like one self-sustaining rule
+ *
+ * Targets can hold any value, so the checks only ever claim what happens
+ * to targets that already match: a target outside the predicates may
+ * well stop the spread.
+ *
+ * Each cascade is still bounded (every cell fires once per click, and the
+ * cascade limits in gameState.js stop runaway clicks); the warnings are
+ * about growth across moves, which locks may or may not cap.
+ */
+
+import { describeRule, ruleMatches } from './rules';
+
+// ============================================================================
+// WARNING STRUCTURE
+// ============================================================================
+
+/**
+ * Analyser finding
+ * @typedef {Object} RuleWarning
+ * @property {string} ruleId - First rule involved
+ * @property {string[]} [ruleIds] - Every rule of a feedback loop, in rule set order
+ * @property {'exponential'|'self-sustaining'|'feedback-loop'} kind
+ * @property {string} message - Display-ready explanation
+ */
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Whether adding amount to every value matching one predicate always
+ * gives a value matching another
+ * @param {import('./rules').RulePredicate} from
+ * @param {number} amount
+ * @param {import('./rules').RulePredicate} to
+ * @returns {boolean}
+ */
+function shiftsInto(from, amount, to) {
+    switch (from.type) {
+        case 'equals':
+            return ruleMatches({ when: to }, from.n + amount);
+        case 'atLeast':
+            return to.type === 'atLeast' && from.n + amount >= to.n;
+        case 'divisibleBy':
+            return to.type === 'divisibleBy' && from.n % to.n === 0 && amount % to.n === 0;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Whether the rule's effect changes a target that matches the rule and
+ * always leaves it matching
+ * @param {import('./rules').RippleRule} rule
+ * @returns {boolean}
+ */
+function keepsMatching({ when, effect }) {
+    return effect.type === 'add' && effect.amount !== 0 && shiftsInto(when, effect.amount, when);
+}
+
+/**
+ * Warnings for a single rule
+ * @param {import('./rules').RippleRule} rule
+ * @returns {RuleWarning[]}
+ */
+function analyzeRule(rule) {
+    const { condition, effect } = describeRule(rule);
+    const warnings = [];
+
+    if (rule.effect.type === 'multiply' && Math.abs(rule.effect.amount) > 1) {
+        warnings.push({
+            ruleId: rule.id,
+            kind: 'exponential',
+            message: `${condition} (${effect}): values multiply on every hit and can grow exponentially`
+        });
+    }
+    if (keepsMatching(rule)) {
+        warnings.push({
+            ruleId: rule.id,
+            kind: 'self-sustaining',
+            message: `${condition} (${effect}): targets that already match still match afterwards, so the rule can re-trigger from cell to cell and keep pushing values further`
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * Warning for add rules that keep each other's targets matching
+ *
+ * Starting from every add rule that changes its targets, drop any rule whose matching values some
+ * remaining effect can move out of all remaining predicates, until none
+ * is left to drop. Whatever remains is closed: a target matching one of
+ * these rules still matches one after any of their effects. Dropping
+ * greedily can miss a loop but never reports a false one. A group of
+ * rules that are all self-sustaining already adds nothing new.
+ *
+ * @param {import('./rules').RippleRule[]} rules
+ * @returns {RuleWarning[]}
+ */
+function analyzeLoops(rules) {
+    let loop = rules.filter(({ effect }) => effect.type === 'add' && effect.amount !== 0);
+    for (let dropped = true; dropped;) {
+        const kept = loop.filter(rule => loop.every(({ effect }) =>
+            loop.some(next => shiftsInto(rule.when, effect.amount, next.when))
+        ));
+        dropped = kept.length < loop.length;
+        loop = kept;
+    }
+
+    if (loop.length < 2 || loop.every(keepsMatching)) {
+        return [];
+    }
+
+    const labels = loop.map(rule => {
+        const { condition, effect } = describeRule(rule);
+        return `${condition} (${effect})`;
+    });
+    return [{
+        ruleId: loop[0].id,
+        ruleIds: loop.map(rule => rule.id),
+        kind: 'feedback-loop',
+        message: `${labels.join(', ')}: targets matching one of these rules still match one after any of their effects, so together they can re-trigger from cell to cell and keep pushing values further`
+    }];
+}
+
+/**
+ * Find rules, alone or together, that can grow values without bound
+ * @param {import('./rules').RuleSet} ruleSet - Must pass validateRuleSet
+ * @returns {RuleWarning[]} - Empty when nothing was found
+ */
+export function analyzeRuleSet(ruleSet) {
+    return [...ruleSet.rules.flatMap(analyzeRule), ...analyzeLoops(ruleSet.rules)];
+}
@@ -0,0 +1,345 @@
+/**
+ * Declarative Ripple Rules
+ *
+ * A rule set is plain data, so it can be serialised, shared and edited:
+ * - Predicate: which cell values fire the rule ({ type, ...params })
+ * - Targets: [dRow, dCol] offsets from the firing cell
+ * - Effect: how each target value changes ({ type, amount })
+ *
+ * updateGrid evaluates whichever rule set it is given; DEFAULT_RULE_SET
+ * reproduces the original divisible-by-3 / divisible-by-5 behaviour.
+ */
+
+// ============================================================================
+// RULE STRUCTURE
+// ============================================================================
+
+/**
+ * Condition on the firing cell's value
+ * @typedef {Object} RulePredicate
+ * @property {string} type - Key of PREDICATES (e.g. 'divisibleBy')
+ * @property {number} [n] - Parameter for parameterised predicates
+ */
+
+/**
+ * Change applied to each target cell
+ * @typedef {Object} RuleEffect
+ * @property {string} type - Key of EFFECTS (e.g. 'add')
+ * @property {number} amount - Effect operand
+ */
+
+/**
+ * Single ripple rule
+ * @typedef {Object} RippleRule
+ * @property {string} id - Unique within its rule set
+ * @property {RulePredicate} when - Fires when the predicate holds
+ * @property {Array<[number, number]>} targets - [dRow, dCol] offsets
+ * @property {RuleEffect} effect - Applied to every in-bounds, unlocked target
+ */
+
+/**
+ * Named, ordered collection of rules (evaluated in array order)
+ * @typedef {Object} RuleSet
+ * @property {string} id - Stable identifier
+ * @property {string} name - Display name
+ * @property {RippleRule[]} rules
+ */
+
+// ============================================================================
+// OFFSETS
+// ============================================================================
+
+/** Common target offsets as [dRow, dCol] */
+export const OFFSETS = {
+    up: [-1, 0],
+    down: [1, 0],
+    left: [0, -1],
+    right: [0, 1],
+    upLeft: [-1, -1],
+    upRight: [-1, 1],
+    downLeft: [1, -1],
+    downRight: [1, 1]
+};
+
+const OFFSET_LABELS = {
+    '-1,0': 'Up',
+    '1,0': 'Below',
+    '0,-1': 'Left',
+    '0,1': 'Right',
+    '-1,-1': 'Up-left',
+    '-1,1': 'Up-right',
+    '1,-1': 'Down-left',
+    '1,1': 'Down-right'
+};
+
+// ============================================================================
+// PREDICATES & EFFECTS
+// ============================================================================
+
+/**
+ * Check if a value is a prime number
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isPrime(value) {
+    if (!Number.isInteger(value) || value < 2) {
+        return false;
+    }
+    for (let d = 2; d * d <= value; d++) {
+        if (value % d === 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Predicate registry: test(value, params) and a human-readable label
+ */
+export const PREDICATES = {
+    divisibleBy: {
+        test: (value, { n }) => value % n === 0,
+        describe: ({ n }) => `Divisible by ${n}`,
+        isValid: ({ n }) => Number.isInteger(n) && n !== 0
+    },
+    prime: {
+        test: value => isPrime(value),
+        describe: () => 'Prime',
+        isValid: () => true
+    },
+    equals: {
+        test: (value, { n }) => value === n,
+        describe: ({ n }) => `Value ${n}`,
+        isValid: ({ n }) => Number.isInteger(n)
+    },
+    atLeast: {
+        test: (value, { n }) => value >= n,
+        describe: ({ n }) => `Value ≥ ${n}`,
+        isValid: ({ n }) => Number.isInteger(n)
+    }
+};
+
+/**
+ * Effect registry: apply(value, amount) and a short delta label
+ */
+export const EFFECTS = {
+    add: {
+        apply: (value, amount) => value + amount,
+        describe: amount => (amount < 0 ? `−${-amount}` : `+${amount}`)
+    },
+    multiply: {
+        apply: (value, amount) => value * amount,
+        describe: amount => `×${amount}`
+    }
+};
+
+// ============================================================================
+// RULE SETS
+// ============================================================================
+
+/**
+ * Original game rules
+ * - Divisible by 3 → RIGHT neighbor -1
+ * - Divisible by 5 → BELOW neighbor +2
+ */
+export const DEFAULT_RULE_SET = {
+    id: 'classic',
+    name: 'Classic',
+    rules: [
+        {
+            id: 'div3-right',
+            when: { type: 'divisibleBy', n: 3 },
+            targets: [OFFSETS.right],
+            effect: { type: 'add', amount: -1 }
+        },
+        {
+            id: 'div5-below',
+            when: { type: 'divisibleBy', n: 5 },
+            targets: [OFFSETS.down],
+            effect: { type: 'add', amount: 2 }
+        }
+    ]
+};
+
+/** Built-in rule sets, keyed by id */
+export const RULE_SETS = {
+    [DEFAULT_RULE_SET.id]: DEFAULT_RULE_SET,
+    doubling: {
+        id: 'doubling',
+        name: 'Doubling',
+        rules: [
+            DEFAULT_RULE_SET.rules[0],
+            {
+                id: 'div4-up',
+                when: { type: 'divisibleBy', n: 4 },
+                targets: [OFFSETS.up],
+                effect: { type: 'multiply', amount: 2 }
+            }
+        ]
+    },
+    primes: {
+        id: 'primes',
+        name: 'Primes',
+        rules: [
+            {
+                id: 'prime-diagonals',
+                when: { type: 'prime' },
+                targets: [OFFSETS.upLeft, OFFSETS.upRight, OFFSETS.downLeft, OFFSETS.downRight],
+                effect: { type: 'add', amount: -1 }
+            }
+        ]
+    }
+};
+
+/**
+ * Look up a built-in rule set
+ * @param {string} id - Rule set id
+ * @returns {RuleSet} - Falls back to DEFAULT_RULE_SET for unknown ids
+ */
+export function getRuleSet(id) {
+    return RULE_SETS[id] ?? DEFAULT_RULE_SET;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Registry entry for a rule part, ignoring inherited keys like "toString"
+ * @param {Object} registry - PREDICATES or EFFECTS
+ * @param {any} type
+ * @returns {Object|undefined}
+ */
+function findEntry(registry, type) {
+    return Object.hasOwn(registry, type ?? '') ? registry[type] : undefined;
+}
+
+/**
+ * Registry entry for a rule part that must exist
+ * @param {Object} registry - PREDICATES or EFFECTS
+ * @param {any} type
+ * @param {string} kind - 'predicate' or 'effect', for the error message
+ * @returns {Object}
+ * @throws {Error} If the type is unknown
+ */
+function getEntry(registry, type, kind) {
+    const entry = findEntry(registry, type);
+    if (!entry) {
+        throw new Error(`Invalid rule: unknown ${kind} "${type}"`);
+    }
+    return entry;
+}
+
+/**
+ * Check if a rule fires for a cell value
+ * @param {RippleRule} rule
+ * @param {number} value - Value of the firing cell
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, value) {
+    return getEntry(PREDICATES, rule.when.type, 'predicate').test(value, rule.when);
+}
+
+/**
+ * Apply a rule's effect to a target value
+ * @param {RippleRule} rule
+ * @param {number} value - Current target value
+ * @returns {number} - New target value
+ */
+export function applyRuleEffect(rule, value) {
+    return getEntry(EFFECTS, rule.effect.type, 'effect').apply(value, rule.effect.amount);
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a rule set's structure
+ * @param {any} ruleSet - Rule set to validate
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+export function validateRuleSet(ruleSet) {
+    if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.rules)) {
+        return ['Rule set must be an object with a rules array'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    ruleSet.rules.forEach((rule, index) => {
+        const label = `Rule ${index + 1}`;
+
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (typeof rule.id !== 'string' || rule.id === '') {
+            errors.push(`${label}: missing id`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${label}: duplicate id "${rule.id}"`);
+        } else {
+            ids.add(rule.id);
+        }
+
+        const predicate = rule.when && findEntry(PREDICATES, rule.when.type);
+        if (!predicate || !predicate.isValid(rule.when)) {
+            errors.push(`${label}: invalid predicate`);
+        }
+
+        const targetsValid =
+            Array.isArray(rule.targets) &&
+            rule.targets.length > 0 &&
+            rule.targets.every(
+                offset =>
+                    Array.isArray(offset) &&
+                    offset.length === 2 &&
+                    offset.every(Number.isInteger) &&
+                    (offset[0] !== 0 || offset[1] !== 0)
+            );
+        if (!targetsValid) {
+            errors.push(`${label}: targets must be non-zero [dRow, dCol] integer offsets`);
+        }
+
+        if (
+            !rule.effect ||
+            !findEntry(EFFECTS, rule.effect.type) ||
+            typeof rule.effect.amount !== 'number' ||
+            !Number.isFinite(rule.effect.amount)
+        ) {
+            errors.push(`${label}: invalid effect`);
+        }
+    });
+
+    return errors;
+}
+
+// ============================================================================
+// DESCRIPTIONS (for the Rules panel)
+// ============================================================================
+
+/**
+ * Describe a target offset
+ * @param {[number, number]} offset - [dRow, dCol]
+ * @returns {string} - e.g. "Right"
+ */
+export function describeOffset([dRow, dCol]) {
+    return OFFSET_LABELS[`${dRow},${dCol}`] ?? `(${dRow}, ${dCol})`;
+}
+
+/**
+ * Describe a rule in display-ready parts
+ * @param {RippleRule} rule
+ * @returns {{condition: string, targets: string, effect: string, isDecrease: boolean}}
+ */
+export function describeRule(rule) {
+    const { when, targets, effect } = rule;
+    const labels = targets.map(describeOffset);
+
+    return {
+        condition: getEntry(PREDICATES, when.type, 'predicate').describe(when),
+        targets: `${labels.join(', ')} ${labels.length === 1 ? 'neighbor' : 'neighbors'}`,
+        effect: getEntry(EFFECTS, effect.type, 'effect').describe(effect.amount),
+        isDecrease: effect.type === 'add' ? effect.amount < 0 : effect.amount < 1
+    };
+}
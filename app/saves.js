@@ -0,0 +1,366 @@
+/**
+ * Saved Games
+ *
+ * Versioned snapshots of a game (history plus settings) kept in
+ * localStorage: one autosave and any number of named slots. Reads never
+ * throw; corrupt or unreadable data comes back as an error message so
+ * the UI can fall back to a fresh game.
+ */
+
+import { validateHistory, getHistoryState, getTimeline, getCurrentIndex } from './history';
+import { RULE_SETS } from './rules';
+import { TOPOLOGIES, DEFAULT_TOPOLOGY } from './topology';
+import { DEFAULT_LOCK, validateLock } from './locks';
+import { validatePuzzle } from './puzzle';
+import { GAME_LINK_PREFIX, decodeGameLink } from './gameLink';
+
+// ============================================================================
+// SAVE STRUCTURE
+// ============================================================================
+
+/** Current save schema version */
+export const SAVE_SCHEMA_VERSION = 4;
+
+/** localStorage key of the automatic save */
+export const AUTOSAVE_KEY = 'autosave';
+
+/** localStorage key of the named slots ({ [name]: SaveData }) */
+export const SLOTS_KEY = 'saveSlots';
+
+/**
+ * Settings restored with a game
+ * @typedef {Object} SaveSettings
+ * @property {string} ruleSetId - Built-in rule set id
+ * @property {string} topologyId - Built-in topology id
+ * @property {import('./locks').LockConfig} lock - Lock threshold and mode
+ * @property {string} objectiveId - Free-play objective preset id
+ * @property {import('./puzzle').Puzzle|null} puzzle - Active puzzle, if any
+ * @property {number} playbackSpeed - Cascade playback multiplier
+ */
+
+/**
+ * Saved game
+ * @typedef {Object} SaveData
+ * @property {number} version - SAVE_SCHEMA_VERSION when written
+ * @property {string} savedAt - ISO timestamp
+ * @property {import('./history').History} history - Full history (the game state is its present)
+ * @property {SaveSettings} settings
+ * @property {number} hintsUsed
+ * @property {number} noOpClicks - Clicks on locked cells (scored as penalties)
+ */
+
+/**
+ * Result of reading a save; exactly one field is non-null unless nothing was stored
+ * @typedef {Object} SaveReadResult
+ * @property {SaveData|null} save
+ * @property {string|null} error
+ */
+
+/**
+ * Minimal Storage interface (window.localStorage in the app)
+ * @typedef {Object} SaveStorage
+ * @property {(key: string) => string|null} getItem
+ * @property {(key: string, value: string) => void} setItem
+ */
+
+/**
+ * Upgrades, indexed by the version they upgrade from (MIGRATIONS[1] turns
+ * a v1 save into v2). Add one whenever SAVE_SCHEMA_VERSION is bumped.
+ * @type {Object<number, (save: Object) => Object>}
+ */
+export const MIGRATIONS = {
+    // v2: scoring counts no-op clicks; older games had none recorded
+    1: (save) => ({ ...save, noOpClicks: 0 }),
+    // v3: boards can wrap or use hex neighbours; older games were all square
+    2: (save) => ({ ...save, settings: { ...save.settings, topologyId: DEFAULT_TOPOLOGY.id } }),
+    // v4: the lock threshold and mode are settings; older games locked for good at 15
+    3: (save) => ({ ...save, settings: { ...save.settings, lock: DEFAULT_LOCK } })
+};
+
+// ============================================================================
+// CREATION & VALIDATION
+// ============================================================================
+
+/**
+ * Snapshot the current game
+ * @param {Object} game
+ * @param {import('./history').History} game.history
+ * @param {SaveSettings} game.settings
+ * @param {number} [game.hintsUsed=0]
+ * @param {number} [game.noOpClicks=0]
+ * @param {Date} [now=new Date()]
+ * @returns {SaveData}
+ */
+export function createSave({ history, settings, hintsUsed = 0, noOpClicks = 0 }, now = new Date()) {
+    return {
+        version: SAVE_SCHEMA_VERSION,
+        savedAt: now.toISOString(),
+        history,
+        settings: {
+            ruleSetId: settings.ruleSetId,
+            topologyId: settings.topologyId ?? DEFAULT_TOPOLOGY.id,
+            lock: settings.lock ?? DEFAULT_LOCK,
+            objectiveId: settings.objectiveId,
+            puzzle: settings.puzzle ?? null,
+            playbackSpeed: settings.playbackSpeed
+        },
+        hintsUsed,
+        noOpClicks
+    };
+}
+
+/**
+ * Validate a save at the current schema version
+ * @param {any} data
+ * @returns {string[]} - Empty if valid
+ */
+export function validateSave(data) {
+    if (!data || typeof data !== 'object') {
+        return ['Save must be an object'];
+    }
+
+    const errors = [];
+    if (data.version !== SAVE_SCHEMA_VERSION) {
+        errors.push(`Save version must be ${SAVE_SCHEMA_VERSION}`);
+    }
+    if (typeof data.savedAt !== 'string' || isNaN(Date.parse(data.savedAt))) {
+        errors.push('Saved-at must be an ISO timestamp');
+    }
+    errors.push(...validateHistory(data.history));
+
+    const settings = data.settings;
+    if (!settings || typeof settings !== 'object') {
+        errors.push('Settings must be an object');
+    } else {
+        if (!Object.hasOwn(RULE_SETS, settings.ruleSetId)) {
+            errors.push(`Unknown rule set "${settings.ruleSetId}"`);
+        }
+        if (!Object.hasOwn(TOPOLOGIES, settings.topologyId)) {
+            errors.push(`Unknown topology "${settings.topologyId}"`);
+        }
+        errors.push(...validateLock(settings.lock).map(error => `Lock: ${error}`));
+        if (typeof settings.objectiveId !== 'string') {
+            errors.push('Objective id must be a string');
+        }
+        if (settings.puzzle !== null) {
+            errors.push(...validatePuzzle(settings.puzzle).map(error => `Puzzle: ${error}`));
+        }
+        if (typeof settings.playbackSpeed !== 'number' || !(settings.playbackSpeed > 0)) {
+            errors.push('Playback speed must be a positive number');
+        }
+    }
+    if (!Number.isInteger(data.hintsUsed) || data.hintsUsed < 0) {
+        errors.push('Hints used must be a non-negative integer');
+    }
+    if (!Number.isInteger(data.noOpClicks) || data.noOpClicks < 0) {
+        errors.push('No-op clicks must be a non-negative integer');
+    }
+
+    return errors;
+}
+
+/**
+ * Bring an older save up to the current schema
+ * @param {Object} data - Parsed save of any version
+ * @param {Object} [options]
+ * @param {Object<number, Function>} [options.migrations=MIGRATIONS]
+ * @param {number} [options.version=SAVE_SCHEMA_VERSION] - Version to reach
+ * @returns {Object} - Save at the target version (not yet validated)
+ * @throws {Error} If the save is newer than the target or a step is missing
+ */
+export function migrateSave(data, { migrations = MIGRATIONS, version = SAVE_SCHEMA_VERSION } = {}) {
+    let save = data;
+    if (!Number.isInteger(save?.version) || save.version < 1) {
+        throw new Error('Invalid save: missing version');
+    }
+    if (save.version > version) {
+        throw new Error(`Invalid save: version ${save.version} is newer than this app`);
+    }
+
+    while (save.version < version) {
+        const migrate = migrations[save.version];
+        if (!migrate) {
+            throw new Error(`Invalid save: no migration from version ${save.version}`);
+        }
+        save = { ...migrate(save), version: save.version + 1 };
+    }
+    return save;
+}
+
+/**
+ * Parse, migrate and validate a stored save
+ * @param {string|null} json
+ * @returns {SaveReadResult}
+ */
+export function parseSave(json) {
+    if (json === null || json === undefined) {
+        return { save: null, error: null };
+    }
+
+    try {
+        const save = migrateSave(JSON.parse(json));
+        const errors = validateSave(save);
+        if (errors.length > 0) {
+            return { save: null, error: `Invalid save: ${errors.join('; ')}` };
+        }
+        return { save, error: null };
+    } catch (error) {
+        const message = error instanceof SyntaxError ? 'Invalid save: not valid JSON' : error.message;
+        return { save: null, error: message };
+    }
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Read the autosave
+ * @param {SaveStorage} storage
+ * @returns {SaveReadResult}
+ */
+export function readAutosave(storage) {
+    return parseSave(storage.getItem(AUTOSAVE_KEY));
+}
+
+/**
+ * Check if a save holds the same game as a decoded restore link
+ * @param {SaveData} save
+ * @param {import('./gameLink').GameLink} game
+ * @returns {boolean}
+ */
+function matchesGameLink({ history, settings }, game) {
+    const moves = getTimeline(history).slice(1).map(entry => entry.move);
+    return (
+        game.mode === 'restore' &&
+        settings.puzzle === null &&
+        settings.ruleSetId === game.ruleSetId &&
+        settings.topologyId === game.topologyId &&
+        ['threshold', 'mode', 'duration'].every(key => settings.lock[key] === game.lock[key]) &&
+        JSON.stringify(getTimeline(history)[0].grid) === JSON.stringify(game.start) &&
+        getCurrentIndex(history) === game.present &&
+        moves.length === game.moves.length &&
+        moves.every((move, i) => move.row === game.moves[i].row && move.col === game.moves[i].col)
+    );
+}
+
+/**
+ * Read the autosave to restore on page load, given the URL hash
+ *
+ * The page mirrors its free-play game into the hash as well as the
+ * autosave. The autosave is used when there is no game link, or when it
+ * holds the same game as the link, since only the save keeps branches,
+ * hints and settings. Any other link (edited, shared or a replay) is
+ * left for the caller to open.
+ *
+ * @param {SaveStorage} storage
+ * @param {string} hash - location.hash, with or without the leading "#"
+ * @returns {SaveReadResult} - Both fields null when the link should be opened instead
+ */
+export function readStartupSave(storage, hash) {
+    const payload = hash.replace(/^#/, '');
+    if (!payload.startsWith(GAME_LINK_PREFIX)) {
+        return readAutosave(storage);
+    }
+
+    const { save } = readAutosave(storage);
+    try {
+        return { save: save && matchesGameLink(save, decodeGameLink(payload)) ? save : null, error: null };
+    } catch {
+        return { save: null, error: null }; // The caller reports the broken link
+    }
+}
+
+/**
+ * Write the autosave
+ * @param {SaveStorage} storage
+ * @param {SaveData} save
+ * @returns {boolean} - false if storage refused (quota, private mode)
+ */
+export function writeAutosave(storage, save) {
+    try {
+        storage.setItem(AUTOSAVE_KEY, JSON.stringify(save));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Raw slot map; unreadable storage counts as empty
+ * @param {SaveStorage} storage
+ * @returns {Object<string, any>}
+ */
+function readSlots(storage) {
+    try {
+        const slots = JSON.parse(storage.getItem(SLOTS_KEY));
+        return slots && typeof slots === 'object' && !Array.isArray(slots) ? slots : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Summaries of every named slot, newest first
+ * Corrupt slots are listed with their error so they can be deleted.
+ * @param {SaveStorage} storage
+ * @returns {Array<{name: string, savedAt: string|null, moveCount: number|null, error: string|null}>}
+ */
+export function listSlots(storage) {
+    return Object.entries(readSlots(storage))
+        .map(([name, data]) => {
+            const { save, error } = parseSave(JSON.stringify(data));
+            return {
+                name,
+                savedAt: save?.savedAt ?? null,
+                moveCount: save ? getHistoryState(save.history).moveCount : null,
+                error
+            };
+        })
+        .sort((a, b) => (b.savedAt ?? '').localeCompare(a.savedAt ?? '') || a.name.localeCompare(b.name));
+}
+
+/**
+ * Store a save under a name (overwriting a slot with the same name)
+ * @param {SaveStorage} storage
+ * @param {string} name
+ * @param {SaveData} save
+ * @returns {boolean} - false if the name is blank or storage refused
+ */
+export function saveSlot(storage, name, save) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+        return false;
+    }
+    try {
+        storage.setItem(SLOTS_KEY, JSON.stringify({ ...readSlots(storage), [trimmed]: save }));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Read a named slot
+ * @param {SaveStorage} storage
+ * @param {string} name
+ * @returns {SaveReadResult}
+ */
+export function loadSlot(storage, name) {
+    const slots = readSlots(storage);
+    if (!Object.hasOwn(slots, name)) {
+        return { save: null, error: `No save named "${name}"` };
+    }
+    return parseSave(JSON.stringify(slots[name]));
+}
+
+/**
+ * Remove a named slot
+ * @param {SaveStorage} storage
+ * @param {string} name
+ */
+export function deleteSlot(storage, name) {
+    const slots = readSlots(storage); // Freshly parsed, safe to mutate
+    delete slots[name];
+    storage.setItem(SLOTS_KEY, JSON.stringify(slots));
+}
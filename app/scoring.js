@@ -0,0 +1,149 @@
+/**
+ * Scoring
+ *
+ * Scores are derived from the move history, never stored: each move is
+ * re-run through updateGridWithTrace to recover its cascade. Undoing a
+ * move removes its points; no-op clicks and hints are counted separately
+ * by the caller because they never enter the history.
+ */
+
+import { updateGridWithTrace } from './gameState';
+import { countNewLocks, createLockTimers, tickLockTimers } from './locks';
+import { getTimeline, getCurrentIndex } from './history';
+import { getCanonicalKey } from './solver';
+
+// ============================================================================
+// SCORING STRUCTURE
+// ============================================================================
+
+/** Point values */
+export const SCORING = {
+    /** Per cell a cascade changed (the clicked cell itself does not count) */
+    cellPoints: 10,
+    /** Added to the multiplier for each cascade level beyond the first */
+    chainStep: 0.5,
+    /** Per cell newly locked by the move */
+    lockPoints: 50,
+    /** Move that returns the board to a grid already seen this game */
+    wastedPenalty: 15,
+    /** Click that changes nothing (a locked cell) */
+    noOpPenalty: 20,
+    /** Per hint requested */
+    hintPenalty: 25
+};
+
+/**
+ * Points breakdown of one move
+ * @typedef {Object} MoveScore
+ * @property {import('./history').Move} move
+ * @property {number} cellsChanged - Cells changed by ripples
+ * @property {number} depth - Cascade depth (0 when nothing rippled)
+ * @property {number} multiplier - Chain multiplier applied to cell points
+ * @property {number} cascadePoints
+ * @property {number} newLocks
+ * @property {number} lockPoints
+ * @property {boolean} wasted - Board returned to an earlier grid
+ * @property {number} penalty
+ * @property {number} total
+ */
+
+/**
+ * Whole-game score
+ * @typedef {Object} GameScore
+ * @property {number} total
+ * @property {MoveScore[]} moves - One per move up to the present
+ * @property {number} hintPenalty
+ * @property {number} noOpPenalty
+ */
+
+// ============================================================================
+// MOVES
+// ============================================================================
+
+/**
+ * Chain multiplier for a cascade depth
+ * @param {number} depth
+ * @returns {number}
+ */
+export function getChainMultiplier(depth) {
+    return 1 + SCORING.chainStep * Math.max(depth - 1, 0);
+}
+
+/**
+ * Score a single move
+ * @param {number[][]} before - Grid before the click
+ * @param {import('./history').Move} move
+ * @param {Object} [options]
+ * @param {import('./rules').RuleSet} [options.ruleSet]
+ * @param {string} [options.topology]
+ * @param {import('./locks').LockConfig} [options.lock]
+ * @param {number[][]|null} [options.lockTimers] - Expiring lock timers before the click
+ * @param {Set<string>} [options.seen] - Canonical keys of grids seen earlier this game
+ * @returns {MoveScore}
+ */
+export function scoreMove(before, move, { ruleSet, topology, lock, lockTimers, seen = new Set() } = {}) {
+    const { grid: after, depth } = updateGridWithTrace(before, move.row, move.col, { ruleSet, topology, lock, lockTimers });
+
+    let cellsChanged = 0;
+    after.forEach((row, r) => row.forEach((value, c) => {
+        if (value !== before[r][c] && !(r === move.row && c === move.col)) cellsChanged++;
+    }));
+
+    const multiplier = getChainMultiplier(depth);
+    const cascadePoints = Math.round(cellsChanged * SCORING.cellPoints * multiplier);
+    const newLocks = countNewLocks(before, after, lock);
+    const lockPoints = newLocks * SCORING.lockPoints;
+    const wasted = after !== before && seen.has(getCanonicalKey(after));
+    const penalty = wasted ? SCORING.wastedPenalty : 0;
+
+    return {
+        move,
+        cellsChanged,
+        depth,
+        multiplier,
+        cascadePoints,
+        newLocks,
+        lockPoints,
+        wasted,
+        penalty,
+        total: cascadePoints + lockPoints - penalty
+    };
+}
+
+// ============================================================================
+// GAMES
+// ============================================================================
+
+/**
+ * Score every move up to the present, minus hint and no-op penalties
+ * @param {import('./history').History} history
+ * @param {Object} [options]
+ * @param {import('./rules').RuleSet} [options.ruleSet]
+ * @param {string} [options.topology]
+ * @param {import('./locks').LockConfig} [options.lock]
+ * @param {number} [options.hintsUsed=0]
+ * @param {number} [options.noOpClicks=0]
+ * @returns {GameScore}
+ */
+export function scoreGame(history, { ruleSet, topology, lock, hintsUsed = 0, noOpClicks = 0 } = {}) {
+    const timeline = getTimeline(history).slice(0, getCurrentIndex(history) + 1);
+    const seen = new Set([getCanonicalKey(timeline[0].grid)]);
+    const moves = [];
+    let lockTimers = createLockTimers(timeline[0].grid, lock);
+
+    for (let i = 1; i < timeline.length; i++) {
+        moves.push(scoreMove(timeline[i - 1].grid, timeline[i].move, { ruleSet, topology, lock, lockTimers, seen }));
+        lockTimers = tickLockTimers(lockTimers, timeline[i - 1].grid, timeline[i].grid, lock);
+        seen.add(getCanonicalKey(timeline[i].grid));
+    }
+
+    const hintPenalty = hintsUsed * SCORING.hintPenalty;
+    const noOpPenalty = noOpClicks * SCORING.noOpPenalty;
+
+    return {
+        total: moves.reduce((acc, score) => acc + score.total, 0) - hintPenalty - noOpPenalty,
+        moves,
+        hintPenalty,
+        noOpPenalty
+    };
+}
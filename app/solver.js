@@ -0,0 +1,225 @@
+/**
+ * Exhaustive Solver
+ *
+ * Breadth-first search over grid states using updateGrid as the move
+ * function. BFS explores states in order of move count, so the first
+ * solution found is optimal. States are deduplicated by canonical key
+ * (plus the lock timers when locks expire).
+ *
+ * Result status:
+ * - 'solved': shortest click sequence found
+ * - 'unsolvable': every state within maxDepth explored, no solution
+ * - 'limit': maxNodes reached before the search finished (inconclusive)
+ */
+
+import { updateGrid, isLocked } from './gameState';
+import { createLockTimers, tickLockTimers } from './locks';
+import { gridsEqual, OBJECTIVES } from './objectives';
+import { getRuleSet } from './rules';
+
+// ============================================================================
+// SOLVER STRUCTURE
+// ============================================================================
+
+/** Default search depth (moves) */
+export const DEFAULT_MAX_DEPTH = 20;
+
+/** Default cap on explored states */
+export const DEFAULT_MAX_NODES = 200000;
+
+/**
+ * Search parameters (provide target or goal)
+ * @typedef {Object} SolveOptions
+ * @property {number[][]} start - Starting grid
+ * @property {number[][]} [target] - Grid to reach exactly
+ * @property {(grid: number[][]) => boolean} [goal] - Custom goal predicate
+ * @property {number} [maxDepth] - Longest sequence considered
+ * @property {number} [maxNodes] - Maximum number of states to explore
+ * @property {import('./rules').RuleSet} [ruleSet] - Rules passed to updateGrid
+ * @property {string} [topology] - Topology id passed to updateGrid
+ * @property {import('./locks').LockConfig} [lock] - Lock rules passed to updateGrid
+ */
+
+/**
+ * Search outcome
+ * @typedef {Object} SolveResult
+ * @property {'solved'|'unsolvable'|'limit'} status
+ * @property {import('./history').Move[]|null} moves - Optimal sequence when solved
+ * @property {number} nodesExplored - Distinct states expanded
+ * @property {number} depth - Solution length, or deepest level fully explored
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Canonical string key for a grid (used for deduplication)
+ * @param {number[][]} grid
+ * @returns {string} - e.g. "0,0,0|0,0,0|0,0,0"
+ */
+export function getCanonicalKey(grid) {
+    return grid.map(row => row.join(',')).join('|');
+}
+
+/**
+ * Replay a click sequence
+ * Expiring lock timers start from the grid and advance with each move.
+ * @param {number[][]} grid - Starting grid
+ * @param {import('./history').Move[]} moves - Clicks in order
+ * @param {import('./gameState').UpdateOptions} [options] - Passed to updateGrid
+ * @returns {number[][]}
+ */
+export function applyMoves(grid, moves, options = {}) {
+    let lockTimers = createLockTimers(grid, options.lock);
+    return moves.reduce((current, { row, col }) => {
+        const next = updateGrid(current, row, col, { ...options, lockTimers });
+        if (next !== current) {
+            lockTimers = tickLockTimers(lockTimers, current, next, options.lock);
+        }
+        return next;
+    }, grid);
+}
+
+/**
+ * Locked cells never change, so a locked cell that differs from the
+ * target makes the target unreachable from this state. Expiring locks
+ * lift again, so they never prune.
+ * @param {number[][]} grid
+ * @param {number[][]} target
+ * @param {import('./locks').LockConfig} [lock]
+ * @returns {boolean}
+ */
+function isDeadEnd(grid, target, lock) {
+    if (lock?.mode === 'expiring') return false;
+    return grid.some((row, r) =>
+        row.some((value, c) => isLocked(value, lock) && value !== target[r][c])
+    );
+}
+
+/**
+ * Search key for a state: the grid, plus the timers when locks expire
+ * @param {number[][]} grid
+ * @param {number[][]|null} lockTimers
+ * @returns {string}
+ */
+function getStateKey(grid, lockTimers) {
+    return lockTimers ? `${getCanonicalKey(grid)}#${getCanonicalKey(lockTimers)}` : getCanonicalKey(grid);
+}
+
+/**
+ * Rebuild the move sequence leading to a state
+ * @param {Map<string, {parent: string|null, move: import('./history').Move|null}>} visited
+ * @param {string} key
+ * @returns {import('./history').Move[]}
+ */
+function buildPath(visited, key) {
+    const moves = [];
+    let node = visited.get(key);
+    while (node.parent !== null) {
+        moves.push(node.move);
+        node = visited.get(node.parent);
+    }
+    return moves.reverse();
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Find the shortest click sequence from start to a target grid or goal
+ * @param {SolveOptions} options
+ * @returns {SolveResult}
+ */
+export function solve({
+    start,
+    target,
+    goal,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxNodes = DEFAULT_MAX_NODES,
+    ruleSet = getRuleSet(),
+    topology,
+    lock
+}) {
+    if (!target && !goal) {
+        throw new Error('solve requires a target grid or a goal predicate');
+    }
+
+    const isGoal = goal ?? (grid => gridsEqual(grid, target));
+    const rows = start.length;
+    const cols = start[0].length;
+
+    if (isGoal(start)) {
+        return { status: 'solved', moves: [], nodesExplored: 0, depth: 0 };
+    }
+
+    const startTimers = createLockTimers(start, lock);
+    const startKey = getStateKey(start, startTimers);
+    const visited = new Map([[startKey, { parent: null, move: null }]]);
+    let frontier = [{ grid: start, lockTimers: startTimers, key: startKey }];
+    let nodesExplored = 0;
+
+    for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+        const next = [];
+
+        for (const { grid, lockTimers, key } of frontier) {
+            if (nodesExplored >= maxNodes) {
+                return { status: 'limit', moves: null, nodesExplored, depth: depth - 1 };
+            }
+            nodesExplored++;
+
+            for (let row = 0; row < rows; row++) {
+                for (let col = 0; col < cols; col++) {
+                    const child = updateGrid(grid, row, col, { ruleSet, topology, lock, lockTimers });
+                    if (child === grid) {
+                        continue; // Locked cell (no-op)
+                    }
+
+                    const childTimers = tickLockTimers(lockTimers, grid, child, lock);
+                    const childKey = getStateKey(child, childTimers);
+                    if (visited.has(childKey)) {
+                        continue;
+                    }
+                    visited.set(childKey, { parent: key, move: { row, col } });
+
+                    if (isGoal(child)) {
+                        return {
+                            status: 'solved',
+                            moves: buildPath(visited, childKey),
+                            nodesExplored,
+                            depth
+                        };
+                    }
+
+                    if (!target || !isDeadEnd(child, target, lock)) {
+                        next.push({ grid: child, lockTimers: childTimers, key: childKey });
+                    }
+                }
+            }
+        }
+
+        frontier = next;
+    }
+
+    return { status: 'unsolvable', moves: null, nodesExplored, depth: maxDepth };
+}
+
+/**
+ * Solve a puzzle within its own move limit
+ * Puzzles with a non-grid objective are searched with it as the goal.
+ * @param {import('./puzzle').Puzzle} puzzle
+ * @param {{maxNodes?: number, maxDepth?: number}} [options] - maxDepth defaults to the puzzle's maxMoves
+ * @returns {SolveResult}
+ */
+export function solvePuzzle(puzzle, { maxNodes, maxDepth } = {}) {
+    return solve({
+        start: puzzle.start,
+        ...(puzzle.objective
+            ? { goal: grid => OBJECTIVES[puzzle.objective.type].isWon({ grid }, puzzle.objective) }
+            : { target: puzzle.target }),
+        ruleSet: getRuleSet(puzzle.ruleSetId),
+        maxDepth: maxDepth ?? puzzle.maxMoves ?? DEFAULT_MAX_DEPTH,
+        maxNodes
+    });
+}
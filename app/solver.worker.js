@@ -0,0 +1,6 @@
+/** Solver Worker: runs solvePuzzle off the main thread (see useSolver) */
+
+import { solvePuzzle } from './solver';
+import { answerRequests } from './workerRequests';
+
+answerRequests(solvePuzzle);
@@ -0,0 +1,255 @@
+/**
+ * Personal Statistics
+ *
+ * A local log of finished games (plain JSON in localStorage) and the
+ * summaries the stats page draws from it: leaderboard, fastest solves,
+ * longest cascade, lock counts and getGridStats metrics over time.
+ */
+
+import { getGridStats, getDimensions } from './gameState';
+import { getHistoryState } from './history';
+import { hashString } from './random';
+
+// ============================================================================
+// STATS STRUCTURE
+// ============================================================================
+
+/** localStorage key of the serialised StatsLog */
+export const STATS_STORAGE_KEY = 'gameStats';
+
+/** Current stats format version */
+export const STATS_FORMAT_VERSION = 1;
+
+/** Oldest games are dropped beyond this many */
+export const MAX_RECORDED_GAMES = 500;
+
+/** getGridStats fields that can be charted */
+export const CHART_METRICS = ['sum', 'average', 'lockedCount', 'maxValue', 'minValue'];
+
+/**
+ * One finished game
+ * @typedef {Object} GameRecord
+ * @property {string} id - Stable id (used to merge imports)
+ * @property {string} finishedAt - ISO timestamp
+ * @property {'free'|'puzzle'|'daily'} mode
+ * @property {string} objective - Human-readable goal
+ * @property {'won'|'lost'} status
+ * @property {number} score
+ * @property {number} moves
+ * @property {number|null} durationMs - First move to finish (null if unknown)
+ * @property {number} longestCascade - Deepest cascade of the game
+ * @property {number} rows
+ * @property {number} cols
+ * @property {string} ruleSetId
+ * @property {Object} gridStats - getGridStats of the final grid
+ */
+
+/**
+ * All recorded games, oldest first
+ * @typedef {Object} StatsLog
+ * @property {number} version
+ * @property {GameRecord[]} games
+ */
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Empty log
+ * @returns {StatsLog}
+ */
+export function createStatsLog() {
+    return { version: STATS_FORMAT_VERSION, games: [] };
+}
+
+/**
+ * Build the record of a finished game
+ * @param {Object} game
+ * @param {import('./history').History} game.history
+ * @param {import('./scoring').GameScore} game.score
+ * @param {import('./objectives').ObjectiveResult} game.result - Decided result
+ * @param {string} game.objective - Goal description
+ * @param {'free'|'puzzle'|'daily'} game.mode
+ * @param {string} game.ruleSetId
+ * @param {import('./locks').LockConfig} [game.lock] - Lock rules (for the locked-cell count)
+ * @param {number|null} [game.startedAt] - Epoch ms of the first move
+ * @param {Date} [now=new Date()]
+ * @returns {GameRecord}
+ */
+export function createGameRecord({ history, score, result, objective, mode, ruleSetId, lock, startedAt = null }, now = new Date()) {
+    const state = getHistoryState(history, lock);
+    const { rows, cols } = getDimensions(state);
+    const finishedAt = now.toISOString();
+
+    return {
+        id: `${finishedAt}-${hashString(JSON.stringify(state.grid)).toString(36)}`,
+        finishedAt,
+        mode,
+        objective,
+        status: result.status,
+        score: score.total,
+        moves: state.moveCount,
+        durationMs: startedAt === null ? null : Math.max(now.getTime() - startedAt, 0),
+        longestCascade: score.moves.reduce((acc, move) => Math.max(acc, move.depth), 0),
+        rows,
+        cols,
+        ruleSetId,
+        gridStats: getGridStats(state)
+    };
+}
+
+/**
+ * Append a game, keeping the log within MAX_RECORDED_GAMES
+ * @param {StatsLog} log
+ * @param {GameRecord} record
+ * @returns {StatsLog}
+ */
+export function recordGame(log, record) {
+    return { ...log, games: [...log.games, record].slice(-MAX_RECORDED_GAMES) };
+}
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Headline numbers for the dashboard
+ * @param {StatsLog} log
+ * @param {number} [limit=5] - Entries in each top list
+ * @returns {{gamesPlayed: number, wins: number, bestScores: GameRecord[], fastestSolves: GameRecord[], longestCascade: GameRecord|null, totalLocks: number, averageLocks: number}}
+ */
+export function summarizeStats(log, limit = 5) {
+    const { games } = log;
+    const won = games.filter(game => game.status === 'won');
+    const totalLocks = games.reduce((acc, game) => acc + game.gridStats.lockedCount, 0);
+
+    return {
+        gamesPlayed: games.length,
+        wins: won.length,
+        bestScores: [...games].sort((a, b) => b.score - a.score).slice(0, limit),
+        fastestSolves: won
+            .filter(game => game.durationMs !== null)
+            .sort((a, b) => a.durationMs - b.durationMs)
+            .slice(0, limit),
+        longestCascade: games.reduce(
+            (best, game) => (!best || game.longestCascade > best.longestCascade ? game : best),
+            null
+        ),
+        totalLocks,
+        averageLocks: games.length > 0 ? totalLocks / games.length : 0
+    };
+}
+
+/**
+ * One getGridStats metric per game, oldest first
+ * @param {StatsLog} log
+ * @param {string} metric - One of CHART_METRICS
+ * @returns {Array<{finishedAt: string, value: number}>}
+ */
+export function getMetricSeries(log, metric) {
+    if (!CHART_METRICS.includes(metric)) {
+        throw new Error(`Invalid metric: ${metric}`);
+    }
+    return log.games.map(game => ({ finishedAt: game.finishedAt, value: game.gridStats[metric] }));
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Validate a game record
+ * @param {any} record
+ * @returns {string[]} - Empty if valid
+ */
+export function validateGameRecord(record) {
+    if (!record || typeof record !== 'object') {
+        return ['Game record must be an object'];
+    }
+
+    const errors = [];
+    if (typeof record.id !== 'string') errors.push('Game id must be a string');
+    if (typeof record.finishedAt !== 'string' || isNaN(Date.parse(record.finishedAt))) {
+        errors.push('Finished-at must be an ISO timestamp');
+    }
+    if (!['free', 'puzzle', 'daily'].includes(record.mode)) errors.push(`Unknown mode "${record.mode}"`);
+    if (typeof record.objective !== 'string') errors.push('Objective must be a string');
+    if (typeof record.ruleSetId !== 'string') errors.push('Rule set id must be a string');
+    if (!['won', 'lost'].includes(record.status)) errors.push(`Unknown status "${record.status}"`);
+    ['score', 'moves', 'longestCascade', 'rows', 'cols'].forEach(field => {
+        if (!Number.isFinite(record[field])) errors.push(`${field} must be a number`);
+    });
+    if (record.durationMs !== null && !Number.isFinite(record.durationMs)) {
+        errors.push('durationMs must be a number or null');
+    }
+    if (!record.gridStats || !CHART_METRICS.every(metric => Number.isFinite(record.gridStats[metric]))) {
+        errors.push('gridStats is incomplete');
+    }
+
+    return errors;
+}
+
+/**
+ * Serialise the log for download
+ * @param {StatsLog} log
+ * @returns {string}
+ */
+export function exportStats(log) {
+    return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Parse exported stats
+ * @param {string} json
+ * @returns {StatsLog}
+ * @throws {Error} "Invalid stats: ..." naming the first bad game
+ */
+export function importStats(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('Invalid stats: not valid JSON');
+    }
+
+    if (data?.version !== STATS_FORMAT_VERSION || !Array.isArray(data.games)) {
+        throw new Error(`Invalid stats: expected version ${STATS_FORMAT_VERSION} with a games list`);
+    }
+    data.games.forEach((game, i) => {
+        const errors = validateGameRecord(game);
+        if (errors.length > 0) {
+            throw new Error(`Invalid stats: game ${i + 1}: ${errors.join('; ')}`);
+        }
+    });
+
+    return { version: STATS_FORMAT_VERSION, games: data.games };
+}
+
+/**
+ * Read the stored log; missing or corrupt data reads as empty
+ * @param {string|null} json
+ * @returns {StatsLog}
+ */
+export function parseStats(json) {
+    try {
+        return importStats(json);
+    } catch {
+        return createStatsLog();
+    }
+}
+
+/**
+ * Merge two logs, skipping games already present (by id), oldest first
+ * @param {StatsLog} log
+ * @param {StatsLog} incoming
+ * @returns {StatsLog}
+ */
+export function mergeStats(log, incoming) {
+    const ids = new Set(log.games.map(game => game.id));
+    const games = [...log.games, ...incoming.games.filter(game => !ids.has(game.id))]
+        .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+        .slice(-MAX_RECORDED_GAMES);
+
+    return { version: STATS_FORMAT_VERSION, games };
+}
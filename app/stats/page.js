@@ -0,0 +1,167 @@
+'use client';
+
+import { useState, useSyncExternalStore } from 'react';
+import Link from 'next/link';
+import {
+  STATS_STORAGE_KEY,
+  CHART_METRICS,
+  parseStats,
+  summarizeStats,
+  getMetricSeries,
+  exportStats,
+  importStats,
+  mergeStats
+} from '../stats';
+import MetricChart from '../components/MetricChart';
+import useTheme from '../useTheme';
+
+const METRIC_LABELS = {
+  sum: 'Final sum',
+  average: 'Final average',
+  lockedCount: 'Locked cells',
+  maxValue: 'Highest value',
+  minValue: 'Lowest value'
+};
+
+const MODE_LABELS = { free: 'Free play', puzzle: 'Puzzle', daily: 'Daily' };
+
+// localStorage as an external store: other tabs notify through "storage" events,
+// and this page re-renders itself after imports
+const subscribeStorage = (onChange) => {
+  window.addEventListener('storage', onChange);
+  return () => window.removeEventListener('storage', onChange);
+};
+const getStoredStats = () => localStorage.getItem(STATS_STORAGE_KEY);
+const getServerSnapshot = () => null;
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+export default function StatsPage() {
+  const storedStats = useSyncExternalStore(subscribeStorage, getStoredStats, getServerSnapshot);
+  const isDarkMode = useTheme().theme.isDark;
+  const [message, setMessage] = useState(null);
+
+  const log = parseStats(storedStats);
+  const summary = summarizeStats(log);
+
+  const handleExport = () => {
+    const url = URL.createObjectURL(new Blob([exportStats(log)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recursive-grid-stats.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const merged = mergeStats(log, importStats(await file.text()));
+      localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(merged));
+      setMessage({ type: 'ok', text: `Imported. ${merged.games.length} games on record.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const cardClass = `p-6 rounded-2xl shadow-xl border ${isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-100'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = `px-3 py-1.5 text-sm font-semibold rounded-md border transition-colors cursor-pointer ${isDarkMode
+      ? 'border-gray-600 hover:bg-gray-700'
+      : 'border-gray-300 hover:bg-gray-100'
+    }`;
+
+  const headline = [
+    ['Games played', summary.gamesPlayed],
+    ['Wins', summary.wins],
+    ['Longest cascade', summary.longestCascade ? `${summary.longestCascade.longestCascade} levels` : '—'],
+    ['Cells locked', summary.totalLocks],
+    ['Locks per game', summary.averageLocks.toFixed(1)]
+  ];
+
+  return (
+    <div className={`min-h-screen p-6 transition-colors duration-300 ${isDarkMode ? 'bg-black text-white' : 'bg-gray-50/50 text-gray-900'}`}>
+      <div className="max-w-4xl mx-auto flex flex-col gap-6">
+        <header className="flex flex-wrap items-center justify-between gap-4">
+          <h1 className="text-3xl font-bold">Your Statistics</h1>
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={handleExport} disabled={log.games.length === 0} className={`${buttonClass} disabled:opacity-40`}>
+              Export JSON
+            </button>
+            <label className={buttonClass}>
+              Import JSON
+              <input type="file" accept="application/json,.json" onChange={handleImport} className="sr-only" />
+            </label>
+            <Link href="/" className={buttonClass}>← Back to game</Link>
+          </div>
+        </header>
+
+        {message && (
+          <p role="status" className={`text-sm ${message.type === 'error' ? 'text-red-500' : 'text-green-600'}`}>
+            {message.text}
+          </p>
+        )}
+
+        <section className={`${cardClass} grid grid-cols-2 md:grid-cols-5 gap-4`}>
+          {headline.map(([label, value]) => (
+            <div key={label} className="flex flex-col">
+              <span className={`text-xs uppercase tracking-wide ${mutedClass}`}>{label}</span>
+              <span className="text-2xl font-bold font-mono">{value}</span>
+            </div>
+          ))}
+        </section>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <section className={cardClass}>
+            <h2 className="text-lg font-bold mb-3">🏆 Best scores</h2>
+            {summary.bestScores.length === 0 ? (
+              <p className={`text-sm ${mutedClass}`}>Finish a game to get on the board.</p>
+            ) : (
+              <ol className="flex flex-col gap-1 text-sm">
+                {summary.bestScores.map((game, i) => (
+                  <li key={game.id} className="flex justify-between gap-2">
+                    <span>{i + 1}. {MODE_LABELS[game.mode]} · {game.rows}×{game.cols} · {game.moves} moves</span>
+                    <span className="font-mono font-semibold">{game.score}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+
+          <section className={cardClass}>
+            <h2 className="text-lg font-bold mb-3">⏱ Fastest solves</h2>
+            {summary.fastestSolves.length === 0 ? (
+              <p className={`text-sm ${mutedClass}`}>Win a game to set a time.</p>
+            ) : (
+              <ol className="flex flex-col gap-1 text-sm">
+                {summary.fastestSolves.map((game, i) => (
+                  <li key={game.id} className="flex justify-between gap-2">
+                    <span>{i + 1}. {game.objective} · {game.moves} moves</span>
+                    <span className="font-mono font-semibold">{formatDuration(game.durationMs)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </div>
+
+        <section className={`${cardClass} grid md:grid-cols-2 gap-6`}>
+          <h2 className="md:col-span-2 text-lg font-bold">📈 Final grid over time</h2>
+          {CHART_METRICS.map(metric => (
+            <MetricChart
+              key={metric}
+              label={METRIC_LABELS[metric]}
+              series={getMetricSeries(log, metric)}
+              isDarkMode={isDarkMode}
+            />
+          ))}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+/**
+ * Themes
+ *
+ * Registry of cell palettes and page chrome. Colour is never the only cue:
+ * every theme shows a lock icon on locked cells, and the colour-blind and
+ * high-contrast themes also stripe odd cells and cross-hatch locked ones.
+ * The stored preference is a theme id or "system", which follows the
+ * browser's prefers-color-scheme.
+ */
+
+import { getCellInfo } from './gameState';
+
+// ============================================================================
+// THEME STRUCTURE
+// ============================================================================
+
+/** localStorage key of the theme preference */
+export const THEME_STORAGE_KEY = 'theme';
+
+/** Preference that follows prefers-color-scheme */
+export const SYSTEM_THEME = 'system';
+
+/** Media query for the system preference */
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+/** Icon drawn on locked cells in every theme */
+export const LOCK_ICON = '🔒';
+
+/**
+ * Colours of one cell state
+ * @typedef {Object} CellPalette
+ * @property {string} background
+ * @property {string} color - Text colour
+ * @property {string} border
+ * @property {string|null} pattern - CSS background-image layered over the colour
+ */
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {boolean} isDark - Page chrome uses the dark styles
+ * @property {{even: CellPalette, odd: CellPalette, locked: CellPalette}} cells
+ */
+
+const STRIPES = 'repeating-linear-gradient(45deg, rgba(255, 255, 255, 0.35) 0 3px, transparent 3px 9px)';
+const CROSS_HATCH = 'repeating-linear-gradient(45deg, rgba(0, 0, 0, 0.3) 0 2px, transparent 2px 8px), '
+    + 'repeating-linear-gradient(-45deg, rgba(0, 0, 0, 0.3) 0 2px, transparent 2px 8px)';
+
+const cell = (background, color, { border = '#000000', pattern = null } = {}) => ({ background, color, border, pattern });
+
+// The original palette, shared by light and dark mode
+const CLASSIC_CELLS = {
+    even: cell('#e0e0e0', '#000000'),
+    odd: cell('#1a237e', '#ffffff'),
+    locked: cell('#ff0000', '#ffffff')
+};
+
+/** Built-in themes, keyed by id */
+export const THEMES = {
+    light: {
+        id: 'light',
+        name: 'Light',
+        description: 'Classic colours on a light page',
+        isDark: false,
+        cells: CLASSIC_CELLS
+    },
+    dark: {
+        id: 'dark',
+        name: 'Dark',
+        description: 'Classic colours on a dark page',
+        isDark: true,
+        cells: CLASSIC_CELLS
+    },
+    highContrast: {
+        id: 'highContrast',
+        name: 'High contrast',
+        description: 'Black, white and yellow with patterns',
+        isDark: true,
+        cells: {
+            even: cell('#ffffff', '#000000'),
+            odd: cell('#000000', '#ffffff', { border: '#ffffff', pattern: STRIPES }),
+            locked: cell('#ffff00', '#000000', { pattern: CROSS_HATCH })
+        }
+    },
+    redGreen: {
+        id: 'redGreen',
+        name: 'Red-green safe',
+        description: 'For protanopia and deuteranopia (blue and orange)',
+        isDark: false,
+        cells: {
+            even: cell('#f0f0f0', '#000000'),
+            odd: cell('#0072b2', '#ffffff', { pattern: STRIPES }),
+            locked: cell('#e69f00', '#000000', { pattern: CROSS_HATCH })
+        }
+    },
+    blueYellow: {
+        id: 'blueYellow',
+        name: 'Blue-yellow safe',
+        description: 'For tritanopia (teal and vermilion)',
+        isDark: false,
+        cells: {
+            even: cell('#f0f0f0', '#000000'),
+            odd: cell('#005f73', '#ffffff', { pattern: STRIPES }),
+            locked: cell('#d55e00', '#ffffff', { pattern: CROSS_HATCH })
+        }
+    },
+    monochrome: {
+        id: 'monochrome',
+        name: 'Monochrome',
+        description: 'Shades of grey only, for achromatopsia',
+        isDark: false,
+        cells: {
+            even: cell('#eeeeee', '#000000'),
+            odd: cell('#555555', '#ffffff', { pattern: STRIPES }),
+            locked: cell('#111111', '#ffffff', { border: '#ffffff', pattern: CROSS_HATCH })
+        }
+    }
+};
+
+/** Choices offered in the theme picker, in display order */
+export const THEME_OPTIONS = [SYSTEM_THEME, ...Object.keys(THEMES)];
+
+// ============================================================================
+// PREFERENCE
+// ============================================================================
+
+/**
+ * Read a stored preference; anything unknown follows the system
+ * @param {string|null} stored
+ * @returns {string} - A THEMES id or SYSTEM_THEME
+ */
+export function parseThemePreference(stored) {
+    return Object.hasOwn(THEMES, stored ?? '') ? stored : SYSTEM_THEME;
+}
+
+/**
+ * Theme to render for a preference
+ * @param {string|null} preference - Stored preference
+ * @param {boolean} prefersDark - Result of DARK_SCHEME_QUERY
+ * @returns {Theme}
+ */
+export function resolveTheme(preference, prefersDark) {
+    const id = parseThemePreference(preference);
+    if (id === SYSTEM_THEME) {
+        return prefersDark ? THEMES.dark : THEMES.light;
+    }
+    return THEMES[id];
+}
+
+// ============================================================================
+// CELL APPEARANCE
+// ============================================================================
+
+/**
+ * Palette entry for a cell value
+ * @param {Theme} theme
+ * @param {number} value
+ * @param {boolean} [locked] - Lock state under the active lock rules (default: value >= 15)
+ * @returns {{state: 'even'|'odd'|'locked', palette: CellPalette}}
+ */
+export function getCellPalette(theme, value, locked) {
+    const info = getCellInfo(value, undefined, locked);
+    const state = info.isLocked ? 'locked' : info.isEven ? 'even' : 'odd';
+    return { state, palette: theme.cells[state] };
+}
+
+/**
+ * Inline style for a cell (colours, border and pattern)
+ * @param {Theme} theme
+ * @param {number} value
+ * @param {boolean} [locked] - Lock state under the active lock rules (default: value >= 15)
+ * @returns {Object} - React style object
+ */
+export function getCellThemeStyle(theme, value, locked) {
+    const { palette } = getCellPalette(theme, value, locked);
+    return {
+        backgroundColor: palette.background,
+        color: palette.color,
+        border: `1px solid ${palette.border}`,
+        ...(palette.pattern ? { backgroundImage: palette.pattern } : {})
+    };
+}
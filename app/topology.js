@@ -0,0 +1,154 @@
+/**
+ * Board Topologies
+ *
+ * A topology decides which cells a rule's [dRow, dCol] offsets reach:
+ * - Square: offsets are used as written; ripples off the edge are lost
+ * - Torus: the same offsets, but rows and columns wrap around the edges
+ * - Diagonal: each straight offset also reaches the two diagonals beside it
+ * - Hex: an "odd-r" offset-coordinate hex board (odd rows sit half a cell
+ *   to the right), where every cell has six neighbours
+ *
+ * Topologies are chosen by id, so the choice can be stored and sent to the
+ * hint worker as plain data.
+ */
+
+// ============================================================================
+// TOPOLOGY STRUCTURE
+// ============================================================================
+
+/**
+ * @typedef {Object} Topology
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {boolean} wrap - Out-of-range rows and columns wrap around
+ * @property {(offset: [number, number], row: number) => Array<[number, number]>} getOffsets -
+ *   Offsets actually reached from a cell in the given row
+ */
+
+/**
+ * Target cell resolved for a ripple
+ * @typedef {Object} ResolvedTarget
+ * @property {[number, number]} offset - Offset after expansion, before wrapping
+ * @property {number} row - May be off the board (never for wrapping topologies)
+ * @property {number} col
+ */
+
+/**
+ * Straight offsets also reach the diagonals on either side
+ * @param {[number, number]} offset
+ * @returns {Array<[number, number]>}
+ */
+function withDiagonals([dRow, dCol]) {
+    if (dRow === 0) return [[0, dCol], [-1, dCol], [1, dCol]];
+    if (dCol === 0) return [[dRow, 0], [dRow, -1], [dRow, 1]];
+    return [[dRow, dCol]];
+}
+
+/**
+ * Map a square offset onto an odd-r hex board
+ *
+ * Rows an even distance away line up with this one, so the column offset
+ * is unchanged. Across an odd number of rows the two nearest cells are
+ * dCol - 1 + shift and dCol + shift, where shift is 1 on odd rows: a
+ * leftward offset takes the left one, a rightward offset the right one,
+ * and a straight up/down offset reaches both.
+ *
+ * @param {[number, number]} offset
+ * @param {number} row - Row of the firing cell
+ * @returns {Array<[number, number]>}
+ */
+function toHexOffsets([dRow, dCol], row) {
+    if (dRow % 2 === 0) return [[dRow, dCol]];
+
+    const shift = row % 2 === 0 ? 0 : 1;
+    if (dCol < 0) return [[dRow, dCol + shift]];
+    if (dCol > 0) return [[dRow, dCol - 1 + shift]];
+    return [[dRow, shift - 1], [dRow, shift]];
+}
+
+/** Default topology: the original flat board */
+export const DEFAULT_TOPOLOGY = {
+    id: 'square',
+    name: 'Square',
+    description: 'Ripples that leave the board are lost',
+    wrap: false,
+    getOffsets: offset => [offset]
+};
+
+/** Built-in topologies, keyed by id */
+export const TOPOLOGIES = {
+    [DEFAULT_TOPOLOGY.id]: DEFAULT_TOPOLOGY,
+    torus: {
+        id: 'torus',
+        name: 'Torus',
+        description: 'Ripples off one edge come back on the opposite edge',
+        wrap: true,
+        getOffsets: offset => [offset]
+    },
+    diagonal: {
+        id: 'diagonal',
+        name: 'Diagonal',
+        description: 'Straight ripples also reach the diagonal neighbours beside them',
+        wrap: false,
+        getOffsets: withDiagonals
+    },
+    hex: {
+        id: 'hex',
+        name: 'Hex',
+        description: 'Offset hex board: odd rows are shifted half a cell, six neighbours per cell',
+        wrap: false,
+        getOffsets: toHexOffsets
+    }
+};
+
+/**
+ * Look up a built-in topology
+ * @param {string} [id]
+ * @returns {Topology} - Falls back to DEFAULT_TOPOLOGY for unknown ids
+ */
+export function getTopology(id) {
+    return Object.hasOwn(TOPOLOGIES, id ?? '') ? TOPOLOGIES[id] : DEFAULT_TOPOLOGY;
+}
+
+// ============================================================================
+// NEIGHBOURS
+// ============================================================================
+
+/**
+ * Cells a rule reaches from a firing cell
+ *
+ * Each cell is reached at most once per rule, even if several offsets
+ * expand or wrap onto it.
+ *
+ * @param {Topology} topology
+ * @param {number} row - Firing cell
+ * @param {number} col
+ * @param {Array<[number, number]>} offsets - The rule's targets
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {ResolvedTarget[]}
+ */
+export function resolveTargets(topology, row, col, offsets, rows, cols) {
+    const seen = new Set();
+    const targets = [];
+
+    for (const offset of offsets) {
+        for (const [dRow, dCol] of topology.getOffsets(offset, row)) {
+            let targetRow = row + dRow;
+            let targetCol = col + dCol;
+            if (topology.wrap) {
+                targetRow = ((targetRow % rows) + rows) % rows;
+                targetCol = ((targetCol % cols) + cols) % cols;
+            }
+
+            const key = `${targetRow},${targetCol}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            targets.push({ offset: [dRow, dCol], row: targetRow, col: targetCol });
+        }
+    }
+
+    return targets;
+}
+
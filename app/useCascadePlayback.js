@@ -0,0 +1,73 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { BASE_FRAME_DURATION } from './playback';
+
+/**
+ * Check the user's reduced-motion preference
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return (
+    typeof window !== 'undefined' &&
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  );
+}
+
+/**
+ * Step through cascade frames on a timer
+ *
+ * Playback is skipped entirely when the user prefers reduced motion.
+ *
+ * @param {number} speed - Multiplier of BASE_FRAME_DURATION (2 = twice as fast)
+ * @returns {{
+ *   frame: import('./playback').PlaybackFrame|null,
+ *   frameIndex: number,
+ *   isPlaying: boolean,
+ *   play: (frames: import('./playback').PlaybackFrame[]) => void,
+ *   skip: () => void
+ * }}
+ */
+export default function useCascadePlayback(speed) {
+  const [frames, setFrames] = useState([]);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const timerRef = useRef(null);
+
+  const isPlaying = frameIndex < frames.length;
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    timerRef.current = setTimeout(() => {
+      setFrameIndex(index => index + 1);
+    }, BASE_FRAME_DURATION / speed);
+
+    return () => clearTimeout(timerRef.current);
+  }, [isPlaying, frameIndex, speed]);
+
+  const play = useCallback((nextFrames) => {
+    // Clicks without ripples have nothing to show; reduced motion skips playback
+    if (!nextFrames.some(f => f.ripples.length > 0) || prefersReducedMotion()) {
+      setFrames([]);
+      setFrameIndex(0);
+      return;
+    }
+    setFrames(nextFrames);
+    setFrameIndex(0);
+  }, []);
+
+  const skip = useCallback(() => {
+    clearTimeout(timerRef.current);
+    setFrames([]);
+    setFrameIndex(0);
+  }, []);
+
+  return {
+    frame: isPlaying ? frames[frameIndex] : null,
+    frameIndex,
+    isPlaying,
+    play,
+    skip
+  };
+}
@@ -0,0 +1,23 @@
+'use client';
+
+import { useCallback } from 'react';
+import { generatePuzzle } from './generator';
+import useWorkerRequest from './useWorkerRequest';
+
+const createGeneratorWorker = () => new Worker(new URL('./generator.worker.js', import.meta.url));
+
+/**
+ * Generate puzzles in a Web Worker, since a search can take seconds on
+ * large boards
+ * @returns {{
+ *   isGenerating: boolean,
+ *   requestPuzzle: (options: import('./generator').GeneratorOptions, onGenerated: (puzzle: import('./puzzle').Puzzle|null) => void, onError?: (message: string) => void) => void,
+ *   cancelGeneration: () => void
+ * }}
+ */
+export default function useGenerator() {
+  const { isBusy, request, cancel } = useWorkerRequest(createGeneratorWorker, generatePuzzle);
+  const requestPuzzle = useCallback((options, onGenerated, onError) => request([options], onGenerated, onError), [request]);
+
+  return { isGenerating: isBusy, requestPuzzle, cancelGeneration: cancel };
+}
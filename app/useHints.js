@@ -0,0 +1,36 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import { rankMoves } from './hints';
+import useWorkerRequest from './useWorkerRequest';
+
+const createHintWorker = () => new Worker(new URL('./hints.worker.js', import.meta.url));
+
+/**
+ * Request hint rankings from a Web Worker
+ *
+ * Answers that arrive after clearHint (e.g. the player already moved)
+ * are ignored.
+ *
+ * @returns {{
+ *   ranking: import('./hints').HintMove[]|null,
+ *   isThinking: boolean,
+ *   requestHint: (state: import('./gameState').GameState, objective: import('./objectives').Objective, ruleSet: import('./rules').RuleSet, topology?: string, onError?: (message: string) => void) => void,
+ *   clearHint: () => void
+ * }}
+ */
+export default function useHints() {
+  const [ranking, setRanking] = useState(null);
+  const { isBusy, request, cancel } = useWorkerRequest(createHintWorker, rankMoves);
+
+  const requestHint = useCallback((state, objective, ruleSet, topology, onError) => {
+    request([state, objective, { ruleSet, topology }], setRanking, onError);
+  }, [request]);
+
+  const clearHint = useCallback(() => {
+    cancel();
+    setRanking(null);
+  }, [cancel]);
+
+  return { ranking, isThinking: isBusy, requestHint, clearHint };
+}
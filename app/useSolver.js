@@ -0,0 +1,38 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import { solvePuzzle } from './solver';
+import useWorkerRequest from './useWorkerRequest';
+
+const createSolverWorker = () => new Worker(new URL('./solver.worker.js', import.meta.url));
+
+/**
+ * Run the puzzle solver in a Web Worker, since a capped search can still
+ * take seconds on large boards
+ * @returns {{
+ *   result: import('./solver').SolveResult|null,
+ *   error: string|null - Why the last check failed
+ *   isSolving: boolean,
+ *   requestSolve: (puzzle: import('./puzzle').Puzzle, options?: { maxNodes?: number, maxDepth?: number }) => void,
+ *   cancelSolve: () => void
+ * }}
+ */
+export default function useSolver() {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const { isBusy, request, cancel } = useWorkerRequest(createSolverWorker, solvePuzzle);
+
+  const requestSolve = useCallback((puzzle, options) => {
+    setResult(null);
+    setError(null);
+    request([puzzle, options], setResult, setError);
+  }, [request]);
+
+  const cancelSolve = useCallback(() => {
+    cancel();
+    setResult(null);
+    setError(null);
+  }, [cancel]);
+
+  return { result, error, isSolving: isBusy, requestSolve, cancelSolve };
+}
@@ -0,0 +1,52 @@
+'use client';
+
+import { useSyncExternalStore } from 'react';
+import { THEME_STORAGE_KEY, DARK_SCHEME_QUERY, parseThemePreference, resolveTheme } from './themes';
+
+// Same-tab changes do not fire "storage" events, so setPreference notifies directly
+const listeners = new Set();
+
+const subscribe = (onChange) => {
+  const media = window.matchMedia?.(DARK_SCHEME_QUERY);
+  listeners.add(onChange);
+  window.addEventListener('storage', onChange);
+  media?.addEventListener('change', onChange);
+  return () => {
+    listeners.delete(onChange);
+    window.removeEventListener('storage', onChange);
+    media?.removeEventListener('change', onChange);
+  };
+};
+
+const getStoredPreference = () => localStorage.getItem(THEME_STORAGE_KEY);
+const getPrefersDark = () => window.matchMedia?.(DARK_SCHEME_QUERY).matches ?? false;
+const getServerPreference = () => null;
+const getServerPrefersDark = () => false;
+
+/**
+ * Persisted theme preference, resolved against prefers-color-scheme
+ *
+ * The server renders the light theme; the client switches to the stored
+ * or system theme while hydrating.
+ *
+ * @returns {{
+ *   theme: import('./themes').Theme,
+ *   preference: string,
+ *   setPreference: (preference: string) => void
+ * }}
+ */
+export default function useTheme() {
+  const stored = useSyncExternalStore(subscribe, getStoredPreference, getServerPreference);
+  const prefersDark = useSyncExternalStore(subscribe, getPrefersDark, getServerPrefersDark);
+
+  const setPreference = (preference) => {
+    localStorage.setItem(THEME_STORAGE_KEY, parseThemePreference(preference));
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    theme: resolveTheme(stored, prefersDark),
+    preference: parseThemePreference(stored),
+    setPreference
+  };
+}
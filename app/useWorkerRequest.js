@@ -0,0 +1,96 @@
+'use client';
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * Run one search at a time in a Web Worker (see app/workerRequests.js)
+ *
+ * The worker is created on the first request. A new request or cancel
+ * drops the previous one, stopping the worker if it is still searching so
+ * abandoned searches do not queue up. Without worker support the search
+ * runs on the page after a timeout, so the browser still paints first.
+ *
+ * If the search throws (or the worker dies, e.g. out of memory), the
+ * request ends with onError instead of staying busy forever; the worker
+ * is dropped and the next request starts a fresh one.
+ *
+ * @param {() => Worker} createWorker - e.g. () => new Worker(new URL('./x.worker.js', import.meta.url))
+ * @param {(...args: any[]) => any} compute - Same function the worker runs
+ * @returns {{
+ *   isBusy: boolean,
+ *   request: (args: any[], onResult: (result: any) => void, onError?: (message: string) => void) => void,
+ *   cancel: () => void
+ * }}
+ */
+export default function useWorkerRequest(createWorker, compute) {
+  const [isBusy, setIsBusy] = useState(false);
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const onResultRef = useRef(null);
+  const onErrorRef = useRef(null);
+  const isBusyRef = useRef(false);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const receive = useCallback(({ id, result }) => {
+    if (id !== requestIdRef.current) return; // Stale answer
+    isBusyRef.current = false;
+    setIsBusy(false);
+    onResultRef.current(result);
+  }, []);
+
+  const fail = useCallback((message) => {
+    if (!isBusyRef.current) return; // Cancelled or already answered
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    isBusyRef.current = false;
+    setIsBusy(false);
+    onErrorRef.current?.(message);
+  }, []);
+
+  const stopSearch = useCallback(() => {
+    if (isBusyRef.current) {
+      workerRef.current?.terminate();
+      workerRef.current = null;
+      isBusyRef.current = false;
+    }
+  }, []);
+
+  const request = useCallback((args, onResult, onError) => {
+    stopSearch();
+    const id = ++requestIdRef.current;
+    isBusyRef.current = true;
+    onResultRef.current = onResult;
+    onErrorRef.current = onError;
+    setIsBusy(true);
+
+    if (typeof Worker === 'undefined') {
+      setTimeout(() => {
+        if (id !== requestIdRef.current) return; // Stale request
+        try {
+          receive({ id, result: compute(...args) });
+        } catch (error) {
+          fail(error.message);
+        }
+      }, 0);
+      return;
+    }
+
+    if (!workerRef.current) {
+      workerRef.current = createWorker();
+      workerRef.current.onmessage = ({ data }) => receive(data);
+      // Only one search runs at a time, so a failure belongs to the current request
+      workerRef.current.onerror = (event) => fail(event.message || 'The search failed');
+      workerRef.current.onmessageerror = () => fail('The search answer could not be read');
+    }
+    workerRef.current.postMessage({ id, args });
+  }, [createWorker, compute, receive, fail, stopSearch]);
+
+  const cancel = useCallback(() => {
+    stopSearch();
+    requestIdRef.current++;
+    setIsBusy(false);
+  }, [stopSearch]);
+
+  return { isBusy, request, cancel };
+}
@@ -0,0 +1,254 @@
+/**
+ * Hot-Seat Versus Mode
+ *
+ * Two players take turns clicking the same board. A versus game is a
+ * reducer over click actions: the state records whose turn it is, each
+ * player's score and who owns which cells, and every accepted click
+ * hands the turn to the other player.
+ *
+ * Like the objectives, the state is never stored by the page: it is
+ * replayed from the moves of the history, so undo takes back turns too.
+ */
+
+import { updateGrid, isValidPosition, isCellLocked } from './gameState';
+import { DEFAULT_LOCK, createLockTimers, tickLockTimers } from './locks';
+import { hasClickableCells } from './objectives';
+import { scoreMove } from './scoring';
+
+// ============================================================================
+// VERSUS STRUCTURE
+// ============================================================================
+
+/** Players per game; they are numbered 0 and 1 */
+export const PLAYER_COUNT = 2;
+
+/**
+ * Versus rules
+ * @typedef {Object} VersusConfig
+ * @property {string} scoring - Key of VERSUS_SCORING
+ * @property {string} victory - Key of VICTORY_CONDITIONS
+ * @property {number} [limit] - Points (target) or rounds (turns) that end the game
+ */
+
+/**
+ * Game in progress
+ * @typedef {Object} VersusState
+ * @property {number[][]} grid
+ * @property {number} currentPlayer - Player to move (0 or 1)
+ * @property {number[]} scores - One per player
+ * @property {(number|null)[][]} owners - Player owning each cell (ownership scoring)
+ * @property {number} turn - Moves played so far
+ * @property {number[][]|null} lockTimers - Expiring lock timers
+ * @property {'playing'|'over'} status
+ * @property {number|'draw'|null} winner - Set once the game is over
+ * @property {VersusConfig} config
+ * @property {VersusOptions} options
+ */
+
+/**
+ * Board settings shared by both players
+ * @typedef {Object} VersusOptions
+ * @property {import('./rules').RuleSet} [ruleSet]
+ * @property {string} [topology]
+ * @property {import('./locks').LockConfig} [lock]
+ */
+
+/**
+ * Action accepted by versusReducer
+ * @typedef {{type: 'click', row: number, col: number}} VersusAction
+ */
+
+// ============================================================================
+// SCORING & VICTORY
+// ============================================================================
+
+/**
+ * Scoring registry: scores(before, after, mover, move) returns the new scores
+ * after is the state following the move, with owners already updated.
+ */
+export const VERSUS_SCORING = {
+    ownership: {
+        name: 'Ownership',
+        description: 'Cells lock to the player whose move locked them; one point per cell owned',
+        scores: (before, after) => Array.from({ length: PLAYER_COUNT }, (_, player) =>
+            after.owners.flat().filter(owner => owner === player).length
+        )
+    },
+    cascades: {
+        name: 'Cascades',
+        description: 'One point per cell changed by the cascades you trigger',
+        scores: (before, after, mover, move) => {
+            const { cellsChanged } = scoreMove(before.grid, move, { ...before.options, lockTimers: before.lockTimers });
+            return before.scores.map((score, player) => (player === mover ? score + cellsChanged : score));
+        }
+    }
+};
+
+/**
+ * Victory registry: isOver(state) decides when the game ends; the higher score wins
+ * Every game also ends once no cell can be clicked.
+ */
+export const VICTORY_CONDITIONS = {
+    board: {
+        name: 'Full board',
+        describe: () => 'Play until no cell can be clicked',
+        isOver: () => false
+    },
+    target: {
+        name: 'First to',
+        usesLimit: true,
+        describe: ({ limit }) => `First to ${limit} points`,
+        isOver: state => state.scores.some(score => score >= state.config.limit)
+    },
+    turns: {
+        name: 'Rounds',
+        usesLimit: true,
+        describe: ({ limit }) => `Best score after ${limit} rounds`,
+        isOver: state => state.turn >= state.config.limit * PLAYER_COUNT
+    }
+};
+
+/** Versus rules used when hot-seat play starts */
+export const DEFAULT_VERSUS = { scoring: 'ownership', victory: 'board', limit: 5 };
+
+/**
+ * Validate versus rules
+ * @param {any} config - Candidate config
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+export function validateVersusConfig(config) {
+    if (!config || typeof config !== 'object') {
+        return ['Versus config must be an object'];
+    }
+
+    const errors = [];
+    if (!Object.hasOwn(VERSUS_SCORING, config.scoring ?? '')) {
+        errors.push(`Unknown scoring "${config.scoring}"`);
+    }
+    if (!Object.hasOwn(VICTORY_CONDITIONS, config.victory ?? '')) {
+        errors.push(`Unknown victory condition "${config.victory}"`);
+    } else if (VICTORY_CONDITIONS[config.victory].usesLimit && (!Number.isInteger(config.limit) || config.limit < 1)) {
+        errors.push('Limit must be a positive integer');
+    }
+    return errors;
+}
+
+/**
+ * Describe the victory condition
+ * @param {VersusConfig} config
+ * @returns {string}
+ */
+export function describeVictory(config) {
+    return VICTORY_CONDITIONS[config.victory].describe(config);
+}
+
+// ============================================================================
+// REDUCER
+// ============================================================================
+
+/**
+ * Start a versus game; player 0 moves first
+ * @param {number[][]} grid - Starting grid
+ * @param {VersusConfig} config
+ * @param {VersusOptions} [options]
+ * @returns {VersusState}
+ * @throws {Error} If the config is invalid
+ */
+export function createVersusState(grid, config, options = {}) {
+    const errors = validateVersusConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid versus config: ${errors.join('; ')}`);
+    }
+
+    const lock = options.lock ?? DEFAULT_LOCK;
+    return {
+        grid,
+        currentPlayer: 0,
+        scores: Array(PLAYER_COUNT).fill(0),
+        owners: grid.map(row => row.map(() => null)),
+        turn: 0,
+        lockTimers: createLockTimers(grid, lock),
+        status: 'playing',
+        winner: null,
+        config,
+        options: { ...options, lock }
+    };
+}
+
+/**
+ * Winner by score
+ * @param {number[]} scores
+ * @returns {number|'draw'}
+ */
+function getWinner(scores) {
+    const best = Math.max(...scores);
+    const leaders = scores.flatMap((score, player) => (score === best ? [player] : []));
+    return leaders.length === 1 ? leaders[0] : 'draw';
+}
+
+/**
+ * Play the current player's click and pass the turn
+ *
+ * Clicks after the game is over, on locked cells or off the board change
+ * nothing and return the same state, so the turn does not pass.
+ *
+ * @param {VersusState} state
+ * @param {VersusAction} action
+ * @returns {VersusState}
+ * @throws {Error} If the action type is unknown
+ */
+export function versusReducer(state, action) {
+    if (action?.type !== 'click') {
+        throw new Error(`Invalid versus action: unknown type "${action?.type}"`);
+    }
+
+    const { row, col } = action;
+    const { grid, lockTimers, options, currentPlayer } = state;
+    if (
+        state.status === 'over' ||
+        !isValidPosition(row, col, grid.length, grid[0].length) ||
+        isCellLocked({ grid, lock: options.lock, lockTimers }, row, col)
+    ) {
+        return state;
+    }
+
+    const nextGrid = updateGrid(grid, row, col, { ...options, lockTimers });
+    const nextTimers = tickLockTimers(lockTimers, grid, nextGrid, options.lock);
+    const nextLocked = { grid: nextGrid, lock: options.lock, lockTimers: nextTimers };
+
+    // Newly locked cells go to the mover; cells that unlock lose their owner
+    const owners = nextGrid.map((cells, r) => cells.map((_, c) => {
+        if (!isCellLocked(nextLocked, r, c)) return null;
+        return isCellLocked({ grid, lock: options.lock, lockTimers }, r, c) ? state.owners[r][c] : currentPlayer;
+    }));
+
+    const next = {
+        ...state,
+        grid: nextGrid,
+        owners,
+        lockTimers: nextTimers,
+        turn: state.turn + 1,
+        currentPlayer: (currentPlayer + 1) % PLAYER_COUNT
+    };
+    next.scores = VERSUS_SCORING[state.config.scoring].scores(state, next, currentPlayer, { row, col });
+
+    if (!hasClickableCells(nextLocked) || VICTORY_CONDITIONS[state.config.victory].isOver(next)) {
+        return { ...next, status: 'over', winner: getWinner(next.scores) };
+    }
+    return next;
+}
+
+/**
+ * Replay a sequence of moves from the starting grid
+ * @param {number[][]} grid - Starting grid
+ * @param {import('./history').Move[]} moves
+ * @param {VersusConfig} config
+ * @param {VersusOptions} [options]
+ * @returns {VersusState}
+ */
+export function replayVersus(grid, moves, config, options) {
+    return moves.reduce(
+        (state, { row, col }) => versusReducer(state, { type: 'click', row, col }),
+        createVersusState(grid, config, options)
+    );
+}
@@ -0,0 +1,18 @@
+/**
+ * Worker Requests
+ *
+ * Message protocol shared by the Web Workers and useWorkerRequest: the
+ * page posts { id, args }, the worker answers { id, result } with
+ * compute(...args). The id lets the page drop answers it no longer wants.
+ */
+
+/**
+ * Answer every request posted to this worker
+ * @param {(...args: any[]) => any} compute - Called with the request's args
+ */
+export function answerRequests(compute) {
+    self.onmessage = ({ data }) => {
+        const { id, args } = data;
+        self.postMessage({ id, result: compute(...args) });
+    };
+}
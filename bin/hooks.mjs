@@ -0,0 +1,28 @@
+/**
+ * Module hooks that let plain Node load the engine in app/
+ *
+ * The engine is written for the Next.js bundler: ES module syntax in .js
+ * files (the package is not "type": "module") and extensionless relative
+ * imports. These hooks load app/*.js as ES modules and retry a missing
+ * relative import with ".js" appended.
+ */
+
+const APP_URL = new URL('../app/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code === 'ERR_MODULE_NOT_FOUND' && specifier.startsWith('.') && !specifier.endsWith('.js')) {
+            return nextResolve(`${specifier}.js`, context);
+        }
+        throw error;
+    }
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(APP_URL) && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}